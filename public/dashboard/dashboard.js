@@ -0,0 +1,280 @@
+// Painel ao vivo do EMTU Live Checker: tudo vem da API do próprio bot, sem serviços de mapa externos
+(function (root, factory) {
+    const dashboard = factory();
+    if (typeof module === 'object' && module.exports) module.exports = dashboard;
+    else root.EMTUDashboard = dashboard;
+})(typeof self !== 'undefined' ? self : this, function () {
+    const EARTH_RADIUS = 6371e3;
+    const COLORS = ['#0070f3', '#e53935', '#00a046', '#7c3aed', '#ffb300', '#00838f'];
+    const KEY_STORAGE = 'emtu-api-key';
+
+    // ======== Projeção ========
+    // Equirretangular local: suficiente para a área de uma linha e mantém a escala em metros
+    function createProjection(points, width, height, padding = 32) {
+        if (!points.length) return null;
+
+        const lats = points.map(p => p.latitude);
+        const lons = points.map(p => p.longitude);
+        const minLat = Math.min(...lats), maxLat = Math.max(...lats);
+        const minLon = Math.min(...lons), maxLon = Math.max(...lons);
+
+        const metersPerDegLat = Math.PI * EARTH_RADIUS / 180;
+        const metersPerDegLon = metersPerDegLat * Math.cos((minLat + maxLat) / 2 * Math.PI / 180);
+        const spanX = Math.max((maxLon - minLon) * metersPerDegLon, 1);
+        const spanY = Math.max((maxLat - minLat) * metersPerDegLat, 1);
+        const scale = Math.min((width - 2 * padding) / spanX, (height - 2 * padding) / spanY);
+        const offsetX = (width - spanX * scale) / 2;
+        const offsetY = (height - spanY * scale) / 2;
+
+        const project = (latitude, longitude) => ({
+            x: offsetX + (longitude - minLon) * metersPerDegLon * scale,
+            y: height - offsetY - (latitude - minLat) * metersPerDegLat * scale
+        });
+        project.scale = scale;
+        return project;
+    }
+
+    // ======== Marcação ========
+    function escapeHtml(text) {
+        return String(text == null ? '' : text)
+            .replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;')
+            .replace(/"/g, '&quot;').replace(/'/g, '&#39;');
+    }
+
+    function round(value) {
+        return Math.round(value * 10) / 10;
+    }
+
+    function formatThresholds(monitor) {
+        const parts = [];
+        if (monitor.proximityThreshold) parts.push(`${monitor.proximityThreshold}m`);
+        if (monitor.arrivalThreshold) parts.push(`${monitor.arrivalThreshold} min`);
+        return parts.join(' ou ');
+    }
+
+    function buildMapMarkup(state, width, height) {
+        const routeIds = Object.keys(state.routes);
+        const points = [];
+        routeIds.forEach(id => {
+            points.push(...state.routes[id].stops, ...state.routes[id].vehicles);
+        });
+
+        const project = createProjection(points, width, height);
+        if (!project) {
+            return `<text class="empty" x="${width / 2}" y="${height / 2}" text-anchor="middle">` +
+                'Nenhum monitoramento ativo</text>';
+        }
+
+        const lines = [];
+        const stops = [];
+        const thresholds = [];
+        const vehicles = [];
+
+        routeIds.forEach((id, index) => {
+            const route = state.routes[id];
+            const color = COLORS[index % COLORS.length];
+
+            ['ida', 'volta'].forEach(direction => {
+                const ordered = route.stops
+                    .filter(stop => stop.direction === direction)
+                    .sort((a, b) => a.sequence - b.sequence)
+                    .map(stop => project(stop.latitude, stop.longitude));
+                if (ordered.length > 1) {
+                    const path = ordered.map(p => `${round(p.x)},${round(p.y)}`).join(' ');
+                    lines.push(`<polyline class="route-line ${direction}" points="${path}" stroke="${color}" />`);
+                }
+            });
+
+            route.stops.forEach(stop => {
+                const p = project(stop.latitude, stop.longitude);
+                stops.push(`<circle class="stop" cx="${round(p.x)}" cy="${round(p.y)}" r="3" stroke="${color}">` +
+                    `<title>${escapeHtml(stop.name)} (${escapeHtml(stop.direction)})</title></circle>`);
+            });
+
+            route.vehicles.forEach(vehicle => {
+                const p = project(vehicle.latitude, vehicle.longitude);
+                const label = escapeHtml(vehicle.prefix || vehicle.id);
+                const position = `translate(${round(p.x)},${round(p.y)})`;
+                vehicles.push(`<g class="vehicle${vehicle.stale ? ' stale' : ''}" transform="${position}">` +
+                    `<circle r="7" fill="${color}" /><text y="-11" text-anchor="middle">${label}</text>` +
+                    `<title>${escapeHtml(id)} · ${label}${vehicle.stale ? ' · GPS desatualizado' : ''}</title></g>`);
+            });
+        });
+
+        state.monitors.forEach(monitor => {
+            const route = state.routes[monitor.routeId];
+            if (!route) return;
+
+            monitor.stops.forEach(monitored => {
+                const stop = route.stops.find(candidate => candidate.id === monitored.stopId);
+                if (!stop) return;
+
+                const p = project(stop.latitude, stop.longitude);
+                const title = `<title>${escapeHtml(monitor.routeNumber)} · ${escapeHtml(monitored.stopName)} · ` +
+                    `${formatThresholds(monitored)}</title>`;
+                if (monitored.proximityThreshold) {
+                    thresholds.push(`<circle class="threshold" cx="${round(p.x)}" cy="${round(p.y)}" ` +
+                        `r="${round(monitored.proximityThreshold * project.scale)}">${title}</circle>`);
+                }
+                thresholds.push(`<circle class="monitored-stop" cx="${round(p.x)}" cy="${round(p.y)}" r="6">` +
+                    `${title}</circle>`);
+            });
+        });
+
+        return [...lines, ...thresholds, ...stops, ...vehicles].join('');
+    }
+
+    // `paused`: linhas que passaram do limite do fluxo e não recebem posições ao vivo
+    function buildMonitorsMarkup(monitors, paused = []) {
+        if (!monitors.length) return '<li class="muted">Nenhum monitoramento ativo.</li>';
+
+        return monitors.flatMap(monitor => monitor.stops.map(stop => `<li>
+            <strong>${escapeHtml(monitor.routeNumber)}</strong> · ${escapeHtml(stop.stopName)}
+            <span class="muted">${escapeHtml(stop.direction || '')} · ${escapeHtml(formatThresholds(stop))}</span>
+            <span class="badge ${stop.polling ? 'on' : 'off'}">${stop.polling ? 'ativo' : 'fora da janela'}</span>
+            ${paused.includes(monitor.routeId) ? '<span class="badge paused">mapa pausado</span>' : ''}
+        </li>`)).join('');
+    }
+
+    function buildAlertsMarkup(alerts) {
+        if (!alerts.length) return '<li class="muted">Nenhum alerta recente.</li>';
+
+        return alerts.map(alert => {
+            const stopName = alert.stopName ? ` · ${escapeHtml(alert.stopName)}` : '';
+            return `<li>
+                <time>${escapeHtml(new Date(alert.timestamp).toLocaleTimeString('pt-BR'))}</time>
+                <strong>${escapeHtml(alert.routeId)}</strong> · veículo ${escapeHtml(alert.vehicleId)}
+                <span class="muted">${Math.round(alert.distance)}m${stopName}</span>
+            </li>`;
+        }).join('');
+    }
+
+    // Um fluxo só para todas as linhas: cada conexão conta no limite de fluxos da chave
+    function buildStreamUrl(routeIds, apiKey) {
+        const routes = routeIds.map(encodeURIComponent).join(',');
+        return `/api/stream?routes=${routes}&access_token=${encodeURIComponent(apiKey)}`;
+    }
+
+    // ======== Navegador ========
+    function start(doc) {
+        const state = { routes: {}, monitors: [], alerts: [], paused: [] };
+        let stream = null;
+        const els = {
+            map: doc.getElementById('map'),
+            monitors: doc.getElementById('monitors'),
+            alerts: doc.getElementById('alerts'),
+            status: doc.getElementById('status'),
+            keyForm: doc.getElementById('keyForm'),
+            keyInput: doc.getElementById('keyInput')
+        };
+        let apiKey = localStorage.getItem(KEY_STORAGE);
+
+        const setStatus = (text, kind = '') => {
+            els.status.textContent = text;
+            els.status.className = `status ${kind}`;
+        };
+
+        const render = () => {
+            const box = els.map.viewBox.baseVal;
+            els.map.innerHTML = buildMapMarkup(state, box.width, box.height);
+            els.monitors.innerHTML = buildMonitorsMarkup(state.monitors, state.paused);
+            els.alerts.innerHTML = buildAlertsMarkup(state.alerts);
+        };
+
+        const api = async (path) => {
+            const res = await fetch(path, { headers: { Authorization: `Bearer ${apiKey}` } });
+            if (res.status === 401) {
+                localStorage.removeItem(KEY_STORAGE);
+                els.keyForm.hidden = false;
+                throw new Error('Chave de API inválida');
+            }
+            if (!res.ok) throw new Error(`Erro ${res.status} em ${path}`);
+            return res.json();
+        };
+
+        const loadAlerts = async () => {
+            state.alerts = (await api('/api/alerts?limit=20')).alerts;
+            render();
+        };
+
+        const openStream = (routeIds) => {
+            if (stream) stream.close();
+            stream = null;
+            state.paused = [];
+            if (!routeIds.length) return;
+
+            stream = new EventSource(buildStreamUrl(routeIds, apiKey));
+            stream.addEventListener('positions', event => {
+                const { routeId, vehicles } = JSON.parse(event.data);
+                if (!state.routes[routeId]) return;
+                state.routes[routeId].vehicles = vehicles;
+                setStatus(`Atualizado às ${new Date().toLocaleTimeString('pt-BR')}`, 'ok');
+                render();
+            });
+            stream.addEventListener('paused', event => {
+                state.paused = JSON.parse(event.data).routes;
+                render();
+            });
+            stream.addEventListener('proximity', () => loadAlerts().catch(() => {}));
+            stream.onerror = () => setStatus('Reconectando ao fluxo ao vivo…', 'warn');
+        };
+
+        const loadMonitors = async () => {
+            state.monitors = (await api('/api/monitors?active=true')).monitors;
+            const routeIds = Array.from(new Set(state.monitors.map(monitor => monitor.routeId)));
+            const previous = Object.keys(state.routes);
+
+            for (const routeId of routeIds) {
+                if (state.routes[routeId]) continue;
+                const { stops } = await api(`/api/routes/${encodeURIComponent(routeId)}/stops`);
+                state.routes[routeId] = { stops, vehicles: [] };
+            }
+
+            previous.filter(routeId => !routeIds.includes(routeId)).forEach(routeId => {
+                delete state.routes[routeId];
+            });
+
+            // Só reabre o fluxo quando o conjunto de linhas muda
+            if (routeIds.length !== previous.length || routeIds.some(routeId => !previous.includes(routeId))) {
+                openStream(routeIds);
+            }
+
+            render();
+        };
+
+        const boot = async () => {
+            els.keyForm.hidden = true;
+            setStatus('Carregando…');
+            try {
+                await loadMonitors();
+                await loadAlerts();
+                setStatus('Aguardando a próxima consulta…', 'ok');
+            } catch (error) {
+                setStatus(error.message, 'error');
+            }
+        };
+
+        els.keyForm.addEventListener('submit', event => {
+            event.preventDefault();
+            apiKey = els.keyInput.value.trim();
+            localStorage.setItem(KEY_STORAGE, apiKey);
+            boot();
+        });
+
+        if (apiKey) boot();
+        else els.keyForm.hidden = false;
+
+        setInterval(() => { if (apiKey) loadMonitors().catch(() => {}); }, 60 * 1000);
+        setInterval(() => { if (apiKey) loadAlerts().catch(() => {}); }, 30 * 1000);
+    }
+
+    return {
+        createProjection,
+        escapeHtml,
+        buildMapMarkup,
+        buildMonitorsMarkup,
+        buildAlertsMarkup,
+        buildStreamUrl,
+        start
+    };
+});
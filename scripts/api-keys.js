@@ -0,0 +1,100 @@
+#!/usr/bin/env node
+require('dotenv').config();
+const ApiKeyManager = require('../src/utils/apiKeyManager');
+
+const USAGE = `Uso: npm run keys -- <comando>
+
+  list                                   Lista as chaves (sem os segredos)
+  create <nome> [--admin] [--chat <id>]  Cria uma chave; repita --chat para cada chat ID
+  scope <id> <chatId,chatId,...>         Substitui os chats que a chave pode ver
+  rotate <id>                            Gera um novo segredo e invalida o anterior
+  revoke <id>                            Remove a chave`;
+
+function printSecret({ key, secret }) {
+    console.log(`ID: ${key.id}`);
+    console.log(`Segredo: ${secret}`);
+    console.log('Guarde o segredo agora: ele não é salvo e não pode ser recuperado.');
+}
+
+async function main(args) {
+    const apiKeys = new ApiKeyManager();
+    await apiKeys.loadKeys();
+
+    const [command, ...rest] = args;
+
+    switch (command) {
+    case 'list': {
+        const keys = apiKeys.listKeys();
+        if (keys.length === 0) {
+            console.log('Nenhuma chave cadastrada.');
+        }
+        keys.forEach(key => {
+            const scope = key.admin ? 'admin' : (key.chatIds.join(', ') || 'nenhum chat');
+            console.log(`${key.id}  ${key.prefix}…  ${key.name}  [${scope}]`);
+        });
+        return 0;
+    }
+
+    case 'create': {
+        const chatIds = [];
+        const nameParts = [];
+        let admin = false;
+
+        for (let i = 0; i < rest.length; i++) {
+            if (rest[i] === '--admin') {
+                admin = true;
+            } else if (rest[i] === '--chat' && rest[i + 1]) {
+                chatIds.push(rest[++i]);
+            } else {
+                nameParts.push(rest[i]);
+            }
+        }
+
+        if (nameParts.length === 0) break;
+        printSecret(await apiKeys.createKey({ name: nameParts.join(' '), chatIds, admin }));
+        return 0;
+    }
+
+    case 'scope': {
+        if (rest.length < 2) break;
+        const key = await apiKeys.updateKey(rest[0], { chatIds: rest[1].split(',').filter(Boolean) });
+        if (!key) {
+            console.error(`Chave ${rest[0]} não encontrada.`);
+            return 1;
+        }
+        console.log(`${key.id} agora vê: ${key.chatIds.join(', ')}`);
+        return 0;
+    }
+
+    case 'rotate': {
+        if (!rest[0]) break;
+        const rotated = await apiKeys.rotateKey(rest[0]);
+        if (!rotated) {
+            console.error(`Chave ${rest[0]} não encontrada.`);
+            return 1;
+        }
+        printSecret(rotated);
+        return 0;
+    }
+
+    case 'revoke': {
+        if (!rest[0]) break;
+        if (!await apiKeys.revokeKey(rest[0])) {
+            console.error(`Chave ${rest[0]} não encontrada.`);
+            return 1;
+        }
+        console.log(`Chave ${rest[0]} removida.`);
+        return 0;
+    }
+    }
+
+    console.log(USAGE);
+    return command ? 1 : 0;
+}
+
+main(process.argv.slice(2))
+    .then(code => process.exit(code))
+    .catch(error => {
+        console.error(error.message);
+        process.exit(1);
+    });
@@ -0,0 +1,47 @@
+#!/usr/bin/env node
+require('dotenv').config();
+const Database = require('../src/storage/database');
+const LegacyImporter = require('../src/storage/legacyImporter');
+
+const USAGE = `Uso: npm run db:import -- [--config <arquivo>] [--alerts <arquivo>]
+
+  Sem opções, procura ./data/configurations.json, ./data/alerts.json e o JSON
+  antigo em DB_PATH. Cada arquivo é importado uma única vez e renomeado para
+  <arquivo>.imported; o que já existe no banco não é sobrescrito.`;
+
+async function main(args) {
+    const options = {};
+
+    for (let i = 0; i < args.length; i++) {
+        if (args[i] === '--config' && args[i + 1]) {
+            (options.configFiles = options.configFiles || []).push(args[++i]);
+        } else if (args[i] === '--alerts' && args[i + 1]) {
+            (options.alertFiles = options.alertFiles || []).push(args[++i]);
+        } else {
+            console.log(USAGE);
+            return args[i] === '--help' ? 0 : 1;
+        }
+    }
+
+    const database = new Database();
+    try {
+        const summary = await new LegacyImporter(database, options).run();
+        if (summary.files.length === 0) {
+            console.log('Nenhum arquivo novo para importar.');
+            return 0;
+        }
+
+        summary.files.forEach(file => console.log(`Importado: ${file}`));
+        console.log(`${summary.configurations} monitoramento(s) e ${summary.alerts} alerta(s) em ${database.dbPath}`);
+        return 0;
+    } finally {
+        database.close();
+    }
+}
+
+main(process.argv.slice(2))
+    .then(code => process.exit(code))
+    .catch(error => {
+        console.error(error.message);
+        process.exit(1);
+    });
@@ -0,0 +1,42 @@
+// Únicas rotas que aceitam a chave na query: o EventSource do navegador não envia cabeçalhos,
+// e em qualquer outra URL o segredo acabaria em logs de acesso e no histórico
+const QUERY_TOKEN_PATH = /^\/api\/(routes\/[^/]+\/)?stream\/?$/;
+
+class ApiAuth {
+    constructor(apiKeys) {
+        this.apiKeys = apiKeys;
+        this.authenticate = this.authenticate.bind(this);
+        this.requireAdmin = this.requireAdmin.bind(this);
+    }
+
+    // Aceita `Authorization: Bearer` ou `X-API-Key`; `?access_token=` só no streaming
+    extractSecret(req) {
+        const header = req.get('authorization') || '';
+        const match = /^Bearer\s+(.+)$/i.exec(header);
+        if (match) return match[1].trim();
+        if (req.get('x-api-key')) return req.get('x-api-key');
+
+        const acceptsQuery = req.method === 'GET' && QUERY_TOKEN_PATH.test(req.baseUrl + req.path);
+        return acceptsQuery ? req.query.access_token || null : null;
+    }
+
+    authenticate(req, res, next) {
+        const key = this.apiKeys.verify(this.extractSecret(req));
+        if (!key) {
+            res.set('WWW-Authenticate', 'Bearer');
+            return res.status(401).json({ error: 'unauthorized', message: 'Missing or invalid API key' });
+        }
+
+        req.apiKey = key;
+        next();
+    }
+
+    requireAdmin(req, res, next) {
+        if (!req.apiKey || !req.apiKey.admin) {
+            return res.status(403).json({ error: 'forbidden', message: 'Admin API key required' });
+        }
+        next();
+    }
+}
+
+module.exports = ApiAuth;
@@ -0,0 +1,778 @@
+const express = require('express');
+const Logger = require('../utils/logger');
+
+const UPDATABLE_FIELDS = ['proximityThreshold', 'arrivalThreshold', 'maxAlerts', 'schedule', 'channel', 'target'];
+// Campos de cada parada; os demais valem para a linha inteira
+const STOP_FIELDS = ['proximityThreshold', 'arrivalThreshold', 'schedule'];
+
+class ApiRouter {
+    constructor(checker) {
+        this.checker = checker;
+        this.logger = new Logger();
+        this.router = express.Router();
+        this.heartbeatInterval = 25 * 1000;
+        this.streamRetry = 5000;
+        this.setupRoutes();
+    }
+
+    setupRoutes() {
+        this.router.use(express.json());
+
+        const admin = this.checker.apiAuth.requireAdmin;
+        const route = (method, path, ...middlewares) => {
+            const handler = middlewares.pop();
+            this.router[method](path, ...middlewares, async (req, res) => {
+                try {
+                    await handler.call(this, req, res);
+                } catch (error) {
+                    this.logger.error(`API ${method.toUpperCase()} ${req.originalUrl} failed:`, error);
+                    res.status(500).json({ error: 'internal_error', message: 'Unexpected error' });
+                }
+            });
+        };
+
+        route('get', '/monitors', this.listMonitors);
+        route('post', '/monitors', this.createMonitor);
+        route('get', '/monitors/:id', this.getMonitor);
+        route('patch', '/monitors/:id', this.updateMonitor);
+        route('post', '/monitors/:id/pause', this.pauseMonitor);
+        route('post', '/monitors/:id/resume', this.resumeMonitor);
+        route('delete', '/monitors/:id', this.deleteMonitor);
+        route('patch', '/monitors/:id/stops/:stopId', this.updateMonitorStop);
+        route('delete', '/monitors/:id/stops/:stopId', this.deleteMonitorStop);
+
+        route('get', '/routes', this.searchRoutes);
+        route('get', '/routes/:routeNumber', this.getRoute);
+        route('get', '/routes/:routeNumber/stops', this.getRouteStops);
+        route('get', '/routes/:routeNumber/vehicles', this.getRouteVehicles);
+        route('get', '/routes/:routeNumber/stream', this.streamRoute);
+        route('get', '/stream', this.streamRoutes);
+
+        route('get', '/alerts', this.getAlerts);
+
+        route('get', '/preferences/:chatId', this.getPreferences);
+        route('patch', '/preferences/:chatId', this.updatePreferences);
+        route('delete', '/preferences/:chatId', this.resetPreferences);
+
+        route('get', '/admin/statistics', admin, this.getStatistics);
+        route('get', '/alert-templates', admin, this.getAlertTemplates);
+        route('post', '/alert-templates/preview', admin, this.previewAlertTemplate);
+        route('get', '/keys', admin, this.listKeys);
+        route('post', '/keys', admin, this.createKey);
+        route('patch', '/keys/:keyId', admin, this.updateKey);
+        route('delete', '/keys/:keyId', admin, this.revokeKey);
+        route('post', '/keys/:keyId/rotate', this.rotateKey);
+
+        // O Express só reconhece o tratador de erros pelos quatro parâmetros
+        this.router.use((error, req, res, _next) => {
+            if (error.type === 'entity.parse.failed') {
+                return this.sendValidationError(res, [{ field: 'body', message: 'must be valid JSON' }]);
+            }
+            this.logger.error(`API ${req.method} ${req.originalUrl} failed:`, error);
+            res.status(500).json({ error: 'internal_error', message: 'Unexpected error' });
+        });
+    }
+
+    sendValidationError(res, details, status = 400) {
+        res.status(status).json({
+            error: 'validation_error',
+            message: 'Invalid request',
+            details
+        });
+    }
+
+    sendNotFound(res, message) {
+        res.status(404).json({ error: 'not_found', message });
+    }
+
+    sendForbidden(res, message) {
+        res.status(403).json({ error: 'forbidden', message });
+    }
+
+    sendConflict(res, message) {
+        res.status(409).json({ error: 'conflict', message });
+    }
+
+    sendTooManyRequests(res, message) {
+        res.status(429).json({ error: 'too_many_requests', message });
+    }
+
+    canAccess(req, chatId) {
+        return this.checker.apiKeys.canAccessChat(req.apiKey, chatId);
+    }
+
+    // O id do monitor é a chave do ConfigManager: `${chatId}_${routeNumber}`
+    parseMonitorId(id) {
+        const index = id.lastIndexOf('_');
+        if (index <= 0) return null;
+        return { chatId: id.slice(0, index), routeNumber: id.slice(index + 1).toUpperCase() };
+    }
+
+    serializeMonitor(config) {
+        const { key = `${config.chatId}_${config.routeNumber}`, stops = [], ...fields } = config;
+
+        return {
+            id: key,
+            ...fields,
+            stops: stops.map(stop => ({
+                ...stop,
+                polling: this.checker.isPolling(config.chatId, config.routeNumber, stop.stopId)
+            })),
+            polling: this.checker.isPolling(config.chatId, config.routeNumber)
+        };
+    }
+
+    async findMonitor(req, res) {
+        const ids = this.parseMonitorId(req.params.id);
+        const config = ids && await this.checker.configManager.getConfiguration(ids.chatId, ids.routeNumber);
+        // Monitores de outros chats respondem como inexistentes para não revelar chat IDs
+        if (!config || !this.canAccess(req, config.chatId)) {
+            this.sendNotFound(res, `Monitor ${req.params.id} not found`);
+            return null;
+        }
+        return config;
+    }
+
+    // Ids de parada chegam como string na URL
+    findMonitorStop(req, res, config) {
+        const stop = config.stops.find(candidate => String(candidate.stopId) === req.params.stopId);
+        if (!stop) {
+            this.sendNotFound(res, `Stop ${req.params.stopId} is not part of monitor ${req.params.id}`);
+            return null;
+        }
+        return stop;
+    }
+
+    splitFields(fields) {
+        const stopFields = {};
+        const routeFields = {};
+        for (const [field, value] of Object.entries(fields)) {
+            (STOP_FIELDS.includes(field) ? stopFields : routeFields)[field] = value;
+        }
+        return { stopFields, routeFields };
+    }
+
+    validateThresholds(stops, details) {
+        if (stops.some(stop => !stop.proximityThreshold && !stop.arrivalThreshold)) {
+            details.push({ field: 'proximityThreshold', message: 'at least one threshold is required' });
+        }
+    }
+
+    validatePositiveInteger(details, body, field) {
+        if (body[field] === undefined || body[field] === null) return;
+        if (!Number.isInteger(body[field]) || body[field] <= 0) {
+            details.push({ field, message: 'must be a positive integer' });
+        }
+    }
+
+    validateMonitorFields(body, details) {
+        const fields = {};
+
+        for (const field of ['proximityThreshold', 'arrivalThreshold', 'maxAlerts']) {
+            this.validatePositiveInteger(details, body, field);
+            if (body[field] !== undefined) fields[field] = body[field];
+        }
+
+        if (body.schedule !== undefined) {
+            if (body.schedule === null) {
+                fields.schedule = null;
+            } else if (typeof body.schedule !== 'string') {
+                details.push({ field: 'schedule', message: 'must be a string like "seg-sex 06:30-08:00" or null' });
+            } else {
+                try {
+                    fields.schedule = this.checker.scheduleManager.parseSchedule(body.schedule);
+                } catch (error) {
+                    details.push({ field: 'schedule', message: error.message });
+                }
+            }
+        }
+
+        if (body.channel !== undefined) {
+            const notifications = this.checker.notifications;
+            if (!notifications.channels().includes(body.channel)) {
+                details.push({ field: 'channel', message: `must be one of ${notifications.channels().join(', ')}` });
+            } else if (body.channel !== 'whatsapp' && !notifications.isAvailable(body.channel)) {
+                details.push({ field: 'channel', message: `${body.channel} is not configured on this server` });
+            } else {
+                fields.channel = body.channel;
+            }
+        }
+
+        if (body.target !== undefined) {
+            if (body.target !== null && typeof body.target !== 'string') {
+                details.push({ field: 'target', message: 'must be a string or null' });
+            } else {
+                fields.target = body.target;
+            }
+        }
+
+        return fields;
+    }
+
+    validateNotification(config, details) {
+        const notifier = this.checker.notifications.get(config.channel || 'whatsapp');
+        if (notifier && !notifier.resolveTarget(config)) {
+            details.push({ field: 'target', message: `is required for channel ${config.channel}` });
+        }
+    }
+
+    // Destino bem formado, mas fora das listas liberadas pelo operador (WEBHOOK_ALLOWED_HOSTS, ...)
+    refusedTarget(config) {
+        if (!config.target) return [];
+        const refusal = this.checker.notifications.validateTarget(config.channel || 'whatsapp', config.target, {
+            chatId: config.chatId
+        });
+        return refusal ? [{ field: 'target', message: refusal }] : [];
+    }
+
+    async listMonitors(req, res) {
+        let configs = (await this.checker.configManager.getAllConfigurations())
+            .filter(config => this.canAccess(req, config.chatId));
+
+        if (req.query.chatId) {
+            configs = configs.filter(config => config.chatId === req.query.chatId);
+        }
+        if (req.query.active !== undefined) {
+            const active = req.query.active === 'true';
+            configs = configs.filter(config => Boolean(config.isActive) === active);
+        }
+
+        res.json({ monitors: configs.map(config => this.serializeMonitor(config)) });
+    }
+
+    async createMonitor(req, res) {
+        const body = req.body || {};
+        const details = [];
+
+        for (const field of ['chatId', 'routeNumber', 'stop']) {
+            if (typeof body[field] !== 'string' || !body[field].trim()) {
+                details.push({ field, message: 'is required' });
+            }
+        }
+
+        if (body.direction !== undefined && !['ida', 'volta'].includes(body.direction)) {
+            details.push({ field: 'direction', message: 'must be "ida" or "volta"' });
+        }
+
+        const fields = this.validateMonitorFields(body, details);
+        if (details.length === 0) {
+            this.validateNotification({ chatId: body.chatId, ...fields }, details);
+        }
+
+        if (details.length > 0) {
+            return this.sendValidationError(res, details);
+        }
+
+        if (!this.canAccess(req, body.chatId)) {
+            return this.sendForbidden(res, `API key cannot manage chat ${body.chatId}`);
+        }
+
+        const refused = this.refusedTarget(fields);
+        if (refused.length > 0) {
+            return this.sendValidationError(res, refused, 422);
+        }
+
+        const { error, config } = await this.checker.createMonitor(body.chatId, {
+            ...fields,
+            routeNumber: body.routeNumber,
+            direction: body.direction || null,
+            stopName: body.stop
+        });
+
+        if (error === 'route_not_found') {
+            return this.sendValidationError(res, [{ field: 'routeNumber', message: 'route not found' }], 422);
+        }
+        if (error === 'stop_not_found') {
+            return this.sendValidationError(res, [{ field: 'stop', message: 'stop not found on this route' }], 422);
+        }
+
+        res.status(201).json(this.serializeMonitor(config));
+    }
+
+    async getMonitor(req, res) {
+        const config = await this.findMonitor(req, res);
+        if (!config) return;
+
+        res.json(this.serializeMonitor(config));
+    }
+
+    async updateMonitor(req, res) {
+        const config = await this.findMonitor(req, res);
+        if (!config) return;
+
+        const body = req.body || {};
+        const details = [];
+
+        const unknown = Object.keys(body).filter(field => !UPDATABLE_FIELDS.includes(field));
+        unknown.forEach(field => details.push({ field, message: 'cannot be updated' }));
+
+        // Limites e janela enviados aqui valem para todas as paradas da linha
+        const { stopFields, routeFields } = this.splitFields(this.validateMonitorFields(body, details));
+        const stops = config.stops.map(stop => ({ ...stop, ...stopFields }));
+
+        if (details.length === 0) {
+            this.validateThresholds(stops, details);
+            this.validateNotification({ ...config, ...routeFields }, details);
+        }
+
+        if (details.length > 0) {
+            return this.sendValidationError(res, details);
+        }
+
+        const refused = this.refusedTarget({ ...config, ...routeFields });
+        if (refused.length > 0) {
+            return this.sendValidationError(res, refused, 422);
+        }
+
+        const updated = await this.checker.configManager.updateConfiguration(config.chatId, config.routeNumber, {
+            ...routeFields,
+            stops
+        });
+        if (updated.isActive) {
+            await this.checker.startMonitoring(updated);
+        }
+
+        res.json(this.serializeMonitor(updated));
+    }
+
+    async updateMonitorStop(req, res) {
+        const config = await this.findMonitor(req, res);
+        if (!config) return;
+        const stop = this.findMonitorStop(req, res, config);
+        if (!stop) return;
+
+        const body = req.body || {};
+        const details = [];
+
+        const unknown = Object.keys(body).filter(field => !STOP_FIELDS.includes(field));
+        unknown.forEach(field => details.push({ field, message: 'cannot be updated per stop' }));
+
+        const fields = this.validateMonitorFields(body, details);
+        if (details.length === 0) {
+            this.validateThresholds([{ ...stop, ...fields }], details);
+        }
+
+        if (details.length > 0) {
+            return this.sendValidationError(res, details);
+        }
+
+        const configManager = this.checker.configManager;
+        const updated = await configManager.updateStop(config.chatId, config.routeNumber, stop.stopId, fields);
+        if (updated.isActive) {
+            await this.checker.startMonitoring(updated);
+        }
+
+        res.json(this.serializeMonitor(updated));
+    }
+
+    async deleteMonitorStop(req, res) {
+        const config = await this.findMonitor(req, res);
+        if (!config) return;
+        const stop = this.findMonitorStop(req, res, config);
+        if (!stop) return;
+
+        if (config.stops.length === 1) {
+            return this.sendConflict(res, `Stop ${req.params.stopId} is the last one; delete the monitor instead`);
+        }
+
+        const updated = await this.checker.configManager.removeStop(config.chatId, config.routeNumber, stop.stopId);
+        if (updated.isActive) {
+            await this.checker.startMonitoring(updated);
+        }
+
+        res.json(this.serializeMonitor(updated));
+    }
+
+    async pauseMonitor(req, res) {
+        const config = await this.findMonitor(req, res);
+        if (!config) return;
+
+        if (config.isActive) {
+            const stopped = await this.checker.stopMonitoring(config.chatId, config.routeNumber);
+            if (!stopped) {
+                await this.checker.configManager.deactivateConfiguration(config.chatId, config.routeNumber);
+            }
+        }
+
+        const paused = await this.checker.configManager.getConfiguration(config.chatId, config.routeNumber);
+        res.json(this.serializeMonitor(paused));
+    }
+
+    async resumeMonitor(req, res) {
+        const config = await this.findMonitor(req, res);
+        if (!config) return;
+
+        const resumed = await this.checker.configManager.updateConfiguration(config.chatId, config.routeNumber, {
+            isActive: true
+        });
+        await this.checker.startMonitoring(resumed);
+
+        res.json(this.serializeMonitor(resumed));
+    }
+
+    async deleteMonitor(req, res) {
+        const config = await this.findMonitor(req, res);
+        if (!config) return;
+
+        await this.checker.stopMonitoring(config.chatId, config.routeNumber);
+        await this.checker.configManager.deleteConfiguration(config.chatId, config.routeNumber);
+
+        res.status(204).end();
+    }
+
+    async searchRoutes(req, res) {
+        const term = (req.query.q || '').trim();
+        if (!term) {
+            return this.sendValidationError(res, [{ field: 'q', message: 'is required' }]);
+        }
+
+        const routes = await this.checker.emtuService.searchRoutes(term);
+        res.json({ routes });
+    }
+
+    async findExactRoute(req, res) {
+        const number = req.params.routeNumber.toUpperCase();
+        const route = await this.checker.emtuService.findRoute(number);
+
+        if (!route) {
+            this.sendNotFound(res, `Route ${number} not found`);
+            return null;
+        }
+        return route;
+    }
+
+    async getRoute(req, res) {
+        const route = await this.findExactRoute(req, res);
+        if (!route) return;
+
+        res.json(route);
+    }
+
+    async getRouteStops(req, res) {
+        const { direction } = req.query;
+        if (direction !== undefined && !['ida', 'volta'].includes(direction)) {
+            return this.sendValidationError(res, [{ field: 'direction', message: 'must be "ida" or "volta"' }]);
+        }
+
+        const route = await this.findExactRoute(req, res);
+        if (!route) return;
+
+        const emtuService = this.checker.emtuService;
+        const stops = direction
+            ? await emtuService.getDirectionStops(route.number, direction)
+            : await emtuService.getStopsForRoute(route.number);
+
+        res.json({ routeNumber: route.number, stops });
+    }
+
+    async getRouteVehicles(req, res) {
+        const emtuService = this.checker.emtuService;
+        const number = req.params.routeNumber.toUpperCase();
+        const vehicles = await emtuService.getVehiclePositions(number);
+
+        res.json({
+            routeNumber: number,
+            vehicles: vehicles.map(vehicle => ({
+                ...vehicle,
+                stale: emtuService.isStale(vehicle)
+            }))
+        });
+    }
+
+    serializeEvent(event) {
+        const data = event.type === 'positions'
+            ? {
+                vehicles: event.data.vehicles.map(vehicle => ({
+                    ...vehicle,
+                    stale: this.checker.emtuService.isStale(vehicle)
+                }))
+            }
+            : event.data;
+
+        const payload = { routeId: event.routeId, timestamp: event.timestamp, ...data };
+        return `id: ${event.id}\nevent: ${event.type}\ndata: ${JSON.stringify(payload)}\n\n`;
+    }
+
+    // Posições são públicas; eventos de alerta só chegam para quem pode ver o chat
+    isEventVisible(req, event) {
+        return event.type === 'positions' || this.canAccess(req, event.data.chatId);
+    }
+
+    async streamRoute(req, res) {
+        // Só linhas que existem no portal passam a ser consultadas pelo RouteScheduler
+        const route = await this.findExactRoute(req, res);
+        if (!route) return;
+
+        this.openStream(req, res, [route.id]);
+    }
+
+    // Várias linhas numa conexão só (?routes=708BI2,285), para painéis que acompanham muitas linhas
+    async streamRoutes(req, res) {
+        const numbers = Array.from(new Set(String(req.query.routes || '')
+            .split(',')
+            .map(number => number.trim().toUpperCase())
+            .filter(Boolean)));
+
+        if (numbers.length === 0) {
+            return this.sendValidationError(res, [{ field: 'routes', message: 'is required' }]);
+        }
+
+        const limit = this.checker.liveFeed.maxRoutesPerListener;
+        const streamed = numbers.slice(0, limit);
+        const routes = await Promise.all(streamed.map(number => this.checker.emtuService.findRoute(number)));
+        const unknown = streamed.filter((number, index) => !routes[index]);
+        if (unknown.length > 0) {
+            return this.sendNotFound(res, `Route ${unknown.join(', ')} not found`);
+        }
+
+        this.openStream(req, res, routes.map(route => route.id), numbers.slice(limit));
+    }
+
+    // `paused` são as linhas pedidas além do limite da conexão; o cliente é avisado logo no início
+    openStream(req, res, routeIds, paused = []) {
+        const liveFeed = this.checker.liveFeed;
+        const lastEventId = parseInt(req.get('last-event-id') || req.query.lastEventId);
+
+        const send = event => {
+            if (this.isEventVisible(req, event)) {
+                res.write(this.serializeEvent(event));
+            }
+        };
+
+        // O cliente pode ter desistido enquanto a linha era buscada; o ouvinte ocuparia o limite da chave
+        if (req.socket.destroyed) return;
+
+        const removeListener = liveFeed.addListener(routeIds, send, req.apiKey.id);
+        if (!removeListener) {
+            return this.sendTooManyRequests(res, `API key already has ${liveFeed.maxListenersPerOwner} open streams`);
+        }
+
+        res.status(200).set({
+            'Content-Type': 'text/event-stream',
+            'Cache-Control': 'no-cache',
+            Connection: 'keep-alive',
+            'X-Accel-Buffering': 'no'
+        });
+        res.flushHeaders();
+        res.write(`retry: ${this.streamRetry}\n\n`);
+        if (paused.length > 0) {
+            const data = { routes: paused, limit: liveFeed.maxRoutesPerListener };
+            res.write(`event: paused\ndata: ${JSON.stringify(data)}\n\n`);
+        }
+
+        // Na reconexão reenvia o que foi perdido; sem histórico, começa pela última posição conhecida
+        const replay = [];
+        for (const routeId of routeIds) {
+            const missed = isNaN(lastEventId) ? null : liveFeed.getEventsSince(routeId, lastEventId);
+            if (missed) {
+                replay.push(...missed);
+            } else {
+                const latest = liveFeed.getLatest(routeId, 'positions');
+                if (latest) replay.push(latest);
+            }
+        }
+        replay.sort((a, b) => a.id - b.id).forEach(send);
+
+        const heartbeat = setInterval(() => res.write(': ping\n\n'), this.heartbeatInterval);
+
+        req.on('close', () => {
+            clearInterval(heartbeat);
+            removeListener();
+        });
+    }
+
+    async getAlerts(req, res) {
+        const { chatId, routeId } = req.query;
+        const limit = req.query.limit !== undefined ? Number(req.query.limit) : 50;
+
+        if (!Number.isInteger(limit) || limit <= 0) {
+            return this.sendValidationError(res, [{ field: 'limit', message: 'must be a positive integer' }]);
+        }
+
+        if (chatId && !this.canAccess(req, chatId)) {
+            return this.sendForbidden(res, `API key cannot read chat ${chatId}`);
+        }
+
+        // Sem chatId, junta o histórico de todos os chats visíveis para a chave
+        const chatIds = chatId ? [chatId] : await this.getVisibleChatIds(req);
+        const alerts = [];
+        for (const id of chatIds) {
+            const history = await this.checker.alertManager.getAlertHistory(id, routeId || null, limit);
+            alerts.push(...history.map(alert => ({ chatId: id, routeId: routeId || alert.routeId, ...alert })));
+        }
+
+        alerts.sort((a, b) => new Date(b.timestamp) - new Date(a.timestamp));
+        res.json({ alerts: alerts.slice(0, limit) });
+    }
+
+    async getPreferences(req, res) {
+        const { chatId } = req.params;
+        if (!this.canAccess(req, chatId)) {
+            return this.sendForbidden(res, `API key cannot read chat ${chatId}`);
+        }
+
+        res.json({ chatId, preferences: await this.checker.preferences.getPreferences(chatId) });
+    }
+
+    async updatePreferences(req, res) {
+        const { chatId } = req.params;
+        const { fields, details } = this.checker.preferences.validate(req.body || {});
+
+        if (details.length > 0) {
+            return this.sendValidationError(res, details);
+        }
+
+        if (!this.canAccess(req, chatId)) {
+            return this.sendForbidden(res, `API key cannot manage chat ${chatId}`);
+        }
+
+        res.json({ chatId, preferences: await this.checker.preferences.updatePreferences(chatId, fields) });
+    }
+
+    async resetPreferences(req, res) {
+        const { chatId } = req.params;
+        if (!this.canAccess(req, chatId)) {
+            return this.sendForbidden(res, `API key cannot manage chat ${chatId}`);
+        }
+
+        res.json({ chatId, preferences: await this.checker.preferences.resetPreferences(chatId) });
+    }
+
+    async getVisibleChatIds(req) {
+        if (!req.apiKey.admin) {
+            return req.apiKey.chatIds;
+        }
+
+        const configs = await this.checker.configManager.getAllConfigurations();
+        return Array.from(new Set(configs.map(config => config.chatId)));
+    }
+
+    async getStatistics(req, res) {
+        res.json({
+            configurations: await this.checker.configManager.getStatistics(),
+            alerts: await this.checker.alertManager.getSystemStatistics(),
+            polling: this.checker.scheduler.getStatus()
+        });
+    }
+
+    async getAlertTemplates(req, res) {
+        const templates = this.checker.alertTemplates;
+        res.json({
+            path: templates.templatesPath,
+            templates: templates.getTemplates(),
+            variables: templates.variables
+        });
+    }
+
+    // Renderiza um modelo (ou o atual, sem `template`) com os dados de exemplo de um ônibus
+    async previewAlertTemplate(req, res) {
+        const templates = this.checker.alertTemplates;
+        const body = req.body || {};
+        const locale = body.locale || this.checker.i18n.defaultLocale;
+        const details = [];
+
+        if (!this.checker.i18n.locales.includes(locale)) {
+            details.push({ field: 'locale', message: `must be one of ${this.checker.i18n.locales.join(', ')}` });
+        }
+        if (body.template !== undefined) {
+            details.push(...templates.validate(body.template).map(message => ({ field: 'template', message })));
+        }
+        if (details.length > 0) {
+            return this.sendValidationError(res, details);
+        }
+
+        const template = body.template !== undefined ? body.template : templates.getTemplate('proximity', locale);
+        const { config, vehicle, distance, etaMinutes } = templates.sample;
+        const arrivalTime = new Date(Date.now() + etaMinutes * 60 * 1000);
+        const eta = { estimatedMinutes: etaMinutes, arrivalTime };
+        const data = this.checker.getAlertData(config, vehicle, distance, eta, this.checker.i18n.translator(locale));
+
+        res.json({ locale, template, message: templates.render(template, data), data });
+    }
+
+    validateKeyFields(body, details) {
+        const fields = {};
+
+        if (body.name !== undefined) {
+            if (typeof body.name !== 'string' || !body.name.trim()) {
+                details.push({ field: 'name', message: 'must be a non-empty string' });
+            } else {
+                fields.name = body.name.trim();
+            }
+        }
+
+        if (body.chatIds !== undefined) {
+            if (!Array.isArray(body.chatIds) || body.chatIds.some(chatId => typeof chatId !== 'string' || !chatId)) {
+                details.push({ field: 'chatIds', message: 'must be an array of chat IDs' });
+            } else {
+                fields.chatIds = body.chatIds;
+            }
+        }
+
+        if (body.admin !== undefined) {
+            if (typeof body.admin !== 'boolean') {
+                details.push({ field: 'admin', message: 'must be a boolean' });
+            } else {
+                fields.admin = body.admin;
+            }
+        }
+
+        return fields;
+    }
+
+    async listKeys(req, res) {
+        res.json({ keys: this.checker.apiKeys.listKeys() });
+    }
+
+    async createKey(req, res) {
+        const body = req.body || {};
+        const details = [];
+
+        if (body.name === undefined) {
+            details.push({ field: 'name', message: 'is required' });
+        }
+        const fields = this.validateKeyFields(body, details);
+
+        if (details.length > 0) {
+            return this.sendValidationError(res, details);
+        }
+
+        res.status(201).json(await this.checker.apiKeys.createKey(fields));
+    }
+
+    async updateKey(req, res) {
+        const details = [];
+        const fields = this.validateKeyFields(req.body || {}, details);
+
+        if (details.length > 0) {
+            return this.sendValidationError(res, details);
+        }
+
+        const key = await this.checker.apiKeys.updateKey(req.params.keyId, fields);
+        if (!key) return this.sendNotFound(res, `API key ${req.params.keyId} not found`);
+
+        res.json(key);
+    }
+
+    // Cada chave pode rotacionar a si mesma; chaves de outros só o admin
+    async rotateKey(req, res) {
+        const { keyId } = req.params;
+        if (!req.apiKey.admin && req.apiKey.id !== keyId) {
+            return this.sendForbidden(res, 'API key can only rotate itself');
+        }
+
+        const rotated = await this.checker.apiKeys.rotateKey(keyId);
+        if (!rotated) return this.sendNotFound(res, `API key ${keyId} not found`);
+
+        res.json(rotated);
+    }
+
+    async revokeKey(req, res) {
+        const revoked = await this.checker.apiKeys.revokeKey(req.params.keyId);
+        if (!revoked) return this.sendNotFound(res, `API key ${req.params.keyId} not found`);
+
+        res.status(204).end();
+    }
+}
+
+module.exports = ApiRouter;
@@ -0,0 +1,92 @@
+const catalogues = require('./locales');
+
+const DEFAULT_LOCALE = 'pt-BR';
+
+// Textos do bot por idioma: chaves com pontos (`monitor.started`), `{nome}` para parâmetros
+// e objetos { one, other } para plurais, escolhidos pelo Intl.PluralRules do idioma com `count`
+class I18n {
+    constructor(options = {}) {
+        this.catalogues = options.catalogues || catalogues;
+        this.defaultLocale = options.defaultLocale || DEFAULT_LOCALE;
+        this.timezone = options.timezone || process.env.SCHEDULE_TIMEZONE || 'America/Sao_Paulo';
+    }
+
+    get locales() {
+        return Object.keys(this.catalogues);
+    }
+
+    resolveLocale(locale) {
+        return this.catalogues[locale] ? locale : this.defaultLocale;
+    }
+
+    lookup(locale, key) {
+        const find = catalogue => key.split('.').reduce((node, part) => (node ? node[part] : undefined), catalogue);
+        const value = find(this.catalogues[locale]);
+        return value !== undefined ? value : find(this.catalogues[this.defaultLocale]);
+    }
+
+    translate(locale, key, params = {}) {
+        const resolved = this.resolveLocale(locale);
+        let value = this.lookup(resolved, key);
+
+        // Chave inexistente aparece como está, para ser notada em vez de sumir da mensagem
+        if (value === undefined) return key;
+
+        if (typeof value === 'object') {
+            const category = new Intl.PluralRules(resolved).select(params.count);
+            value = value[category] !== undefined ? value[category] : value.other;
+        }
+
+        // Só `count` sai formatado no idioma; os demais entram como texto, já que prefixos
+        // e IDs numéricos não podem ganhar separador de milhar (use `t.number` para quantidades).
+        // Um parâmetro `{ key, params }` é outra mensagem do catálogo, traduzida no mesmo idioma,
+        // e uma lista vira "708 e 285" com a conjunção do idioma
+        return value.replace(/\{(\w+)\}/g, (placeholder, name) => {
+            const param = params[name];
+            if (param === undefined || param === null) return placeholder;
+            if (Array.isArray(param)) return new Intl.ListFormat(resolved).format(param.map(String));
+            if (typeof param === 'object' && param.key) return this.translate(resolved, param.key, param.params);
+            return name === 'count' && typeof param === 'number' ? this.formatNumber(resolved, param) : String(param);
+        });
+    }
+
+    formatNumber(locale, value, options = {}) {
+        return new Intl.NumberFormat(this.resolveLocale(locale), options).format(value);
+    }
+
+    formatCurrency(locale, value) {
+        return this.formatNumber(locale, value, { style: 'currency', currency: 'BRL' });
+    }
+
+    formatTime(locale, date) {
+        return new Intl.DateTimeFormat(this.resolveLocale(locale), {
+            hour: '2-digit',
+            minute: '2-digit',
+            timeZone: this.timezone
+        }).format(date);
+    }
+
+    formatDateTime(locale, date) {
+        return new Intl.DateTimeFormat(this.resolveLocale(locale), {
+            dateStyle: 'short',
+            timeStyle: 'short',
+            timeZone: this.timezone
+        }).format(date);
+    }
+
+    // Função `t(chave, parâmetros)` presa a um idioma, com os formatadores do mesmo idioma
+    translator(locale) {
+        const resolved = this.resolveLocale(locale);
+        const t = (key, params) => this.translate(resolved, key, params);
+
+        t.locale = resolved;
+        t.number = (value, options) => this.formatNumber(resolved, value, options);
+        t.currency = value => this.formatCurrency(resolved, value);
+        t.time = date => this.formatTime(resolved, date);
+        t.dateTime = date => this.formatDateTime(resolved, date);
+
+        return t;
+    }
+}
+
+module.exports = I18n;
@@ -0,0 +1,308 @@
+module.exports = {
+    common: {
+        error: 'Sorry, something went wrong while processing your message. Please try again.',
+        unknownCommand: 'Unknown command. Send "/help" to see the available commands.',
+        groupAdminOnly: '🔒 Only group admins can create, change or remove the group monitors.\n' +
+            'Use `/join [route]` to be mentioned in the alerts.',
+        noDestination: 'destination not available',
+        thresholdDistance: '{meters}m',
+        thresholdArrival: '{minutes} min before arrival',
+        thresholdSeparator: ' or '
+    },
+
+    help: {
+        text: '🚌 *EMTU Live Checker - Available Commands:*\n\n' +
+            '📍 *Monitoring:*\n' +
+            '• `/monitor [route] [ida/volta] [stop] [500m] [8min]` - Start monitoring\n' +
+            '  (just `/monitor` to pick the route, direction and stop by number)\n' +
+            '• 📍 Share your location to choose among the nearest stops\n' +
+            '• `/stop [route] [stop no.]` - Stop monitoring the route or just one stop\n' +
+            '• `/list` - List active monitors\n' +
+            '• `/schedule [route] [stop no.] [days] [start-end]` - Monitor only within a window\n' +
+            '  (e.g. seg-sex 06:30-08:00)\n' +
+            '• `/where [route] [ida/volta]` - List bus locations\n' +
+            '• `/eta [route] [ida/volta] [stop]` - Arrival prediction at the stop\n' +
+            '• `/notify [route] [whatsapp/telegram/webhook/email] [target]` - Choose where alerts are sent\n' +
+            '• `/config [setting] [value]` - Chat preferences: cooldown, limit, quiet, distance, language\n\n' +
+            '🔍 *Lookups:*\n' +
+            '• `/search [term]` - Search routes/stops\n' +
+            '• `/status` - Monitoring status\n\n' +
+            '👥 *Groups:*\n' +
+            '• `/monitor`, `/stop`, `/schedule`, `/notify` and `/config` - Group admins only\n' +
+            '• `/join [route]` - Be mentioned in the route alerts (no route: all of them)\n' +
+            '• `/leave [route]` - Stop being mentioned\n\n' +
+            'ℹ️ *Help:*\n' +
+            '• `/help` - Show this message\n\n' +
+            '*Example:*\n' +
+            '`/monitor 001 Terminal São Mateus`\n\n' +
+            'Repeat `/monitor` with another stop of the same route to monitor several stops.\n\n' +
+            'The bot will notify you when the bus is close to the configured stop! 🔔'
+    },
+
+    where: {
+        usage: 'Usage: `/where [route] [ida/volta]`\nExample: `/where 708BI2 ida`',
+        noVehicles: '❌ No vehicles found for route "{route}", or the route does not exist.',
+        noVehiclesInDirection: '❌ No vehicles found in direction "{direction}" for route "{route}".',
+        title: '📍 *Bus locations for route {route}:*',
+        titleInDirection: '📍 *Bus locations for route {route} - Direction {direction}:*',
+        locationLabel: '🚌 {prefix} - Route {route} - {company}',
+        vehicle: '🚌 *Vehicle {index}:*',
+        id: '🆔 ID: {id}',
+        prefix: '🚗 Fleet number: {prefix}',
+        plate: '🏷️ Plate: {plate}',
+        company: '🏢 Company: {company}',
+        direction: '➡️ Direction: {direction}',
+        lastTransmission: '📡 Last transmission: {time}',
+        unknownTransmission: 'unknown',
+        stale: '⚠️ No signal for {minutes} min - position may be outdated',
+        total: '📊 Vehicles in service: {count}',
+        error: '❌ Could not fetch the vehicle locations. Please try again.'
+    },
+
+    monitor: {
+        usage: 'Usage: `/monitor [route] [ida/volta] [stop] [500m] [8min]`\n' +
+            'Example: `/monitor 708BI2 ida Av. Guarulhos 8min`',
+        routeNotFound: '❌ Route "{route}" not found.\nUse `/search {route}` to look for similar routes.',
+        stopNotFound: '❌ Stop "{stop}" not found on route {route}.',
+        stopNotFoundInDirection: '❌ Stop "{stop}" not found on route {route} in direction {direction}.',
+        searchStopHint: 'Use `/search {stop}` to look for stops.',
+        started: '✅ Monitoring started!',
+        stopAdded: {
+            one: '✅ Stop added! Route {route} now has {count} monitored stop.',
+            other: '✅ Stop added! Route {route} now has {count} monitored stops.'
+        },
+        route: '🚌 Route: {route} - {name}',
+        stop: '📍 Stop: {stop}',
+        direction: '➡️ Direction: {direction} ({destination})',
+        alert: '📏 Alert: {thresholds}',
+        window: '🗓️ Window: {window}',
+        footer: 'You will be notified when a bus is approaching the stop.',
+        error: '❌ Could not set up the monitor. Please try again.',
+        wizardError: '❌ Could not set up the monitor. Send `/monitor` to try again.',
+        badLocation: '❌ Could not read the shared location. Please share it again.'
+    },
+
+    wizard: {
+        askRoute: '🚌 Which route do you want to monitor? Send the number or part of the name (e.g. 708).',
+        askRouteNearby: '📍 Location received! Which route do you want to monitor near here? ' +
+            'Send the number or part of the name.',
+        expired: '⌛ The monitor setup has expired. Send `/monitor` to start over.',
+        cancelled: '✅ Monitor setup cancelled.',
+        cancelHint: '_Send *cancel* to give up._',
+        invalidDirection: '❌ Choose the direction by number, from 1 to {count}.',
+        invalidStop: '❌ Choose the stop by number, from 1 to {count}.',
+        noRoutes: '❌ No routes found for "{term}". Send another number or name.',
+        routeChoices: '🔍 I found these routes for "{term}":',
+        replyWithRoute: 'Reply with the route number.',
+        noStops: '❌ Route {route} has no stops registered on the EMTU portal.',
+        route: '🚌 Route {route} - {name}',
+        askDirection: '➡️ Which direction?',
+        replyWithNumber: 'Reply with the number.',
+        noNearbyStops: '❌ No stop of route {route} within {meters} m of the shared location.',
+        chooseFromList: 'Choose from the list:',
+        nearbyStops: '📍 Stops of route {route} near you:',
+        nearbyStop: '{stop} ({direction}) • {meters} m',
+        replyToConfirm: 'Reply with the number to confirm.',
+        askStop: '📍 Which stop? (route {route}, direction {direction})',
+        replyOrFilter: 'Reply with the number or part of the name to filter.',
+        noMatchingStops: '❌ No stop matching "{text}" in direction {direction}. Choose from the list:',
+        matchingStops: '📍 Stops matching "{text}":'
+    },
+
+    eta: {
+        usage: 'Usage: `/eta [route] [ida/volta] [stop]`\nExample: `/eta 708BI2 ida Av. Guarulhos`',
+        routeNotFound: '❌ Route "{route}" not found.',
+        stopNotFound: '❌ Stop "{stop}" not found on route {route}.',
+        noVehicles: '❌ No bus on its way to "{stop}" in direction {direction} right now.',
+        title: '⏱️ *Arrival prediction - Route {route}*',
+        stop: '📍 {stop} ({direction})',
+        prediction: '🚌 {vehicle}: {eta} • {distance} km',
+        footer: '_Estimated from the distance along the route and the recent speed of the bus._',
+        error: '❌ Could not calculate the arrival prediction. Please try again.',
+        arrivingNow: 'arriving now ({time})',
+        minutes: '~{minutes} min ({time})'
+    },
+
+    schedule: {
+        empty: '🗓️ No monitors with a time window.\n\n' +
+            'Use `/schedule [route] seg-sex 06:30-08:00` to create one.',
+        title: '🗓️ *Monitoring windows:*',
+        entry: '🚌 Route {route} · {stop}: {window} ({state})',
+        activeNow: 'active now',
+        waiting: 'waiting',
+        noMonitor: '❌ No active monitor for route {route}.\n' +
+            'Create one with `/monitor` before setting the window.',
+        invalidStopNumber: {
+            one: '❌ Route {route} has {count} monitored stop.\nSee the numbers in `/list`.',
+            other: '❌ Route {route} has {count} monitored stops.\nSee the numbers in `/list`.'
+        },
+        removedStop: '✅ Window removed. Stop {stop} is monitored all day again.',
+        removedRoute: '✅ Window removed. Route {route} is monitored all day again.',
+        invalid: '❌ {error}\nUsage: `/schedule [route] [stop no.] [days] [start-end]`\n' +
+            'Example: `/schedule 708BI2 seg-sex 06:30-08:00`',
+        setStop: '✅ Window set for stop {stop}: {window}',
+        setRoute: '✅ Window set for route {route}: {window}',
+        alreadyActive: 'Monitoring is already active in this window.',
+        startsLater: 'Monitoring starts automatically at the next window start.',
+        days: 'Sun,Mon,Tue,Wed,Thu,Fri,Sat',
+        everyDay: 'Every day',
+        errors: {
+            invalidDay: 'Invalid day: "{day}"',
+            format: 'Expected format: `seg-sex 06:30-08:00`',
+            invalidTime: 'Invalid time. Use HH:MM, for example 06:30',
+            endBeforeStart: 'The end time must be after the start time (the window cannot cross midnight)'
+        }
+    },
+
+    notify: {
+        usage: '❌ Usage: `/notify [route] [channel] [target]`\nChannels: {channels}\n' +
+            'Example: `/notify 708BI2 telegram 123456789`',
+        unknownChannel: '❌ Unknown channel: {channel}\nChannels: {channels}',
+        unavailable: '❌ The {channel} channel is not configured on this server.',
+        noMonitor: '❌ No active monitor for route {route}.',
+        missingTarget: '❌ Provide the target for the {channel} channel.',
+        targetNotAllowed: '❌ The target {target} is not allowed for the {channel} channel.\n' +
+            'Ask the bot operator to allow it.',
+        thisChat: 'this chat',
+        updated: '✅ Alerts for route {route} will be sent via {channel} to {destination}.'
+    },
+
+    config: {
+        reset: '✅ Preferences back to the defaults.',
+        usage: '❌ Usage: `/config [setting] [value]`\nSettings: {settings}\n' +
+            'Example: `/config quiet 22:00-07:00`',
+        invalid: '❌ Invalid value for {setting}. Example: `{example}`',
+        updated: '✅ Preference updated!',
+        error: '❌ Could not save the preferences. Please try again.',
+        title: '⚙️ *Preferences for this chat:*',
+        cooldown: '⏳ Interval between alerts for the same bus: {minutes} min',
+        maxAlerts: '🔢 Alert limit per route per day: {count}',
+        quietHours: '🌙 Quiet hours: {window}',
+        quietHoursOff: 'off',
+        distance: '📏 Default distance for new monitors: {meters}m',
+        language: '🌐 Message language: {language}',
+        footer: 'To change: `/config [setting] [value]` ({settings}) or `/config reset`.',
+        settings: {
+            cooldownMinutes: 'cooldown',
+            maxAlertsPerDay: 'limit',
+            quietHours: 'quiet',
+            proximityThreshold: 'distance',
+            language: 'language'
+        }
+    },
+
+    stop: {
+        stoppedAll: {
+            one: '✅ {count} monitor stopped.',
+            other: '✅ {count} monitors stopped.'
+        },
+        noneActive: '❌ No active monitor found.',
+        noMonitor: '❌ No active monitor found for route {route}.',
+        stopNotMonitored: '❌ Stop "{stop}" is not being monitored on route {route}.\n' +
+            'See the stops in `/list`.',
+        stopRemoved: '✅ Stop {stop} removed from route {route}.\n📍 Still monitored: {remaining}',
+        routeStopped: {
+            one: '✅ Monitoring of route {route} stopped.\n📍 Stop: {stops}',
+            other: '✅ Monitoring of route {route} stopped.\n📍 Stops: {stops}'
+        }
+    },
+
+    subscription: {
+        groupOnly: '❌ `{command}` only works in groups. Here the alerts already reach you.',
+        routeNotMonitored: '❌ The group does not monitor route {route}. See the routes in `/list`.',
+        noMonitors: '❌ The group has no monitors yet. An admin can create one with `/monitor`.',
+        joined: {
+            one: '✅ You will be mentioned in the alerts of route {routes}.',
+            other: '✅ You will be mentioned in the alerts of routes {routes}.'
+        },
+        left: {
+            one: '✅ You will no longer be mentioned in the alerts of route {routes}.',
+            other: '✅ You will no longer be mentioned in the alerts of routes {routes}.'
+        }
+    },
+
+    list: {
+        empty: '📋 No active monitors.\n\n' +
+            'Use `/monitor [route] [ida/volta] [stop]` to start monitoring.',
+        title: '📋 *Active Monitors:*',
+        route: '🚌 Route {route}',
+        stop: '📍 Stop {index}: {stop}',
+        direction: '➡️ Direction: {direction}',
+        window: '🗓️ Window: {window}',
+        alert: '📏 Alert: {thresholds}',
+        members: '👥 Members notified: {count}',
+        since: '⏰ Since: {date}',
+        footer: 'Use `/stop [route]` to stop a route or `/stop [route] [stop no.]` ' +
+            'to remove a single stop.'
+    },
+
+    search: {
+        usage: 'Usage: `/search [term]`\nExample: `/search 708`',
+        noResults: '❌ No routes found for "{term}".',
+        title: '🔍 *Search results for "{term}":*',
+        route: '🚌 *Route:* {route} - {consortium}',
+        fare: 'Fare: {fare}',
+        fareUnknown: 'not available',
+        status: 'Status: {status}',
+        vehicles: 'Vehicles in service:',
+        vehicle: '• Fleet number: {prefix}, Plate: {plate}, Company: {company}, Direction: {direction}',
+        direction: 'Direction: {direction}',
+        destination: 'Destination: {destination}',
+        stops: 'Stops:',
+        moreStops: {
+            one: '... and {count} more stop',
+            other: '... and {count} more stops'
+        },
+        schedule: 'Timetable: {schedule}',
+        error: '❌ Search failed. Please try again.'
+    },
+
+    status: {
+        title: '📊 *System Status:*',
+        monitors: '👤 *Your monitors:* {count}',
+        alertsToday: '🔔 *Alerts sent today:* {count}',
+        alertsTotal: '📈 *Total alerts:* {count}',
+        uptime: '⏱️ *Uptime:* {uptime}',
+        online: '✅ *Status:* Online',
+        footer: 'Use `/list` to see the details of the active monitors.'
+    },
+
+    intent: {
+        whichIntent: 'Do you want {first} or {second}?',
+        whichRoute: 'You mentioned routes {routes}. Which one?',
+        askSearchTerm: 'What do you want to search for? E.g. "buscar linhas para Guarulhos"',
+        askIntent: 'What do you want to know about route {route}? ' +
+            'E.g. "me avisa quando o {route} chegar na Av. Paulista" or "onde está o {route}?"',
+        askRoute: 'Which route? E.g. "me avisa quando o 708 chegar na Av. Paulista"',
+        askStop: 'At which stop of route {route}? E.g. "na Av. Paulista"',
+        askStopRoute: 'Which route do you want to stop monitoring? To stop all of them, send `/stop`.',
+        askTime: 'At what time? E.g. "de segunda a sexta das 6h30 às 8h"',
+        labels: {
+            stop: 'to stop a monitor',
+            list: 'the list of your monitors',
+            monitor: 'to be alerted when the bus arrives',
+            eta: 'the arrival estimate',
+            where: 'where the buses are right now',
+            search: 'to search for routes',
+            help: 'help'
+        }
+    },
+
+    alerts: {
+        proximityTemplate: '🔔 *Proximity Alert!*\n\n' +
+            '🚌 Route: {{route}}\n' +
+            '📍 Stop: {{stop}}\n' +
+            '📏 Distance: {{distance}}m\n' +
+            '{{#eta}}⏱️ Estimated arrival: {{eta}}\n{{/eta}}' +
+            '🚗 Vehicle: {{vehicle}}\n' +
+            '⏰ {{time}}\n\n' +
+            'The bus is approaching your stop!',
+        route: 'Route',
+        stop: 'Stop',
+        vehicle: 'Vehicle',
+        passedTitle: 'The bus has passed your stop',
+        silentTitle: 'The bus stopped transmitting',
+        lastPosition: 'Last position {minutes} min ago',
+        silentNote: 'This bus cannot be tracked until its GPS comes back.'
+    }
+};
@@ -0,0 +1,309 @@
+module.exports = {
+    common: {
+        error: 'Lo sentimos, ocurrió un error al procesar tu mensaje. Inténtalo de nuevo.',
+        unknownCommand: 'Comando no reconocido. Envía "/help" para ver los comandos disponibles.',
+        groupAdminOnly: '🔒 Solo los administradores del grupo pueden crear, cambiar o eliminar ' +
+            'los monitoreos del grupo.\n' +
+            'Usa `/join [línea]` para ser mencionado en las alertas.',
+        noDestination: 'destino no informado',
+        thresholdDistance: '{meters}m',
+        thresholdArrival: '{minutes} min antes de la llegada',
+        thresholdSeparator: ' o '
+    },
+
+    help: {
+        text: '🚌 *EMTU Live Checker - Comandos Disponibles:*\n\n' +
+            '📍 *Monitoreo:*\n' +
+            '• `/monitor [línea] [ida/volta] [parada] [500m] [8min]` - Iniciar monitoreo\n' +
+            '  (solo `/monitor` para elegir línea, sentido y parada por número)\n' +
+            '• 📍 Envía tu ubicación para elegir entre las paradas más cercanas\n' +
+            '• `/stop [línea] [nº de parada]` - Detener el monitoreo de la línea o de una sola parada\n' +
+            '• `/list` - Listar monitoreos activos\n' +
+            '• `/schedule [línea] [nº de parada] [días] [inicio-fin]` - Monitorear solo en una franja\n' +
+            '  (ej: seg-sex 06:30-08:00)\n' +
+            '• `/where [línea] [ida/volta]` - Listar ubicaciones de los autobuses\n' +
+            '• `/eta [línea] [ida/volta] [parada]` - Previsión de llegada a la parada\n' +
+            '• `/notify [línea] [whatsapp/telegram/webhook/email] [destino]` - Elegir dónde recibir las alertas\n' +
+            '• `/config [ajuste] [valor]` - Preferencias del chat: intervalo, límite, silencio, distancia, idioma\n\n' +
+            '🔍 *Consultas:*\n' +
+            '• `/search [término]` - Buscar líneas/paradas\n' +
+            '• `/status` - Estado de los monitoreos\n\n' +
+            '👥 *Grupos:*\n' +
+            '• `/monitor`, `/stop`, `/schedule`, `/notify` y `/config` - Solo administradores del grupo\n' +
+            '• `/join [línea]` - Ser mencionado en las alertas de la línea (sin línea, en todas)\n' +
+            '• `/leave [línea]` - Dejar de ser mencionado\n\n' +
+            'ℹ️ *Ayuda:*\n' +
+            '• `/help` - Mostrar este mensaje\n\n' +
+            '*Ejemplo de uso:*\n' +
+            '`/monitor 001 Terminal São Mateus`\n\n' +
+            'Repite `/monitor` con otra parada de la misma línea para monitorear varias paradas.\n\n' +
+            '¡El bot te avisará cuando el autobús esté cerca de la parada configurada! 🔔'
+    },
+
+    where: {
+        usage: 'Uso: `/where [línea] [ida/volta]`\nEjemplo: `/where 708BI2 ida`',
+        noVehicles: '❌ No se encontraron vehículos para la línea "{route}" o la línea no existe.',
+        noVehiclesInDirection: '❌ No se encontraron vehículos en el sentido "{direction}" para la línea "{route}".',
+        title: '📍 *Ubicaciones de los autobuses de la línea {route}:*',
+        titleInDirection: '📍 *Ubicaciones de los autobuses de la línea {route} - Sentido {direction}:*',
+        locationLabel: '🚌 {prefix} - Línea {route} - {company}',
+        vehicle: '🚌 *Vehículo {index}:*',
+        id: '🆔 ID: {id}',
+        prefix: '🚗 Prefijo: {prefix}',
+        plate: '🏷️ Matrícula: {plate}',
+        company: '🏢 Empresa: {company}',
+        direction: '➡️ Sentido: {direction}',
+        lastTransmission: '📡 Última transmisión: {time}',
+        unknownTransmission: 'desconocida',
+        stale: '⚠️ Sin señal hace {minutes} min - la posición puede estar desactualizada',
+        total: '📊 Total de vehículos en servicio: {count}',
+        error: '❌ Error al buscar las ubicaciones de los vehículos. Inténtalo de nuevo.'
+    },
+
+    monitor: {
+        usage: 'Uso: `/monitor [línea] [ida/volta] [parada] [500m] [8min]`\n' +
+            'Ejemplo: `/monitor 708BI2 ida Av. Guarulhos 8min`',
+        routeNotFound: '❌ Línea "{route}" no encontrada.\nUsa `/search {route}` para buscar líneas similares.',
+        stopNotFound: '❌ Parada "{stop}" no encontrada en la línea {route}.',
+        stopNotFoundInDirection: '❌ Parada "{stop}" no encontrada en la línea {route} en el sentido {direction}.',
+        searchStopHint: 'Usa `/search {stop}` para buscar paradas.',
+        started: '✅ ¡Monitoreo iniciado!',
+        stopAdded: {
+            one: '✅ ¡Parada añadida! La línea {route} ahora tiene {count} parada monitoreada.',
+            other: '✅ ¡Parada añadida! La línea {route} ahora tiene {count} paradas monitoreadas.'
+        },
+        route: '🚌 Línea: {route} - {name}',
+        stop: '📍 Parada: {stop}',
+        direction: '➡️ Sentido: {direction} ({destination})',
+        alert: '📏 Alerta: {thresholds}',
+        window: '🗓️ Franja: {window}',
+        footer: 'Se te avisará cuando un autobús se esté acercando a la parada.',
+        error: '❌ Error al configurar el monitoreo. Inténtalo de nuevo.',
+        wizardError: '❌ Error al configurar el monitoreo. Envía `/monitor` para intentarlo de nuevo.',
+        badLocation: '❌ No pude leer la ubicación enviada. Intenta compartirla de nuevo.'
+    },
+
+    wizard: {
+        askRoute: '🚌 ¿Qué línea quieres monitorear? Envía el número o parte del nombre (ej: 708).',
+        askRouteNearby: '📍 ¡Ubicación recibida! ¿Qué línea quieres monitorear cerca de aquí? ' +
+            'Envía el número o parte del nombre.',
+        expired: '⌛ El registro del monitoreo expiró. Envía `/monitor` para empezar de nuevo.',
+        cancelled: '✅ Registro del monitoreo cancelado.',
+        cancelHint: '_Envía *cancelar* para desistir._',
+        invalidDirection: '❌ Elige el sentido por número, del 1 al {count}.',
+        invalidStop: '❌ Elige la parada por número, del 1 al {count}.',
+        noRoutes: '❌ No se encontró ninguna línea para "{term}". Envía otro número o nombre.',
+        routeChoices: '🔍 Encontré estas líneas para "{term}":',
+        replyWithRoute: 'Responde con el número de la línea.',
+        noStops: '❌ La línea {route} no tiene paradas registradas en el portal de la EMTU.',
+        route: '🚌 Línea {route} - {name}',
+        askDirection: '➡️ ¿Qué sentido?',
+        replyWithNumber: 'Responde con el número.',
+        noNearbyStops: '❌ Ninguna parada de la línea {route} a menos de {meters} m de la ubicación enviada.',
+        chooseFromList: 'Elige de la lista:',
+        nearbyStops: '📍 Paradas de la línea {route} cerca de ti:',
+        nearbyStop: '{stop} ({direction}) • {meters} m',
+        replyToConfirm: 'Responde con el número para confirmar.',
+        askStop: '📍 ¿En qué parada? (línea {route}, sentido {direction})',
+        replyOrFilter: 'Responde con el número o parte del nombre para filtrar.',
+        noMatchingStops: '❌ Ninguna parada con "{text}" en el sentido {direction}. Elige de la lista:',
+        matchingStops: '📍 Paradas con "{text}":'
+    },
+
+    eta: {
+        usage: 'Uso: `/eta [línea] [ida/volta] [parada]`\nEjemplo: `/eta 708BI2 ida Av. Guarulhos`',
+        routeNotFound: '❌ Línea "{route}" no encontrada.',
+        stopNotFound: '❌ Parada "{stop}" no encontrada en la línea {route}.',
+        noVehicles: '❌ Ningún autobús en camino a "{stop}" en el sentido {direction} ahora.',
+        title: '⏱️ *Previsión de llegada - Línea {route}*',
+        stop: '📍 {stop} ({direction})',
+        prediction: '🚌 {vehicle}: {eta} • {distance} km',
+        footer: '_Estimación según la distancia a lo largo de la ruta y la velocidad reciente del autobús._',
+        error: '❌ Error al calcular la previsión de llegada. Inténtalo de nuevo.',
+        arrivingNow: 'llegando ahora ({time})',
+        minutes: '~{minutes} min ({time})'
+    },
+
+    schedule: {
+        empty: '🗓️ Ningún monitoreo con franja horaria.\n\n' +
+            'Usa `/schedule [línea] seg-sex 06:30-08:00` para crear una.',
+        title: '🗓️ *Franjas de monitoreo:*',
+        entry: '🚌 Línea {route} · {stop}: {window} ({state})',
+        activeNow: 'activo ahora',
+        waiting: 'en espera',
+        noMonitor: '❌ Ningún monitoreo activo para la línea {route}.\n' +
+            'Crea uno con `/monitor` antes de definir la franja.',
+        invalidStopNumber: {
+            one: '❌ La línea {route} tiene {count} parada monitoreada.\nMira los números en `/list`.',
+            other: '❌ La línea {route} tiene {count} paradas monitoreadas.\nMira los números en `/list`.'
+        },
+        removedStop: '✅ Franja eliminada. La parada {stop} vuelve a monitorearse todo el día.',
+        removedRoute: '✅ Franja eliminada. La línea {route} vuelve a monitorearse todo el día.',
+        invalid: '❌ {error}\nUso: `/schedule [línea] [nº de parada] [días] [inicio-fin]`\n' +
+            'Ejemplo: `/schedule 708BI2 seg-sex 06:30-08:00`',
+        setStop: '✅ Franja definida para la parada {stop}: {window}',
+        setRoute: '✅ Franja definida para la línea {route}: {window}',
+        alreadyActive: 'El monitoreo ya está activo en esta franja.',
+        startsLater: 'El monitoreo empieza automáticamente al próximo inicio de la franja.',
+        days: 'Dom,Lun,Mar,Mié,Jue,Vie,Sáb',
+        everyDay: 'Todos los días',
+        errors: {
+            invalidDay: 'Día no válido: "{day}"',
+            format: 'Formato esperado: `seg-sex 06:30-08:00`',
+            invalidTime: 'Hora no válida. Usa HH:MM, por ejemplo 06:30',
+            endBeforeStart: 'La hora final debe ser posterior a la inicial (la franja no puede pasar de medianoche)'
+        }
+    },
+
+    notify: {
+        usage: '❌ Uso: `/notify [línea] [canal] [destino]`\nCanales: {channels}\n' +
+            'Ejemplo: `/notify 708BI2 telegram 123456789`',
+        unknownChannel: '❌ Canal desconocido: {channel}\nCanales: {channels}',
+        unavailable: '❌ El canal {channel} no está configurado en este servidor.',
+        noMonitor: '❌ Ningún monitoreo activo para la línea {route}.',
+        missingTarget: '❌ Indica el destino para el canal {channel}.',
+        targetNotAllowed: '❌ El destino {target} no está permitido para el canal {channel}.\n' +
+            'Pide al administrador del bot que lo habilite.',
+        thisChat: 'este chat',
+        updated: '✅ Las alertas de la línea {route} se enviarán vía {channel} a {destination}.'
+    },
+
+    config: {
+        reset: '✅ Preferencias restablecidas.',
+        usage: '❌ Uso: `/config [ajuste] [valor]`\nAjustes: {settings}\n' +
+            'Ejemplo: `/config silencio 22:00-07:00`',
+        invalid: '❌ Valor no válido para {setting}. Ejemplo: `{example}`',
+        updated: '✅ ¡Preferencia actualizada!',
+        error: '❌ Error al guardar las preferencias. Inténtalo de nuevo.',
+        title: '⚙️ *Preferencias de este chat:*',
+        cooldown: '⏳ Intervalo entre alertas del mismo autobús: {minutes} min',
+        maxAlerts: '🔢 Límite de alertas por línea por día: {count}',
+        quietHours: '🌙 Silencio: {window}',
+        quietHoursOff: 'desactivado',
+        distance: '📏 Distancia predeterminada de los nuevos monitoreos: {meters}m',
+        language: '🌐 Idioma de los mensajes: {language}',
+        footer: 'Para cambiar: `/config [ajuste] [valor]` ({settings}) o `/config reset`.',
+        settings: {
+            cooldownMinutes: 'intervalo',
+            maxAlertsPerDay: 'límite',
+            quietHours: 'silencio',
+            proximityThreshold: 'distancia',
+            language: 'idioma'
+        }
+    },
+
+    stop: {
+        stoppedAll: {
+            one: '✅ {count} monitoreo detenido.',
+            other: '✅ {count} monitoreos detenidos.'
+        },
+        noneActive: '❌ No se encontró ningún monitoreo activo.',
+        noMonitor: '❌ No se encontró ningún monitoreo activo para la línea {route}.',
+        stopNotMonitored: '❌ La parada "{stop}" no se está monitoreando en la línea {route}.\n' +
+            'Mira las paradas en `/list`.',
+        stopRemoved: '✅ Parada {stop} eliminada de la línea {route}.\n📍 Siguen monitoreadas: {remaining}',
+        routeStopped: {
+            one: '✅ Monitoreo de la línea {route} detenido.\n📍 Parada: {stops}',
+            other: '✅ Monitoreo de la línea {route} detenido.\n📍 Paradas: {stops}'
+        }
+    },
+
+    subscription: {
+        groupOnly: '❌ `{command}` solo funciona en grupos. Aquí las alertas ya te llegan.',
+        routeNotMonitored: '❌ El grupo no monitorea la línea {route}. Mira las líneas en `/list`.',
+        noMonitors: '❌ El grupo aún no tiene monitoreos. Un administrador puede crear uno con `/monitor`.',
+        joined: {
+            one: '✅ Serás mencionado en las alertas de la línea {routes}.',
+            other: '✅ Serás mencionado en las alertas de las líneas {routes}.'
+        },
+        left: {
+            one: '✅ Ya no serás mencionado en las alertas de la línea {routes}.',
+            other: '✅ Ya no serás mencionado en las alertas de las líneas {routes}.'
+        }
+    },
+
+    list: {
+        empty: '📋 Ningún monitoreo activo.\n\n' +
+            'Usa `/monitor [línea] [ida/volta] [parada]` para iniciar un monitoreo.',
+        title: '📋 *Monitoreos Activos:*',
+        route: '🚌 Línea {route}',
+        stop: '📍 Parada {index}: {stop}',
+        direction: '➡️ Sentido: {direction}',
+        window: '🗓️ Franja: {window}',
+        alert: '📏 Alerta: {thresholds}',
+        members: '👥 Miembros avisados: {count}',
+        since: '⏰ Desde: {date}',
+        footer: 'Usa `/stop [línea]` para detener una línea o `/stop [línea] [nº de parada]` ' +
+            'para quitar solo una parada.'
+    },
+
+    search: {
+        usage: 'Uso: `/search [término]`\nEjemplo: `/search 708`',
+        noResults: '❌ No se encontró ninguna línea para "{term}".',
+        title: '🔍 *Resultados de la búsqueda de "{term}":*',
+        route: '🚌 *Línea:* {route} - {consortium}',
+        fare: 'Tarifa: {fare}',
+        fareUnknown: 'no informada',
+        status: 'Estado: {status}',
+        vehicles: 'Vehículos en servicio:',
+        vehicle: '• Prefijo: {prefix}, Matrícula: {plate}, Empresa: {company}, Sentido: {direction}',
+        direction: 'Sentido: {direction}',
+        destination: 'Destino: {destination}',
+        stops: 'Paradas:',
+        moreStops: {
+            one: '... y {count} parada más',
+            other: '... y {count} paradas más'
+        },
+        schedule: 'Horarios: {schedule}',
+        error: '❌ Error al realizar la búsqueda. Inténtalo de nuevo.'
+    },
+
+    status: {
+        title: '📊 *Estado del Sistema:*',
+        monitors: '👤 *Tus monitoreos:* {count}',
+        alertsToday: '🔔 *Alertas enviadas hoy:* {count}',
+        alertsTotal: '📈 *Total de alertas:* {count}',
+        uptime: '⏱️ *Sistema activo desde hace:* {uptime}',
+        online: '✅ *Estado:* En línea',
+        footer: 'Usa `/list` para ver los detalles de los monitoreos activos.'
+    },
+
+    intent: {
+        whichIntent: '¿Quieres {first} o {second}?',
+        whichRoute: 'Mencionaste las líneas {routes}. ¿Cuál de ellas?',
+        askSearchTerm: '¿Qué quieres buscar? Ej: "buscar linhas para Guarulhos"',
+        askIntent: '¿Qué quieres saber de la línea {route}? ' +
+            'Ej: "me avisa quando o {route} chegar na Av. Paulista" o "onde está o {route}?"',
+        askRoute: '¿Qué línea? Ej: "me avisa quando o 708 chegar na Av. Paulista"',
+        askStop: '¿En qué parada de la línea {route}? Ej: "na Av. Paulista"',
+        askStopRoute: '¿Qué línea quieres dejar de monitorear? Para detener todas, envía `/stop`.',
+        askTime: '¿En qué horario? Ej: "de segunda a sexta das 6h30 às 8h"',
+        labels: {
+            stop: 'detener un monitoreo',
+            list: 'la lista de tus monitoreos',
+            monitor: 'recibir un aviso cuando llegue el autobús',
+            eta: 'la previsión de llegada',
+            where: 'dónde están los autobuses ahora',
+            search: 'buscar líneas',
+            help: 'ayuda'
+        }
+    },
+
+    alerts: {
+        proximityTemplate: '🔔 *¡Alerta de Proximidad!*\n\n' +
+            '🚌 Línea: {{route}}\n' +
+            '📍 Parada: {{stop}}\n' +
+            '📏 Distancia: {{distance}}m\n' +
+            '{{#eta}}⏱️ Llegada estimada: {{eta}}\n{{/eta}}' +
+            '🚗 Vehículo: {{vehicle}}\n' +
+            '⏰ {{time}}\n\n' +
+            '¡El autobús se está acercando a tu parada!',
+        route: 'Línea',
+        stop: 'Parada',
+        vehicle: 'Vehículo',
+        passedTitle: 'El autobús pasó por tu parada',
+        silentTitle: 'El autobús dejó de transmitir',
+        lastPosition: 'Última posición hace {minutes} min',
+        silentNote: 'No es posible seguir este autobús hasta que vuelva a enviar el GPS.'
+    }
+};
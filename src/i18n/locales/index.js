@@ -0,0 +1,6 @@
+// Um arquivo por idioma; o nome da chave é o código usado em /config idioma
+module.exports = {
+    'pt-BR': require('./pt-BR'),
+    en: require('./en'),
+    es: require('./es')
+};
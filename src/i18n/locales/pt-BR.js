@@ -0,0 +1,310 @@
+module.exports = {
+    common: {
+        error: 'Desculpe, ocorreu um erro ao processar sua mensagem. Tente novamente.',
+        unknownCommand: 'Comando não reconhecido. Digite "ajuda" para ver os comandos disponíveis.',
+        groupAdminOnly: '🔒 Só administradores do grupo podem criar, alterar ou remover os monitoramentos do grupo.\n' +
+            'Use `/join [linha]` para ser mencionado nos alertas.',
+        noDestination: 'destino não informado',
+        thresholdDistance: '{meters}m',
+        thresholdArrival: '{minutes} min antes da chegada',
+        thresholdSeparator: ' ou '
+    },
+
+    help: {
+        text: '🚌 *EMTU Live Checker - Comandos Disponíveis:*\n\n' +
+            '📍 *Monitoramento:*\n' +
+            '• `/monitor [linha] [ida/volta] [parada] [500m] [8min]` - Iniciar monitoramento\n' +
+            '  (só `/monitor` para escolher linha, sentido e parada pelo número)\n' +
+            '• 📍 Envie sua localização para escolher entre as paradas mais próximas\n' +
+            '• `/stop [linha] [nº da parada]` - Parar o monitoramento da linha ou só de uma parada\n' +
+            '• `/list` - Listar monitoramentos ativos\n' +
+            '• `/schedule [linha] [nº da parada] [dias] [início-fim]` - Monitorar só em uma janela\n' +
+            '  (ex: seg-sex 06:30-08:00)\n' +
+            '• `/where [ida/volta] [linha]` - Listar localizações dos ônibus.\n' +
+            '• `/eta [linha] [ida/volta] [parada]` - Previsão de chegada na parada\n' +
+            '• `/notify [linha] [whatsapp/telegram/webhook/email] [destino]` - Escolher onde receber os alertas\n' +
+            '• `/config [ajuste] [valor]` - Preferências do chat: cooldown, limite, silencio, distancia, idioma\n\n' +
+            '🔍 *Consultas:*\n' +
+            '• `/search [termo]` - Buscar linhas/paradas\n' +
+            '• `/status` - Status dos monitoramentos\n\n' +
+            '👥 *Grupos:*\n' +
+            '• `/monitor`, `/stop`, `/schedule`, `/notify` e `/config` - Só administradores do grupo\n' +
+            '• `/join [linha]` - Ser mencionado nos alertas da linha (sem linha, em todas)\n' +
+            '• `/leave [linha]` - Deixar de ser mencionado\n\n' +
+            'ℹ️ *Ajuda:*\n' +
+            '• `/help` ou `ajuda` - Mostrar esta mensagem\n\n' +
+            '*Exemplo de uso:*\n' +
+            '`/monitor 001 Terminal São Mateus`\n\n' +
+            'Repita o `/monitor` com outra parada da mesma linha para monitorar várias paradas.\n\n' +
+            'O bot irá te notificar quando o ônibus estiver próximo da parada configurada! 🔔'
+    },
+
+    where: {
+        usage: 'Uso correto: `/where [linha] [ida/volta]`\nExemplo: `/where 708BI2 ida`',
+        noVehicles: '❌ Nenhum veículo encontrado para a linha "{route}" ou linha não existe.',
+        noVehiclesInDirection: '❌ Nenhum veículo encontrado no sentido "{direction}" para a linha "{route}".',
+        title: '📍 *Localizações dos ônibus da linha {route}:*',
+        titleInDirection: '📍 *Localizações dos ônibus da linha {route} - Sentido {direction}:*',
+        locationLabel: '🚌 {prefix} - Linha {route} - {company}',
+        vehicle: '🚌 *Veículo {index}:*',
+        id: '🆔 ID: {id}',
+        prefix: '🚗 Prefixo: {prefix}',
+        plate: '🏷️ Placa: {plate}',
+        company: '🏢 Empresa: {company}',
+        direction: '➡️ Sentido: {direction}',
+        lastTransmission: '📡 Última transmissão: {time}',
+        unknownTransmission: 'desconhecida',
+        stale: '⚠️ Sem sinal há {minutes} min - posição pode estar desatualizada',
+        total: '📊 Total de veículos em operação: {count}',
+        error: '❌ Erro ao buscar localizações dos veículos. Tente novamente.'
+    },
+
+    monitor: {
+        usage: 'Uso correto: `/monitor [linha] [ida/volta] [parada] [500m] [8min]`\n' +
+            'Exemplo: `/monitor 708BI2 ida Av. Guarulhos 8min`',
+        routeNotFound: '❌ Linha "{route}" não encontrada.\nUse `/search {route}` para buscar linhas similares.',
+        stopNotFound: '❌ Parada "{stop}" não encontrada na linha {route}.',
+        stopNotFoundInDirection: '❌ Parada "{stop}" não encontrada na linha {route} no sentido {direction}.',
+        searchStopHint: 'Use `/search {stop}` para buscar paradas.',
+        started: '✅ Monitoramento iniciado!',
+        stopAdded: {
+            one: '✅ Parada adicionada! A linha {route} agora tem {count} parada monitorada.',
+            other: '✅ Parada adicionada! A linha {route} agora tem {count} paradas monitoradas.'
+        },
+        route: '🚌 Linha: {route} - {name}',
+        stop: '📍 Parada: {stop}',
+        direction: '➡️ Sentido: {direction} ({destination})',
+        alert: '📏 Alerta: {thresholds}',
+        window: '🗓️ Janela: {window}',
+        footer: 'Você será notificado quando um ônibus estiver se aproximando da parada.',
+        error: '❌ Erro ao configurar monitoramento. Tente novamente.',
+        wizardError: '❌ Erro ao configurar monitoramento. Envie `/monitor` para tentar de novo.',
+        badLocation: '❌ Não consegui ler a localização enviada. Tente compartilhar de novo.'
+    },
+
+    wizard: {
+        askRoute: '🚌 Qual linha você quer monitorar? Envie o número ou parte do nome (ex: 708).',
+        askRouteNearby: '📍 Localização recebida! Qual linha você quer monitorar perto daqui? ' +
+            'Envie o número ou parte do nome.',
+        expired: '⌛ O cadastro do monitoramento expirou. Envie `/monitor` para recomeçar.',
+        cancelled: '✅ Cadastro do monitoramento cancelado.',
+        cancelHint: '_Envie *cancelar* para desistir._',
+        invalidDirection: '❌ Escolha o sentido pelo número, de 1 a {count}.',
+        invalidStop: '❌ Escolha a parada pelo número, de 1 a {count}.',
+        noRoutes: '❌ Nenhuma linha encontrada para "{term}". Envie outro número ou nome.',
+        routeChoices: '🔍 Encontrei estas linhas para "{term}":',
+        replyWithRoute: 'Responda com o número da linha.',
+        noStops: '❌ A linha {route} não tem paradas cadastradas no portal da EMTU.',
+        route: '🚌 Linha {route} - {name}',
+        askDirection: '➡️ Qual sentido?',
+        replyWithNumber: 'Responda com o número.',
+        noNearbyStops: '❌ Nenhuma parada da linha {route} a até {meters} m da localização enviada.',
+        chooseFromList: 'Escolha na lista:',
+        nearbyStops: '📍 Paradas da linha {route} perto de você:',
+        nearbyStop: '{stop} ({direction}) • {meters} m',
+        replyToConfirm: 'Responda com o número para confirmar.',
+        askStop: '📍 Em qual parada? (linha {route}, sentido {direction})',
+        replyOrFilter: 'Responda com o número ou parte do nome para filtrar.',
+        noMatchingStops: '❌ Nenhuma parada com "{text}" no sentido {direction}. Escolha na lista:',
+        matchingStops: '📍 Paradas com "{text}":'
+    },
+
+    eta: {
+        usage: 'Uso correto: `/eta [linha] [ida/volta] [parada]`\nExemplo: `/eta 708BI2 ida Av. Guarulhos`',
+        routeNotFound: '❌ Linha "{route}" não encontrada.',
+        stopNotFound: '❌ Parada "{stop}" não encontrada na linha {route}.',
+        noVehicles: '❌ Nenhum ônibus a caminho de "{stop}" no sentido {direction} agora.',
+        title: '⏱️ *Previsão de chegada - Linha {route}*',
+        stop: '📍 {stop} ({direction})',
+        prediction: '🚌 {vehicle}: {eta} • {distance} km',
+        footer: '_Estimativa pela distância ao longo da rota e velocidade recente do ônibus._',
+        error: '❌ Erro ao calcular previsão de chegada. Tente novamente.',
+        arrivingNow: 'chegando agora ({time})',
+        minutes: '~{minutes} min ({time})'
+    },
+
+    schedule: {
+        empty: '🗓️ Nenhum monitoramento com janela de horário.\n\n' +
+            'Use `/schedule [linha] seg-sex 06:30-08:00` para criar uma.',
+        title: '🗓️ *Janelas de monitoramento:*',
+        entry: '🚌 Linha {route} · {stop}: {window} ({state})',
+        activeNow: 'ativo agora',
+        waiting: 'aguardando',
+        noMonitor: '❌ Nenhum monitoramento ativo para a linha {route}.\n' +
+            'Crie um com `/monitor` antes de definir a janela.',
+        invalidStopNumber: {
+            one: '❌ A linha {route} tem {count} parada monitorada.\nVeja os números em `/list`.',
+            other: '❌ A linha {route} tem {count} paradas monitoradas.\nVeja os números em `/list`.'
+        },
+        removedStop: '✅ Janela removida. A parada {stop} volta a ser monitorada o dia todo.',
+        removedRoute: '✅ Janela removida. A linha {route} volta a ser monitorada o dia todo.',
+        invalid: '❌ {error}\nUso correto: `/schedule [linha] [nº da parada] [dias] [início-fim]`\n' +
+            'Exemplo: `/schedule 708BI2 seg-sex 06:30-08:00`',
+        setStop: '✅ Janela definida para a parada {stop}: {window}',
+        setRoute: '✅ Janela definida para a linha {route}: {window}',
+        alreadyActive: 'O monitoramento já está ativo nesta janela.',
+        startsLater: 'O monitoramento começa automaticamente no próximo início da janela.',
+        days: 'Dom,Seg,Ter,Qua,Qui,Sex,Sáb',
+        everyDay: 'Todos os dias',
+        errors: {
+            invalidDay: 'Dia inválido: "{day}"',
+            format: 'Formato esperado: `seg-sex 06:30-08:00`',
+            invalidTime: 'Horário inválido. Use HH:MM, por exemplo 06:30',
+            endBeforeStart: 'O horário final deve ser depois do inicial (a janela não pode passar da meia-noite)'
+        }
+    },
+
+    notify: {
+        usage: '❌ Uso correto: `/notify [linha] [canal] [destino]`\nCanais: {channels}\n' +
+            'Exemplo: `/notify 708BI2 telegram 123456789`',
+        unknownChannel: '❌ Canal desconhecido: {channel}\nCanais: {channels}',
+        unavailable: '❌ O canal {channel} não está configurado neste servidor.',
+        noMonitor: '❌ Nenhum monitoramento ativo para a linha {route}.',
+        missingTarget: '❌ Informe o destino para o canal {channel}.',
+        targetNotAllowed: '❌ O destino {target} não é permitido para o canal {channel}.\n' +
+            'Peça ao administrador do bot para liberá-lo.',
+        thisChat: 'este chat',
+        updated: '✅ Alertas da linha {route} serão enviados via {channel} para {destination}.'
+    },
+
+    config: {
+        reset: '✅ Preferências de volta ao padrão.',
+        usage: '❌ Uso correto: `/config [ajuste] [valor]`\nAjustes: {settings}\n' +
+            'Exemplo: `/config silencio 22:00-07:00`',
+        invalid: '❌ Valor inválido para {setting}. Exemplo: `{example}`',
+        updated: '✅ Preferência atualizada!',
+        error: '❌ Erro ao salvar as preferências. Tente novamente.',
+        title: '⚙️ *Preferências deste chat:*',
+        cooldown: '⏳ Intervalo entre alertas do mesmo ônibus: {minutes} min',
+        maxAlerts: '🔢 Limite de alertas por linha por dia: {count}',
+        quietHours: '🌙 Silêncio: {window}',
+        quietHoursOff: 'desligado',
+        distance: '📏 Distância padrão dos novos monitoramentos: {meters}m',
+        language: '🌐 Idioma das mensagens: {language}',
+        footer: 'Para alterar: `/config [ajuste] [valor]` ({settings}) ou `/config reset`.',
+        // Nome de cada ajuste em `/config [ajuste] [valor]`
+        settings: {
+            cooldownMinutes: 'cooldown',
+            maxAlertsPerDay: 'limite',
+            quietHours: 'silencio',
+            proximityThreshold: 'distancia',
+            language: 'idioma'
+        }
+    },
+
+    stop: {
+        stoppedAll: {
+            one: '✅ {count} monitoramento interrompido.',
+            other: '✅ {count} monitoramentos interrompidos.'
+        },
+        noneActive: '❌ Nenhum monitoramento ativo encontrado.',
+        noMonitor: '❌ Nenhum monitoramento ativo encontrado para a linha {route}.',
+        stopNotMonitored: '❌ Parada "{stop}" não está sendo monitorada na linha {route}.\n' +
+            'Veja as paradas em `/list`.',
+        stopRemoved: '✅ Parada {stop} removida da linha {route}.\n📍 Continuam monitoradas: {remaining}',
+        routeStopped: {
+            one: '✅ Monitoramento da linha {route} interrompido.\n📍 Parada: {stops}',
+            other: '✅ Monitoramento da linha {route} interrompido.\n📍 Paradas: {stops}'
+        }
+    },
+
+    subscription: {
+        groupOnly: '❌ `{command}` só funciona em grupos. Aqui os alertas já chegam para você.',
+        routeNotMonitored: '❌ O grupo não monitora a linha {route}. Veja as linhas em `/list`.',
+        noMonitors: '❌ O grupo ainda não tem monitoramentos. Um administrador pode criar um com `/monitor`.',
+        joined: {
+            one: '✅ Você será mencionado nos alertas da linha {routes}.',
+            other: '✅ Você será mencionado nos alertas das linhas {routes}.'
+        },
+        left: {
+            one: '✅ Você não será mais mencionado nos alertas da linha {routes}.',
+            other: '✅ Você não será mais mencionado nos alertas das linhas {routes}.'
+        }
+    },
+
+    list: {
+        empty: '📋 Nenhum monitoramento ativo.\n\n' +
+            'Use `/monitor [linha] [ida/volta] [parada]` para iniciar um monitoramento.',
+        title: '📋 *Monitoramentos Ativos:*',
+        route: '🚌 Linha {route}',
+        stop: '📍 Parada {index}: {stop}',
+        direction: '➡️ Sentido: {direction}',
+        window: '🗓️ Janela: {window}',
+        alert: '📏 Alerta: {thresholds}',
+        members: '👥 Membros avisados: {count}',
+        since: '⏰ Desde: {date}',
+        footer: 'Use `/stop [linha]` para parar uma linha ou `/stop [linha] [nº da parada]` ' +
+            'para tirar só uma parada.'
+    },
+
+    search: {
+        usage: 'Uso correto: `/search [termo]`\nExemplo: `/search 708`',
+        noResults: '❌ Nenhuma linha encontrada para "{term}".',
+        title: '🔍 *Resultados da busca por "{term}":*',
+        route: '🚌 *Linha:* {route} - {consortium}',
+        fare: 'Tarifa: {fare}',
+        fareUnknown: 'não informada',
+        status: 'Status: {status}',
+        vehicles: 'Veículos em operação:',
+        vehicle: '• Prefixo: {prefix}, Placa: {plate}, Empresa: {company}, Sentido: {direction}',
+        direction: 'Sentido: {direction}',
+        destination: 'Destino: {destination}',
+        stops: 'Pontos de parada:',
+        moreStops: {
+            one: '... e mais {count} ponto',
+            other: '... e mais {count} pontos'
+        },
+        schedule: 'Horários: {schedule}',
+        error: '❌ Erro ao realizar busca. Tente novamente.'
+    },
+
+    status: {
+        title: '📊 *Status do Sistema:*',
+        monitors: '👤 *Seus monitoramentos:* {count}',
+        alertsToday: '🔔 *Alertas enviados hoje:* {count}',
+        alertsTotal: '📈 *Total de alertas:* {count}',
+        uptime: '⏱️ *Sistema ativo há:* {uptime}',
+        online: '✅ *Status:* Online',
+        footer: 'Use `/list` para ver detalhes dos monitoramentos ativos.'
+    },
+
+    intent: {
+        whichIntent: 'Você quer {first} ou {second}?',
+        whichRoute: 'Você mencionou as linhas {routes}. Qual delas?',
+        askSearchTerm: 'O que você quer buscar? Ex: "buscar linhas para Guarulhos"',
+        askIntent: 'O que você quer saber da linha {route}? ' +
+            'Ex: "me avisa quando o {route} chegar na Av. Paulista" ou "onde está o {route}?"',
+        askRoute: 'Qual linha? Ex: "me avisa quando o 708 chegar na Av. Paulista"',
+        askStop: 'Em qual parada da linha {route}? Ex: "na Av. Paulista"',
+        askStopRoute: 'Qual linha você quer parar de monitorar? Para parar todas, envie `/stop`.',
+        askTime: 'Em qual horário? Ex: "de segunda a sexta das 6h30 às 8h"',
+        labels: {
+            stop: 'parar um monitoramento',
+            list: 'a lista dos seus monitoramentos',
+            monitor: 'ser avisado quando o ônibus chegar',
+            eta: 'a previsão de chegada',
+            where: 'onde os ônibus estão agora',
+            search: 'buscar linhas',
+            help: 'ajuda'
+        }
+    },
+
+    alerts: {
+        // Modelo padrão; o operador pode trocá-lo em ALERT_TEMPLATES_PATH
+        proximityTemplate: '🔔 *Alerta de Proximidade!*\n\n' +
+            '🚌 Linha: {{route}}\n' +
+            '📍 Parada: {{stop}}\n' +
+            '📏 Distância: {{distance}}m\n' +
+            '{{#eta}}⏱️ Chegada estimada: {{eta}}\n{{/eta}}' +
+            '🚗 Veículo: {{vehicle}}\n' +
+            '⏰ {{time}}\n\n' +
+            'O ônibus está se aproximando da sua parada!',
+        route: 'Linha',
+        stop: 'Parada',
+        vehicle: 'Veículo',
+        passedTitle: 'Ônibus passou pela sua parada',
+        silentTitle: 'Ônibus parou de transmitir',
+        lastPosition: 'Última posição há {minutes} min',
+        silentNote: 'Não é possível acompanhar este ônibus até ele voltar a enviar o GPS.'
+    }
+};
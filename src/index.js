@@ -1,34 +1,105 @@
 const WhatsApp = require('./services/whatsapp');
 const EMTUService = require('./services/emtu');
 const AlertManager = require('./services/alertManager');
+const RouteScheduler = require('./services/routeScheduler');
+const ScheduleManager = require('./services/scheduleManager');
+const LiveFeed = require('./services/liveFeed');
+const MonitorWizard = require('./services/monitorWizard');
+const NotificationService = require('./services/notificationService');
+const TelegramNotifier = require('./services/telegramNotifier');
+const WebhookNotifier = require('./services/webhookNotifier');
+const EmailNotifier = require('./services/emailNotifier');
+const ApiRouter = require('./api/apiRouter');
+const ApiAuth = require('./api/apiAuth');
 const ConfigManager = require('./utils/configManager');
+const PreferencesManager = require('./utils/preferencesManager');
+const AlertTemplateManager = require('./utils/alertTemplateManager');
+const Database = require('./storage/database');
+const LegacyImporter = require('./storage/legacyImporter');
+const ApiKeyManager = require('./utils/apiKeyManager');
+const IntentParser = require('./utils/intentParser');
+const I18n = require('./i18n');
 const Logger = require('./utils/logger');
+const { calculateDistance } = require('./utils/geo');
 const express = require('express');
+const path = require('path');
 require('dotenv').config();
 
+// Em grupos, criar, alterar e remover monitoramentos fica com os administradores
+const GROUP_ADMIN_COMMANDS = ['/monitor', '/stop', '/schedule', '/notify', '/config'];
+
+// Campo das preferências → valor de exemplo para a mensagem de erro. O nome de cada ajuste no /config
+// fica no catálogo (`config.settings`) e é aceito em qualquer idioma
+const CONFIG_SETTINGS = {
+    cooldownMinutes: '15',
+    maxAlertsPerDay: '10',
+    quietHours: '22:00-07:00',
+    proximityThreshold: '300',
+    language: 'en'
+};
+
 class EMTULiveChecker {
     constructor() {
         this.whatsapp = new WhatsApp();
         this.emtuService = new EMTUService();
-        this.alertManager = new AlertManager();
-        this.configManager = new ConfigManager();
+        this.database = new Database();
+        this.scheduleManager = new ScheduleManager();
+        this.i18n = new I18n();
+        this.alertTemplates = new AlertTemplateManager({ i18n: this.i18n });
+        this.preferences = new PreferencesManager({ database: this.database, scheduleManager: this.scheduleManager });
+        this.alertManager = new AlertManager({ database: this.database, preferences: this.preferences });
+        this.configManager = new ConfigManager({ database: this.database });
+        this.apiKeys = new ApiKeyManager();
+        this.apiAuth = new ApiAuth(this.apiKeys);
         this.logger = new Logger();
         this.app = express();
         this.isRunning = false;
-        this.monitoringIntervals = new Map();
+        this.scheduler = new RouteScheduler(this.emtuService, {
+            pollInterval: this.getCheckInterval()
+        });
+        this.intentParser = new IntentParser({ scheduleManager: this.scheduleManager });
+        this.monitorWizard = new MonitorWizard(this.emtuService, { i18n: this.i18n });
+        this.liveFeed = new LiveFeed(this.scheduler);
+        this.notifications = new NotificationService();
+        this.notifications.register(this.whatsapp);
+        this.notifications.register(new TelegramNotifier());
+        this.notifications.register(new WebhookNotifier());
+        this.notifications.register(new EmailNotifier());
+        this.restoreStats = { total: 0, restored: 0, failed: 0, completedAt: null };
+        this.trackedApproaches = new Set();
+        // Pedido em texto livre que aguarda a resposta de uma pergunta de esclarecimento, por chat
+        this.pendingIntents = new Map();
+        this.stopPassedHandlers = [];
     }
 
     async initialize() {
         try {
             this.logger.info('Initializing EMTU Live Checker...');
+
+            // Modelos de alerta inválidos impedem a inicialização
+            await this.alertTemplates.load();
             
             await this.whatsapp.initialize();
             
+            await this.apiKeys.initialize();
+            if (this.apiKeys.keys.size === 0) {
+                this.logger.warn('No API keys configured; HTTP API is locked until one is created (npm run keys)');
+            }
+
             this.setupExpressServer();
             
             this.setupMessageHandlers();
             
+            await new LegacyImporter(this.database).run();
             await this.configManager.loadConfigurations();
+
+            // Backup do estado que acabou de abrir sem erros, depois a cada 6h
+            await this.database.backup();
+            this.database.scheduleBackups();
+
+            this.scheduler.start();
+
+            await this.restoreActiveMonitors();
             
             this.logger.info('EMTU Live Checker initialized successfully');
             return true;
@@ -39,28 +110,44 @@ class EMTULiveChecker {
     }
 
     setupExpressServer() {
-        this.app.use(express.json());
-        
+        this.setupRoutes();
+
+        const port = process.env.PORT || 3000;
+        this.app.listen(port, () => {
+            this.logger.info(`Server running on port ${port}`);
+        });
+    }
+
+    setupRoutes() {
         this.app.get('/health', (req, res) => {
             res.json({
                 status: 'running',
                 uptime: process.uptime(),
-                whatsappReady: this.whatsapp.isReady(),
-                activeMonitors: this.monitoringIntervals.size
+                whatsappReady: this.whatsapp.isAvailable(),
+                activeMonitors: this.scheduler.size,
+                liveListeners: this.liveFeed.listenerCount(),
+                scheduledMonitors: this.scheduleManager.size,
+                restoredMonitors: this.restoreStats
             });
         });
 
-        this.app.get('/status', (req, res) => {
+        this.app.get('/status', this.apiAuth.authenticate, this.apiAuth.requireAdmin, async (req, res) => {
             res.json({
-                monitoredRoutes: Array.from(this.monitoringIntervals.keys()),
-                configurations: this.configManager.getAllConfigurations()
+                monitoredRoutes: this.scheduler.keys(),
+                polling: this.scheduler.getStatus(),
+                storage: {
+                    database: this.database.getStatus(),
+                    apiKeysRecovery: this.apiKeys.recovery
+                },
+                configurations: await this.configManager.getAllConfigurations()
             });
         });
 
-        const port = process.env.PORT || 3000;
-        this.app.listen(port, () => {
-            this.logger.info(`Server running on port ${port}`);
-        });
+        this.app.use('/api', this.apiAuth.authenticate, new ApiRouter(this).router);
+
+        // O painel é estático; os dados vêm da API com a chave informada no navegador
+        this.app.use('/dashboard', express.static(path.join(__dirname, '..', 'public', 'dashboard')));
+        this.app.get('/', (req, res) => res.redirect('/dashboard/'));
     }
 
     setupMessageHandlers() {
@@ -72,10 +159,8 @@ class EMTULiveChecker {
                 }   
             } catch (error) {
                 this.logger.error('Error handling message:', error);
-                await this.whatsapp.sendMessage(
-                    message.from, 
-                    'Desculpe, ocorreu um erro ao processar sua mensagem. Tente novamente.'
-                );
+                const t = await this.getTranslator(message.from);
+                await this.whatsapp.sendMessage(message.from, t('common.error'));
             }
         });
     }
@@ -83,9 +168,45 @@ class EMTULiveChecker {
     async handleUserMessage(message) {
         const text = message.body.toLowerCase().trim();
         const chatId = message.from;
+        // Em grupos, `from` é o grupo e `author` o membro que escreveu
+        const senderId = message.author || message.from;
+
+        // Pin de localização compartilhado: o corpo é só a miniatura do mapa
+        if (message.type === 'location' && message.location) {
+            return await this.handleLocationMessage(chatId, message.location);
+        }
+
+        const t = await this.getTranslator(chatId);
 
         if (text === '/help' || text === 'ajuda') {
-            return this.getHelpMessage();
+            return this.getHelpMessage(t);
+        }
+
+        // Com um cadastro do /monitor em andamento, a mensagem é a resposta dele; outro comando o abandona
+        if (this.monitorWizard.has(chatId)) {
+            if (!text.startsWith('/') || this.monitorWizard.isCancel(text)) {
+                return await this.handleWizardReply(chatId, message.body);
+            }
+            this.monitorWizard.cancel(chatId);
+        }
+
+        // Um comando encerra qualquer pergunta em texto livre ainda sem resposta
+        if (text.startsWith('/')) {
+            this.pendingIntents.delete(chatId);
+        }
+
+        if (this.whatsapp.isGroupId(chatId) && GROUP_ADMIN_COMMANDS.some(command => text.startsWith(command))) {
+            if (!await this.whatsapp.isGroupAdmin(chatId, senderId)) {
+                return t('common.groupAdminOnly');
+            }
+        }
+
+        if (text.startsWith('/join')) {
+            return await this.handleJoinCommand(text, chatId, senderId);
+        }
+
+        if (text.startsWith('/leave')) {
+            return await this.handleLeaveCommand(text, chatId, senderId);
         }
 
         if (text.startsWith('/monitor')) {
@@ -104,7 +225,7 @@ class EMTULiveChecker {
 
         
         if (text.startsWith('/search') || text.startsWith('buscar')) {
-            return await this.handleSearchCommand(text);
+            return await this.handleSearchCommand(text, t);
         }
 
         if (text === '/status') {
@@ -115,37 +236,105 @@ class EMTULiveChecker {
             return await this.handleWhereCommand(text, chatId);
         }
 
-        return 'Comando não reconhecido. Digite "ajuda" para ver os comandos disponíveis.';
+        if (text.startsWith('/eta')) {
+            return await this.handleEtaCommand(text, t);
+        }
+
+        if (text.startsWith('/schedule')) {
+            return await this.handleScheduleCommand(text, chatId);
+        }
+
+        if (text.startsWith('/config')) {
+            return await this.handleConfigCommand(text, chatId);
+        }
+
+        if (text.startsWith('/notify')) {
+            // Destinos como URLs de webhook diferenciam maiúsculas
+            return await this.handleNotifyCommand(message.body.trim(), chatId);
+        }
+
+        // Texto livre só em conversas privadas; em grupos o bot responde apenas a comandos
+        if (!this.whatsapp.isGroupId(chatId)) {
+            const response = await this.handleNaturalLanguage(message.body, chatId);
+            if (response) return response;
+        }
+
+        return t('common.unknownCommand');
+    }
+
+    // Mensagens no idioma escolhido em /config
+    async getTranslator(chatId) {
+        const { language } = await this.preferences.getPreferences(chatId);
+        return this.i18n.translator(language);
     }
 
-    getHelpMessage() {
-        return `🚌 *EMTU Live Checker - Comandos Disponíveis:*
+    // "me avisa quando o 708 estiver chegando na Av. Paulista" vira o mesmo fluxo do /monitor
+    // A resposta a uma pergunta de esclarecimento completa o pedido que ficou pendente
+    async handleNaturalLanguage(text, chatId) {
+        const pending = this.pendingIntents.get(chatId);
+        this.pendingIntents.delete(chatId);
+        const parsed = pending && pending.expiresAt > Date.now()
+            ? this.intentParser.resume(pending.parsed, text)
+            : this.intentParser.parse(text);
+
+        if (parsed.clarification) {
+            this.rememberPendingIntent(chatId, parsed);
+            const t = await this.getTranslator(chatId);
+            return `🤔 ${t(parsed.clarification.key, parsed.clarification.params)}`;
+        }
+
+        const { intent, routeNumber, direction, stopName } = parsed;
+
+        if (intent === 'monitor') {
+            return await this.startMonitorFromArgs(chatId, parsed);
+        }
+
+        if (intent === 'eta') {
+            return await this.replyWithEta(parsed, await this.getTranslator(chatId));
+        }
 
-        📍 *Monitoramento:*
-        • \`/monitor [linha] [parada]\` - Iniciar monitoramento
-        • \`/stop [linha]\` - Parar monitoramento
-        • \`/list\` - Listar monitoramentos ativos
-        • \`/where [ida/volta] [linha]\` - Listar localizações dos ônibus.
+        if (intent === 'stop') {
+            return await this.handleStopCommand(['/stop', routeNumber, stopName].filter(Boolean).join(' '), chatId);
+        }
 
+        if (intent === 'where') {
+            return await this.handleWhereCommand(['/where', routeNumber, direction].filter(Boolean).join(' '), chatId);
+        }
 
-        🔍 *Consultas:*
-        • \`/search [termo]\` - Buscar linhas/paradas
-        • \`/status\` - Status dos monitoramentos
+        if (intent === 'list') {
+            return await this.handleListCommand(chatId);
+        }
 
-        ℹ️ *Ajuda:*
-        • \`/help\` ou \`ajuda\` - Mostrar esta mensagem
+        if (intent === 'search') {
+            return await this.handleSearchCommand(`/search ${parsed.searchTerm}`, await this.getTranslator(chatId));
+        }
 
-        *Exemplo de uso:*
-        \`/monitor 001 Terminal São Mateus\`
+        if (intent === 'help') {
+            return this.getHelpMessage(await this.getTranslator(chatId));
+        }
 
-        O bot irá te notificar quando o ônibus estiver próximo da parada configurada! 🔔`;
+        return null;
+    }
+
+    // Perguntas sem resposta expiram junto com o cadastro do /monitor
+    rememberPendingIntent(chatId, parsed) {
+        const now = Date.now();
+        for (const [id, pending] of this.pendingIntents) {
+            if (pending.expiresAt <= now) this.pendingIntents.delete(id);
+        }
+        this.pendingIntents.set(chatId, { parsed, expiresAt: now + this.monitorWizard.timeout });
+    }
+
+    getHelpMessage(t = this.i18n.translator()) {
+        return t('help.text');
     }
 
     async handleWhereCommand(text, chatId) {
+        const t = await this.getTranslator(chatId);
         const parts = text.split(' ').slice(1);
         
         if (parts.length < 1) {
-            return 'Uso correto: `/where [linha] [ida/volta]`\nExemplo: `/where 708BI2 ida`';
+            return t('where.usage');
         }
 
         const routeNumber = parts[0];
@@ -154,25 +343,22 @@ class EMTULiveChecker {
             const vehicles = await this.emtuService.getVehiclePositions(routeNumber);
             
             if (!vehicles || vehicles.length === 0) {
-                return `❌ Nenhum veículo encontrado para a linha "${routeNumber}" ou linha não existe.`;
+                return t('where.noVehicles', { route: routeNumber });
             }
 
             let filteredVehicles = vehicles;
             if (direction && (direction === 'ida' || direction === 'volta')) {
-                filteredVehicles = vehicles.filter(vehicle => 
-                    vehicle.sentidoLinha && vehicle.sentidoLinha.toLowerCase() === direction.toLowerCase()
-                );
+                filteredVehicles = vehicles.filter(vehicle => vehicle.direction === direction);
                 
                 if (filteredVehicles.length === 0) {
-                    return `❌ Nenhum veículo encontrado no sentido "${direction}" para a linha "${routeNumber}".`;
+                    return t('where.noVehiclesInDirection', { route: routeNumber, direction });
                 }
             }
 
-            let response = `📍 *Localizações dos ônibus da linha ${routeNumber}`;
-            if (direction) {
-                response += ` - Sentido ${direction}`;
-            }
-            response += ':*\n\n';
+            let response = direction
+                ? t('where.titleInDirection', { route: routeNumber, direction })
+                : t('where.title', { route: routeNumber });
+            response += '\n\n';
             
             // Enviar localização primeiro, depois a mensagem de texto
             for (let i = 0; i < filteredVehicles.length; i++) {
@@ -182,209 +368,827 @@ class EMTULiveChecker {
                     chatId,
                     vehicle.latitude,
                     vehicle.longitude,
-                    `🚌 ${vehicle.prefixo} - Linha ${routeNumber} - ${vehicle.empresa}`
+                    t('where.locationLabel', {
+                        prefix: vehicle.prefix,
+                        route: vehicle.routeNumber,
+                        company: vehicle.company
+                    })
                 );
                 
-                response += `🚌 *Veículo ${i + 1}:*\n`;
-                response += `🆔 ID: ${vehicle.idVeiculo || vehicle.prefixo}\n`;
-                response += `🚗 Prefixo: ${vehicle.prefixo}\n`;
-                response += `🏷️ Placa: ${vehicle.placa}\n`;
-                response += `🏢 Empresa: ${vehicle.empresa}\n`;
-                response += `➡️ Sentido: ${vehicle.sentidoLinha}\n`;
-                const dataTransmissao = new Date(vehicle.dataUltimaTransmissao);
-                response += `📡 Última transmissão: ${dataTransmissao.toLocaleString('pt-BR')}\n\n`;
+                response += `${t('where.vehicle', { index: i + 1 })}\n`;
+                response += `${t('where.id', { id: vehicle.id })}\n`;
+                response += `${t('where.prefix', { prefix: vehicle.prefix })}\n`;
+                response += `${t('where.plate', { plate: vehicle.plate })}\n`;
+                response += `${t('where.company', { company: vehicle.company })}\n`;
+                response += `${t('where.direction', { direction: vehicle.direction })}\n`;
+                const dataTransmissao = vehicle.lastTransmission
+                    ? t.dateTime(vehicle.lastTransmission)
+                    : t('where.unknownTransmission');
+                response += `${t('where.lastTransmission', { time: dataTransmissao })}\n`;
+                if (this.emtuService.isStale(vehicle)) {
+                    const minutes = Math.round(this.emtuService.getTransmissionAge(vehicle) / 60000);
+                    response += `${t('where.stale', { minutes: t.number(minutes) })}\n`;
+                }
+                response += '\n';
             }
 
-            response += `📊 Total de veículos em operação: ${filteredVehicles.length}`;
+            response += t('where.total', { count: filteredVehicles.length });
             return response;
 
         } catch (error) {
             this.logger.error('Error in where command:', error);
-            return '❌ Erro ao buscar localizações dos veículos. Tente novamente.';
+            return t('where.error');
         }
     }
 
+    parseRouteStopArgs(text) {
+        const parts = text.split(' ').slice(1).filter(Boolean);
+        const direction = parts.slice(1).find(part => part === 'ida' || part === 'volta') || null;
+        const metersPart = parts.slice(1).find(part => /^\d+m$/.test(part));
+        const minutesPart = parts.slice(1).find(part => /^\d+min$/.test(part));
+        const stopParts = parts.slice(1).filter(part => ![direction, metersPart, minutesPart].includes(part));
+
+        if (parts.length < 2 || stopParts.length === 0) {
+            return null;
+        }
+
+        return {
+            routeNumber: parts[0],
+            direction,
+            stopName: stopParts.join(' '),
+            proximityThreshold: metersPart ? parseInt(metersPart) : null,
+            arrivalThreshold: minutesPart ? parseInt(minutesPart) : null
+        };
+    }
+
+    formatThresholds(config, t = this.i18n.translator()) {
+        const thresholds = [];
+        if (config.proximityThreshold) {
+            thresholds.push(t('common.thresholdDistance', { meters: t.number(config.proximityThreshold) }));
+        }
+        if (config.arrivalThreshold) {
+            thresholds.push(t('common.thresholdArrival', { minutes: t.number(config.arrivalThreshold) }));
+        }
+        return thresholds.join(t('common.thresholdSeparator'));
+    }
+
     async handleMonitorCommand(text, chatId) {
-        const parts = text.split(' ').slice(1);
+        const t = await this.getTranslator(chatId);
+        const args = this.parseRouteStopArgs(text);
         
-        if (parts.length < 2) {
-            return 'Uso correto: `/monitor [linha] [parada]`\nExemplo: `/monitor 001 Terminal São Mateus`';
+        if (!args) {
+            // Em conversa privada, o que faltar é perguntado passo a passo
+            if (!this.whatsapp.isGroupId(chatId)) {
+                const routeNumber = text.split(' ').slice(1).find(Boolean);
+                return await this.monitorWizard.start(chatId, { routeNumber, locale: t.locale });
+            }
+            return t('monitor.usage');
         }
 
-        const routeNumber = parts[0];
-        const stopName = parts.slice(1).join(' ');
+        return this.startMonitorFromArgs(chatId, args);
+    }
+
+    async startMonitorFromArgs(chatId, args) {
+        const { routeNumber, direction, stopName } = args;
+        const t = await this.getTranslator(chatId);
+
+        try {
+            const { error, route, stop, config, stopConfig } = await this.createMonitor(chatId, args);
+            const canAsk = !this.whatsapp.isGroupId(chatId);
+
+            if (error === 'route_not_found') {
+                if (canAsk) {
+                    return await this.monitorWizard.start(chatId, { ...args, locale: t.locale });
+                }
+                return t('monitor.routeNotFound', { route: routeNumber });
+            }
+
+            if (error === 'stop_not_found') {
+                const notFound = (number) => direction
+                    ? t('monitor.stopNotFoundInDirection', { stop: stopName, route: number, direction })
+                    : t('monitor.stopNotFound', { stop: stopName, route: number });
+                if (canAsk) {
+                    const question = await this.monitorWizard.start(chatId, {
+                        ...args,
+                        routeNumber: route.number,
+                        stopName: null,
+                        locale: t.locale
+                    });
+                    return `${notFound(route.number)}\n\n${question}`;
+                }
+                return `${notFound(routeNumber)}\n${t('monitor.searchStopHint', { stop: stopName })}`;
+            }
+
+            const title = config.stops.length > 1
+                ? t('monitor.stopAdded', { route: route.number, count: config.stops.length })
+                : t('monitor.started');
+            const lines = [
+                t('monitor.route', { route: route.number, name: route.name }),
+                t('monitor.stop', { stop: stop.name }),
+                t('monitor.direction', {
+                    direction: stop.direction,
+                    destination: stop.destination || t('common.noDestination')
+                }),
+                t('monitor.alert', { thresholds: this.formatThresholds(stopConfig, t) })
+            ];
+            if (stopConfig.schedule) {
+                lines.push(t('monitor.window', { window: this.formatSchedule(stopConfig.schedule, t) }));
+            }
+
+            return `${title}\n${lines.join('\n')}\n\n${t('monitor.footer')}`;
+
+        } catch (error) {
+            this.logger.error('Error in monitor command:', error);
+            return t('monitor.error');
+        }
+    }
+
+    async createMonitor(chatId, options) {
+        const { routeNumber, direction, stopName, arrivalThreshold = null } = options;
+        // Sem nenhum limite informado, usa a distância padrão das preferências do chat
+        const proximityThreshold = options.proximityThreshold ||
+            (arrivalThreshold ? null : (await this.preferences.getPreferences(chatId)).proximityThreshold);
+
+        const route = await this.emtuService.findRoute(routeNumber);
+        if (!route) {
+            return { error: 'route_not_found' };
+        }
+
+        // O assistente do /monitor já sabe o id da parada escolhida na lista
+        const stop = options.stopId
+            ? await this.emtuService.getStop(options.stopId, route.number)
+            : await this.emtuService.findStop(stopName, route.number, direction);
+        if (!stop) {
+            return { error: 'stop_not_found', route };
+        }
+
+        // Uma configuração por chat e linha; cada parada tem seus próprios limites, sentido e janela
+        const existing = await this.configManager.getConfiguration(chatId, route.number);
+        const current = existing && existing.isActive ? existing : null;
+
+        const stopConfig = {
+            stopId: stop.id,
+            stopName: stop.name,
+            direction: stop.direction,
+            proximityThreshold,
+            arrivalThreshold,
+            schedule: options.schedule || null
+        };
+
+        const config = {
+            chatId,
+            routeId: route.id,
+            routeNumber: route.number,
+            // Sem limite próprio, vale o limite diário das preferências do chat
+            maxAlerts: options.maxAlerts || (current && current.maxAlerts) || null,
+            createdAt: current ? current.createdAt : new Date(),
+            isActive: true,
+            stops: [...(current ? current.stops.filter(entry => entry.stopId !== stop.id) : []), stopConfig]
+        };
+
+        for (const field of ['channel', 'target']) {
+            const value = options[field] || (current && current[field]);
+            if (value) config[field] = value;
+        }
+        // Quem entrou com /join continua mencionado quando um monitoramento inativo é reiniciado
+        if (existing && existing.subscribers) {
+            config.subscribers = existing.subscribers;
+        }
+
+        await this.configManager.saveConfiguration(chatId, route.number, config);
+        await this.startMonitoring(config);
+
+        return { route, stop, config, stopConfig };
+    }
+
+    async handleWizardReply(chatId, text) {
+        return this.runWizardStep(chatId, () => this.monitorWizard.reply(chatId, text));
+    }
+
+    async handleLocationMessage(chatId, location) {
+        if (this.whatsapp.isGroupId(chatId)) {
+            return null;
+        }
+
+        const t = await this.getTranslator(chatId);
+        const point = { latitude: parseFloat(location.latitude), longitude: parseFloat(location.longitude) };
+        if (isNaN(point.latitude) || isNaN(point.longitude)) {
+            return t('monitor.badLocation');
+        }
+
+        return this.runWizardStep(chatId, () => this.monitorWizard.shareLocation(chatId, point, t.locale));
+    }
+
+    async runWizardStep(chatId, step) {
+        try {
+            const { reply, monitor } = await step();
+            if (monitor) {
+                return await this.startMonitorFromArgs(chatId, monitor);
+            }
+            return reply;
+        } catch (error) {
+            this.monitorWizard.cancel(chatId);
+            this.logger.error('Error in monitor wizard:', error);
+            return (await this.getTranslator(chatId))('monitor.wizardError');
+        }
+    }
+
+    async handleEtaCommand(text, t = this.i18n.translator()) {
+        const args = this.parseRouteStopArgs(text);
+
+        if (!args) {
+            return t('eta.usage');
+        }
+
+        return this.replyWithEta(args, t);
+    }
+
+    async replyWithEta(args, t = this.i18n.translator()) {
+        const { routeNumber, direction, stopName } = args;
 
         try {
             const route = await this.emtuService.findRoute(routeNumber);
             if (!route) {
-                return `❌ Linha "${routeNumber}" não encontrada.
-                Use \`/search ${routeNumber}\` para buscar linhas similares.`;
+                return t('eta.routeNotFound', { route: routeNumber });
             }
 
-            const stop = await this.emtuService.findStop(stopName, route.id);
+            const stop = await this.emtuService.findStop(stopName, route.number, direction);
             if (!stop) {
-                return `❌ Parada "${stopName}" não encontrada na linha ${routeNumber}. 
-                Use \`/search ${stopName}\` para buscar paradas.`;
+                return t('eta.stopNotFound', { stop: stopName, route: route.number });
             }
 
-            const config = {
-                chatId,
-                routeId: route.id,
-                routeNumber: route.number,
-                stopId: stop.id,
-                stopName: stop.name,
-                proximityThreshold: parseInt(process.env.PROXIMITY_THRESHOLD_METERS) || 500,
-                maxAlerts: parseInt(process.env.MAX_ALERTS_PER_ROUTE) || 5,
-                createdAt: new Date(),
-                isActive: true
-            };
+            const predictions = await this.emtuService.getArrivalPredictions(stop.id, route.number);
+            if (predictions.length === 0) {
+                return t('eta.noVehicles', { stop: stop.name, direction: stop.direction });
+            }
+
+            let response = `${t('eta.title', { route: route.number })}\n`;
+            response += `${t('eta.stop', { stop: stop.name, direction: stop.direction })}\n\n`;
+
+            predictions.slice(0, 3).forEach(prediction => {
+                const distance = t.number(prediction.distance / 1000, {
+                    minimumFractionDigits: 1,
+                    maximumFractionDigits: 1
+                });
+                response += `${t('eta.prediction', {
+                    vehicle: prediction.vehicleId,
+                    eta: this.formatEta(prediction, t),
+                    distance
+                })}\n`;
+            });
+
+            response += `\n${t('eta.footer')}`;
+            return response;
+        } catch (error) {
+            this.logger.error('Error in eta command:', error);
+            return t('eta.error');
+        }
+    }
+
+    formatEta(prediction, t = this.i18n.translator()) {
+        const time = t.time(prediction.arrivalTime);
+        return prediction.estimatedMinutes < 1
+            ? t('eta.arrivingNow', { time })
+            : t('eta.minutes', { minutes: t.number(prediction.estimatedMinutes), time });
+    }
 
-            await this.configManager.saveConfiguration(chatId, routeNumber, config);
+    // Dias da semana no idioma do chat; o ScheduleManager só conhece as abreviações em português
+    formatSchedule(schedule, t = this.i18n.translator()) {
+        return this.scheduleManager.formatSchedule(schedule, {
+            days: t('schedule.days').split(','),
+            everyDay: t('schedule.everyDay')
+        });
+    }
 
-            await this.startMonitoring(config);
+    async handleScheduleCommand(text, chatId) {
+        const t = await this.getTranslator(chatId);
+        const parts = text.split(' ').slice(1).filter(Boolean);
 
-            return `✅ Monitoramento iniciado!
-                🚌 Linha: ${route.number} - ${route.name}
-                📍 Parada: ${stop.name}
-                📏 Distância de alerta: ${config.proximityThreshold}m
+        if (parts.length === 0) {
+            const configs = await this.configManager.getActiveConfigurations(chatId);
+            const scheduled = configs.flatMap(config => config.stops
+                .filter(stop => stop.schedule)
+                .map(stop => ({ config, stop })));
 
-            Você será notificado quando um ônibus estiver se aproximando da parada.`;
+            if (scheduled.length === 0) {
+                return t('schedule.empty');
+            }
 
+            let response = `${t('schedule.title')}\n\n`;
+            scheduled.forEach(({ config, stop }) => {
+                const state = this.isPolling(chatId, config.routeNumber, stop.stopId)
+                    ? t('schedule.activeNow')
+                    : t('schedule.waiting');
+                const window = this.formatSchedule(stop.schedule, t);
+                const entry = t('schedule.entry', { route: config.routeNumber, stop: stop.stopName, window, state });
+                response += `${entry}\n`;
+            });
+            return response;
+        }
+
+        const routeNumber = parts[0].toUpperCase();
+        const config = await this.configManager.getConfiguration(chatId, routeNumber);
+        if (!config || !config.isActive) {
+            return t('schedule.noMonitor', { route: routeNumber });
+        }
+
+        // `/schedule 708BI2 2 seg-sex 17:00-19:00` vale só para a 2ª parada do /list; sem número, para todas
+        let args = parts.slice(1);
+        let stops = config.stops;
+        if (/^\d+$/.test(args[0] || '')) {
+            const stop = config.stops[parseInt(args[0]) - 1];
+            if (!stop) {
+                return t('schedule.invalidStopNumber', { route: routeNumber, count: config.stops.length });
+            }
+            stops = [stop];
+            args = args.slice(1);
+        }
+
+        const target = { stop: stops[0].stopName, route: routeNumber };
+        const single = stops.length === 1;
+
+        if (args[0] === 'off') {
+            await this.updateStops(config, stops, { schedule: null });
+            return t(single ? 'schedule.removedStop' : 'schedule.removedRoute', target);
+        }
+
+        let schedule;
+        try {
+            schedule = this.scheduleManager.parseSchedule(args.join(' '));
         } catch (error) {
-            this.logger.error('Error in monitor command:', error);
-            return '❌ Erro ao configurar monitoramento. Tente novamente.';
+            return t('schedule.invalid', { error: { key: error.key, params: error.params } });
         }
+
+        await this.updateStops(config, stops, { schedule });
+
+        const state = stops.some(stop => this.isPolling(chatId, routeNumber, stop.stopId))
+            ? t('schedule.alreadyActive')
+            : t('schedule.startsLater');
+
+        const window = this.formatSchedule(schedule, t);
+        return `${t(single ? 'schedule.setStop' : 'schedule.setRoute', { ...target, window })}\n${state}`;
+    }
+
+    async updateStops(config, stops, updates) {
+        const stopIds = stops.map(stop => stop.stopId);
+        const updated = await this.configManager.updateConfiguration(config.chatId, config.routeNumber, {
+            stops: config.stops.map(stop => stopIds.includes(stop.stopId) ? { ...stop, ...updates } : stop)
+        });
+        await this.startMonitoring(updated);
+        return updated;
+    }
+
+    async handleNotifyCommand(text, chatId) {
+        const t = await this.getTranslator(chatId);
+        const parts = text.split(/\s+/).slice(1);
+        const channels = this.notifications.channels();
+
+        if (parts.length < 2) {
+            return t('notify.usage', { channels: channels.join(', ') });
+        }
+
+        const routeNumber = parts[0].toUpperCase();
+        const channel = parts[1].toLowerCase();
+        const target = parts[2] || null;
+
+        if (!channels.includes(channel)) {
+            return t('notify.unknownChannel', { channel, channels: channels.join(', ') });
+        }
+
+        if (channel !== 'whatsapp' && !this.notifications.isAvailable(channel)) {
+            return t('notify.unavailable', { channel });
+        }
+
+        const config = await this.configManager.getConfiguration(chatId, routeNumber);
+        if (!config || !config.isActive) {
+            return t('notify.noMonitor', { route: routeNumber });
+        }
+
+        // Destinos informados no chat passam pela lista liberada pelo operador
+        const refusal = target && this.notifications.validateTarget(channel, target, { chatId });
+        if (refusal) {
+            this.logger.warn(`Refused ${channel} target ${target} for ${chatId}: ${refusal}`);
+            return t('notify.targetNotAllowed', { channel, target });
+        }
+
+        const notifier = this.notifications.get(channel);
+        const candidate = { ...config, channel, target };
+        if (!notifier.resolveTarget(candidate)) {
+            return t('notify.missingTarget', { channel });
+        }
+
+        const updated = await this.configManager.updateConfiguration(chatId, routeNumber, { channel, target });
+        await this.startMonitoring(updated);
+
+        const destination = channel === 'whatsapp' && !target ? t('notify.thisChat') : notifier.resolveTarget(updated);
+        return t('notify.updated', { route: routeNumber, channel, destination });
+    }
+
+    async handleConfigCommand(text, chatId) {
+        const parts = text.split(/\s+/).slice(1);
+        const t = await this.getTranslator(chatId);
+
+        try {
+            if (parts.length === 0) {
+                return this.formatPreferences(await this.preferences.getPreferences(chatId), t);
+            }
+
+            // A resposta já sai no idioma que ficou valendo
+            if (parts[0] === 'reset') {
+                const preferences = await this.preferences.resetPreferences(chatId);
+                const updated = this.i18n.translator(preferences.language);
+                return `${updated('config.reset')}\n\n${this.formatPreferences(preferences, updated)}`;
+            }
+
+            const field = this.findConfigSetting(parts[0]);
+            if (!field || parts.length < 2) {
+                return t('config.usage', { settings: this.getConfigSettingNames(t) });
+            }
+
+            const value = this.parsePreferenceValue(field, parts.slice(1).join(' '));
+            const { fields, details } = this.preferences.validate({ [field]: value });
+            if (details.length > 0) {
+                const example = `/config ${t(`config.settings.${field}`)} ${CONFIG_SETTINGS[field]}`;
+                return t('config.invalid', { setting: parts[0], example });
+            }
+
+            const preferences = await this.preferences.updatePreferences(chatId, fields);
+            const updated = this.i18n.translator(preferences.language);
+            return `${updated('config.updated')}\n\n${this.formatPreferences(preferences, updated)}`;
+        } catch (error) {
+            this.logger.error('Error in config command:', error);
+            return t('config.error');
+        }
+    }
+
+    // "limite", "limit" ou "límite": o ajuste vale com o nome de qualquer idioma do catálogo
+    findConfigSetting(name) {
+        const term = this.emtuService.normalizeText(name);
+
+        for (const locale of this.i18n.locales) {
+            const t = this.i18n.translator(locale);
+            const field = Object.keys(CONFIG_SETTINGS)
+                .find(candidate => this.emtuService.normalizeText(t(`config.settings.${candidate}`)) === term);
+            if (field) return field;
+        }
+        return null;
+    }
+
+    getConfigSettingNames(t) {
+        return Object.keys(CONFIG_SETTINGS).map(field => t(`config.settings.${field}`)).join(', ');
+    }
+
+    // "15min", "300m", "off" e "pt" viram os valores que o PreferencesManager valida
+    parsePreferenceValue(field, text) {
+        if (field === 'quietHours') {
+            return text === 'off' ? null : text;
+        }
+        if (field === 'language') {
+            return { pt: 'pt-BR', 'pt-br': 'pt-BR', en: 'en', es: 'es', 'es-es': 'es' }[text] || text;
+        }
+
+        const match = /^(\d+)\s*(?:min|m)?$/.exec(text);
+        return match ? parseInt(match[1]) : text;
+    }
+
+    formatPreferences(preferences, t = this.i18n.translator()) {
+        const quietHours = preferences.quietHours
+            ? `${preferences.quietHours.start}–${preferences.quietHours.end}`
+            : t('config.quietHoursOff');
+
+        return [
+            t('config.title'),
+            '',
+            t('config.cooldown', { minutes: t.number(preferences.cooldownMinutes) }),
+            t('config.maxAlerts', { count: preferences.maxAlertsPerDay }),
+            t('config.quietHours', { window: quietHours }),
+            t('config.distance', { meters: t.number(preferences.proximityThreshold) }),
+            t('config.language', { language: preferences.language }),
+            '',
+            t('config.footer', { settings: this.getConfigSettingNames(t) })
+        ].join('\n');
     }
 
     async handleStopCommand(text, chatId) {
+        const t = await this.getTranslator(chatId);
         const parts = text.split(' ').slice(1); 
         
         if (parts.length === 0) {
             
             const stopped = await this.stopAllMonitoring(chatId);
             return stopped > 0 
-                ? `✅ ${stopped} monitoramento(s) interrompido(s).`
-                : '❌ Nenhum monitoramento ativo encontrado.';
+                ? t('stop.stoppedAll', { count: stopped })
+                : t('stop.noneActive');
         }
 
-        const routeNumber = parts[0];
-        const stopped = await this.stopMonitoring(chatId, routeNumber);
-        
-        return stopped 
-            ? `✅ Monitoramento da linha ${routeNumber} interrompido.`
-            : `❌ Nenhum monitoramento ativo encontrado para a linha ${routeNumber}.`;
+        const routeNumber = parts[0].toUpperCase();
+        const config = await this.configManager.getConfiguration(chatId, routeNumber);
+        if (!config || !config.isActive) {
+            return t('stop.noMonitor', { route: routeNumber });
+        }
+
+        const stopQuery = parts.slice(1).join(' ').trim();
+        if (stopQuery) {
+            const stop = this.findConfiguredStop(config, stopQuery);
+            if (!stop) {
+                return t('stop.stopNotMonitored', { stop: stopQuery, route: routeNumber });
+            }
+
+            // Tirar a última parada encerra o monitoramento da linha
+            if (config.stops.length > 1) {
+                const updated = await this.configManager.removeStop(chatId, routeNumber, stop.stopId);
+                await this.startMonitoring(updated);
+                const remaining = updated.stops.map(entry => entry.stopName).join(', ');
+                return t('stop.stopRemoved', { stop: stop.stopName, route: routeNumber, remaining });
+            }
+        }
+
+        await this.stopMonitoring(chatId, routeNumber);
+        const names = config.stops.map(stop => stop.stopName).join(', ');
+        return t('stop.routeStopped', { route: routeNumber, stops: names, count: config.stops.length });
+    }
+
+    // Aceita o número mostrado no /list ou parte do nome da parada
+    findConfiguredStop(config, query) {
+        if (/^\d+$/.test(query)) {
+            return config.stops[parseInt(query) - 1] || null;
+        }
+
+        const term = this.emtuService.normalizeText(query);
+        return config.stops.find(stop => this.emtuService.normalizeText(stop.stopName).includes(term)) || null;
+    }
+
+    async handleJoinCommand(text, chatId, memberId) {
+        return this.handleSubscriptionCommand(text, chatId, memberId, true);
+    }
+
+    async handleLeaveCommand(text, chatId, memberId) {
+        return this.handleSubscriptionCommand(text, chatId, memberId, false);
+    }
+
+    // Cada membro escolhe se quer ser mencionado; o alerta vai para o grupo de qualquer forma
+    async handleSubscriptionCommand(text, chatId, memberId, subscribe) {
+        const t = await this.getTranslator(chatId);
+        const command = subscribe ? '/join' : '/leave';
+        if (!this.whatsapp.isGroupId(chatId)) {
+            return t('subscription.groupOnly', { command });
+        }
+
+        const routeNumber = (text.split(' ').slice(1).filter(Boolean)[0] || '').toUpperCase();
+        const configs = (await this.configManager.getActiveConfigurations(chatId))
+            .filter(config => !routeNumber || config.routeNumber === routeNumber);
+
+        if (configs.length === 0) {
+            return routeNumber
+                ? t('subscription.routeNotMonitored', { route: routeNumber })
+                : t('subscription.noMonitors');
+        }
+
+        for (const config of configs) {
+            const subscribers = (config.subscribers || []).filter(subscriber => subscriber !== memberId);
+            if (subscribe) subscribers.push(memberId);
+
+            const updated = await this.configManager.updateConfiguration(chatId, config.routeNumber, { subscribers });
+            await this.startMonitoring(updated);
+        }
+
+        const routes = configs.map(config => config.routeNumber).join(', ');
+        return t(subscribe ? 'subscription.joined' : 'subscription.left', { routes, count: configs.length });
     }
 
     async handleListCommand(chatId) {
+        const t = await this.getTranslator(chatId);
         const configs = await this.configManager.getActiveConfigurations(chatId);
         
         if (configs.length === 0) {
-            return '📋 Nenhum monitoramento ativo.\n\nUse `/monitor [linha] [parada]` para iniciar um monitoramento.';
+            return t('list.empty');
         }
 
-        let response = '📋 *Monitoramentos Ativos:*\n\n';
+        let response = `${t('list.title')}\n\n`;
         configs.forEach((config, index) => {
-            response += `${index + 1}. 🚌 Linha ${config.routeNumber}\n`;
-            response += `   📍 Parada: ${config.stopName}\n`;
-            response += `   📏 Distância: ${config.proximityThreshold}m\n`;
-            response += `   ⏰ Desde: ${config.createdAt.toLocaleString('pt-BR')}\n\n`;
+            response += `${index + 1}. ${t('list.route', { route: config.routeNumber })}\n`;
+            config.stops.forEach((stop, stopIndex) => {
+                response += `   ${t('list.stop', { index: stopIndex + 1, stop: stop.stopName })}\n`;
+                if (stop.direction) {
+                    response += `      ${t('list.direction', { direction: stop.direction })}\n`;
+                }
+                if (stop.schedule) {
+                    response += `      ${t('list.window', { window: this.formatSchedule(stop.schedule, t) })}\n`;
+                }
+                response += `      ${t('list.alert', { thresholds: this.formatThresholds(stop, t) })}\n`;
+            });
+            if (this.whatsapp.isGroupId(chatId)) {
+                response += `   ${t('list.members', { count: (config.subscribers || []).length })}\n`;
+            }
+            response += `   ${t('list.since', { date: t.dateTime(config.createdAt) })}\n\n`;
         });
 
-        response += 'Use `/stop [linha]` para parar um monitoramento específico.';
+        response += t('list.footer');
         return response;
     }
 
-    async handleSearchCommand(text) {
+    async handleSearchCommand(text, t = this.i18n.translator()) {
         const searchTerm = text.split(' ').slice(1).join(' ');
 
         if (!searchTerm) {
-            return 'Uso correto: `/search [termo]`\nExemplo: `/search 708`';
+            return t('search.usage');
         }
 
         try {
-            const result = await this.emtuService.findRoute(searchTerm);
+            const routes = await this.emtuService.searchRoutes(searchTerm);
 
-            if (!result || !result.linhas || result.linhas.length === 0) {
-                return `❌ Nenhuma linha encontrada para "${searchTerm}".`;
+            if (routes.length === 0) {
+                return t('search.noResults', { term: searchTerm });
             }
 
-            let response = `🔍 *Resultados da busca por "${searchTerm}":*\n\n`;
-
-            result.linhas.forEach(linha => {
-                response += `🚌 *Linha:* ${linha.codigo} - ${linha.consorcio}\n`;
-                response += `  Tarifa: R$${linha.tarifa}\n`;
-                response += `  Status: ${linha.status}\n`;
-                if (linha.veiculos && linha.veiculos.length > 0) {
-                    response += 'Veículos em operação:\n';
-                    linha.veiculos.forEach(veic => {
-                        response += `    • Prefixo: ${veic.prefixo}, Placa: ${veic.placa},
-                        Empresa: ${veic.empresa}, Sentido: ${veic.sentidoLinha}\n`;
+            let response = `${t('search.title', { term: searchTerm })}\n\n`;
+
+            routes.forEach(route => {
+                const fare = route.fare !== null ? t.currency(route.fare) : t('search.fareUnknown');
+                response += `${t('search.route', { route: route.number, consortium: route.consortium })}\n`;
+                response += `  ${t('search.fare', { fare })}\n`;
+                response += `  ${t('search.status', { status: route.status })}\n`;
+                if (route.vehicles.length > 0) {
+                    response += `${t('search.vehicles')}\n`;
+                    route.vehicles.forEach(vehicle => {
+                        response += `    ${t('search.vehicle', {
+                            prefix: vehicle.prefix,
+                            plate: vehicle.plate,
+                            company: vehicle.company,
+                            direction: vehicle.direction
+                        })}\n`;
                     });
                 }
-                if (linha.rotas && linha.rotas.length > 0) {
-                    linha.rotas.forEach(rota => {
-                        response += `  Sentido: ${rota.sentido}\n`;
-                        response += `  Destino: ${rota.destino}\n`;
-                        response += 'Pontos de parada:\n';
-                        rota.pontos.slice(0, 5).forEach(ponto => {
-                            response += `    • ${ponto.endereco}\n`;
-                        });
-                        if (rota.pontos.length > 5) {
-                            response += `    ... e mais ${rota.pontos.length - 5} pontos\n`;
-                        }
-                        response += `  Horários: ${rota.horarios}\n`;
+                route.directions.forEach(direction => {
+                    response += `  ${t('search.direction', { direction: direction.name })}\n`;
+                    response += `  ${t('search.destination', { destination: direction.destination })}\n`;
+                    response += `${t('search.stops')}\n`;
+                    direction.stops.slice(0, 5).forEach(stop => {
+                        response += `    • ${stop.address}\n`;
                     });
-                }
+                    if (direction.stops.length > 5) {
+                        response += `    ${t('search.moreStops', { count: direction.stops.length - 5 })}\n`;
+                    }
+                    response += `  ${t('search.schedule', { schedule: direction.schedule })}\n`;
+                });
                 response += '\n';
             });
             return response;
         } catch (error) {
             console.log(error);
-            return '❌ Erro ao realizar busca. Tente novamente.';
+            return t('search.error');
         }
     }
 
     async handleStatusCommand(chatId) {
+        const t = await this.getTranslator(chatId);
         const configs = await this.configManager.getActiveConfigurations(chatId);
         const alertStats = await this.alertManager.getAlertStatistics(chatId);
 
-        return `📊 *Status do Sistema:*
-            👤 *Seus monitoramentos:* ${configs.length}
-            🔔 *Alertas enviados hoje:* ${alertStats.today}
-            📈 *Total de alertas:* ${alertStats.total}
-            ⏱️ *Sistema ativo há:* ${this.formatUptime(process.uptime())}
-            ✅ *Status:* Online
+        return [
+            t('status.title'),
+            t('status.monitors', { count: configs.length }),
+            t('status.alertsToday', { count: alertStats.today }),
+            t('status.alertsTotal', { count: alertStats.total }),
+            t('status.uptime', { uptime: this.formatUptime(process.uptime()) }),
+            t('status.online'),
+            '',
+            t('status.footer')
+        ].join('\n');
+    }
 
-        Use \`/list\` para ver detalhes dos monitoramentos ativos.`;
+    getCheckInterval() {
+        return (parseInt(process.env.CHECK_INTERVAL_MINUTES) || 1) * 60 * 1000;
     }
 
-    async startMonitoring(config) {
-        const key = `${config.chatId}_${config.routeNumber}`;
-        
-        
-        if (this.monitoringIntervals.has(key)) {
-            clearInterval(this.monitoringIntervals.get(key));
-        }
+    async restoreActiveMonitors() {
+        const configs = (await this.configManager.getAllConfigurations()).filter(config => config.isActive);
 
-        
-        const interval = setInterval(async () => {
+        // Espalha as primeiras consultas ao longo de um intervalo para não bater na API de uma vez
+        const step = configs.length > 0 ? Math.floor(this.getCheckInterval() / configs.length) : 0;
+        let restored = 0;
+        let failed = 0;
+
+        for (const [index, { key, ...config }] of configs.entries()) {
             try {
-                await this.checkBusProximity(config);
+                if (!config.chatId || !config.routeNumber || !config.routeId || !config.stops || !config.stops.length) {
+                    throw new Error('Incomplete configuration');
+                }
+
+                await this.startMonitoring(config, index * step);
+                restored++;
             } catch (error) {
-                this.logger.error(`Monitoring error for ${key}:`, error);
+                failed++;
+                this.logger.error(`Failed to restore monitoring for ${key}:`, error.message);
             }
-        }, (parseInt(process.env.CHECK_INTERVAL_MINUTES) || 1) * 60 * 1000);
+        }
 
-        this.monitoringIntervals.set(key, interval);
-        this.logger.info(`Started monitoring for route ${config.routeNumber} (chat: ${config.chatId})`);
+        this.restoreStats = {
+            total: configs.length,
+            restored,
+            failed,
+            completedAt: new Date()
+        };
+
+        this.logger.info(`Restored ${restored} of ${configs.length} active monitors (${failed} failed)`);
+        return this.restoreStats;
+    }
+
+    getMonitorKey(chatId, routeNumber) {
+        return `${chatId}_${routeNumber}`;
+    }
+
+    // Cada parada tem sua assinatura no RouteScheduler: `${chatId}_${linha}:${stopId}`
+    getStopKey(view) {
+        return `${this.getMonitorKey(view.chatId, view.routeNumber)}:${view.stopId}`;
+    }
+
+    // Visão plana de uma parada com os campos da linha, usada na checagem e nos alertas
+    getStopView(config, stop) {
+        return {
+            chatId: config.chatId,
+            routeId: config.routeId,
+            routeNumber: config.routeNumber,
+            maxAlerts: config.maxAlerts,
+            channel: config.channel,
+            target: config.target,
+            subscribers: config.subscribers,
+            isActive: config.isActive,
+            createdAt: config.createdAt,
+            ...stop
+        };
+    }
+
+    getSubscriptionKeys(prefix) {
+        const keys = new Set([...this.scheduler.keys(), ...this.scheduleManager.keys()]);
+        return Array.from(keys).filter(key => key.startsWith(prefix));
+    }
+
+    isPolling(chatId, routeNumber, stopId = null) {
+        if (stopId) {
+            return this.scheduler.has(this.getStopKey({ chatId, routeNumber, stopId }));
+        }
+        const prefix = `${this.getMonitorKey(chatId, routeNumber)}:`;
+        return this.scheduler.keys().some(key => key.startsWith(prefix));
+    }
+
+    async startMonitoring(config, initialDelay = 0) {
+        const views = config.stops.map(stop => this.getStopView(config, stop));
+        const keys = views.map(view => this.getStopKey(view));
+
+        // Paradas que saíram da configuração deixam de ser consultadas
+        for (const key of this.getSubscriptionKeys(`${this.getMonitorKey(config.chatId, config.routeNumber)}:`)) {
+            if (!keys.includes(key)) {
+                this.unsubscribeStop(key);
+            }
+        }
+
+        views.forEach(view => this.startStopMonitoring(view, initialDelay));
+
+        this.logger.info(
+            `Started monitoring for route ${config.routeNumber} (chat: ${config.chatId}, ${views.length} stop(s))`
+        );
+    }
+
+    startStopMonitoring(view, initialDelay = 0) {
+        const key = this.getStopKey(view);
+        const handler = vehicles => this.checkBusProximity(view, vehicles);
+
+        if (view.schedule) {
+            this.scheduleManager.register(key, view.schedule, {
+                onStart: () => this.scheduler.subscribe(view.routeId, key, handler),
+                onStop: () => {
+                    this.scheduler.unsubscribe(key);
+                    this.forgetApproaches(key);
+                }
+            });
+
+            if (!this.scheduleManager.isWithinWindow(view.schedule)) {
+                this.scheduler.unsubscribe(key);
+                this.logger.info(
+                    `Stop ${view.stopId} of route ${view.routeNumber} (chat: ${view.chatId}) is outside its window`
+                );
+                return;
+            }
+        } else {
+            this.scheduleManager.unregister(key);
+        }
+
+        this.scheduler.subscribe(view.routeId, key, handler, initialDelay);
+    }
+
+    unsubscribeStop(key) {
+        const wasPolling = this.scheduler.unsubscribe(key);
+        const wasScheduled = this.scheduleManager.unregister(key);
+        this.forgetApproaches(key);
+        return wasPolling || wasScheduled;
     }
 
     async stopMonitoring(chatId, routeNumber) {
-        const key = `${chatId}_${routeNumber}`;
+        const keys = this.getSubscriptionKeys(`${this.getMonitorKey(chatId, routeNumber)}:`);
+        keys.forEach(key => this.unsubscribeStop(key));
         
-        if (this.monitoringIntervals.has(key)) {
-            clearInterval(this.monitoringIntervals.get(key));
-            this.monitoringIntervals.delete(key);
+        if (keys.length > 0) {
             await this.configManager.deactivateConfiguration(chatId, routeNumber);
             this.logger.info(`Stopped monitoring for route ${routeNumber} (chat: ${chatId})`);
             return true;
@@ -394,15 +1198,11 @@ class EMTULiveChecker {
     }
 
     async stopAllMonitoring(chatId) {
-        let stoppedCount = 0;
-        
-        for (const [key, interval] of this.monitoringIntervals.entries()) {
-            if (key.startsWith(chatId + '_')) {
-                clearInterval(interval);
-                this.monitoringIntervals.delete(key);
-                stoppedCount++;
-            }
-        }
+        const keys = this.getSubscriptionKeys(chatId + '_');
+        keys.forEach(key => this.unsubscribeStop(key));
+
+        // Conta linhas, não paradas
+        const stoppedCount = new Set(keys.map(key => key.slice(0, key.indexOf(':')))).size;
         
         if (stoppedCount > 0) {
             await this.configManager.deactivateAllConfigurations(chatId);
@@ -411,36 +1211,30 @@ class EMTULiveChecker {
         return stoppedCount;
     }
 
-    async checkBusProximity(config) {
+    async checkBusProximity(config, vehicles = null) {
         try {
-            const vehicles = await this.emtuService.getVehiclePositions(config.routeId);
-            const stopLocation = await this.emtuService.getStopLocation(config.stopId);
+            if (!vehicles) {
+                vehicles = await this.emtuService.getVehiclePositions(config.routeId);
+            }
+            const stop = await this.emtuService.getStop(config.stopId, config.routeNumber);
+            if (!stop) {
+                this.logger.warn(`Stop ${config.stopId} not found in route ${config.routeNumber} catalogue`);
+                return;
+            }
 
-            for (const vehicle of vehicles) {
-                const distance = this.calculateDistance(
-                    vehicle.latitude,
-                    vehicle.longitude,
-                    stopLocation.latitude,
-                    stopLocation.longitude
-                );
+            // Configurações antigas não guardavam o sentido; o ID da parada já o identifica
+            const direction = config.direction || stop.direction;
+            if (config.direction && stop.direction !== config.direction) {
+                this.logger.warn(`Stop ${config.stopId} does not belong to direction ${config.direction}`);
+                return;
+            }
 
-                if (distance <= config.proximityThreshold) {
-                    const shouldSendAlert = await this.alertManager.shouldSendAlert(
-                        config.chatId,
-                        config.routeId,
-                        vehicle.id,
-                        config.maxAlerts
-                    );
-
-                    if (shouldSendAlert) {
-                        await this.sendProximityAlert(config, vehicle, distance);
-                        await this.alertManager.recordAlert(
-                            config.chatId,
-                            config.routeId,
-                            vehicle.id,
-                            distance
-                        );
-                    }
+            // Um canal que falha (timeout do webhook, erro de SMTP) não impede os alertas dos demais veículos
+            for (const vehicle of vehicles) {
+                try {
+                    await this.checkVehicleProximity(config, stop, direction, vehicle);
+                } catch (error) {
+                    this.logger.error(`Error checking vehicle ${vehicle.id} for ${this.getStopKey(config)}:`, error);
                 }
             }
         } catch (error) {
@@ -448,34 +1242,185 @@ class EMTULiveChecker {
         }
     }
 
-    async sendProximityAlert(config, vehicle, distance) {
-        const message = `🔔 *Alerta de Proximidade!*
+    async checkVehicleProximity(config, stop, direction, vehicle) {
+        if (vehicle.direction && vehicle.direction !== direction) {
+            return;
+        }
+
+        const approachKey = `${this.getStopKey(config)}:${vehicle.id}`;
 
-🚌 Linha: ${config.routeNumber}
-📍 Parada: ${config.stopName}
-📏 Distância: ${Math.round(distance)}m
-🚗 Veículo: ${vehicle.id}
-⏰ ${new Date().toLocaleTimeString('pt-BR')}
+        if (this.emtuService.isStale(vehicle)) {
+            if (this.trackedApproaches.delete(approachKey)) {
+                await this.notifyVehicleSilent(config, vehicle);
+            }
+            return;
+        }
 
-O ônibus está se aproximando da sua parada!`;
+        const state = await this.emtuService.getApproachState(vehicle, stop);
 
-        await this.whatsapp.sendMessage(config.chatId, message);
-        this.logger.info(`Proximity alert sent to ${config.chatId} for route ${config.routeNumber}`);
+        if (state.passed) {
+            if (this.trackedApproaches.delete(approachKey)) {
+                await this.notifyStopPassed(config, vehicle);
+            }
+            return;
+        }
+
+        const distance = state.distance;
+        if (!state.approaching) return;
+
+        const withinDistance = Boolean(config.proximityThreshold) && distance <= config.proximityThreshold;
+        const eta = config.arrivalThreshold || withinDistance
+            ? await this.emtuService.estimateArrival(vehicle, stop)
+            : null;
+        const withinTime = Boolean(config.arrivalThreshold) && eta !== null &&
+            eta.arrivalTime.getTime() - Date.now() <= config.arrivalThreshold * 60 * 1000;
+
+        if (withinDistance || withinTime) {
+            const shouldSendAlert = await this.alertManager.shouldSendAlert(
+                config.chatId,
+                config.routeId,
+                vehicle.id,
+                config.maxAlerts,
+                config.stopId
+            );
+
+            if (shouldSendAlert) {
+                await this.sendProximityAlert(config, vehicle, distance, eta);
+                this.trackedApproaches.add(approachKey);
+                await this.alertManager.recordAlert(
+                    config.chatId,
+                    config.routeId,
+                    vehicle.id,
+                    distance,
+                    config.stopName,
+                    config.stopId
+                );
+                this.liveFeed.publish(config.routeId, 'proximity', {
+                    chatId: config.chatId,
+                    routeNumber: config.routeNumber,
+                    stopId: config.stopId,
+                    stopName: config.stopName,
+                    vehicleId: vehicle.id,
+                    distance: Math.round(distance),
+                    estimatedMinutes: eta ? eta.estimatedMinutes : null
+                });
+            }
+        }
     }
 
-    calculateDistance(lat1, lon1, lat2, lon2) {
-    const R = 6371e3; 
-        const φ1 = lat1 * Math.PI/180;
-        const φ2 = lat2 * Math.PI/180;
-        const Δφ = (lat2-lat1) * Math.PI/180;
-        const Δλ = (lon2-lon1) * Math.PI/180;
+    async sendProximityAlert(config, vehicle, distance, eta = null) {
+        const mentions = this.whatsapp.isGroupId(config.chatId) ? config.subscribers || [] : [];
+        const mentionLine = mentions.length > 0
+            ? `\n\n👥 ${mentions.map(memberId => this.whatsapp.formatMention(memberId)).join(' ')}`
+            : '';
+
+        const t = await this.getTranslator(config.chatId);
+        const data = this.getAlertData(config, vehicle, distance, eta, t);
+        const message = `${this.alertTemplates.renderAlert('proximity', t.locale, data)}${mentionLine}`;
+
+        const context = {
+            event: 'proximity',
+            vehicleId: vehicle.id,
+            distance: Math.round(distance),
+            estimatedMinutes: eta ? eta.estimatedMinutes : null
+        };
+        if (mentions.length > 0) context.mentions = mentions;
+
+        await this.notifications.send(config, message, context);
+        this.logger.info(`Proximity alert sent to ${config.chatId} for route ${config.routeNumber} (${config.stopId})`);
+    }
+
+    onStopPassed(handler) {
+        if (typeof handler === 'function') {
+            this.stopPassedHandlers.push(handler);
+        } else {
+            throw new Error('Stop passed handler must be a function');
+        }
+    }
+
+    async notifyStopPassed(config, vehicle) {
+        const t = await this.getTranslator(config.chatId);
+
+        const message = `🏁 *${t('alerts.passedTitle')}*
 
-        const a = Math.sin(Δφ/2) * Math.sin(Δφ/2) +
-                  Math.cos(φ1) * Math.cos(φ2) *
-                  Math.sin(Δλ/2) * Math.sin(Δλ/2);
-        const c = 2 * Math.atan2(Math.sqrt(a), Math.sqrt(1-a));
+🚌 ${t('alerts.route')}: ${config.routeNumber}
+📍 ${t('alerts.stop')}: ${this.formatStopLabel(config)}
+🚗 ${t('alerts.vehicle')}: ${vehicle.id}
+⏰ ${t.time(new Date())}`;
 
-    return R * c; 
+        await this.notifications.send(config, message, { event: 'stop_passed', vehicleId: vehicle.id });
+        this.logger.info(`Stop passed notice sent to ${config.chatId} for route ${config.routeNumber}`);
+
+        this.liveFeed.publish(config.routeId, 'stop_passed', {
+            chatId: config.chatId,
+            routeNumber: config.routeNumber,
+            stopId: config.stopId,
+            stopName: config.stopName,
+            vehicleId: vehicle.id
+        });
+
+        for (const handler of this.stopPassedHandlers) {
+            try {
+                await handler({ config, vehicle, passedAt: new Date() });
+            } catch (error) {
+                this.logger.error('Error in stop passed handler:', error);
+            }
+        }
+    }
+
+    async notifyVehicleSilent(config, vehicle) {
+        const minutes = Math.round(this.emtuService.getTransmissionAge(vehicle) / 60000);
+        const t = await this.getTranslator(config.chatId);
+
+        const message = `📡 *${t('alerts.silentTitle')}*
+
+🚌 ${t('alerts.route')}: ${config.routeNumber}
+📍 ${t('alerts.stop')}: ${this.formatStopLabel(config)}
+🚗 ${t('alerts.vehicle')}: ${vehicle.id}
+⏱️ ${t('alerts.lastPosition', { minutes: t.number(minutes) })}
+
+${t('alerts.silentNote')}`;
+
+        await this.notifications.send(config, message, { event: 'vehicle_silent', vehicleId: vehicle.id });
+        this.logger.info(`Vehicle silent notice sent to ${config.chatId} for vehicle ${vehicle.id}`);
+    }
+
+    // Dados disponíveis nos modelos de alerta, já formatados no idioma do chat
+    getAlertData(config, vehicle, distance, eta, t = this.i18n.translator()) {
+        const hasPosition = Number.isFinite(vehicle.latitude) && Number.isFinite(vehicle.longitude);
+
+        return {
+            route: config.routeNumber,
+            stop: this.formatStopLabel(config),
+            stopName: config.stopName,
+            direction: config.direction || null,
+            vehicle: vehicle.id,
+            prefix: vehicle.prefix || null,
+            plate: vehicle.plate || null,
+            company: vehicle.company || null,
+            distance: t.number(Math.round(distance)),
+            eta: eta ? this.formatEta(eta, t) : null,
+            etaMinutes: eta ? t.number(eta.estimatedMinutes) : null,
+            arrivalTime: eta ? t.time(eta.arrivalTime) : null,
+            mapLink: hasPosition ? `https://maps.google.com/?q=${vehicle.latitude},${vehicle.longitude}` : null,
+            time: t.time(new Date())
+        };
+    }
+
+    formatStopLabel(config) {
+        return config.direction ? `${config.stopName} (${config.direction})` : config.stopName;
+    }
+
+    forgetApproaches(stopKey) {
+        for (const key of this.trackedApproaches) {
+            if (key.startsWith(stopKey + ':')) {
+                this.trackedApproaches.delete(key);
+            }
+        }
+    }
+
+    calculateDistance(lat1, lon1, lat2, lon2) {
+        return calculateDistance(lat1, lon1, lat2, lon2);
     }
 
     formatUptime(uptime) {
@@ -488,16 +1433,19 @@ O ônibus está se aproximando da sua parada!`;
         this.logger.info('Shutting down EMTU Live Checker...');
         
         
-        for (const interval of this.monitoringIntervals.values()) {
-            clearInterval(interval);
-        }
-        this.monitoringIntervals.clear();
+        this.scheduler.stop();
+        this.scheduler.clear();
+        this.scheduleManager.clear();
+        this.liveFeed.clear();
+        this.notifications.close();
 
         
         if (this.whatsapp) {
             await this.whatsapp.destroy();
         }
 
+        this.database.close();
+
         this.logger.info('EMTU Live Checker shut down successfully');
     }
 }
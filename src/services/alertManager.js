@@ -1,22 +1,22 @@
-const fs = require('fs-extra');
-const path = require('path');
 const Logger = require('../utils/logger');
+const Database = require('../storage/database');
+const AlertRepository = require('../storage/alertRepository');
 
 class AlertManager {
-    constructor() {
+    constructor(options = {}) {
         this.logger = new Logger();
-        this.alertsPath = process.env.DB_PATH || './data/alerts.json';
+        this.database = options.database || new Database();
+        this.repository = options.repository || new AlertRepository(this.database);
+        // Sem PreferencesManager, vale o cooldown padrão para todos os chats
+        this.preferences = options.preferences || null;
         this.cooldownPeriod = 10 * 60 * 1000; 
-        this.alerts = new Map();
-        this.sentAlerts = new Map(); 
+        this.historyLimit = 100;
         this.initialize();
     }
 
     async initialize() {
         try {
-            await fs.ensureDir(path.dirname(this.alertsPath));
-            
-            await this.loadAlerts();
+            this.database.open();
             
             setInterval(() => this.cleanupOldAlerts(), 60 * 60 * 1000); 
             
@@ -26,88 +26,42 @@ class AlertManager {
         }
     }
 
-    async loadAlerts() {
-        try {
-            if (await fs.pathExists(this.alertsPath)) {
-                const data = await fs.readJson(this.alertsPath);
-                
-                
-                if (data.alerts) {
-                    for (const [key, alertList] of Object.entries(data.alerts)) {
-                        this.alerts.set(key, alertList.map(alert => ({
-                            ...alert,
-                            timestamp: new Date(alert.timestamp)
-                        })));
-                    }
-                }
-
-               
-                if (data.sentAlerts) {
-                    for (const [key, alertData] of Object.entries(data.sentAlerts)) {
-                        this.sentAlerts.set(key, {
-                            ...alertData,
-                            lastSent: new Date(alertData.lastSent)
-                        });
-                    }
-                }
-
-                this.logger.debug(`Loaded ${this.alerts.size} alert configurations and ${this.sentAlerts.size} sent alert records`);
-            }
-        } catch (error) {
-            this.logger.error('Failed to load alerts from file:', error);
-        }
-    }
-
-    async saveAlerts() {
-        try {
-            const data = {
-                alerts: {},
-                sentAlerts: {},
-                lastUpdated: new Date().toISOString()
-            };
-
-            
-            for (const [key, alertList] of this.alerts.entries()) {
-                data.alerts[key] = alertList;
-            }
-
-            
-            for (const [key, alertData] of this.sentAlerts.entries()) {
-                data.sentAlerts[key] = alertData;
-            }
-
-            await fs.writeJson(this.alertsPath, data, { spaces: 2 });
-            this.logger.debug('Alerts saved to file');
-        } catch (error) {
-            this.logger.error('Failed to save alerts to file:', error);
-        }
-    }
-
-    generateAlertKey(chatId, routeId, vehicleId) {
-        return `${chatId}_${routeId}_${vehicleId}`;
+    // O cooldown é por parada: o mesmo ônibus pode alertar a parada de casa e depois a do trabalho
+    generateAlertKey(chatId, routeId, vehicleId, stopId = null) {
+        const key = `${chatId}_${routeId}_${vehicleId}`;
+        return stopId ? `${key}_${stopId}` : key;
     }
 
     generateChatRouteKey(chatId, routeId) {
         return `${chatId}_${routeId}`;
     }
 
-    async shouldSendAlert(chatId, routeId, vehicleId, maxAlerts = 5) {
+    // `maxAlerts` é o limite do próprio monitor; sem ele vale o limite diário das preferências do chat
+    async shouldSendAlert(chatId, routeId, vehicleId, maxAlerts = null, stopId = null) {
         try {
-            const alertKey = this.generateAlertKey(chatId, routeId, vehicleId);
+            const alertKey = this.generateAlertKey(chatId, routeId, vehicleId, stopId);
             const chatRouteKey = this.generateChatRouteKey(chatId, routeId);
-            
-            const lastAlert = this.sentAlerts.get(alertKey);
+            const preferences = this.preferences ? await this.preferences.getPreferences(chatId) : null;
+
+            if (preferences && this.preferences.isQuietTime(preferences.quietHours)) {
+                this.logger.debug(`Quiet hours active for ${chatId}`);
+                return false;
+            }
+
+            const cooldownPeriod = preferences ? preferences.cooldownMinutes * 60 * 1000 : this.cooldownPeriod;
+            const lastAlert = this.repository.getSentAlert(alertKey);
             if (lastAlert) {
                 const timeSinceLastAlert = Date.now() - lastAlert.lastSent.getTime();
-                if (timeSinceLastAlert < this.cooldownPeriod) {
+                if (timeSinceLastAlert < cooldownPeriod) {
                     this.logger.debug(`Alert cooldown active for ${alertKey} (${Math.round(timeSinceLastAlert / 1000)}s ago)`);
                     return false;
                 }
             }
 
+            const limit = maxAlerts || (preferences ? preferences.maxAlertsPerDay : 5);
             const todayAlerts = this.getTodayAlerts(chatId, routeId);
-            if (todayAlerts.length >= maxAlerts) {
-                this.logger.debug(`Maximum daily alerts reached for ${chatRouteKey} (${todayAlerts.length}/${maxAlerts})`);
+            if (todayAlerts.length >= limit) {
+                this.logger.debug(`Maximum daily alerts reached for ${chatRouteKey} (${todayAlerts.length}/${limit})`);
                 return false;
             }
 
@@ -118,45 +72,34 @@ class AlertManager {
         }
     }
 
-    async recordAlert(chatId, routeId, vehicleId, distance, stopName = '') {
+    async recordAlert(chatId, routeId, vehicleId, distance, stopName = '', stopId = null) {
         try {
             const now = new Date();
-            const alertKey = this.generateAlertKey(chatId, routeId, vehicleId);
-            const chatRouteKey = this.generateChatRouteKey(chatId, routeId);
-
-            this.sentAlerts.set(alertKey, {
-                chatId,
-                routeId,
-                vehicleId,
-                lastSent: now,
-                distance,
-                stopName
+            const alertKey = this.generateAlertKey(chatId, routeId, vehicleId, stopId);
+
+            this.database.transaction(() => {
+                this.repository.saveSentAlert(alertKey, {
+                    chatId,
+                    routeId,
+                    vehicleId,
+                    lastSent: now,
+                    distance,
+                    stopName
+                });
+
+                this.repository.insertAlert({
+                    chatId,
+                    routeId,
+                    vehicleId,
+                    distance,
+                    stopName,
+                    timestamp: now,
+                    alertKey
+                });
+
+                this.repository.trimHistory(chatId, routeId, this.historyLimit);
             });
 
-            
-            if (!this.alerts.has(chatRouteKey)) {
-                this.alerts.set(chatRouteKey, []);
-            }
-
-            const alertRecord = {
-                vehicleId,
-                distance,
-                stopName,
-                timestamp: now,
-                alertKey
-            };
-
-            this.alerts.get(chatRouteKey).push(alertRecord);
-
-            
-            const alertList = this.alerts.get(chatRouteKey);
-            if (alertList.length > 100) {
-                alertList.splice(0, alertList.length - 100);
-            }
-
-            
-            await this.saveAlerts();
-
             this.logger.info(`Alert recorded: ${chatId} - Route ${routeId} - Vehicle ${vehicleId} - Distance ${Math.round(distance)}m`);
         } catch (error) {
             this.logger.error('Error recording alert:', error);
@@ -164,25 +107,14 @@ class AlertManager {
     }
 
     getTodayAlerts(chatId, routeId) {
-        const chatRouteKey = this.generateChatRouteKey(chatId, routeId);
-        const alerts = this.alerts.get(chatRouteKey) || [];
-        
         const today = new Date();
         today.setHours(0, 0, 0, 0);
 
-        return alerts.filter(alert => {
-            const alertDate = new Date(alert.timestamp);
-            return alertDate >= today;
-        });
+        return this.repository.findAlerts({ chatId, routeId, since: today });
     }
 
     async getAlertStatistics(chatId, routeId = null) {
         try {
-            let totalAlerts = 0;
-            let todayAlerts = 0;
-            let thisWeekAlerts = 0;
-            let routeStats = {};
-
             const today = new Date();
             today.setHours(0, 0, 0, 0);
 
@@ -192,40 +124,30 @@ class AlertManager {
 
             
             if (routeId) {
-                const chatRouteKey = this.generateChatRouteKey(chatId, routeId);
-                const alerts = this.alerts.get(chatRouteKey) || [];
-
-                totalAlerts = alerts.length;
-                todayAlerts = alerts.filter(alert => new Date(alert.timestamp) >= today).length;
-                thisWeekAlerts = alerts.filter(alert => new Date(alert.timestamp) >= weekAgo).length;
-
                 return {
-                    total: totalAlerts,
-                    today: todayAlerts,
-                    thisWeek: thisWeekAlerts,
+                    total: this.repository.countAlerts({ chatId, routeId }),
+                    today: this.repository.countAlerts({ chatId, routeId, since: today }),
+                    thisWeek: this.repository.countAlerts({ chatId, routeId, since: weekAgo }),
                     routeId
                 };
             }
 
             
-            for (const [key, alerts] of this.alerts.entries()) {
-                if (key.startsWith(chatId + '_')) {
-                    const routeIdFromKey = key.split('_')[1];
-                    
-                    const routeTotal = alerts.length;
-                    const routeToday = alerts.filter(alert => new Date(alert.timestamp) >= today).length;
-                    const routeWeek = alerts.filter(alert => new Date(alert.timestamp) >= weekAgo).length;
-
-                    totalAlerts += routeTotal;
-                    todayAlerts += routeToday;
-                    thisWeekAlerts += routeWeek;
-
-                    routeStats[routeIdFromKey] = {
-                        total: routeTotal,
-                        today: routeToday,
-                        thisWeek: routeWeek
-                    };
-                }
+            let totalAlerts = 0;
+            let todayAlerts = 0;
+            let thisWeekAlerts = 0;
+            const routeStats = {};
+
+            for (const row of this.repository.countByRoute(chatId, today, weekAgo)) {
+                totalAlerts += row.total;
+                todayAlerts += row.today;
+                thisWeekAlerts += row.thisWeek;
+
+                routeStats[row.routeId] = {
+                    total: row.total,
+                    today: row.today,
+                    thisWeek: row.thisWeek
+                };
             }
 
             return {
@@ -247,28 +169,7 @@ class AlertManager {
 
     async getAlertHistory(chatId, routeId = null, limit = 50) {
         try {
-            let allAlerts = [];
-
-            if (routeId) {
-                const chatRouteKey = this.generateChatRouteKey(chatId, routeId);
-                const alerts = this.alerts.get(chatRouteKey) || [];
-                allAlerts = [...alerts];
-            } else {
-                
-                for (const [key, alerts] of this.alerts.entries()) {
-                    if (key.startsWith(chatId + '_')) {
-                        allAlerts.push(...alerts.map(alert => ({
-                            ...alert,
-                            routeId: key.split('_')[1]
-                        })));
-                    }
-                }
-            }
-
-            
-            allAlerts.sort((a, b) => new Date(b.timestamp) - new Date(a.timestamp));
-            
-            return allAlerts.slice(0, limit);
+            return this.repository.findAlerts({ chatId, routeId, limit });
         } catch (error) {
             this.logger.error('Error getting alert history:', error);
             return [];
@@ -280,36 +181,10 @@ class AlertManager {
             const oneMonthAgo = new Date();
             oneMonthAgo.setMonth(oneMonthAgo.getMonth() - 1);
 
-            let cleaned = 0;
-
-            
-            for (const [key, alerts] of this.alerts.entries()) {
-                const filteredAlerts = alerts.filter(alert => 
-                    new Date(alert.timestamp) > oneMonthAgo
-                );
-                
-                if (filteredAlerts.length !== alerts.length) {
-                    this.alerts.set(key, filteredAlerts);
-                    cleaned += alerts.length - filteredAlerts.length;
-                }
-
-                
-                if (filteredAlerts.length === 0) {
-                    this.alerts.delete(key);
-                }
-            }
-
-            
-            for (const [key, alertData] of this.sentAlerts.entries()) {
-                if (alertData.lastSent < oneMonthAgo) {
-                    this.sentAlerts.delete(key);
-                    cleaned++;
-                }
-            }
+            const cleaned = this.repository.deleteOlderThan(oneMonthAgo);
 
             if (cleaned > 0) {
                 this.logger.info(`Cleaned up ${cleaned} old alert records`);
-                this.saveAlerts();
             }
         } catch (error) {
             this.logger.error('Error during alert cleanup:', error);
@@ -318,25 +193,9 @@ class AlertManager {
 
     async clearAlertsForChat(chatId) {
         try {
-            let cleared = 0;
-
-            
-            for (const key of this.alerts.keys()) {
-                if (key.startsWith(chatId + '_')) {
-                    this.alerts.delete(key);
-                    cleared++;
-                }
-            }
-
-            
-            for (const key of this.sentAlerts.keys()) {
-                if (key.startsWith(chatId + '_')) {
-                    this.sentAlerts.delete(key);
-                }
-            }
+            const cleared = this.repository.deleteForChat(chatId);
 
             if (cleared > 0) {
-                await this.saveAlerts();
                 this.logger.info(`Cleared ${cleared} alert configurations for chat ${chatId}`);
             }
 
@@ -349,25 +208,13 @@ class AlertManager {
 
     async clearAlertsForRoute(chatId, routeId) {
         try {
-            const chatRouteKey = this.generateChatRouteKey(chatId, routeId);
-            
-            
-            const deleted = this.alerts.delete(chatRouteKey);
-
-            
-            for (const key of this.sentAlerts.keys()) {
-                if (key.startsWith(chatRouteKey + '_')) {
-                    this.sentAlerts.delete(key);
-                }
-            }
+            const deleted = this.repository.deleteForRoute(chatId, routeId);
 
             if (deleted) {
-                await this.saveAlerts();
                 this.logger.info(`Cleared alerts for chat ${chatId} route ${routeId}`);
-                return true;
             }
 
-            return false;
+            return deleted;
         } catch (error) {
             this.logger.error('Error clearing alerts for route:', error);
             return false;
@@ -377,35 +224,12 @@ class AlertManager {
     
     async getSystemStatistics() {
         try {
-            const stats = {
-                totalChats: new Set(),
-                totalRoutes: new Set(),
-                totalAlerts: 0,
-                todayAlerts: 0,
-                activeAlerts: this.sentAlerts.size
-            };
-
             const today = new Date();
             today.setHours(0, 0, 0, 0);
 
-            for (const [key, alerts] of this.alerts.entries()) {
-                const [chatId, routeId] = key.split('_');
-                stats.totalChats.add(chatId);
-                stats.totalRoutes.add(routeId);
-                stats.totalAlerts += alerts.length;
-                
-                const todayAlertsForRoute = alerts.filter(alert => 
-                    new Date(alert.timestamp) >= today
-                ).length;
-                stats.todayAlerts += todayAlertsForRoute;
-            }
-
             return {
-                totalChats: stats.totalChats.size,
-                totalRoutes: stats.totalRoutes.size,
-                totalAlerts: stats.totalAlerts,
-                todayAlerts: stats.todayAlerts,
-                activeAlerts: stats.activeAlerts
+                ...this.repository.getTotals(today),
+                activeAlerts: this.repository.countSentAlerts()
             };
         } catch (error) {
             this.logger.error('Error getting system statistics:', error);
@@ -0,0 +1,80 @@
+const nodemailer = require('nodemailer');
+const Notifier = require('./notifier');
+const Logger = require('../utils/logger');
+
+class EmailNotifier extends Notifier {
+    constructor(options = {}) {
+        super('email');
+        this.from = options.from || process.env.SMTP_FROM || process.env.SMTP_USER;
+        // Endereços (ana@empresa.com.br) ou domínios inteiros (empresa.com.br) que podem receber alertas
+        this.allowedRecipients = (options.allowedRecipients || process.env.EMAIL_ALLOWED_RECIPIENTS || '')
+            .split(',')
+            .map(entry => entry.trim().toLowerCase())
+            .filter(Boolean);
+        this.logger = new Logger();
+
+        const host = options.host || process.env.SMTP_HOST;
+        const user = options.user || process.env.SMTP_USER;
+        this.transport = host
+            ? nodemailer.createTransport({
+                host,
+                port: options.port || parseInt(process.env.SMTP_PORT) || 587,
+                secure: options.secure !== undefined ? options.secure : process.env.SMTP_SECURE === 'true',
+                ignoreTLS: options.ignoreTLS || false,
+                auth: user ? { user, pass: options.pass || process.env.SMTP_PASS } : undefined
+            })
+            : null;
+    }
+
+    isAvailable() {
+        return Boolean(this.transport && this.from);
+    }
+
+    // Sem lista configurada nenhum endereço é aceito, para o bot não servir de relay aberto
+    validateTarget(target) {
+        const address = String(target).trim().toLowerCase();
+        if (!/^[^\s@,;<>]+@[^\s@,;<>]+\.[^\s@,;<>]+$/.test(address)) {
+            return 'must be a single e-mail address';
+        }
+
+        const domain = address.split('@')[1];
+        if (!this.allowedRecipients.includes(address) && !this.allowedRecipients.includes(domain)) {
+            return 'recipient is not in EMAIL_ALLOWED_RECIPIENTS';
+        }
+        return null;
+    }
+
+    // Primeira linha da mensagem sem a formatação do WhatsApp
+    buildSubject(message) {
+        const firstLine = message.split('\n').find(line => line.trim()) || 'EMTU Live Checker';
+        return firstLine.replace(/[*_~`]/g, '').trim();
+    }
+
+    async send(address, message) {
+        try {
+            if (!this.isAvailable()) {
+                throw new Error('SMTP is not configured');
+            }
+
+            await this.transport.sendMail({
+                from: this.from,
+                to: address,
+                subject: this.buildSubject(message),
+                text: message.replace(/\*/g, '')
+            });
+
+            this.logger.debug(`E-mail sent to ${address}`);
+        } catch (error) {
+            this.logger.error(`Failed to send e-mail to ${address}:`, error.message);
+            throw error;
+        }
+    }
+
+    close() {
+        if (this.transport) {
+            this.transport.close();
+        }
+    }
+}
+
+module.exports = EmailNotifier;
@@ -1,10 +1,66 @@
 const axios = require('axios');
+const VehicleTracker = require('./vehicleTracker');
+const { calculateDistance, cumulativeDistances, projectOnPolyline } = require('../utils/geo');
+
+/**
+ * Modelo de domínio devolvido por todos os métodos do EMTUService.
+ *
+ * @typedef {Object} Stop
+ * @property {string} id - `${routeNumber}_${direction}_${sequence}`
+ * @property {string|null} code - Código do ponto no portal, quando informado
+ * @property {string} name
+ * @property {string} address
+ * @property {number} latitude
+ * @property {number} longitude
+ * @property {string} routeNumber
+ * @property {string} direction - 'ida' ou 'volta'
+ * @property {string|null} destination
+ * @property {number} sequence - Posição do ponto no sentido, começando em 1
+ *
+ * @typedef {Object} Direction
+ * @property {string} id - `${routeNumber}_${name}`
+ * @property {string} name - 'ida' ou 'volta'
+ * @property {string|null} destination
+ * @property {string|null} schedule
+ * @property {Stop[]} stops
+ *
+ * @typedef {Object} Vehicle
+ * @property {string} id
+ * @property {string} prefix
+ * @property {string|null} plate
+ * @property {string|null} company
+ * @property {string} routeNumber
+ * @property {string|null} direction - 'ida' ou 'volta'
+ * @property {number} latitude
+ * @property {number} longitude
+ * @property {Date|null} lastTransmission
+ *
+ * @typedef {Object} Route
+ * @property {string} id
+ * @property {string} number
+ * @property {string} name
+ * @property {string|null} consortium
+ * @property {number|null} fare
+ * @property {string|null} status
+ * @property {Direction[]} directions
+ * @property {Vehicle[]} vehicles
+ */
 
 class EMTUService {
     constructor() {
         this.baseURL = process.env.EMTU_API_BASE_URL || 'https://bustime.noxxonsat.com.br';
         this.cache = new Map();
         this.cacheTimeout = 5 * 60 * 1000;
+        this.stopIndex = new Map();
+        this.tracker = new VehicleTracker();
+        this.routeOffsetLimit = 300;
+        this.passedTolerance = 50;
+        this.gpsJitter = 15;
+        this.speedWindow = 10 * 60 * 1000;
+        this.defaultSpeed = 15 / 3.6;
+        this.minSpeed = 5 / 3.6;
+        this.maxSpeed = 80 / 3.6;
+        this.staleThreshold = (parseInt(process.env.STALE_GPS_MINUTES) || 10) * 60 * 1000;
 
 
         // Username e password podem ser qualquer coisa
@@ -74,24 +130,48 @@ class EMTUService {
 
     
 
-    async findRoute(routeNumber) {
+    async fetchLinhas(routeNumber) {
+        const response = await this.api.get(`/portal?linha=${encodeURIComponent(routeNumber)}`);
+        return response.data.linhas || [];
+    }
+
+    async searchRoutes(searchTerm) {
         try {
-            const response = await this.api.get(`/portal?linha=${routeNumber}`);
-            const linhas = response.data.linhas || [];
-            if (!linhas.length) return { linhas: [] };
-            return { linhas };
+            const linhas = await this.fetchLinhas(searchTerm);
+            return linhas.map(linha => this.normalizeRoute(linha));
         } catch (error) {
             console.log('Erro na requisição:', error.message);
-            return { linhas: [] };
+            return [];
         }
     }
 
+    // A busca do portal é por prefixo ("708" traz 708BI1 e 708BI2); só o código exato vale como linha
+    findExactLinha(linhas, routeNumber) {
+        const term = this.normalizeText(routeNumber);
+        return linhas.find(linha => this.normalizeText(linha.codigo || linha.linha) === term) || null;
+    }
+
+    // Sem linha com o código exato devolve null, e quem chama oferece as opções da busca ao usuário
+    async findRoute(routeNumber) {
+        const routes = await this.searchRoutes(routeNumber);
+        const term = this.normalizeText(routeNumber);
+        return routes.find(route => this.normalizeText(route.number) === term) || null;
+    }
+
+    async fetchVehiclePositions(routeNumber) {
+        const linha = this.findExactLinha(await this.fetchLinhas(routeNumber), routeNumber);
+        if (!linha) return [];
+
+        const route = this.normalizeRoute(linha);
+        // A mesma resposta traz as rotas: o índice de paradas se renova a cada consulta do RouteScheduler
+        this.cacheStops(route);
+        this.tracker.record(route.vehicles);
+        return route.vehicles;
+    }
+
     async getVehiclePositions(routeNumber) {
         try {
-            const response = await this.api.get(`/portal?linha=${routeNumber}`);
-            const linhas = response.data.linhas || [];
-            if (!linhas.length) return [];
-            return linhas[0].veiculos || [];
+            return await this.fetchVehiclePositions(routeNumber);
         } catch (error) {
             console.log('Erro ao buscar posições dos veículos:', error.message);
             return [];
@@ -100,10 +180,8 @@ class EMTUService {
 
     async getRotas(routeNumber) {
         try {
-            const response = await this.api.get(`/portal?linha=${routeNumber}`);
-            const linhas = response.data.linhas || [];
-            if (!linhas.length) return [];
-            return linhas[0].rotas || [];
+            const route = await this.findRoute(routeNumber);
+            return route ? route.directions : [];
         } catch (error) {
             console.log('Erro ao buscar rotas:', error.message);
             return [];
@@ -112,46 +190,136 @@ class EMTUService {
 
     async getPontos(routeNumber, sentido = 'ida') {
         try {
-            const rotas = await this.getRotas(routeNumber);
-            const rota = rotas.find(r => r.sentido === sentido);
-            if (!rota) return [];
-            return rota.pontos || [];
+            const directions = await this.getRotas(routeNumber);
+            const direction = directions.find(d => d.name === sentido);
+            if (!direction) return [];
+            return direction.stops;
         } catch (error) {
             return [];
         }
     }
 
-    
-    async getStopsForRoute(routeId) {
-        const cacheKey = this.getCacheKey('route_stops', routeId);
-        const cached = this.getCache(cacheKey);
+    async getStopsForRoute(routeNumber) {
+        const cached = this.getCache(this.getCacheKey('route_stops', String(routeNumber).toUpperCase()));
         if (cached) return cached;
 
-        try {
-            const response = await this.api.get(`/v1/routes/${routeId}/stops`);
-            const stops = this.normalizeStops(response.data);
-            this.setCache(cacheKey, stops);
-            return stops;
-        } catch (error) {
-            return this.getMockStops(routeId);
+        const route = await this.findRoute(routeNumber);
+        return route ? this.cacheStops(route) : [];
+    }
+
+    cacheStops(route) {
+        const stops = this.buildStopIndex(route.directions);
+        if (stops.length) {
+            this.setCache(this.getCacheKey('route_stops', route.number), stops);
+        }
+        return stops;
+    }
+
+    buildStopIndex(directions) {
+        const stops = [];
+
+        for (const direction of directions) {
+            for (const stop of direction.stops) {
+                this.stopIndex.set(stop.id, stop);
+                stops.push(stop);
+            }
         }
+
+        return stops;
+    }
+
+    normalizeRoute(linha) {
+        const number = String(linha.codigo || linha.linha || '').toUpperCase();
+        const directions = (linha.rotas || []).map(rota => this.normalizeDirection(rota, number));
+        const destinations = directions.map(direction => direction.destination).filter(Boolean);
+
+        return {
+            id: number,
+            number,
+            name: linha.nome || linha.denominacao || destinations.join(' / ') || number,
+            consortium: linha.consorcio || null,
+            fare: linha.tarifa !== undefined && linha.tarifa !== null ? parseFloat(linha.tarifa) : null,
+            status: linha.status || null,
+            directions,
+            vehicles: (linha.veiculos || []).map(veiculo => this.normalizeVehicle(veiculo, number))
+        };
+    }
+
+    normalizeDirection(rota, routeNumber) {
+        const name = (rota.sentido || 'ida').toLowerCase();
+        const destination = rota.destino || null;
+        const stops = (rota.pontos || [])
+            .map((ponto, index) => this.normalizePonto(ponto, routeNumber, name, index, destination))
+            .filter(stop => !isNaN(stop.latitude) && !isNaN(stop.longitude));
+
+        return {
+            id: `${routeNumber}_${name}`,
+            name,
+            destination,
+            schedule: rota.horarios || null,
+            stops
+        };
     }
 
-    async findStop(stopName, routeId = null) {
+    normalizePonto(ponto, routeNumber, direction, index, destination = null) {
+        const sequence = parseInt(ponto.sequencia ?? ponto.ordem) || index + 1;
+
+        return {
+            // O código do portal se repete entre linhas e sentidos, então o ID é sempre escopado
+            id: `${routeNumber}_${direction}_${sequence}`,
+            code: ponto.id || ponto.codigo || ponto.idPonto || null,
+            name: ponto.nome || ponto.descricao || ponto.endereco,
+            address: ponto.endereco,
+            latitude: parseFloat(ponto.latitude ?? ponto.lat),
+            longitude: parseFloat(ponto.longitude ?? ponto.lng ?? ponto.lon),
+            routeNumber,
+            direction,
+            destination,
+            sequence
+        };
+    }
+
+    normalizeVehicle(veiculo, routeNumber) {
+        const lastTransmission = veiculo.dataUltimaTransmissao ? new Date(veiculo.dataUltimaTransmissao) : null;
+
+        return {
+            id: String(veiculo.idVeiculo || veiculo.prefixo),
+            prefix: String(veiculo.prefixo || veiculo.idVeiculo),
+            plate: veiculo.placa || null,
+            company: veiculo.empresa || null,
+            routeNumber,
+            direction: veiculo.sentidoLinha ? veiculo.sentidoLinha.toLowerCase() : null,
+            latitude: parseFloat(veiculo.latitude),
+            longitude: parseFloat(veiculo.longitude),
+            lastTransmission: lastTransmission && !isNaN(lastTransmission) ? lastTransmission : null
+        };
+    }
+
+    normalizeText(text) {
+        return String(text || '').normalize('NFD').replace(/[\u0300-\u036f]/g, '').toLowerCase().trim();
+    }
+
+    matchesStop(stop, term) {
+        return this.normalizeText(stop.name).includes(term) ||
+            this.normalizeText(stop.address).includes(term) ||
+            this.normalizeText(stop.code) === term;
+    }
+
+    async findStop(stopName, routeNumber = null, direction = null) {
         try {
-            let stops = [];
-            
-            if (routeId) {
-                stops = await this.getStopsForRoute(routeId);
-            } else {
-                stops = await this.getAllStops();
+            let stops = routeNumber ? await this.getStopsForRoute(routeNumber) : await this.getAllStops();
+            if (direction) {
+                stops = stops.filter(stop => stop.direction === direction);
+            }
+
+            const term = this.normalizeText(stopName);
+
+            if (/^\d+$/.test(term)) {
+                const bySequence = stops.find(stop => stop.sequence === parseInt(term));
+                if (bySequence) return bySequence;
             }
-            
-            const term = stopName.toLowerCase();
-            return stops.find(stop =>
-                stop.name.toLowerCase().includes(term) ||
-                stop.description?.toLowerCase().includes(term)
-            );
+
+            return stops.find(stop => this.matchesStop(stop, term)) || null;
         } catch (error) {
             return null;
         }
@@ -160,304 +328,189 @@ class EMTUService {
     async searchStops(searchTerm) {
         try {
             const stops = await this.getAllStops();
-            const term = searchTerm.toLowerCase();
-            
-            return stops.filter(stop =>
-                stop.name.toLowerCase().includes(term) ||
-                stop.description?.toLowerCase().includes(term) ||
-                stop.address?.toLowerCase().includes(term)
-            ).slice(0, 10); 
+            const term = this.normalizeText(searchTerm);
+
+            return stops.filter(stop => this.matchesStop(stop, term)).slice(0, 10);
         } catch (error) {
             return [];
         }
     }
 
-    async getAllStops() {
-        const cacheKey = this.getCacheKey('all_stops');
-        const cached = this.getCache(cacheKey);
-        if (cached) return cached;
-
+    // Paradas da linha a até `maxDistance` metros do ponto, da mais próxima para a mais distante
+    async findNearestStops(routeNumber, latitude, longitude, maxDistance = 800) {
         try {
-            const response = await this.api.get('/v1/stops');
-            const stops = this.normalizeStops(response.data);
-            this.setCache(cacheKey, stops);
-            return stops;
+            const stops = await this.getStopsForRoute(routeNumber);
+
+            return stops
+                .map(stop => ({
+                    ...stop,
+                    distance: calculateDistance(latitude, longitude, stop.latitude, stop.longitude)
+                }))
+                .filter(stop => stop.distance <= maxDistance)
+                .sort((a, b) => a.distance - b.distance);
         } catch (error) {
-            return this.getMockStops();
+            return [];
         }
     }
 
-    async getStopLocation(stopId) {
-        const cacheKey = this.getCacheKey('stop_location', stopId);
-        const cached = this.getCache(cacheKey);
-        if (cached) return cached;
-
-        try {
-            const response = await this.api.get(`/v1/stops/${stopId}`);
-            const location = {
-                id: stopId,
-                latitude: response.data.latitude || response.data.lat,
-                longitude: response.data.longitude || response.data.lng,
-                name: response.data.name,
-                address: response.data.address
-            };
-            this.setCache(cacheKey, location);
-            return location;
-        } catch (error) {
-            return this.getMockStopLocation(stopId);
-        }
+    async getAllStops() {
+        return Array.from(this.stopIndex.values());
     }
 
-    
-    // (método removido, pois já existe a nova versão compatível com a API atual)
-
-    async getVehicleInfo(vehicleId) {
-        try {
-            const response = await this.api.get(`/v1/vehicles/${vehicleId}`);
-            return this.normalizeVehicle(response.data);
-        } catch (error) {
-            return null;
+    async getStop(stopId, routeNumber = null) {
+        if (!this.stopIndex.has(stopId) && routeNumber) {
+            await this.getStopsForRoute(routeNumber);
         }
+
+        return this.stopIndex.get(stopId) || null;
     }
 
-    
-    async getArrivalPredictions(stopId, routeId = null) {
-        try {
-            const url = routeId 
-                ? `/v1/stops/${stopId}/predictions?route=${routeId}`
-                : `/v1/stops/${stopId}/predictions`;
-            
-            const response = await this.api.get(url);
-            return this.normalizePredictions(response.data);
-        } catch (error) {
-            return this.getMockPredictions(stopId, routeId);
-        }
+    async getDirectionStops(routeNumber, direction) {
+        const stops = await this.getStopsForRoute(routeNumber);
+        return stops
+            .filter(stop => stop.direction === direction)
+            .sort((a, b) => a.sequence - b.sequence);
     }
 
-    
-    normalizeRoutes(data) {
-        if (!Array.isArray(data)) data = [data];
-        
-        return data.map(route => ({
-            id: route.id || route.route_id || route.codigo,
-            number: route.number || route.linha || route.codigo,
-            name: route.name || route.nome || route.descricao,
-            description: route.description || route.descricao_longa,
-            type: route.type || route.tipo || 'bus',
-            active: route.active !== false
-        }));
-    }
-
-    normalizeStops(data) {
-        if (!Array.isArray(data)) data = [data];
-        
-        return data.map(stop => ({
-            id: stop.id || stop.stop_id || stop.codigo,
-            name: stop.name || stop.nome || stop.denominacao,
-            description: stop.description || stop.descricao,
-            address: stop.address || stop.endereco,
-            latitude: parseFloat(stop.latitude || stop.lat || stop.coordenada_y),
-            longitude: parseFloat(stop.longitude || stop.lng || stop.coordenada_x),
-            type: stop.type || stop.tipo || 'bus_stop'
-        }));
-    }
-
-    normalizeVehicles(data) {
-        if (!Array.isArray(data)) data = [data];
-        
-        return data.map(vehicle => ({
-            id: vehicle.id || vehicle.vehicle_id || vehicle.codigo,
-            routeId: vehicle.route_id || vehicle.linha_id,
-            latitude: parseFloat(vehicle.latitude || vehicle.lat || vehicle.coordenada_y),
-            longitude: parseFloat(vehicle.longitude || vehicle.lng || vehicle.coordenada_x),
-            bearing: vehicle.bearing || vehicle.direcao,
-            speed: vehicle.speed || vehicle.velocidade,
-            timestamp: vehicle.timestamp || vehicle.data_hora || new Date().toISOString(),
-            status: vehicle.status || 'active'
-        }));
-    }
-
-    normalizeVehicle(data) {
+    async getStopLocation(stopId, routeNumber = null) {
+        const stop = await this.getStop(stopId, routeNumber);
+        if (!stop) return null;
+
         return {
-            id: data.id || data.vehicle_id || data.codigo,
-            routeId: data.route_id || data.linha_id,
-            latitude: parseFloat(data.latitude || data.lat || data.coordenada_y),
-            longitude: parseFloat(data.longitude || data.lng || data.coordenada_x),
-            bearing: data.bearing || data.direcao,
-            speed: data.speed || data.velocidade,
-            timestamp: data.timestamp || data.data_hora || new Date().toISOString(),
-            status: data.status || 'active',
-            capacity: data.capacity || data.capacidade,
-            occupancy: data.occupancy || data.ocupacao
+            id: stop.id,
+            latitude: stop.latitude,
+            longitude: stop.longitude,
+            name: stop.name,
+            address: stop.address,
+            direction: stop.direction,
+            sequence: stop.sequence
         };
     }
 
-    normalizePredictions(data) {
-        if (!Array.isArray(data)) data = [data];
-        
-        return data.map(prediction => ({
-            routeId: prediction.route_id || prediction.linha_id,
-            vehicleId: prediction.vehicle_id || prediction.veiculo_id,
-            arrivalTime: prediction.arrival_time || prediction.tempo_chegada,
-            estimatedMinutes: prediction.estimated_minutes || prediction.minutos_estimados,
-            distance: prediction.distance || prediction.distancia,
-            status: prediction.status || 'scheduled'
-        }));
+    getTransmissionAge(vehicle, now = Date.now()) {
+        if (!vehicle.lastTransmission) return null;
+        return Math.max(0, now - vehicle.lastTransmission.getTime());
     }
 
-    normalizeRouteDetails(data) {
-        return {
-            id: data.id || data.route_id || data.codigo,
-            number: data.number || data.linha || data.codigo,
-            name: data.name || data.nome || data.descricao,
-            description: data.description || data.descricao_longa,
-            type: data.type || data.tipo || 'bus',
-            fare: data.fare || data.tarifa,
-            company: data.company || data.empresa,
-            active: data.active !== false,
-            stops: data.stops ? this.normalizeStops(data.stops) : []
-        };
+    isStale(vehicle, now = Date.now()) {
+        const age = this.getTransmissionAge(vehicle, now);
+        return age !== null && age > this.staleThreshold;
     }
 
-        
-    getMockRoutes() {
-        return [
-            {
-                id: '001',
-                number: '001',
-                name: 'Terminal São Mateus - Terminal Cidade Tiradentes',
-                description: 'Linha expressa conectando os terminais',
-                type: 'bus',
-                active: true
-            },
-            {
-                id: '002',
-                number: '002',
-                name: 'Terminal Jabaquara - Diadema Centro',
-                description: 'Linha intermunicipal',
-                type: 'bus',
-                active: true
-            },
-            {
-                id: '003',
-                number: '003',
-                name: 'Terminal Santo André - ABC',
-                description: 'Linha regional do ABC',
-                type: 'bus',
-                active: true
-            }
-        ];
-    }
-
-    getMockStops(routeId = null) {
-        const allStops = [
-            {
-                id: 'stop_001',
-                name: 'Terminal São Mateus',
-                description: 'Terminal principal',
-                address: 'Av. Ragueb Chohfi, São Mateus',
-                latitude: -23.6094,
-                longitude: -46.4736,
-                type: 'terminal'
-            },
-            {
-                id: 'stop_002',
-                name: 'Estação Cidade Tiradentes',
-                description: 'Estação do metrô',
-                address: 'Av. dos Metalúrgicos, Cidade Tiradentes',
-                latitude: -23.5963,
-                longitude: -46.4026,
-                type: 'station'
-            },
-            {
-                id: 'stop_003',
-                name: 'Shopping Anália Franco',
-                description: 'Parada em frente ao shopping',
-                address: 'Av. Regente Feijó, Vila Regente Feijó',
-                latitude: -23.5489,
-                longitude: -46.5692,
-                type: 'bus_stop'
-            }
-        ];
-
-        return routeId ? allStops.slice(0, 2) : allStops;
-    }
-
-    getMockVehicles(routeId) {
-        return [
-            {
-                id: `vehicle_${routeId}_001`,
-                routeId: routeId,
-                latitude: -23.6000 + (Math.random() - 0.5) * 0.01,
-                longitude: -46.4500 + (Math.random() - 0.5) * 0.01,
-                bearing: Math.floor(Math.random() * 360),
-                speed: Math.floor(Math.random() * 50),
-                timestamp: new Date().toISOString(),
-                status: 'active'
-            },
-            {
-                id: `vehicle_${routeId}_002`,
-                routeId: routeId,
-                latitude: -23.5950 + (Math.random() - 0.5) * 0.01,
-                longitude: -46.4450 + (Math.random() - 0.5) * 0.01,
-                bearing: Math.floor(Math.random() * 360),
-                speed: Math.floor(Math.random() * 50),
-                timestamp: new Date().toISOString(),
-                status: 'active'
+    getRouteProgress(point, stops) {
+        const projection = projectOnPolyline(point, stops);
+        if (!projection || projection.offset > this.routeOffsetLimit) return null;
+        return projection.distanceAlong;
+    }
+
+    async getApproachState(vehicle, stop) {
+        const distance = calculateDistance(vehicle.latitude, vehicle.longitude, stop.latitude, stop.longitude);
+        const stops = await this.getDirectionStops(stop.routeNumber, stop.direction);
+        const stopIndex = stops.findIndex(s => s.id === stop.id);
+        const stopProgress = stopIndex >= 0 ? cumulativeDistances(stops)[stopIndex] : null;
+
+        const current = stopProgress !== null ? this.getRouteProgress(vehicle, stops) : null;
+        const distanceAlong = current !== null ? stopProgress - current : null;
+        const passed = distanceAlong !== null && distanceAlong < -this.passedTolerance;
+
+        const timestamp = vehicle.lastTransmission ? vehicle.lastTransmission.getTime() : Date.now();
+        const previous = this.tracker.getHistory(vehicle)
+            .filter(sample => sample.direction === vehicle.direction && sample.timestamp < timestamp)
+            .pop();
+
+        let approaching = !passed;
+        if (approaching && previous) {
+            const previousProgress = current !== null ? this.getRouteProgress(previous, stops) : null;
+
+            if (previousProgress !== null) {
+                approaching = current >= previousProgress - this.gpsJitter;
+            } else {
+                const previousDistance = calculateDistance(
+                    previous.latitude, previous.longitude, stop.latitude, stop.longitude
+                );
+                approaching = distance <= previousDistance + this.gpsJitter;
             }
-        ];
+        }
+
+        return { distance, distanceAlong, approaching, passed };
     }
 
-    getMockStopLocation(stopId) {
-        const mockLocations = {
-            'stop_001': { latitude: -23.6094, longitude: -46.4736 },
-            'stop_002': { latitude: -23.5963, longitude: -46.4026 },
-            'stop_003': { latitude: -23.5489, longitude: -46.5692 }
-        };
+    estimateSpeed(vehicle, stops) {
+        const samples = this.tracker.getHistory(vehicle).filter(sample => sample.direction === vehicle.direction);
+        if (samples.length < 2) return null;
+
+        const newest = samples[samples.length - 1].timestamp;
+        const recent = samples.filter(sample => newest - sample.timestamp <= this.speedWindow);
+        let distance = 0;
+        let seconds = 0;
+
+        for (let i = 1; i < recent.length; i++) {
+            const previous = recent[i - 1];
+            const current = recent[i];
+            const elapsed = (current.timestamp - previous.timestamp) / 1000;
+            if (elapsed <= 0) continue;
+
+            const from = this.getRouteProgress(previous, stops);
+            const to = this.getRouteProgress(current, stops);
+            const travelled = from !== null && to !== null
+                ? to - from
+                : calculateDistance(previous.latitude, previous.longitude, current.latitude, current.longitude);
+
+            distance += Math.max(0, travelled);
+            seconds += elapsed;
+        }
+
+        return seconds > 0 ? distance / seconds : null;
+    }
+
+    async estimateArrival(vehicle, stop) {
+        const state = await this.getApproachState(vehicle, stop);
+        if (state.passed) return null;
+
+        const stops = await this.getDirectionStops(stop.routeNumber, stop.direction);
+        const remaining = state.distanceAlong !== null ? Math.max(0, state.distanceAlong) : state.distance;
+        const observed = this.estimateSpeed(vehicle, stops);
+        const speed = observed !== null
+            ? Math.min(this.maxSpeed, Math.max(this.minSpeed, observed))
+            : this.defaultSpeed;
+
+        // A contagem parte da última transmissão, não do momento da consulta
+        const reference = vehicle.lastTransmission ? vehicle.lastTransmission.getTime() : Date.now();
+        const arrivalTime = new Date(reference + (remaining / speed) * 1000);
 
         return {
-            id: stopId,
-            latitude: mockLocations[stopId]?.latitude || -23.5505,
-            longitude: mockLocations[stopId]?.longitude || -46.6333,
-            name: `Parada ${stopId}`,
-            address: 'Endereço da parada'
+            vehicleId: vehicle.id,
+            routeNumber: stop.routeNumber,
+            stopId: stop.id,
+            distance: remaining,
+            speed,
+            speedSource: observed !== null ? 'observed' : 'default',
+            arrivalTime,
+            estimatedMinutes: Math.max(0, Math.round((arrivalTime.getTime() - Date.now()) / 60000)),
+            approaching: state.approaching
         };
     }
 
-    getMockPredictions(stopId, routeId) {
-        return [
-            {
-                routeId: routeId || '001',
-                vehicleId: 'vehicle_001',
-                arrivalTime: new Date(Date.now() + 5 * 60 * 1000).toISOString(),
-                estimatedMinutes: 5,
-                distance: 1500,
-                status: 'on_time'
-            },
-            {
-                routeId: routeId || '001',
-                vehicleId: 'vehicle_002',
-                arrivalTime: new Date(Date.now() + 12 * 60 * 1000).toISOString(),
-                estimatedMinutes: 12,
-                distance: 3200,
-                status: 'on_time'
+    async getArrivalPredictions(stopId, routeNumber = null) {
+        const stop = await this.getStop(stopId, routeNumber);
+        if (!stop) return [];
+
+        const vehicles = await this.getVehiclePositions(stop.routeNumber);
+        const predictions = [];
+
+        for (const vehicle of vehicles) {
+            if (vehicle.direction && vehicle.direction !== stop.direction) continue;
+            if (this.isStale(vehicle)) continue;
+
+            const prediction = await this.estimateArrival(vehicle, stop);
+            if (prediction) {
+                predictions.push(prediction);
             }
-        ];
-    }
+        }
 
-    getMockRouteDetails(routeId) {
-        const mockRoutes = this.getMockRoutes();
-        const route = mockRoutes.find(r => r.id === routeId) || mockRoutes[0];
-        
-        return {
-            ...route,
-            fare: 4.40,
-            company: 'EMTU',
-            stops: this.getMockStops(routeId)
-        };
+        return predictions.sort((a, b) => a.arrivalTime - b.arrivalTime);
     }
 
-        
     async healthCheck() {
         try {
             await this.api.get('/health', { timeout: 5000 });
@@ -0,0 +1,162 @@
+const Logger = require('../utils/logger');
+
+// Fan-out dos resultados do RouteScheduler para os ouvintes de streaming (SSE)
+class LiveFeed {
+    constructor(scheduler, options = {}) {
+        this.scheduler = scheduler;
+        this.logger = new Logger();
+        this.bufferSize = options.bufferSize || 100;
+        this.idleTimeout = options.idleTimeout !== undefined ? options.idleTimeout : 60 * 1000;
+        // Conexões abertas ao mesmo tempo por dono (a chave da API), somando todas as linhas
+        this.maxListenersPerOwner = options.maxListenersPerOwner || parseInt(process.env.STREAM_MAX_PER_KEY) || 5;
+        // Linhas acompanhadas por uma mesma conexão; as demais ficam pausadas
+        this.maxRoutesPerListener = options.maxRoutesPerListener || parseInt(process.env.STREAM_MAX_ROUTES) || 20;
+        this.channels = new Map();
+        this.owners = new Map();
+        this.nextEventId = 1;
+
+        this.scheduler.onPoll((routeId, vehicles) => this.publishPositions(routeId, vehicles));
+    }
+
+    getFeedKey(routeId) {
+        return `live:${routeId}`;
+    }
+
+    getChannel(routeId) {
+        if (!this.channels.has(routeId)) {
+            this.channels.set(routeId, { listeners: new Set(), events: [], idleTimer: null });
+        }
+        return this.channels.get(routeId);
+    }
+
+    // Garante que as linhas sejam consultadas enquanto houver ouvintes, compartilhando a consulta com os
+    // monitoramentos. Um ouvinte pode acompanhar várias linhas e conta uma vez só no limite do dono.
+    // Devolve null quando o dono já está no limite de conexões
+    addListener(routeIds, listener, owner = null) {
+        const ids = [].concat(routeIds);
+
+        if (owner) {
+            const count = this.owners.get(owner) || 0;
+            if (count >= this.maxListenersPerOwner) return null;
+            this.owners.set(owner, count + 1);
+        }
+
+        for (const routeId of ids) {
+            const channel = this.getChannel(routeId);
+            const feedKey = this.getFeedKey(routeId);
+
+            if (channel.idleTimer) {
+                clearTimeout(channel.idleTimer);
+                channel.idleTimer = null;
+            }
+
+            channel.listeners.add(listener);
+            if (!this.scheduler.has(feedKey)) {
+                this.scheduler.subscribe(routeId, feedKey, () => {});
+            }
+        }
+
+        return () => this.removeListener(ids, listener, owner);
+    }
+
+    removeListener(routeIds, listener, owner = null) {
+        let removed = false;
+
+        for (const routeId of [].concat(routeIds)) {
+            const channel = this.channels.get(routeId);
+            if (!channel || !channel.listeners.delete(listener)) continue;
+
+            removed = true;
+            if (channel.listeners.size > 0) continue;
+
+            // Mantém a consulta por um tempo para que reconexões não percam eventos
+            channel.idleTimer = setTimeout(() => {
+                channel.idleTimer = null;
+                if (channel.listeners.size === 0) {
+                    this.scheduler.unsubscribe(this.getFeedKey(routeId));
+                }
+            }, this.idleTimeout);
+        }
+
+        if (removed && owner) {
+            const count = (this.owners.get(owner) || 1) - 1;
+            if (count > 0) this.owners.set(owner, count);
+            else this.owners.delete(owner);
+        }
+    }
+
+    listenerCount(routeId = null) {
+        if (routeId) {
+            const channel = this.channels.get(routeId);
+            return channel ? channel.listeners.size : 0;
+        }
+
+        let total = 0;
+        for (const channel of this.channels.values()) {
+            total += channel.listeners.size;
+        }
+        return total;
+    }
+
+    publish(routeId, type, data) {
+        const channel = this.getChannel(routeId);
+        const event = {
+            id: this.nextEventId++,
+            type,
+            routeId,
+            data,
+            timestamp: new Date().toISOString()
+        };
+
+        channel.events.push(event);
+        if (channel.events.length > this.bufferSize) {
+            channel.events.splice(0, channel.events.length - this.bufferSize);
+        }
+
+        for (const listener of channel.listeners) {
+            try {
+                listener(event);
+            } catch (error) {
+                this.logger.error(`Live feed listener error for route ${routeId}:`, error);
+            }
+        }
+
+        return event;
+    }
+
+    publishPositions(routeId, vehicles) {
+        return this.publish(routeId, 'positions', { vehicles });
+    }
+
+    // Eventos depois de `lastEventId`, ou null se o buffer já não cobre esse ponto
+    getEventsSince(routeId, lastEventId) {
+        const channel = this.channels.get(routeId);
+        if (!channel || channel.events.length === 0) return null;
+
+        const oldest = channel.events[0].id;
+        if (lastEventId < oldest - 1 || lastEventId >= this.nextEventId) return null;
+
+        return channel.events.filter(event => event.id > lastEventId);
+    }
+
+    getLatest(routeId, type) {
+        const channel = this.channels.get(routeId);
+        if (!channel) return null;
+
+        for (let i = channel.events.length - 1; i >= 0; i--) {
+            if (channel.events[i].type === type) return channel.events[i];
+        }
+        return null;
+    }
+
+    clear() {
+        for (const [routeId, channel] of this.channels.entries()) {
+            if (channel.idleTimer) clearTimeout(channel.idleTimer);
+            this.scheduler.unsubscribe(this.getFeedKey(routeId));
+        }
+        this.channels.clear();
+        this.owners.clear();
+    }
+}
+
+module.exports = LiveFeed;
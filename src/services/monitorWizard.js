@@ -0,0 +1,317 @@
+const Logger = require('../utils/logger');
+const I18n = require('../i18n');
+
+const CANCEL_WORDS = ['/cancel', '/cancelar', 'cancelar', 'cancela', 'cancel'];
+
+// Cadastro de monitoramento em etapas (linha → sentido → parada), respondido com números
+class MonitorWizard {
+    constructor(emtuService, options = {}) {
+        this.emtuService = emtuService;
+        this.i18n = options.i18n || new I18n();
+        this.logger = new Logger();
+        this.timeout = options.timeout || (parseInt(process.env.WIZARD_TIMEOUT_MINUTES) || 5) * 60 * 1000;
+        this.maxRouteChoices = 10;
+        this.maxNearbyChoices = 5;
+        this.walkingDistance = parseInt(process.env.WALKING_DISTANCE_METERS) || 800;
+        this.sessions = new Map();
+    }
+
+    has(chatId) {
+        return this.sessions.has(chatId);
+    }
+
+    isCancel(text) {
+        return CANCEL_WORDS.includes(text.trim().toLowerCase());
+    }
+
+    cancel(chatId) {
+        return this.sessions.delete(chatId);
+    }
+
+    // Sessões esquecidas não ficam na memória: a cada novo cadastro as expiradas saem
+    prune(now = Date.now()) {
+        for (const [chatId, session] of this.sessions) {
+            if (session.expiresAt <= now) {
+                this.sessions.delete(chatId);
+            }
+        }
+    }
+
+    touch(session) {
+        session.expiresAt = Date.now() + this.timeout;
+    }
+
+    // `args` pode trazer o que já foi informado no /monitor: linha, sentido, parada e limites,
+    // além do idioma do chat (`locale`), usado em todas as perguntas do cadastro
+    async start(chatId, args = {}) {
+        this.prune();
+
+        const { routeNumber, direction, stopName, location, proximityThreshold, arrivalThreshold, schedule } = args;
+        const session = {
+            step: 'route',
+            t: this.i18n.translator(args.locale),
+            direction: direction || null,
+            stopName: stopName || null,
+            location: location || null,
+            options: { proximityThreshold, arrivalThreshold, schedule }
+        };
+        this.touch(session);
+        this.sessions.set(chatId, session);
+
+        this.logger.debug(`Monitor wizard started for ${chatId}`);
+
+        if (routeNumber) {
+            return this.searchRoute(chatId, session, routeNumber);
+        }
+        if (location) {
+            return `${session.t('wizard.askRouteNearby')}\n${this.getCancelHint(session)}`;
+        }
+        return `${session.t('wizard.askRoute')}\n${this.getCancelHint(session)}`;
+    }
+
+    // Um pin de localização no meio do cadastro troca a lista de paradas pelas mais próximas
+    async shareLocation(chatId, location, locale = null) {
+        const session = this.sessions.get(chatId);
+
+        if (session && session.expiresAt > Date.now() && session.route) {
+            this.touch(session);
+            session.location = location;
+            return { reply: await this.askNearbyStops(chatId, session) };
+        }
+
+        const options = session && session.expiresAt > Date.now() ? session.options : {};
+        return { reply: await this.start(chatId, { ...options, location, locale }) };
+    }
+
+    async reply(chatId, text) {
+        const session = this.sessions.get(chatId);
+        if (!session) return null;
+
+        if (session.expiresAt <= Date.now()) {
+            this.sessions.delete(chatId);
+            return { reply: session.t('wizard.expired') };
+        }
+
+        if (this.isCancel(text)) {
+            this.sessions.delete(chatId);
+            return { reply: session.t('wizard.cancelled') };
+        }
+
+        this.touch(session);
+        const answer = text.trim();
+
+        if (session.step === 'route') {
+            return { reply: await this.searchRoute(chatId, session, answer) };
+        }
+
+        const choice = this.parseChoice(answer, session.choices);
+
+        if (session.step === 'choose_route') {
+            // Outro texto em vez de número é tratado como nova busca
+            const reply = choice
+                ? await this.selectRoute(chatId, session, choice)
+                : await this.searchRoute(chatId, session, answer);
+            return { reply };
+        }
+
+        if (session.step === 'direction') {
+            const name = this.emtuService.normalizeText(answer);
+            const direction = choice || session.choices.find(option => option.name === name);
+            if (!direction) {
+                return { reply: this.invalidChoice(session, 'wizard.invalidDirection') };
+            }
+            return this.selectDirection(chatId, session, direction.name);
+        }
+
+        if (session.step === 'nearby') {
+            if (!choice) {
+                return { reply: this.invalidChoice(session, 'wizard.invalidStop') };
+            }
+            return this.complete(chatId, session, choice);
+        }
+
+        if (session.step === 'stop') {
+            if (choice) {
+                return this.complete(chatId, session, choice);
+            }
+            return this.filterStops(chatId, session, answer);
+        }
+
+        return null;
+    }
+
+    parseChoice(text, choices = []) {
+        if (!/^\d+$/.test(text)) return null;
+        return choices[parseInt(text) - 1] || null;
+    }
+
+    invalidChoice(session, key) {
+        return `${session.t(key, { count: session.choices.length })}\n${this.getCancelHint(session)}`;
+    }
+
+    getCancelHint(session) {
+        return session.t('wizard.cancelHint');
+    }
+
+    formatChoices(choices, format) {
+        return choices.map((choice, index) => `${index + 1}. ${format(choice)}`).join('\n');
+    }
+
+    async searchRoute(chatId, session, term) {
+        const routes = await this.emtuService.searchRoutes(term);
+        const number = this.emtuService.normalizeText(term);
+        const exact = routes.find(route => this.emtuService.normalizeText(route.number) === number);
+
+        if (exact || routes.length === 1) {
+            return this.selectRoute(chatId, session, exact || routes[0]);
+        }
+
+        session.step = 'route';
+        if (routes.length === 0) {
+            return `${session.t('wizard.noRoutes', { term })}\n${this.getCancelHint(session)}`;
+        }
+
+        session.step = 'choose_route';
+        session.choices = routes.slice(0, this.maxRouteChoices);
+        return `${session.t('wizard.routeChoices', { term })}\n\n` +
+            `${this.formatChoices(session.choices, route => `${route.number} - ${route.name}`)}\n\n` +
+            `${session.t('wizard.replyWithRoute')}\n${this.getCancelHint(session)}`;
+    }
+
+    async selectRoute(chatId, session, route) {
+        const directions = route.directions.filter(direction => direction.stops.length > 0);
+        session.route = route;
+
+        if (directions.length === 0) {
+            this.sessions.delete(chatId);
+            return session.t('wizard.noStops', { route: route.number });
+        }
+
+        if (session.location) {
+            return this.askNearbyStops(chatId, session);
+        }
+
+        const preset = directions.find(direction => direction.name === session.direction);
+        if (preset || directions.length === 1) {
+            return (await this.selectDirection(chatId, session, (preset || directions[0]).name)).reply;
+        }
+
+        session.step = 'direction';
+        session.choices = directions.map(direction => ({ name: direction.name, destination: direction.destination }));
+        return `${session.t('wizard.route', { route: route.number, name: route.name })}\n\n` +
+            `${session.t('wizard.askDirection')}\n` +
+            `${this.formatChoices(session.choices, direction => this.formatDirection(session, direction))}\n\n` +
+            `${session.t('wizard.replyWithNumber')}\n${this.getCancelHint(session)}`;
+    }
+
+    formatDirection(session, direction) {
+        return `${direction.name} → ${direction.destination || session.t('common.noDestination')}`;
+    }
+
+    async selectDirection(chatId, session, direction) {
+        const stops = (await this.emtuService.getPontos(session.route.number, direction))
+            .slice()
+            .sort((a, b) => a.sequence - b.sequence);
+
+        session.direction = direction;
+        session.stops = stops.map(stop => ({
+            id: stop.id,
+            name: stop.name,
+            address: stop.address,
+            code: stop.code,
+            direction: stop.direction
+        }));
+
+        if (session.stopName) {
+            const stopName = session.stopName;
+            session.stopName = null;
+            return this.filterStops(chatId, session, stopName);
+        }
+
+        return { reply: this.askStop(session, session.stops) };
+    }
+
+    async askNearbyStops(chatId, session) {
+        const { route, location } = session;
+        const nearby = (await this.emtuService.findNearestStops(
+            route.number, location.latitude, location.longitude, this.walkingDistance
+        )).filter(stop => !session.direction || stop.direction === session.direction);
+
+        if (nearby.length === 0) {
+            session.location = null;
+            const notFound = session.t('wizard.noNearbyStops', {
+                route: route.number,
+                meters: session.t.number(this.walkingDistance)
+            });
+            if (session.stops) {
+                return this.askStop(session, session.stops, `${notFound} ${session.t('wizard.chooseFromList')}`);
+            }
+            return `${notFound}\n\n${await this.selectRoute(chatId, session, route)}`;
+        }
+
+        session.step = 'nearby';
+        session.choices = nearby.slice(0, this.maxNearbyChoices).map(stop => ({
+            id: stop.id,
+            name: stop.name,
+            direction: stop.direction,
+            destination: stop.destination,
+            distance: stop.distance
+        }));
+
+        return `${session.t('wizard.nearbyStops', { route: route.number })}\n\n` +
+            `${this.formatChoices(session.choices, stop => this.formatNearbyStop(session, stop))}\n\n` +
+            `${session.t('wizard.replyToConfirm')}\n${this.getCancelHint(session)}`;
+    }
+
+    formatNearbyStop(session, stop) {
+        const direction = this.formatDirection(session, { name: stop.direction, destination: stop.destination });
+        return session.t('wizard.nearbyStop', {
+            stop: stop.name,
+            direction,
+            meters: session.t.number(Math.round(stop.distance))
+        });
+    }
+
+    askStop(session, stops, title = null) {
+        session.step = 'stop';
+        session.choices = stops;
+        const question = title || session.t('wizard.askStop', {
+            route: session.route.number,
+            direction: session.direction
+        });
+        return `${question}\n\n` +
+            `${this.formatChoices(stops, stop => stop.name)}\n\n` +
+            `${session.t('wizard.replyOrFilter')}\n${this.getCancelHint(session)}`;
+    }
+
+    async filterStops(chatId, session, text) {
+        const term = this.emtuService.normalizeText(text);
+        const matches = session.stops.filter(stop => this.emtuService.matchesStop(stop, term));
+
+        if (matches.length === 1) {
+            return this.complete(chatId, session, matches[0]);
+        }
+
+        if (matches.length === 0) {
+            const title = session.t('wizard.noMatchingStops', { text, direction: session.direction });
+            return { reply: this.askStop(session, session.stops, title) };
+        }
+
+        return { reply: this.askStop(session, matches, session.t('wizard.matchingStops', { text })) };
+    }
+
+    complete(chatId, session, stop) {
+        this.sessions.delete(chatId);
+        return {
+            monitor: {
+                ...session.options,
+                routeNumber: session.route.number,
+                direction: stop.direction || session.direction,
+                stopId: stop.id,
+                stopName: stop.name
+            }
+        };
+    }
+}
+
+module.exports = MonitorWizard;
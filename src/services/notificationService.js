@@ -0,0 +1,65 @@
+const Logger = require('../utils/logger');
+
+class NotificationService {
+    constructor() {
+        this.logger = new Logger();
+        this.notifiers = new Map();
+        this.defaultChannel = 'whatsapp';
+    }
+
+    register(notifier) {
+        this.notifiers.set(notifier.channel, notifier);
+    }
+
+    get(channel) {
+        return this.notifiers.get(channel) || null;
+    }
+
+    channels() {
+        return Array.from(this.notifiers.keys());
+    }
+
+    isAvailable(channel) {
+        const notifier = this.get(channel);
+        return Boolean(notifier && notifier.isAvailable());
+    }
+
+    validateTarget(channel, target, context = {}) {
+        const notifier = this.get(channel);
+        if (!notifier) {
+            return `unknown channel ${channel}`;
+        }
+        return notifier.validateTarget(target, context);
+    }
+
+    async send(config, message, context = {}) {
+        const channel = config.channel || this.defaultChannel;
+        const notifier = this.get(channel);
+        if (!notifier) {
+            throw new Error(`Unknown notification channel: ${channel}`);
+        }
+
+        const target = notifier.resolveTarget(config);
+        if (!target) {
+            throw new Error(`No ${channel} target configured for ${config.chatId}`);
+        }
+
+        await notifier.send(target, message, {
+            chatId: config.chatId,
+            routeNumber: config.routeNumber,
+            stopId: config.stopId,
+            stopName: config.stopName,
+            ...context
+        });
+    }
+
+    close() {
+        for (const notifier of this.notifiers.values()) {
+            if (typeof notifier.close === 'function') {
+                notifier.close();
+            }
+        }
+    }
+}
+
+module.exports = NotificationService;
@@ -0,0 +1,27 @@
+// Contrato comum dos canais de notificação (WhatsApp, Telegram, webhook, e-mail)
+class Notifier {
+    constructor(channel) {
+        this.channel = channel;
+    }
+
+    isAvailable() {
+        return true;
+    }
+
+    resolveTarget(config) {
+        return config.target || null;
+    }
+
+    // Motivo da recusa de um destino informado pelo usuário, ou null se ele for aceito;
+    // o contexto traz o chatId de quem pediu
+    validateTarget() {
+        return null;
+    }
+
+    // Cada canal implementa send(target, message, context), com o contexto do alerta para webhooks
+    async send() {
+        throw new Error(`${this.constructor.name} must implement send()`);
+    }
+}
+
+module.exports = Notifier;
@@ -0,0 +1,156 @@
+const Logger = require('../utils/logger');
+
+class RouteScheduler {
+    constructor(emtuService, options = {}) {
+        this.emtuService = emtuService;
+        this.logger = new Logger();
+        this.pollInterval = options.pollInterval || 60 * 1000;
+        this.tickInterval = options.tickInterval || 5 * 1000;
+        this.maxBackoff = options.maxBackoff || 15 * 60 * 1000;
+        this.routes = new Map();
+        this.subscriptions = new Map();
+        this.pollHandlers = [];
+        this.timer = null;
+    }
+
+    // Recebe o resultado de toda consulta bem-sucedida, independente de quem assinou a linha
+    onPoll(handler) {
+        if (typeof handler === 'function') {
+            this.pollHandlers.push(handler);
+        } else {
+            throw new Error('Poll handler must be a function');
+        }
+    }
+
+    start() {
+        if (this.timer) return;
+
+        this.timer = setInterval(() => this.tick(), this.tickInterval);
+        this.logger.info(`Route scheduler started (poll every ${this.pollInterval / 1000}s)`);
+    }
+
+    stop() {
+        if (this.timer) {
+            clearInterval(this.timer);
+            this.timer = null;
+        }
+    }
+
+    subscribe(routeId, key, handler, initialDelay = 0) {
+        if (this.subscriptions.has(key)) {
+            this.unsubscribe(key);
+        }
+
+        if (!this.routes.has(routeId)) {
+            this.routes.set(routeId, {
+                routeId,
+                subscribers: new Map(),
+                failures: 0,
+                nextPollAt: Date.now() + initialDelay,
+                lastPolledAt: null,
+                lastError: null,
+                inFlight: false
+            });
+        }
+
+        this.routes.get(routeId).subscribers.set(key, handler);
+        this.subscriptions.set(key, routeId);
+    }
+
+    unsubscribe(key) {
+        const routeId = this.subscriptions.get(key);
+        if (routeId === undefined) return false;
+
+        this.subscriptions.delete(key);
+
+        const route = this.routes.get(routeId);
+        if (route) {
+            route.subscribers.delete(key);
+            if (route.subscribers.size === 0) {
+                this.routes.delete(routeId);
+            }
+        }
+
+        return true;
+    }
+
+    has(key) {
+        return this.subscriptions.has(key);
+    }
+
+    keys() {
+        return Array.from(this.subscriptions.keys());
+    }
+
+    get size() {
+        return this.subscriptions.size;
+    }
+
+    clear() {
+        this.routes.clear();
+        this.subscriptions.clear();
+    }
+
+    async tick() {
+        const now = Date.now();
+        const due = Array.from(this.routes.values()).filter(route => !route.inFlight && route.nextPollAt <= now);
+
+        for (const route of due) {
+            await this.pollRoute(route);
+        }
+    }
+
+    async pollRoute(route) {
+        route.inFlight = true;
+
+        try {
+            const vehicles = await this.emtuService.fetchVehiclePositions(route.routeId);
+
+            route.failures = 0;
+            route.lastError = null;
+            route.lastPolledAt = new Date();
+            route.nextPollAt = Date.now() + this.pollInterval;
+
+            for (const handler of this.pollHandlers) {
+                try {
+                    await handler(route.routeId, vehicles);
+                } catch (error) {
+                    this.logger.error(`Poll handler error for route ${route.routeId}:`, error);
+                }
+            }
+
+            for (const [key, handler] of route.subscribers.entries()) {
+                try {
+                    await handler(vehicles);
+                } catch (error) {
+                    this.logger.error(`Subscriber error for ${key}:`, error);
+                }
+            }
+        } catch (error) {
+            route.failures++;
+            route.lastError = error.message;
+            route.nextPollAt = Date.now() + this.getBackoff(route.failures);
+
+            this.logger.warn(`Polling failed for route ${route.routeId} (${route.failures}x): ${error.message}`);
+        } finally {
+            route.inFlight = false;
+        }
+    }
+
+    getBackoff(failures) {
+        return Math.min(this.pollInterval * Math.pow(2, failures), this.maxBackoff);
+    }
+
+    getStatus() {
+        return Array.from(this.routes.values()).map(route => ({
+            routeId: route.routeId,
+            subscribers: route.subscribers.size,
+            failures: route.failures,
+            lastError: route.lastError,
+            lastPolledAt: route.lastPolledAt,
+            nextPollAt: new Date(route.nextPollAt)
+        }));
+    }
+}
+
+module.exports = RouteScheduler;
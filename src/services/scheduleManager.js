@@ -0,0 +1,182 @@
+const cron = require('node-cron');
+const Logger = require('../utils/logger');
+
+const DAY_NAMES = {
+    dom: 0, sun: 0,
+    seg: 1, mon: 1,
+    ter: 2, tue: 2,
+    qua: 3, wed: 3,
+    qui: 4, thu: 4,
+    sex: 5, fri: 5,
+    sab: 6, sat: 6
+};
+
+const DAY_LABELS = ['Dom', 'Seg', 'Ter', 'Qua', 'Qui', 'Sex', 'Sáb'];
+
+// Mensagem em inglês para os detalhes da API; `key` e `params` levam o texto dos chats ao catálogo
+function scheduleError(message, key, params = {}) {
+    return Object.assign(new Error(message), { key: `schedule.errors.${key}`, params });
+}
+
+class ScheduleManager {
+    constructor(options = {}) {
+        this.logger = new Logger();
+        this.timezone = options.timezone || process.env.SCHEDULE_TIMEZONE || 'America/Sao_Paulo';
+        this.jobs = new Map();
+    }
+
+    normalizeDay(text) {
+        return text.normalize('NFD').replace(/[\u0300-\u036f]/g, '').toLowerCase().slice(0, 3);
+    }
+
+    parseDays(text) {
+        const term = this.normalizeDay(text);
+        if (term === 'tod' || term === 'all') return [0, 1, 2, 3, 4, 5, 6];
+
+        const days = new Set();
+        for (const part of text.split(',')) {
+            const [from, to] = part.split(/[-–]/).map(day => DAY_NAMES[this.normalizeDay(day)]);
+            if (from === undefined || (part.match(/[-–]/) && to === undefined)) {
+                throw scheduleError(`has an invalid day "${part}"`, 'invalidDay', { day: part });
+            }
+
+            if (to === undefined) {
+                days.add(from);
+                continue;
+            }
+
+            for (let day = from; ; day = (day + 1) % 7) {
+                days.add(day);
+                if (day === to) break;
+            }
+        }
+
+        return Array.from(days).sort((a, b) => a - b);
+    }
+
+    parseTime(text) {
+        const match = /^(\d{1,2})(?::|h)(\d{2})?$/.exec(text.trim());
+        if (!match) return null;
+
+        const hours = parseInt(match[1]);
+        const minutes = parseInt(match[2] || '0');
+        if (hours > 23 || minutes > 59) return null;
+
+        return `${String(hours).padStart(2, '0')}:${String(minutes).padStart(2, '0')}`;
+    }
+
+    parseSchedule(text) {
+        const match = /^(\S+)\s+(\S+?)\s*[-–]\s*(\S+)$/.exec(text.trim());
+        if (!match) {
+            throw scheduleError('must look like "seg-sex 06:30-08:00"', 'format');
+        }
+
+        const days = this.parseDays(match[1]);
+        const start = this.parseTime(match[2]);
+        const end = this.parseTime(match[3]);
+
+        if (!start || !end) {
+            throw scheduleError('has an invalid time; use HH:MM, e.g. 06:30', 'invalidTime');
+        }
+
+        if (end <= start) {
+            throw scheduleError('must end after it starts (the window cannot cross midnight)', 'endBeforeStart');
+        }
+
+        return { days, start, end };
+    }
+
+    // `labels` traz os nomes dos dias em outro idioma ({ days, everyDay }); sem eles, português
+    formatSchedule(schedule, labels = {}) {
+        const dayLabels = labels.days || DAY_LABELS;
+        const days = schedule.days;
+        const isRange = days.length > 2 && days.every((day, index) => index === 0 || day === days[index - 1] + 1);
+        const label = days.length === 7
+            ? labels.everyDay || 'Todos os dias'
+            : isRange
+                ? `${dayLabels[days[0]]}–${dayLabels[days[days.length - 1]]}`
+                : days.map(day => dayLabels[day]).join(', ');
+
+        return `${label} ${schedule.start}–${schedule.end}`;
+    }
+
+    toCronExpression(time, days) {
+        const [hours, minutes] = time.split(':').map(Number);
+        return `${minutes} ${hours} * * ${days.join(',')}`;
+    }
+
+    getLocalTime(date = new Date()) {
+        const parts = new Intl.DateTimeFormat('en-US', {
+            timeZone: this.timezone,
+            weekday: 'short',
+            hour: '2-digit',
+            minute: '2-digit',
+            hour12: false
+        }).formatToParts(date);
+
+        const value = type => parts.find(part => part.type === type).value;
+        const hours = parseInt(value('hour')) % 24;
+
+        return {
+            day: DAY_NAMES[value('weekday').toLowerCase()],
+            time: `${String(hours).padStart(2, '0')}:${value('minute')}`
+        };
+    }
+
+    isWithinWindow(schedule, date = new Date()) {
+        const { day, time } = this.getLocalTime(date);
+        return schedule.days.includes(day) && time >= schedule.start && time < schedule.end;
+    }
+
+    register(key, schedule, { onStart, onStop }) {
+        this.unregister(key);
+
+        const options = { scheduled: true, timezone: this.timezone };
+        const startTask = cron.schedule(this.toCronExpression(schedule.start, schedule.days), async () => {
+            try {
+                await onStart();
+            } catch (error) {
+                this.logger.error(`Scheduled start failed for ${key}:`, error);
+            }
+        }, options);
+        const stopTask = cron.schedule(this.toCronExpression(schedule.end, schedule.days), async () => {
+            try {
+                await onStop();
+            } catch (error) {
+                this.logger.error(`Scheduled stop failed for ${key}:`, error);
+            }
+        }, options);
+
+        this.jobs.set(key, { schedule, tasks: [startTask, stopTask] });
+        this.logger.info(`Schedule registered for ${key}: ${this.formatSchedule(schedule)}`);
+    }
+
+    unregister(key) {
+        const job = this.jobs.get(key);
+        if (!job) return false;
+
+        job.tasks.forEach(task => task.stop());
+        this.jobs.delete(key);
+        return true;
+    }
+
+    has(key) {
+        return this.jobs.has(key);
+    }
+
+    keys() {
+        return Array.from(this.jobs.keys());
+    }
+
+    get size() {
+        return this.jobs.size;
+    }
+
+    clear() {
+        for (const key of this.keys()) {
+            this.unregister(key);
+        }
+    }
+}
+
+module.exports = ScheduleManager;
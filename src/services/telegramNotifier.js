@@ -0,0 +1,42 @@
+const axios = require('axios');
+const Notifier = require('./notifier');
+const Logger = require('../utils/logger');
+
+class TelegramNotifier extends Notifier {
+    constructor(options = {}) {
+        super('telegram');
+        this.token = options.token || process.env.TELEGRAM_BOT_TOKEN;
+        this.apiUrl = options.apiUrl || process.env.TELEGRAM_API_URL || 'https://api.telegram.org';
+        this.logger = new Logger();
+        this.api = axios.create({ timeout: 10000 });
+    }
+
+    isAvailable() {
+        return Boolean(this.token);
+    }
+
+    async send(chatId, message) {
+        try {
+            if (!this.isAvailable()) {
+                throw new Error('Telegram bot token is not configured');
+            }
+
+            // Sem parse_mode: nomes de paradas com "_" ou "*" quebrariam o Markdown do Telegram
+            const response = await this.api.post(`${this.apiUrl}/bot${this.token}/sendMessage`, {
+                chat_id: chatId,
+                text: message
+            });
+
+            if (!response.data || !response.data.ok) {
+                throw new Error(response.data && response.data.description || 'Telegram API rejected the message');
+            }
+
+            this.logger.debug(`Telegram message sent to ${chatId}`);
+        } catch (error) {
+            this.logger.error(`Failed to send Telegram message to ${chatId}:`, error.message);
+            throw error;
+        }
+    }
+}
+
+module.exports = TelegramNotifier;
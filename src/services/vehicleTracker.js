@@ -0,0 +1,61 @@
+class VehicleTracker {
+    constructor(options = {}) {
+        this.maxSamples = options.maxSamples || 10;
+        this.maxAge = options.maxAge || 30 * 60 * 1000;
+        this.history = new Map();
+    }
+
+    getKey(vehicle) {
+        return `${vehicle.routeNumber}_${vehicle.id}`;
+    }
+
+    record(vehicles) {
+        const now = Date.now();
+
+        for (const vehicle of vehicles) {
+            if (isNaN(vehicle.latitude) || isNaN(vehicle.longitude)) continue;
+
+            const key = this.getKey(vehicle);
+            const samples = this.history.get(key) || [];
+            const timestamp = vehicle.lastTransmission ? vehicle.lastTransmission.getTime() : now;
+            const last = samples[samples.length - 1];
+
+            // O portal repete a mesma transmissão até o veículo enviar uma nova
+            if (last && last.timestamp === timestamp) continue;
+
+            samples.push({
+                latitude: vehicle.latitude,
+                longitude: vehicle.longitude,
+                direction: vehicle.direction,
+                timestamp,
+                recordedAt: now
+            });
+
+            if (samples.length > this.maxSamples) {
+                samples.splice(0, samples.length - this.maxSamples);
+            }
+
+            this.history.set(key, samples);
+        }
+
+        this.prune(now);
+    }
+
+    prune(now = Date.now()) {
+        for (const [key, samples] of this.history.entries()) {
+            if (now - samples[samples.length - 1].recordedAt > this.maxAge) {
+                this.history.delete(key);
+            }
+        }
+    }
+
+    getHistory(vehicle) {
+        return this.history.get(this.getKey(vehicle)) || [];
+    }
+
+    clear() {
+        this.history.clear();
+    }
+}
+
+module.exports = VehicleTracker;
@@ -0,0 +1,89 @@
+const net = require('net');
+const axios = require('axios');
+const Notifier = require('./notifier');
+const Logger = require('../utils/logger');
+
+// Faixas que nunca recebem webhooks: loopback, redes privadas, link-local e endereços reservados
+const PRIVATE_RANGES = new net.BlockList();
+[
+    ['0.0.0.0', 8], ['10.0.0.0', 8], ['100.64.0.0', 10], ['127.0.0.0', 8], ['169.254.0.0', 16],
+    ['172.16.0.0', 12], ['192.168.0.0', 16], ['224.0.0.0', 3]
+].forEach(([address, prefix]) => PRIVATE_RANGES.addSubnet(address, prefix, 'ipv4'));
+[
+    ['::', 128], ['::1', 128], ['fc00::', 7], ['fe80::', 10], ['ff00::', 8]
+].forEach(([address, prefix]) => PRIVATE_RANGES.addSubnet(address, prefix, 'ipv6'));
+
+function isPrivateHost(host) {
+    if (host === 'localhost' || host.endsWith('.localhost')) {
+        return true;
+    }
+    const family = net.isIP(host);
+    return family !== 0 && PRIVATE_RANGES.check(host, family === 4 ? 'ipv4' : 'ipv6');
+}
+
+class WebhookNotifier extends Notifier {
+    constructor(options = {}) {
+        super('webhook');
+        this.url = options.url || process.env.WEBHOOK_URL;
+        this.secret = options.secret || process.env.WEBHOOK_SECRET;
+        this.allowedHosts = (options.allowedHosts || process.env.WEBHOOK_ALLOWED_HOSTS || '')
+            .split(',')
+            .map(host => host.trim().toLowerCase())
+            .filter(Boolean);
+        this.logger = new Logger();
+        this.api = axios.create({ timeout: 10000 });
+    }
+
+    resolveTarget(config) {
+        return config.target || this.url || null;
+    }
+
+    // Só hosts liberados pelo operador (além do da WEBHOOK_URL), para o bot não virar proxy da rede interna
+    validateTarget(target) {
+        let url;
+        try {
+            url = new URL(target);
+        } catch (error) {
+            return 'must be an http(s) URL';
+        }
+        if (!['http:', 'https:'].includes(url.protocol)) {
+            return 'must be an http(s) URL';
+        }
+
+        const host = url.hostname.toLowerCase().replace(/^\[|\]$/g, '');
+        if (isPrivateHost(host)) {
+            return 'must not point to a loopback, private or link-local address';
+        }
+
+        const allowed = [...this.allowedHosts];
+        if (this.url) {
+            allowed.push(new URL(this.url).hostname.toLowerCase());
+        }
+        if (!allowed.includes(host)) {
+            return 'host is not in WEBHOOK_ALLOWED_HOSTS';
+        }
+        return null;
+    }
+
+    async send(url, message, context = {}) {
+        try {
+            const headers = { 'Content-Type': 'application/json' };
+            if (this.secret) {
+                headers['X-Webhook-Secret'] = this.secret;
+            }
+
+            await this.api.post(url, {
+                message,
+                ...context,
+                sentAt: new Date().toISOString()
+            }, { headers });
+
+            this.logger.debug(`Webhook delivered to ${url}`);
+        } catch (error) {
+            this.logger.error(`Failed to deliver webhook to ${url}:`, error.message);
+            throw error;
+        }
+    }
+}
+
+module.exports = WebhookNotifier;
@@ -2,15 +2,22 @@ const { Client, LocalAuth, Location } = require('whatsapp-web.js');
 const qrcode = require('qrcode-terminal');
 const fs = require('fs-extra');
 const path = require('path');
+const Notifier = require('./notifier');
 const Logger = require('../utils/logger');
 
-class WhatsAppService {
-    constructor() {
+class WhatsAppService extends Notifier {
+    constructor(options = {}) {
+        super('whatsapp');
         this.client = null;
         this.isReady = false;
         this.logger = new Logger();
         this.messageHandlers = [];
         this.sessionPath = process.env.WHATSAPP_SESSION_PATH || './sessions/whatsapp-session';
+        // Números (5511...@c.us) ou grupos (...@g.us) que podem receber alertas pedidos de outro chat
+        this.allowedTargets = (options.allowedTargets || process.env.WHATSAPP_ALLOWED_TARGETS || '')
+            .split(',')
+            .map(target => target.trim())
+            .filter(Boolean);
     }
 
     async initialize() {
@@ -83,12 +90,18 @@ class WhatsAppService {
 
         this.client.on('message', async (message) => {
             try {
-                // Skip status messages and group messages for now
-                if (message.isStatus || message.from.includes('@g.us')) {
+                if (message.isStatus) {
                     return;
                 }
 
-                this.logger.debug(`Received message from ${message.from}: ${message.body}`);
+                // Em grupos só comandos interessam; o resto da conversa é ignorado
+                if (this.isGroupId(message.from) && !message.body.trim().startsWith('/')) {
+                    return;
+                }
+
+                const sender = message.author ? `${message.author} in ${message.from}` : message.from;
+                const content = message.type === 'location' ? '[location]' : message.body;
+                this.logger.debug(`Received message from ${sender}: ${content}`);
                 
                 // Call all registered message handlers
                 for (const handler of this.messageHandlers) {
@@ -119,14 +132,14 @@ class WhatsAppService {
         }
     }
 
-    async sendMessage(chatId, message) {
+    async sendMessage(chatId, message, options = {}) {
         try {
             if (!this.isReady) {
                 throw new Error('WhatsApp client is not ready');
             }
 
             const chat = await this.client.getChatById(chatId);
-            await chat.sendMessage(message);
+            await chat.sendMessage(message, options);
             
             this.logger.debug(`Message sent to ${chatId}: ${message.substring(0, 50)}...`);
         } catch (error) {
@@ -135,6 +148,64 @@ class WhatsAppService {
         }
     }
 
+    isAvailable() {
+        return this.isReady === true;
+    }
+
+    resolveTarget(config) {
+        return config.target || config.chatId;
+    }
+
+    // Só o próprio chat do monitoramento ou destinos liberados pelo operador, para o bot não mandar spam a terceiros
+    validateTarget(target, context = {}) {
+        if (target === context.chatId || this.allowedTargets.includes(target)) {
+            return null;
+        }
+        return 'must be the requesting chat or listed in WHATSAPP_ALLOWED_TARGETS';
+    }
+
+    async send(chatId, message, context = {}) {
+        if (context.mentions && context.mentions.length > 0) {
+            await this.sendMessage(chatId, message, { mentions: context.mentions });
+        } else {
+            await this.sendMessage(chatId, message);
+        }
+    }
+
+    isGroupId(chatId) {
+        return String(chatId).endsWith('@g.us');
+    }
+
+    // Texto que o WhatsApp transforma em menção quando o id vai junto em `mentions`
+    formatMention(userId) {
+        return `@${String(userId).split('@')[0]}`;
+    }
+
+    async getGroupAdmins(groupId) {
+        try {
+            if (!this.isReady) {
+                throw new Error('WhatsApp client is not ready');
+            }
+
+            const chat = await this.client.getChatById(groupId);
+            if (!chat.isGroup) {
+                return [];
+            }
+
+            return chat.participants
+                .filter(participant => participant.isAdmin || participant.isSuperAdmin)
+                .map(participant => participant.id._serialized);
+        } catch (error) {
+            this.logger.error(`Failed to get admins for group ${groupId}:`, error);
+            return [];
+        }
+    }
+
+    async isGroupAdmin(groupId, userId) {
+        const admins = await this.getGroupAdmins(groupId);
+        return admins.includes(userId);
+    }
+
     async sendLocation(chatId, latitude, longitude, description = '') {
         try {
             if (!this.isReady) {
@@ -0,0 +1,157 @@
+// Histórico de alertas enviados e o último envio por veículo (usado no cooldown)
+class AlertRepository {
+    constructor(database) {
+        this.database = database;
+    }
+
+    get db() {
+        return this.database.connection;
+    }
+
+    fromAlertRow(row) {
+        return {
+            routeId: row.route_id,
+            vehicleId: row.vehicle_id,
+            distance: row.distance,
+            stopName: row.stop_name,
+            timestamp: new Date(row.timestamp),
+            alertKey: row.alert_key
+        };
+    }
+
+    insertAlert(alert) {
+        this.db.prepare(`
+            INSERT INTO alerts (chat_id, route_id, vehicle_id, distance, stop_name, alert_key, timestamp)
+            VALUES (?, ?, ?, ?, ?, ?, ?)
+        `).run(
+            String(alert.chatId),
+            String(alert.routeId),
+            String(alert.vehicleId),
+            alert.distance,
+            alert.stopName || '',
+            alert.alertKey,
+            new Date(alert.timestamp).toISOString()
+        );
+    }
+
+    // Mantém só os `keep` alertas mais recentes de cada chat/linha
+    trimHistory(chatId, routeId, keep) {
+        return this.db.prepare(`
+            DELETE FROM alerts WHERE chat_id = @chatId AND route_id = @routeId AND id NOT IN (
+                SELECT id FROM alerts WHERE chat_id = @chatId AND route_id = @routeId
+                ORDER BY timestamp DESC, id DESC LIMIT @keep
+            )
+        `).run({ chatId: String(chatId), routeId: String(routeId), keep }).changes;
+    }
+
+    findAlerts({ chatId, routeId = null, since = null, limit = -1 }) {
+        const conditions = ['chat_id = @chatId'];
+        if (routeId !== null) conditions.push('route_id = @routeId');
+        if (since) conditions.push('timestamp >= @since');
+
+        return this.db.prepare(`
+            SELECT * FROM alerts WHERE ${conditions.join(' AND ')}
+            ORDER BY timestamp DESC, id DESC LIMIT @limit
+        `).all({
+            chatId: String(chatId),
+            routeId: routeId !== null ? String(routeId) : null,
+            since: since ? since.toISOString() : null,
+            limit
+        }).map(row => this.fromAlertRow(row));
+    }
+
+    countAlerts({ chatId, routeId, since = new Date(0) }) {
+        return this.db.prepare(`
+            SELECT COUNT(*) FROM alerts WHERE chat_id = ? AND route_id = ? AND timestamp >= ?
+        `).pluck().get(String(chatId), String(routeId), since.toISOString());
+    }
+
+    countByRoute(chatId, today, weekAgo) {
+        return this.db.prepare(`
+            SELECT route_id AS routeId,
+                COUNT(*) AS total,
+                SUM(timestamp >= @today) AS today,
+                SUM(timestamp >= @weekAgo) AS thisWeek
+            FROM alerts WHERE chat_id = @chatId
+            GROUP BY route_id
+        `).all({ chatId: String(chatId), today: today.toISOString(), weekAgo: weekAgo.toISOString() });
+    }
+
+    getTotals(today) {
+        return this.db.prepare(`
+            SELECT COUNT(DISTINCT chat_id) AS totalChats,
+                COUNT(DISTINCT chat_id || char(31) || route_id) AS totalRoutes,
+                COUNT(*) AS totalAlerts,
+                COALESCE(SUM(timestamp >= ?), 0) AS todayAlerts
+            FROM alerts
+        `).get(today.toISOString());
+    }
+
+    getSentAlert(alertKey) {
+        const row = this.db.prepare('SELECT * FROM sent_alerts WHERE alert_key = ?').get(alertKey);
+        if (!row) return null;
+
+        return {
+            chatId: row.chat_id,
+            routeId: row.route_id,
+            vehicleId: row.vehicle_id,
+            lastSent: new Date(row.last_sent),
+            distance: row.distance,
+            stopName: row.stop_name
+        };
+    }
+
+    saveSentAlert(alertKey, sent) {
+        this.db.prepare(`
+            INSERT INTO sent_alerts (alert_key, chat_id, route_id, vehicle_id, last_sent, distance, stop_name)
+            VALUES (?, ?, ?, ?, ?, ?, ?)
+            ON CONFLICT (alert_key) DO UPDATE SET
+                last_sent = excluded.last_sent,
+                distance = excluded.distance,
+                stop_name = excluded.stop_name
+        `).run(
+            alertKey,
+            String(sent.chatId),
+            String(sent.routeId),
+            String(sent.vehicleId),
+            new Date(sent.lastSent).toISOString(),
+            sent.distance,
+            sent.stopName || ''
+        );
+    }
+
+    countSentAlerts() {
+        return this.db.prepare('SELECT COUNT(*) FROM sent_alerts').pluck().get();
+    }
+
+    deleteOlderThan(cutoff) {
+        const since = cutoff.toISOString();
+        return this.database.transaction(() =>
+            this.db.prepare('DELETE FROM alerts WHERE timestamp < ?').run(since).changes +
+            this.db.prepare('DELETE FROM sent_alerts WHERE last_sent < ?').run(since).changes
+        );
+    }
+
+    // Retorna quantas linhas (rotas) do chat tinham histórico
+    deleteForChat(chatId) {
+        return this.database.transaction(() => {
+            const routes = this.db.prepare('SELECT COUNT(DISTINCT route_id) FROM alerts WHERE chat_id = ?')
+                .pluck().get(String(chatId));
+            this.db.prepare('DELETE FROM alerts WHERE chat_id = ?').run(String(chatId));
+            this.db.prepare('DELETE FROM sent_alerts WHERE chat_id = ?').run(String(chatId));
+            return routes;
+        });
+    }
+
+    deleteForRoute(chatId, routeId) {
+        return this.database.transaction(() => {
+            const deleted = this.db.prepare('DELETE FROM alerts WHERE chat_id = ? AND route_id = ?')
+                .run(String(chatId), String(routeId)).changes;
+            this.db.prepare('DELETE FROM sent_alerts WHERE chat_id = ? AND route_id = ?')
+                .run(String(chatId), String(routeId));
+            return deleted > 0;
+        });
+    }
+}
+
+module.exports = AlertRepository;
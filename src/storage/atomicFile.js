@@ -0,0 +1,108 @@
+const fs = require('fs-extra');
+const path = require('path');
+
+let tempSequence = 0;
+
+function getBackupCount() {
+    const count = parseInt(process.env.DATA_BACKUPS, 10);
+    return Number.isInteger(count) && count >= 0 ? count : 5;
+}
+
+// Mesmo esquema de nomes da rotação de logs: dados.json → dados.1.json (mais recente) … dados.N.json
+function backupPath(file, index) {
+    const ext = path.extname(file);
+    return path.join(path.dirname(file), `${path.basename(file, ext)}.${index}${ext}`);
+}
+
+function corruptPath(file) {
+    return `${file}.corrupt-${new Date().toISOString().replace(/[:.]/g, '-')}`;
+}
+
+// Libera a posição .1 deslocando as cópias anteriores; a mais antiga além de `count` é descartada
+async function shiftBackups(file, count) {
+    await fs.remove(backupPath(file, count));
+    for (let i = count - 1; i >= 1; i--) {
+        if (await fs.pathExists(backupPath(file, i))) {
+            await fs.move(backupPath(file, i), backupPath(file, i + 1));
+        }
+    }
+}
+
+async function readValidJson(file, validate) {
+    try {
+        const data = await fs.readJson(file);
+        return validate(data) ? data : null;
+    } catch (error) {
+        return null;
+    }
+}
+
+// Grava em arquivo temporário + fsync + rename: um crash nunca deixa o arquivo pela metade
+async function writeJsonAtomic(file, data, options = {}) {
+    const backups = options.backups ?? getBackupCount();
+    const validate = options.validate || (() => true);
+    const tempFile = `${file}.${process.pid}.${++tempSequence}.tmp`;
+
+    await fs.ensureDir(path.dirname(file));
+
+    try {
+        const fd = await fs.open(tempFile, 'w');
+        try {
+            await fs.writeFile(fd, `${JSON.stringify(data, null, 2)}\n`);
+            await fs.fsync(fd);
+        } finally {
+            await fs.close(fd);
+        }
+
+        // Só versões boas entram no rodízio de backups
+        if (backups > 0 && await readValidJson(file, validate)) {
+            await shiftBackups(file, backups);
+            await fs.copy(file, backupPath(file, 1));
+        }
+
+        await fs.rename(tempFile, file);
+    } catch (error) {
+        await fs.remove(tempFile).catch(() => {});
+        throw error;
+    }
+}
+
+// Lê o arquivo; se estiver corrompido, usa o backup válido mais recente e o restaura no lugar
+async function readJsonWithRecovery(file, options = {}) {
+    const backups = options.backups ?? getBackupCount();
+    const validate = options.validate || (() => true);
+
+    if (!await fs.pathExists(file)) {
+        return { data: null, recovered: false };
+    }
+
+    const data = await readValidJson(file, validate);
+    if (data) {
+        return { data, recovered: false };
+    }
+
+    const movedTo = corruptPath(file);
+    await fs.move(file, movedTo);
+
+    for (let i = 1; i <= backups; i++) {
+        const candidate = backupPath(file, i);
+        if (!await fs.pathExists(candidate)) continue;
+
+        const backup = await readValidJson(candidate, validate);
+        if (backup) {
+            await fs.copy(candidate, file);
+            return { data: backup, recovered: true, source: candidate, corruptFile: movedTo };
+        }
+    }
+
+    return { data: null, recovered: true, source: null, corruptFile: movedTo };
+}
+
+module.exports = {
+    getBackupCount,
+    backupPath,
+    corruptPath,
+    shiftBackups,
+    writeJsonAtomic,
+    readJsonWithRecovery
+};
@@ -0,0 +1,94 @@
+const COLUMNS = '(key, chat_id, route_id, route_number, is_active, created_at, last_updated, data)';
+const VALUES = '(@key, @chat_id, @route_id, @route_number, @is_active, @created_at, @last_updated, @data)';
+
+// Persistência dos monitoramentos: uma linha por `${chatId}_${routeNumber}`, configuração completa em `data`
+class ConfigRepository {
+    constructor(database) {
+        this.database = database;
+    }
+
+    get db() {
+        return this.database.connection;
+    }
+
+    toRow(key, config) {
+        const separator = key.indexOf('_');
+        const createdAt = new Date(config.createdAt || Date.now());
+        const lastUpdated = config.lastUpdated ? new Date(config.lastUpdated) : createdAt;
+
+        return {
+            key,
+            chat_id: String(config.chatId || key.slice(0, separator)),
+            route_id: config.routeId != null ? String(config.routeId) : null,
+            route_number: String(config.routeNumber || key.slice(separator + 1)),
+            is_active: config.isActive ? 1 : 0,
+            created_at: createdAt.toISOString(),
+            last_updated: lastUpdated.toISOString(),
+            data: JSON.stringify({ ...config, createdAt, lastUpdated })
+        };
+    }
+
+    fromRow(row) {
+        const config = JSON.parse(row.data);
+        return {
+            ...config,
+            isActive: Boolean(row.is_active),
+            createdAt: new Date(row.created_at),
+            lastUpdated: new Date(row.last_updated)
+        };
+    }
+
+    findAll() {
+        return this.db.prepare('SELECT * FROM configurations ORDER BY created_at')
+            .all()
+            .map(row => ({ key: row.key, config: this.fromRow(row) }));
+    }
+
+    find(key) {
+        const row = this.db.prepare('SELECT * FROM configurations WHERE key = ?').get(key);
+        return row ? this.fromRow(row) : null;
+    }
+
+    save(key, config) {
+        this.db.prepare(`
+            INSERT INTO configurations ${COLUMNS} VALUES ${VALUES}
+            ON CONFLICT (key) DO UPDATE SET
+                chat_id = excluded.chat_id,
+                route_id = excluded.route_id,
+                route_number = excluded.route_number,
+                is_active = excluded.is_active,
+                created_at = excluded.created_at,
+                last_updated = excluded.last_updated,
+                data = excluded.data
+        `).run(this.toRow(key, config));
+    }
+
+    saveMany(entries) {
+        this.database.transaction(() => {
+            for (const [key, config] of entries) {
+                this.save(key, config);
+            }
+        });
+    }
+
+    // Usado pelo importador: não sobrescreve o que já está no banco
+    insertIfMissing(key, config) {
+        return this.db.prepare(`
+            INSERT OR IGNORE INTO configurations ${COLUMNS} VALUES ${VALUES}
+        `).run(this.toRow(key, config)).changes > 0;
+    }
+
+    delete(key) {
+        return this.db.prepare('DELETE FROM configurations WHERE key = ?').run(key).changes > 0;
+    }
+
+    deleteMany(keys) {
+        return this.database.transaction(() => keys.reduce((count, key) => count + (this.delete(key) ? 1 : 0), 0));
+    }
+
+    count() {
+        return this.db.prepare('SELECT COUNT(*) FROM configurations').pluck().get();
+    }
+}
+
+module.exports = ConfigRepository;
@@ -0,0 +1,214 @@
+const BetterSqlite3 = require('better-sqlite3');
+const fs = require('fs-extra');
+const path = require('path');
+const Logger = require('../utils/logger');
+const defaultMigrations = require('./migrations');
+const { getBackupCount, backupPath, corruptPath, shiftBackups } = require('./atomicFile');
+
+class Database {
+    constructor(options = {}) {
+        this.logger = new Logger();
+        this.dbPath = options.path || process.env.DB_PATH ||
+            (process.env.NODE_ENV === 'test' ? ':memory:' : './data/emtu-checker.db');
+        this.migrations = options.migrations || defaultMigrations;
+        this.backupCount = options.backups ?? getBackupCount();
+        this.backupInterval = options.backupInterval || 6 * 60 * 60 * 1000;
+        this.backupTimer = null;
+        this.lastBackup = null;
+        this.recovery = null;
+        this.legacyFiles = [];
+        this.db = null;
+    }
+
+    get isMemory() {
+        return this.dbPath === ':memory:';
+    }
+
+    // Abre na primeira utilização: os managers são criados de forma síncrona no construtor do bot
+    get connection() {
+        if (!this.db) this.open();
+        return this.db;
+    }
+
+    get isOpen() {
+        return Boolean(this.db);
+    }
+
+    open() {
+        if (this.db) return this.db;
+
+        if (!this.isMemory) {
+            fs.ensureDirSync(path.dirname(this.dbPath));
+            this.moveLegacyJson();
+        }
+
+        this.db = this.connect();
+        this.db.pragma('journal_mode = WAL');
+        this.db.pragma('foreign_keys = ON');
+        this.migrate();
+
+        this.logger.info(`Database opened at ${this.dbPath}`);
+        return this.db;
+    }
+
+    // Versões antigas gravavam os alertas em JSON no próprio DB_PATH; tira o arquivo do caminho para o importador
+    moveLegacyJson() {
+        if (!fs.pathExistsSync(this.dbPath)) return;
+
+        const fd = fs.openSync(this.dbPath, 'r');
+        const header = Buffer.alloc(64);
+        const bytesRead = fs.readSync(fd, header, 0, header.length, 0);
+        fs.closeSync(fd);
+
+        if (!header.toString('utf8', 0, bytesRead).trimStart().startsWith('{')) return;
+
+        const legacyPath = `${this.dbPath}.legacy.json`;
+        fs.moveSync(this.dbPath, legacyPath, { overwrite: true });
+        this.legacyFiles.push(legacyPath);
+        this.logger.warn(`Found legacy JSON data at ${this.dbPath}; moved to ${legacyPath} for import`);
+    }
+
+    connect() {
+        let db = null;
+        try {
+            if (!this.isMemory && fs.pathExistsSync(this.dbPath) && fs.statSync(this.dbPath).size === 0) {
+                throw new Error('database file is empty');
+            }
+
+            db = new BetterSqlite3(this.dbPath);
+            this.verify(db);
+            return db;
+        } catch (error) {
+            if (db) db.close();
+            if (this.isMemory) throw error;
+            return this.recover(error);
+        }
+    }
+
+    verify(db) {
+        const result = db.pragma('quick_check', { simple: true });
+        if (result !== 'ok') {
+            throw new Error(`integrity check failed: ${result}`);
+        }
+    }
+
+    // Tira o arquivo danificado do caminho e restaura o backup válido mais recente
+    recover(error) {
+        const movedTo = corruptPath(this.dbPath);
+        for (const suffix of ['', '-wal', '-shm']) {
+            if (fs.pathExistsSync(this.dbPath + suffix)) {
+                fs.moveSync(this.dbPath + suffix, movedTo + suffix);
+            }
+        }
+        this.logger.error(`Database ${this.dbPath} is unreadable (${error.message}); moved to ${movedTo}`);
+
+        const details = { corruptFile: movedTo, reason: error.message, recoveredAt: new Date().toISOString() };
+
+        for (let i = 1; i <= this.backupCount; i++) {
+            const candidate = backupPath(this.dbPath, i);
+            if (!fs.pathExistsSync(candidate)) continue;
+
+            fs.copySync(candidate, this.dbPath);
+            let db = null;
+            try {
+                db = new BetterSqlite3(this.dbPath);
+                this.verify(db);
+            } catch (backupError) {
+                if (db) db.close();
+                fs.removeSync(this.dbPath);
+                this.logger.warn(`Skipping invalid backup ${candidate}: ${backupError.message}`);
+                continue;
+            }
+
+            this.recovery = { source: candidate, ...details };
+            this.logger.warn(`Database restored from backup ${candidate}`);
+            return db;
+        }
+
+        this.recovery = { source: null, ...details };
+        this.logger.error('No valid database backup found; starting with an empty database');
+        return new BetterSqlite3(this.dbPath);
+    }
+
+    // Cópia consistente do banco aberto (API de backup do SQLite), mantendo as `backupCount` mais recentes
+    async backup() {
+        if (this.isMemory || this.backupCount <= 0) return null;
+
+        const tempFile = `${this.dbPath}.backup-tmp`;
+        try {
+            await this.connection.backup(tempFile);
+            await shiftBackups(this.dbPath, this.backupCount);
+            await fs.move(tempFile, backupPath(this.dbPath, 1));
+
+            this.lastBackup = new Date().toISOString();
+            this.logger.debug(`Database backup written to ${backupPath(this.dbPath, 1)}`);
+            return backupPath(this.dbPath, 1);
+        } catch (error) {
+            await fs.remove(tempFile).catch(() => {});
+            this.logger.error('Failed to back up database:', error);
+            return null;
+        }
+    }
+
+    scheduleBackups() {
+        if (this.backupTimer || this.isMemory || this.backupCount <= 0) return;
+
+        this.backupTimer = setInterval(() => this.backup(), this.backupInterval);
+        this.backupTimer.unref();
+    }
+
+    getStatus() {
+        return {
+            path: this.dbPath,
+            schemaVersion: this.isOpen ? this.getSchemaVersion() : null,
+            backups: this.backupCount,
+            lastBackup: this.lastBackup,
+            recovery: this.recovery
+        };
+    }
+
+    migrate() {
+        const db = this.db;
+        db.exec(`CREATE TABLE IF NOT EXISTS schema_migrations (
+            version INTEGER PRIMARY KEY,
+            name TEXT NOT NULL,
+            applied_at TEXT NOT NULL
+        )`);
+
+        const applied = new Set(db.prepare('SELECT version FROM schema_migrations').pluck().all());
+        const pending = this.migrations
+            .filter(migration => !applied.has(migration.version))
+            .sort((a, b) => a.version - b.version);
+
+        const record = db.prepare('INSERT INTO schema_migrations (version, name, applied_at) VALUES (?, ?, ?)');
+        for (const migration of pending) {
+            db.transaction(() => {
+                migration.up(db);
+                record.run(migration.version, migration.name, new Date().toISOString());
+            })();
+            this.logger.info(`Applied migration ${migration.version}_${migration.name}`);
+        }
+
+        return pending.length;
+    }
+
+    getSchemaVersion() {
+        return this.connection.prepare('SELECT MAX(version) FROM schema_migrations').pluck().get() || 0;
+    }
+
+    transaction(fn) {
+        return this.connection.transaction(fn)();
+    }
+
+    close() {
+        if (this.backupTimer) {
+            clearInterval(this.backupTimer);
+            this.backupTimer = null;
+        }
+        if (!this.db) return;
+        this.db.close();
+        this.db = null;
+    }
+}
+
+module.exports = Database;
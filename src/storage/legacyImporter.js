@@ -0,0 +1,125 @@
+const fs = require('fs-extra');
+const path = require('path');
+const Logger = require('../utils/logger');
+const ConfigRepository = require('./configRepository');
+const AlertRepository = require('./alertRepository');
+
+// Migra uma única vez os arquivos JSON das versões anteriores para o banco
+class LegacyImporter {
+    constructor(database, options = {}) {
+        this.database = database;
+        this.logger = new Logger();
+        this.configRepository = new ConfigRepository(database);
+        this.alertRepository = new AlertRepository(database);
+        this.configFiles = options.configFiles || LegacyImporter.defaultConfigFiles();
+        this.alertFiles = options.alertFiles || ['./data/alerts.json'];
+    }
+
+    static defaultConfigFiles() {
+        const files = ['./data/configurations.json'];
+        if (process.env.DB_PATH) {
+            files.push(process.env.DB_PATH.replace('.db', '_config.json'));
+        }
+        return files;
+    }
+
+    async run() {
+        this.database.open();
+
+        const summary = { configurations: 0, alerts: 0, files: [] };
+        const jobs = [
+            ...this.configFiles.map(file => [file, data => this.importConfigurations(data)]),
+            ...[...this.alertFiles, ...this.database.legacyFiles].map(file => [file, data => this.importAlerts(data)])
+        ];
+        const seen = new Set();
+
+        for (const [file, importer] of jobs) {
+            const resolved = path.resolve(file);
+            if (seen.has(resolved)) continue;
+            seen.add(resolved);
+
+            try {
+                const result = await this.importFile(resolved, importer);
+                if (!result) continue;
+
+                summary.configurations += result.configurations;
+                summary.alerts += result.alerts;
+                summary.files.push(resolved);
+            } catch (error) {
+                this.logger.error(`Failed to import legacy file ${resolved}:`, error);
+            }
+        }
+
+        return summary;
+    }
+
+    async importFile(file, importer) {
+        if (!await fs.pathExists(file)) return null;
+
+        const alreadyImported = this.database.connection
+            .prepare('SELECT 1 FROM legacy_imports WHERE file = ?').get(file);
+        if (alreadyImported) return null;
+
+        const data = await fs.readJson(file);
+        const result = this.database.transaction(() => {
+            const counts = importer(data);
+            this.database.connection.prepare(`
+                INSERT INTO legacy_imports (file, imported_at, configurations, alerts) VALUES (?, ?, ?, ?)
+            `).run(file, new Date().toISOString(), counts.configurations, counts.alerts);
+            return counts;
+        });
+
+        // Mantém o original como backup, fora do caminho de uma nova importação
+        await fs.move(file, `${file}.imported`, { overwrite: true });
+        this.logger.info(`Imported ${result.configurations} configurations and ${result.alerts} alerts from ${file}`);
+
+        return result;
+    }
+
+    // Aceita o formato salvo pelo ConfigManager antigo e o de exportConfigurations()
+    importConfigurations(data) {
+        const entries = Array.isArray(data.configurations)
+            ? data.configurations.map(({ key, ...config }) => [key, config])
+            : Object.entries(data.configurations || {});
+
+        let imported = 0;
+        for (const [key, config] of entries) {
+            if (key && this.configRepository.insertIfMissing(key, config)) {
+                imported++;
+            }
+        }
+
+        return { configurations: imported, alerts: 0 };
+    }
+
+    importAlerts(data) {
+        let imported = 0;
+
+        for (const [chatRouteKey, alerts] of Object.entries(data.alerts || {})) {
+            const separator = chatRouteKey.lastIndexOf('_');
+            const chatId = chatRouteKey.slice(0, separator);
+            const routeId = chatRouteKey.slice(separator + 1);
+
+            for (const alert of alerts) {
+                this.alertRepository.insertAlert({
+                    chatId,
+                    routeId,
+                    vehicleId: alert.vehicleId,
+                    distance: alert.distance,
+                    stopName: alert.stopName,
+                    timestamp: alert.timestamp,
+                    alertKey: alert.alertKey || `${chatRouteKey}_${alert.vehicleId}`
+                });
+                imported++;
+            }
+        }
+
+        for (const [alertKey, sent] of Object.entries(data.sentAlerts || {})) {
+            this.alertRepository.saveSentAlert(alertKey, sent);
+        }
+
+        return { configurations: 0, alerts: imported };
+    }
+}
+
+module.exports = LegacyImporter;
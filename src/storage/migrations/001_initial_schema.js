@@ -0,0 +1,51 @@
+module.exports = {
+    version: 1,
+    name: 'initial_schema',
+    up(db) {
+        db.exec(`
+            CREATE TABLE configurations (
+                key TEXT PRIMARY KEY,
+                chat_id TEXT NOT NULL,
+                route_id TEXT,
+                route_number TEXT NOT NULL,
+                is_active INTEGER NOT NULL DEFAULT 1,
+                created_at TEXT NOT NULL,
+                last_updated TEXT NOT NULL,
+                data TEXT NOT NULL
+            );
+            CREATE INDEX idx_configurations_chat ON configurations (chat_id);
+            CREATE INDEX idx_configurations_route ON configurations (route_id, is_active);
+
+            CREATE TABLE alerts (
+                id INTEGER PRIMARY KEY AUTOINCREMENT,
+                chat_id TEXT NOT NULL,
+                route_id TEXT NOT NULL,
+                vehicle_id TEXT NOT NULL,
+                distance REAL,
+                stop_name TEXT,
+                alert_key TEXT NOT NULL,
+                timestamp TEXT NOT NULL
+            );
+            CREATE INDEX idx_alerts_chat_route_time ON alerts (chat_id, route_id, timestamp);
+            CREATE INDEX idx_alerts_time ON alerts (timestamp);
+
+            CREATE TABLE sent_alerts (
+                alert_key TEXT PRIMARY KEY,
+                chat_id TEXT NOT NULL,
+                route_id TEXT NOT NULL,
+                vehicle_id TEXT NOT NULL,
+                last_sent TEXT NOT NULL,
+                distance REAL,
+                stop_name TEXT
+            );
+            CREATE INDEX idx_sent_alerts_chat_route ON sent_alerts (chat_id, route_id);
+
+            CREATE TABLE legacy_imports (
+                file TEXT PRIMARY KEY,
+                imported_at TEXT NOT NULL,
+                configurations INTEGER NOT NULL DEFAULT 0,
+                alerts INTEGER NOT NULL DEFAULT 0
+            );
+        `);
+    }
+};
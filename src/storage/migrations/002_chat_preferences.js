@@ -0,0 +1,13 @@
+module.exports = {
+    version: 2,
+    name: 'chat_preferences',
+    up(db) {
+        db.exec(`
+            CREATE TABLE chat_preferences (
+                chat_id TEXT PRIMARY KEY,
+                updated_at TEXT NOT NULL,
+                data TEXT NOT NULL
+            );
+        `);
+    }
+};
@@ -0,0 +1,5 @@
+// Ordem de aplicação; cada migração é aplicada uma única vez e registrada em schema_migrations
+module.exports = [
+    require('./001_initial_schema'),
+    require('./002_chat_preferences')
+];
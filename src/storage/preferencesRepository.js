@@ -0,0 +1,32 @@
+// Preferências por chat; só os campos alterados pelo usuário são gravados em `data`
+class PreferencesRepository {
+    constructor(database) {
+        this.database = database;
+    }
+
+    get db() {
+        return this.database.connection;
+    }
+
+    find(chatId) {
+        const row = this.db.prepare('SELECT data FROM chat_preferences WHERE chat_id = ?').get(String(chatId));
+        return row ? JSON.parse(row.data) : null;
+    }
+
+    save(chatId, preferences) {
+        this.db.prepare(`
+            INSERT INTO chat_preferences (chat_id, updated_at, data) VALUES (@chatId, @updatedAt, @data)
+            ON CONFLICT (chat_id) DO UPDATE SET updated_at = excluded.updated_at, data = excluded.data
+        `).run({
+            chatId: String(chatId),
+            updatedAt: new Date().toISOString(),
+            data: JSON.stringify(preferences)
+        });
+    }
+
+    delete(chatId) {
+        return this.db.prepare('DELETE FROM chat_preferences WHERE chat_id = ?').run(String(chatId)).changes > 0;
+    }
+}
+
+module.exports = PreferencesRepository;
@@ -0,0 +1,237 @@
+const fs = require('fs-extra');
+const Logger = require('./logger');
+const I18n = require('../i18n');
+
+// Alertas que aceitam modelo próprio; o padrão de cada idioma fica no catálogo de mensagens
+const TEMPLATE_KEYS = {
+    proximity: 'alerts.proximityTemplate'
+};
+
+// Únicos nomes aceitos em {{...}}: o modelo só lê estes dados, nunca executa código
+const TEMPLATE_VARIABLES = {
+    route: 'Route number',
+    stop: 'Stop name followed by the direction',
+    stopName: 'Stop name',
+    direction: 'Direction of the stop (ida/volta)',
+    vehicle: 'Vehicle id',
+    prefix: 'Fleet number',
+    plate: 'License plate',
+    company: 'Operating company',
+    distance: 'Distance to the stop in meters',
+    eta: 'Formatted arrival estimate, empty when unknown',
+    etaMinutes: 'Minutes until arrival, empty when unknown',
+    arrivalTime: 'Estimated arrival time, empty when unknown',
+    mapLink: 'Map link to the vehicle position',
+    time: 'Time the alert was sent'
+};
+
+const TAG_PATTERN = /\{\{\s*([#/]?)(\w+)\s*\}\}/g;
+
+// Dados fictícios para a pré-visualização dos modelos pela API
+const SAMPLE_ALERT = {
+    config: {
+        chatId: '5511999999999@c.us',
+        routeNumber: '708BI2',
+        stopId: '708BI2_ida_3',
+        stopName: 'Av. Guarulhos, 2800',
+        direction: 'ida'
+    },
+    vehicle: {
+        id: '33101',
+        prefix: '33101',
+        plate: 'ABC1D23',
+        company: 'Viação Exemplo',
+        routeNumber: '708BI2',
+        direction: 'ida',
+        latitude: -23.4681,
+        longitude: -46.5669
+    },
+    distance: 320,
+    etaMinutes: 4
+};
+
+// Modelos de alerta editáveis pelo operador: `{{variavel}}` insere um dado e
+// `{{#variavel}}...{{/variavel}}` só aparece quando o dado existe
+class AlertTemplateManager {
+    constructor(options = {}) {
+        this.logger = new Logger();
+        this.i18n = options.i18n || new I18n();
+        this.templatesPath = options.path || process.env.ALERT_TEMPLATES_PATH || null;
+        this.templates = {};
+    }
+
+    get variables() {
+        return TEMPLATE_VARIABLES;
+    }
+
+    get sample() {
+        return SAMPLE_ALERT;
+    }
+
+    // Um arquivo inválido interrompe a inicialização, em vez de aparecer só no primeiro alerta
+    async load() {
+        this.templates = {};
+        if (!this.templatesPath || !await fs.pathExists(this.templatesPath)) {
+            return this.templates;
+        }
+
+        let data;
+        try {
+            data = await fs.readJson(this.templatesPath);
+        } catch (error) {
+            throw new Error(`Invalid alert templates in ${this.templatesPath}: ${error.message}`);
+        }
+
+        const { templates, details } = this.validateFile(data);
+        if (details.length > 0) {
+            const problems = details.map(detail => `${detail.field} ${detail.message}`).join('; ');
+            throw new Error(`Invalid alert templates in ${this.templatesPath}: ${problems}`);
+        }
+
+        this.templates = templates;
+        const count = Object.values(templates).reduce((total, locales) => total + Object.keys(locales).length, 0);
+        this.logger.info(`Loaded ${count} alert template(s) from ${this.templatesPath}`);
+        return this.templates;
+    }
+
+    // Formato do arquivo: { "proximity": { "pt-BR": "...", "en": "..." } }
+    validateFile(data) {
+        const templates = {};
+        const details = [];
+
+        if (!data || typeof data !== 'object' || Array.isArray(data)) {
+            return { templates, details: [{ field: 'file', message: 'must be a JSON object' }] };
+        }
+
+        for (const [name, locales] of Object.entries(data)) {
+            if (!Object.keys(TEMPLATE_KEYS).includes(name)) {
+                details.push({ field: name, message: `is not an alert; use ${Object.keys(TEMPLATE_KEYS).join(', ')}` });
+                continue;
+            }
+            if (!locales || typeof locales !== 'object' || Array.isArray(locales)) {
+                details.push({ field: name, message: 'must map each language to a template' });
+                continue;
+            }
+
+            templates[name] = {};
+            for (const [locale, template] of Object.entries(locales)) {
+                const field = `${name}.${locale}`;
+                if (!this.i18n.locales.includes(locale)) {
+                    details.push({ field, message: `is not a language; use ${this.i18n.locales.join(', ')}` });
+                    continue;
+                }
+
+                const errors = this.validate(template);
+                if (errors.length > 0) {
+                    details.push(...errors.map(message => ({ field, message })));
+                } else {
+                    templates[name][locale] = template;
+                }
+            }
+        }
+
+        return { templates, details };
+    }
+
+    validate(template) {
+        if (typeof template !== 'string' || !template.trim()) {
+            return ['must be a non-empty string'];
+        }
+        return this.compile(template).errors;
+    }
+
+    // Converte o texto em uma árvore de trechos fixos, variáveis e seções
+    compile(template) {
+        const root = { children: [] };
+        const stack = [root];
+        const errors = [];
+        let position = 0;
+
+        const addText = text => {
+            if (!text) return;
+            if (text.includes('{{') || text.includes('}}')) {
+                errors.push(`has a malformed placeholder near "${text.slice(0, 30)}"`);
+            }
+            stack[stack.length - 1].children.push({ type: 'text', value: text });
+        };
+
+        for (const match of template.matchAll(TAG_PATTERN)) {
+            const [tag, kind, name] = match;
+            addText(template.slice(position, match.index));
+            position = match.index + tag.length;
+
+            // Só chaves próprias: `{{constructor}}` não pode alcançar o protótipo dos dados
+            if (!Object.keys(TEMPLATE_VARIABLES).includes(name)) {
+                errors.push(`uses unknown placeholder {{${name}}}`);
+                continue;
+            }
+
+            const current = stack[stack.length - 1];
+            if (kind === '#') {
+                const section = { type: 'section', name, children: [] };
+                current.children.push(section);
+                stack.push(section);
+            } else if (kind === '/') {
+                if (current === root || current.name !== name) {
+                    errors.push(`closes {{/${name}}} without a matching {{#${name}}}`);
+                } else {
+                    stack.pop();
+                }
+            } else {
+                current.children.push({ type: 'variable', name });
+            }
+        }
+        addText(template.slice(position));
+
+        stack.slice(1).forEach(section => errors.push(`does not close {{#${section.name}}}`));
+
+        return { tree: root.children, errors };
+    }
+
+    render(template, data) {
+        const { tree, errors } = this.compile(template);
+        if (errors.length > 0) {
+            throw new Error(`Invalid alert template: ${errors.join('; ')}`);
+        }
+        return this.renderNodes(tree, data);
+    }
+
+    renderNodes(nodes, data) {
+        return nodes.map(node => {
+            if (node.type === 'text') return node.value;
+
+            const value = data[node.name];
+            const isEmpty = value === undefined || value === null || value === '';
+            if (node.type === 'section') {
+                return isEmpty ? '' : this.renderNodes(node.children, data);
+            }
+            return isEmpty ? '' : String(value);
+        }).join('');
+    }
+
+    getTemplate(name, locale) {
+        const resolved = this.i18n.resolveLocale(locale);
+        const custom = this.templates[name] && this.templates[name][resolved];
+        return custom || this.i18n.lookup(resolved, TEMPLATE_KEYS[name]);
+    }
+
+    getTemplates() {
+        const templates = {};
+        for (const name of Object.keys(TEMPLATE_KEYS)) {
+            templates[name] = {};
+            for (const locale of this.i18n.locales) {
+                templates[name][locale] = {
+                    template: this.getTemplate(name, locale),
+                    custom: Boolean(this.templates[name] && this.templates[name][locale])
+                };
+            }
+        }
+        return templates;
+    }
+
+    renderAlert(name, locale, data) {
+        return this.render(this.getTemplate(name, locale), data);
+    }
+}
+
+module.exports = AlertTemplateManager;
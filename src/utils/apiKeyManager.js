@@ -0,0 +1,170 @@
+const crypto = require('crypto');
+const fs = require('fs-extra');
+const path = require('path');
+const Logger = require('./logger');
+const { writeJsonAtomic, readJsonWithRecovery } = require('../storage/atomicFile');
+
+class ApiKeyManager {
+    constructor(options = {}) {
+        this.logger = new Logger();
+        this.keysPath = options.path || process.env.API_KEYS_PATH || './data/api-keys.json';
+        this.keys = new Map();
+        this.recovery = null;
+    }
+
+    async initialize() {
+        try {
+            await fs.ensureDir(path.dirname(this.keysPath));
+            await this.loadKeys();
+            this.logger.info(`API Key Manager initialized with ${this.keys.size} key(s)`);
+        } catch (error) {
+            this.logger.error('Failed to initialize API Key Manager:', error);
+        }
+    }
+
+    isValidKeyFile(data) {
+        return Boolean(data) && (data.keys === undefined || Array.isArray(data.keys));
+    }
+
+    async loadKeys() {
+        const result = await readJsonWithRecovery(this.keysPath, { validate: data => this.isValidKeyFile(data) });
+        if (result.recovered) {
+            this.reportRecovery(result);
+        }
+        if (!result.data) return;
+
+        this.keys.clear();
+        for (const key of result.data.keys || []) {
+            this.keys.set(key.id, key);
+        }
+    }
+
+    reportRecovery({ data, source, corruptFile }) {
+        this.recovery = {
+            source,
+            corruptFile,
+            keys: data && data.keys ? data.keys.length : 0,
+            recoveredAt: new Date().toISOString()
+        };
+
+        if (source) {
+            this.logger.warn(`API keys file was corrupted; recovered ${this.recovery.keys} key(s) from ${source} ` +
+                `(corrupted file kept at ${corruptFile})`);
+        } else {
+            this.logger.error(`API keys file was corrupted and no valid backup was found (kept at ${corruptFile})`);
+        }
+    }
+
+    async saveKeys() {
+        await writeJsonAtomic(this.keysPath, {
+            keys: Array.from(this.keys.values()),
+            lastUpdated: new Date().toISOString()
+        }, { validate: data => this.isValidKeyFile(data) });
+    }
+
+    // Só o hash fica no disco; o segredo é mostrado uma única vez na criação/rotação
+    hashSecret(secret) {
+        return crypto.createHash('sha256').update(secret).digest('hex');
+    }
+
+    generateSecret() {
+        return `emtu_${crypto.randomBytes(24).toString('base64url')}`;
+    }
+
+    // Lista explícita: campos novos com dados sensíveis não vazam pela API por descuido
+    toPublic(key) {
+        return {
+            id: key.id,
+            name: key.name,
+            prefix: key.prefix,
+            chatIds: key.chatIds,
+            admin: key.admin,
+            createdAt: key.createdAt,
+            rotatedAt: key.rotatedAt
+        };
+    }
+
+    async createKey({ name, chatIds = [], admin = false }) {
+        const secret = this.generateSecret();
+        const key = {
+            id: `key_${crypto.randomBytes(6).toString('hex')}`,
+            name: name || 'sem nome',
+            hash: this.hashSecret(secret),
+            prefix: secret.slice(0, 9),
+            chatIds: Array.from(new Set(chatIds)),
+            admin: Boolean(admin),
+            createdAt: new Date().toISOString(),
+            rotatedAt: null
+        };
+
+        this.keys.set(key.id, key);
+        await this.saveKeys();
+        this.logger.info(`API key created: ${key.id} (${key.name})`);
+
+        return { key: this.toPublic(key), secret };
+    }
+
+    async rotateKey(id) {
+        const key = this.keys.get(id);
+        if (!key) return null;
+
+        const secret = this.generateSecret();
+        key.hash = this.hashSecret(secret);
+        key.prefix = secret.slice(0, 9);
+        key.rotatedAt = new Date().toISOString();
+
+        await this.saveKeys();
+        this.logger.info(`API key rotated: ${id}`);
+
+        return { key: this.toPublic(key), secret };
+    }
+
+    async updateKey(id, updates) {
+        const key = this.keys.get(id);
+        if (!key) return null;
+
+        if (updates.name !== undefined) key.name = updates.name;
+        if (updates.chatIds !== undefined) key.chatIds = Array.from(new Set(updates.chatIds));
+        if (updates.admin !== undefined) key.admin = Boolean(updates.admin);
+
+        await this.saveKeys();
+        this.logger.info(`API key updated: ${id}`);
+        return this.toPublic(key);
+    }
+
+    async revokeKey(id) {
+        const deleted = this.keys.delete(id);
+        if (deleted) {
+            await this.saveKeys();
+            this.logger.info(`API key revoked: ${id}`);
+        }
+        return deleted;
+    }
+
+    listKeys() {
+        return Array.from(this.keys.values()).map(key => this.toPublic(key));
+    }
+
+    getKey(id) {
+        const key = this.keys.get(id);
+        return key ? this.toPublic(key) : null;
+    }
+
+    verify(secret) {
+        if (!secret) return null;
+
+        const hash = Buffer.from(this.hashSecret(secret), 'hex');
+        for (const key of this.keys.values()) {
+            if (crypto.timingSafeEqual(hash, Buffer.from(key.hash, 'hex'))) {
+                return this.toPublic(key);
+            }
+        }
+        return null;
+    }
+
+    canAccessChat(key, chatId) {
+        return Boolean(key) && (key.admin || key.chatIds.includes(chatId));
+    }
+}
+
+module.exports = ApiKeyManager;
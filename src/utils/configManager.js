@@ -1,20 +1,19 @@
-const fs = require('fs-extra');
-const path = require('path');
 const Logger = require('./logger');
+const Database = require('../storage/database');
+const ConfigRepository = require('../storage/configRepository');
 
 class ConfigManager {
-    constructor() {
+    constructor(options = {}) {
         this.logger = new Logger();
-        this.configPath = process.env.DB_PATH?.replace('.db', '_config.json') || './data/configurations.json';
+        this.database = options.database || new Database();
+        this.repository = options.repository || new ConfigRepository(this.database);
         this.configurations = new Map();
         this.initialize();
     }
 
     async initialize() {
         try {
-            
-            await fs.ensureDir(path.dirname(this.configPath));
-            
+            this.database.open();
             
             await this.loadConfigurations();
             
@@ -26,47 +25,23 @@ class ConfigManager {
 
     async loadConfigurations() {
         try {
-            if (await fs.pathExists(this.configPath)) {
-                const data = await fs.readJson(this.configPath);
-                
-                if (data.configurations) {
-                    for (const [key, config] of Object.entries(data.configurations)) {
-                        this.configurations.set(key, {
-                            ...config,
-                            createdAt: new Date(config.createdAt),
-                            lastUpdated: config.lastUpdated ? new Date(config.lastUpdated) : new Date(config.createdAt)
-                        });
-                    }
-                }
-
-                this.logger.debug(`Loaded ${this.configurations.size} monitoring configurations`);
+            for (const { key, config } of this.repository.findAll()) {
+                this.configurations.set(key, this.normalizeConfiguration(config));
             }
+
+            this.logger.debug(`Loaded ${this.configurations.size} monitoring configurations`);
         } catch (error) {
-            this.logger.error('Failed to load configurations from file:', error);
+            this.logger.error('Failed to load configurations from database:', error);
         }
     }
 
+    // Regrava todo o cache; as operações do dia a dia gravam só a linha afetada
     async saveConfigurations() {
         try {
-            const data = {
-                configurations: {},
-                lastUpdated: new Date().toISOString(),
-                version: '1.0.0'
-            };
-
-            
-            for (const [key, config] of this.configurations.entries()) {
-                data.configurations[key] = {
-                    ...config,
-                    createdAt: config.createdAt.toISOString(),
-                    lastUpdated: config.lastUpdated ? config.lastUpdated.toISOString() : config.createdAt.toISOString()
-                };
-            }
-
-            await fs.writeJson(this.configPath, data, { spaces: 2 });
-            this.logger.debug('Configurations saved to file');
+            this.repository.saveMany(this.configurations.entries());
+            this.logger.debug('Configurations saved to database');
         } catch (error) {
-            this.logger.error('Failed to save configurations to file:', error);
+            this.logger.error('Failed to save configurations to database:', error);
         }
     }
 
@@ -74,17 +49,36 @@ class ConfigManager {
         return `${chatId}_${routeNumber}`;
     }
 
+    // Antes de `stops`, cada linha tinha uma única parada com limites e janela no topo da configuração
+    normalizeConfiguration(config) {
+        if (Array.isArray(config.stops)) {
+            return config;
+        }
+
+        const { stopId, stopName, direction, proximityThreshold, arrivalThreshold, schedule, ...route } = config;
+        const stops = stopId ? [{
+            stopId,
+            stopName,
+            direction: direction || null,
+            proximityThreshold: proximityThreshold || null,
+            arrivalThreshold: arrivalThreshold || null,
+            schedule: schedule || null
+        }] : [];
+
+        return { ...route, stops };
+    }
+
     async saveConfiguration(chatId, routeNumber, config) {
         try {
             const key = this.generateConfigKey(chatId, routeNumber);
             
             const configToSave = {
-                ...config,
+                ...this.normalizeConfiguration(config),
                 lastUpdated: new Date()
             };
 
+            this.repository.save(key, configToSave);
             this.configurations.set(key, configToSave);
-            await this.saveConfigurations();
             
             this.logger.info(`Configuration saved: ${chatId} - Route ${routeNumber}`);
             return true;
@@ -150,8 +144,8 @@ class ConfigManager {
             if (config) {
                 config.isActive = false;
                 config.lastUpdated = new Date();
+                this.repository.save(key, config);
                 this.configurations.set(key, config);
-                await this.saveConfigurations();
                 
                 this.logger.info(`Configuration deactivated: ${chatId} - Route ${routeNumber}`);
                 return true;
@@ -166,19 +160,19 @@ class ConfigManager {
 
     async deactivateAllConfigurations(chatId) {
         try {
-            let deactivatedCount = 0;
+            const deactivated = [];
             
             for (const [key, config] of this.configurations.entries()) {
                 if (key.startsWith(chatId + '_') && config.isActive) {
                     config.isActive = false;
                     config.lastUpdated = new Date();
-                    this.configurations.set(key, config);
-                    deactivatedCount++;
+                    deactivated.push([key, config]);
                 }
             }
             
+            const deactivatedCount = deactivated.length;
             if (deactivatedCount > 0) {
-                await this.saveConfigurations();
+                this.repository.saveMany(deactivated);
                 this.logger.info(`Deactivated ${deactivatedCount} configurations for chat ${chatId}`);
             }
             
@@ -192,10 +186,10 @@ class ConfigManager {
     async deleteConfiguration(chatId, routeNumber) {
         try {
             const key = this.generateConfigKey(chatId, routeNumber);
+            this.repository.delete(key);
             const deleted = this.configurations.delete(key);
             
             if (deleted) {
-                await this.saveConfigurations();
                 this.logger.info(`Configuration deleted: ${chatId} - Route ${routeNumber}`);
             }
             
@@ -208,17 +202,13 @@ class ConfigManager {
 
     async deleteAllConfigurations(chatId) {
         try {
-            let deletedCount = 0;
+            const keys = Array.from(this.configurations.keys()).filter(key => key.startsWith(chatId + '_'));
             
-            for (const key of this.configurations.keys()) {
-                if (key.startsWith(chatId + '_')) {
-                    this.configurations.delete(key);
-                    deletedCount++;
-                }
-            }
+            this.repository.deleteMany(keys);
+            keys.forEach(key => this.configurations.delete(key));
             
+            const deletedCount = keys.length;
             if (deletedCount > 0) {
-                await this.saveConfigurations();
                 this.logger.info(`Deleted ${deletedCount} configurations for chat ${chatId}`);
             }
             
@@ -241,8 +231,8 @@ class ConfigManager {
                     lastUpdated: new Date()
                 };
                 
+                this.repository.save(key, updatedConfig);
                 this.configurations.set(key, updatedConfig);
-                await this.saveConfigurations();
                 
                 this.logger.info(`Configuration updated: ${chatId} - Route ${routeNumber}`);
                 return updatedConfig;
@@ -255,6 +245,26 @@ class ConfigManager {
         }
     }
 
+    async updateStop(chatId, routeNumber, stopId, updates) {
+        const config = await this.getConfiguration(chatId, routeNumber);
+        if (!config || !config.stops.some(stop => stop.stopId === stopId)) {
+            return null;
+        }
+
+        const stops = config.stops.map(stop => stop.stopId === stopId ? { ...stop, ...updates } : stop);
+        return this.updateConfiguration(chatId, routeNumber, { stops });
+    }
+
+    async removeStop(chatId, routeNumber, stopId) {
+        const config = await this.getConfiguration(chatId, routeNumber);
+        if (!config || !config.stops.some(stop => stop.stopId === stopId)) {
+            return null;
+        }
+
+        const stops = config.stops.filter(stop => stop.stopId !== stopId);
+        return this.updateConfiguration(chatId, routeNumber, { stops });
+    }
+
     async getConfigurationsByRoute(routeId) {
         try {
             const configs = [];
@@ -326,18 +336,20 @@ class ConfigManager {
             const cutoffDate = new Date();
             cutoffDate.setDate(cutoffDate.getDate() - daysOld);
             
-            let cleanedCount = 0;
+            const keys = [];
             
             for (const [key, config] of this.configurations.entries()) {
                 
                 if (!config.isActive && new Date(config.lastUpdated) < cutoffDate) {
-                    this.configurations.delete(key);
-                    cleanedCount++;
+                    keys.push(key);
                 }
             }
             
+            this.repository.deleteMany(keys);
+            keys.forEach(key => this.configurations.delete(key));
+            
+            const cleanedCount = keys.length;
             if (cleanedCount > 0) {
-                await this.saveConfigurations();
                 this.logger.info(`Cleaned up ${cleanedCount} old configurations`);
             }
             
@@ -380,7 +392,7 @@ class ConfigManager {
 
     async importConfigurations(data, overwrite = false) {
         try {
-            let importedCount = 0;
+            const imported = [];
             let skippedCount = 0;
             
             if (data.configurations && Array.isArray(data.configurations)) {
@@ -397,22 +409,22 @@ class ConfigManager {
                     
                     // Prepare configuration for import
                     const configToImport = {
-                        ...config,
+                        ...this.normalizeConfiguration(config),
                         createdAt: new Date(config.createdAt),
                         lastUpdated: config.lastUpdated ? new Date(config.lastUpdated) : new Date(config.createdAt)
                     };
                     
                     delete configToImport.key;
                     
-                    this.configurations.set(key, configToImport);
-                    importedCount++;
+                    imported.push([key, configToImport]);
                 }
                 
-                if (importedCount > 0) {
-                    await this.saveConfigurations();
-                }
+                this.repository.saveMany(imported);
+                imported.forEach(([key, config]) => this.configurations.set(key, config));
             }
             
+            const importedCount = imported.length;
+            
             this.logger.info(`Imported ${importedCount} configurations, skipped ${skippedCount}`);
             
             return {
@@ -0,0 +1,77 @@
+const EARTH_RADIUS = 6371e3;
+
+function toRadians(degrees) {
+    return degrees * Math.PI / 180;
+}
+
+function calculateDistance(lat1, lon1, lat2, lon2) {
+    const φ1 = toRadians(lat1);
+    const φ2 = toRadians(lat2);
+    const Δφ = toRadians(lat2 - lat1);
+    const Δλ = toRadians(lon2 - lon1);
+
+    const a = Math.sin(Δφ / 2) * Math.sin(Δφ / 2) +
+              Math.cos(φ1) * Math.cos(φ2) *
+              Math.sin(Δλ / 2) * Math.sin(Δλ / 2);
+    const c = 2 * Math.atan2(Math.sqrt(a), Math.sqrt(1 - a));
+
+    return EARTH_RADIUS * c;
+}
+
+// Distâncias acumuladas desde o primeiro ponto da polilinha, em metros
+function cumulativeDistances(points) {
+    const distances = [0];
+    for (let i = 1; i < points.length; i++) {
+        const prev = points[i - 1];
+        const curr = points[i];
+        const segment = calculateDistance(prev.latitude, prev.longitude, curr.latitude, curr.longitude);
+        distances.push(distances[i - 1] + segment);
+    }
+    return distances;
+}
+
+// Projeta um ponto na polilinha usando uma aproximação plana local, suficiente para trechos de poucos km
+function projectOnPolyline(point, points) {
+    if (points.length === 0) return null;
+
+    const distances = cumulativeDistances(points);
+    if (points.length === 1) {
+        return {
+            distanceAlong: 0,
+            offset: calculateDistance(point.latitude, point.longitude, points[0].latitude, points[0].longitude),
+            segmentIndex: 0
+        };
+    }
+
+    const metersPerDegLat = Math.PI * EARTH_RADIUS / 180;
+    const metersPerDegLon = metersPerDegLat * Math.cos(toRadians(point.latitude));
+    let best = null;
+
+    for (let i = 0; i < points.length - 1; i++) {
+        const a = points[i];
+        const b = points[i + 1];
+        const bx = (b.longitude - a.longitude) * metersPerDegLon;
+        const by = (b.latitude - a.latitude) * metersPerDegLat;
+        const px = (point.longitude - a.longitude) * metersPerDegLon;
+        const py = (point.latitude - a.latitude) * metersPerDegLat;
+        const lengthSq = bx * bx + by * by;
+        const t = lengthSq > 0 ? Math.max(0, Math.min(1, (px * bx + py * by) / lengthSq)) : 0;
+        const offset = Math.hypot(px - t * bx, py - t * by);
+
+        if (!best || offset < best.offset) {
+            best = {
+                distanceAlong: distances[i] + t * (distances[i + 1] - distances[i]),
+                offset,
+                segmentIndex: i
+            };
+        }
+    }
+
+    return best;
+}
+
+module.exports = {
+    calculateDistance,
+    cumulativeDistances,
+    projectOnPolyline
+};
@@ -0,0 +1,394 @@
+const ScheduleManager = require('../services/scheduleManager');
+
+// Intenções reconhecidas em texto livre; o peso desempata frases com mais de um verbo.
+// O nome de cada uma no chat fica no catálogo, em `intent.labels`.
+// A ordem importa: cada trecho reconhecido sai do texto, então "pare de me avisar" e
+// "meus monitoramentos" não contam também como pedido de monitoramento.
+const INTENTS = [
+    {
+        name: 'stop',
+        weight: 3,
+        patterns: [
+            /\b(?:para|pare|parar|deixa|deixe) de (?:me )?(?:monitorar|avisar|acompanhar|alertar|notificar)\b/,
+            /\b(?:cancela|cancele|cancelar|desativa|desative|desativar|desliga|desligue|desligar)\b/,
+            /\bnao (?:quero|preciso) mais\b/
+        ]
+    },
+    {
+        name: 'list',
+        weight: 3,
+        patterns: [
+            /\b(?:meus|minhas) (?:monitoramentos|alertas|linhas)\b/,
+            /\bo que (?:eu )?(?:estou|to) monitorando\b/
+        ]
+    },
+    {
+        name: 'monitor',
+        weight: 2,
+        patterns: [
+            /\bavis\w*/,
+            /\b(?:alerta|alertar|alerte|notifica|notificar|notifique)\b/,
+            /\bmonitor\w*/,
+            /\bacompanh\w*/,
+            /\bquero saber quando\b/
+        ]
+    },
+    {
+        name: 'eta',
+        weight: 1,
+        patterns: [
+            /\bquanto tempo\b/,
+            /\bquando (?:o \S+ )?(?:chega|passa|vem)\b/,
+            /\bque horas (?:o \S+ )?(?:chega|passa)\b/,
+            /\bprevisao\b/,
+            /\bfalta(?:m)? quanto\b/
+        ]
+    },
+    {
+        name: 'where',
+        weight: 1,
+        patterns: [
+            /\bonde (?:esta|estao|anda|andam|fica)\b/,
+            /\bcade\b/,
+            /\blocaliza\w*/,
+            /\bposicao\b/
+        ]
+    },
+    {
+        name: 'search',
+        weight: 1,
+        patterns: [
+            /\b(?:busca|buscar|busque|procura|procurar|procure|pesquisa|pesquisar)\b/,
+            /\b(?:qual|quais) linhas?\b/
+        ]
+    },
+    {
+        name: 'help',
+        weight: 1,
+        patterns: [
+            /\bajuda\b/,
+            /\bcomo (?:funciona|usa|usar|uso)\b/,
+            /\bo que voce faz\b/,
+            /\bcomandos\b/
+        ]
+    }
+];
+
+const ROUTE_TOKEN = '\\d{3,4}(?:[a-z]{1,3}\\d{0,2})?';
+const DAY_WORDS = 'domingo|segunda|terca|quarta|quinta|sexta|sabado';
+const DAY_RANGE = new RegExp(`\\b(?:de )?(${DAY_WORDS})(?:-feira)? (?:a|ate) (${DAY_WORDS})(?:-feira)?\\b`);
+const SINGLE_DAY = new RegExp(`\\b(?:(?:na|nas|no|nos|toda|todas|todo|todos) )?(${DAY_WORDS})s?(?:-feiras?)?\\b`, 'g');
+const TIME = '\\d{1,2}(?:[:h]\\d{2}|h)?';
+const SEARCH_TERM = new RegExp(
+    '\\b(?:busca|buscar|busque|procura|procurar|procure|pesquisa|pesquisar|quais linhas?|qual linha)' +
+    '\\s+(?:a |as |o |os |uma |por |para |pra |linhas? )*(.+)$'
+);
+
+// Palavras que encerram o nome de uma parada em "me avisa na Av. Paulista quando o 708 chegar"
+const STOP_BOUNDARY = new RegExp('\\s+(?:' + [
+    'quando', 'sentido', 'ida', 'volta', 'estiver', 'chegar', 'chegando', 'passar', 'passando',
+    'linha', 'onibus', 'com', 'antes', 'todo', 'toda', 'todos', 'das', 'entre', 'e o', 'pra', 'para'
+].join('|') + ')\\b|[?!]');
+const STOP_MARKER = /\b(?:na|no|em|pela|pelo|ate a|ate o|perto da|perto do|parada|ponto)\s+/g;
+
+// Campos que a resposta a uma pergunta de esclarecimento pode completar no pedido anterior
+const RESUMABLE_FIELDS = [
+    'intent', 'routeNumber', 'stopName', 'direction', 'proximityThreshold', 'arrivalThreshold', 'schedule'
+];
+
+class IntentParser {
+    constructor(options = {}) {
+        this.scheduleManager = options.scheduleManager || new ScheduleManager();
+    }
+
+    // Minúsculas e sem acento, caractere a caractere, para que os índices batam com o texto original
+    fold(text) {
+        return Array.from(text, char => char.normalize('NFD').replace(/[\u0300-\u036f]/g, '').toLowerCase()).join('');
+    }
+
+    parse(text) {
+        const original = text.normalize('NFC').trim();
+        const folded = this.fold(original);
+        const consumed = [];
+
+        const result = {
+            text: original,
+            intent: null,
+            routeNumber: null,
+            stopName: null,
+            direction: null,
+            proximityThreshold: null,
+            arrivalThreshold: null,
+            schedule: null,
+            searchTerm: null,
+            clarification: null
+        };
+
+        const intents = this.detectIntents(folded);
+        const thresholds = this.extractThresholds(folded, consumed);
+        const window = this.extractSchedule(folded, consumed);
+        result.direction = this.extractDirection(folded, consumed);
+        result.stopName = this.extractStop(original, folded, consumed);
+        const routes = this.extractRoutes(folded, consumed);
+
+        Object.assign(result, thresholds);
+        result.routeNumber = routes.length === 1 ? routes[0] : null;
+        result.schedule = window.schedule;
+
+        if (intents.length > 1 && intents[0].score === intents[1].score) {
+            result.clarification = this.ask('whichIntent', {
+                first: { key: `intent.labels.${intents[0].name}` },
+                second: { key: `intent.labels.${intents[1].name}` }
+            });
+            return result;
+        }
+
+        result.intent = intents.length > 0 ? intents[0].name : null;
+
+        if (routes.length > 1) {
+            result.clarification = this.ask('whichRoute', { routes });
+        } else if (window.error) {
+            result.clarification = window.error;
+        } else {
+            result.clarification = this.findMissing(result);
+        }
+
+        if (result.intent === 'search') {
+            result.searchTerm = result.routeNumber || result.stopName || this.extractSearchTerm(original, folded);
+            result.clarification = result.searchTerm ? null : this.ask('askSearchTerm');
+        }
+
+        return result;
+    }
+
+    // Resposta à pergunta de esclarecimento de `previous`: completa aquele pedido em vez de começar outro.
+    // Se o pedido já tinha intenção e a resposta traz outra, ela é um pedido novo.
+    resume(previous, text) {
+        const { key } = previous.clarification;
+
+        // Os dias ficaram na primeira mensagem; só juntas elas formam a janela
+        if (key === 'intent.askTime') {
+            return this.parse(`${previous.text} ${text}`);
+        }
+
+        const reply = this.parse(text);
+        if (previous.intent && this.detectIntents(this.fold(reply.text)).length > 0) {
+            return reply;
+        }
+
+        const merged = { ...previous, text: `${previous.text} ${reply.text}`, clarification: null };
+        if (key === 'intent.askStop' && !reply.stopName) {
+            // "Terminal Vila Galvão", sem "na"/"no": a resposta inteira é o nome da parada
+            merged.stopName = reply.text.replace(/[?!.]+$/, '').trim();
+        } else {
+            for (const field of RESUMABLE_FIELDS) {
+                if (reply[field] !== null) merged[field] = reply[field];
+            }
+        }
+
+        if (merged.intent === 'search') {
+            merged.searchTerm = merged.searchTerm || reply.routeNumber || reply.stopName || reply.text;
+        } else if (reply.clarification && reply.clarification.key.startsWith('schedule.')) {
+            merged.clarification = reply.clarification;
+        } else {
+            merged.clarification = this.findMissing(merged);
+        }
+
+        return merged;
+    }
+
+    // A pergunta volta como chave do catálogo, para ser escrita no idioma do chat
+    ask(name, params = {}) {
+        return { key: `intent.${name}`, params };
+    }
+
+    detectIntents(folded) {
+        let remaining = folded;
+        const found = [];
+
+        for (const intent of INTENTS) {
+            let score = 0;
+            for (const pattern of intent.patterns) {
+                const match = pattern.exec(remaining);
+                if (match) {
+                    score += intent.weight;
+                    remaining = remaining.replace(match[0], ' ');
+                }
+            }
+            if (score > 0) found.push({ ...intent, score });
+        }
+
+        return found.sort((a, b) => b.score - a.score);
+    }
+
+    findMissing(result) {
+        const { intent, routeNumber, stopName } = result;
+
+        if (!intent) {
+            return routeNumber ? this.ask('askIntent', { route: routeNumber }) : null;
+        }
+
+        if (['monitor', 'eta', 'where'].includes(intent) && !routeNumber) {
+            return this.ask('askRoute');
+        }
+
+        if (['monitor', 'eta'].includes(intent) && !stopName) {
+            return this.ask('askStop', { route: routeNumber });
+        }
+
+        if (intent === 'stop' && !routeNumber) {
+            return this.ask('askStopRoute');
+        }
+
+        return null;
+    }
+
+    markConsumed(consumed, match) {
+        consumed.push([match.index, match.index + match[0].length]);
+    }
+
+    isConsumed(consumed, index) {
+        return consumed.some(([start, end]) => index >= start && index < end);
+    }
+
+    extractThresholds(folded, consumed) {
+        const thresholds = { proximityThreshold: null, arrivalThreshold: null };
+
+        const meters = /\b(\d+(?:[.,]\d+)?)\s*(km|quilometros?|metros?|m)\b/.exec(folded);
+        if (meters) {
+            const value = parseFloat(meters[1].replace(',', '.'));
+            thresholds.proximityThreshold = Math.round(meters[2].startsWith('k') || meters[2].startsWith('q')
+                ? value * 1000
+                : value);
+            this.markConsumed(consumed, meters);
+        }
+
+        const minutes = /\b(\d+)\s*(?:minutos?|mins?)\b(?:\s+antes)?/.exec(folded);
+        if (minutes) {
+            thresholds.arrivalThreshold = parseInt(minutes[1]);
+            this.markConsumed(consumed, minutes);
+        }
+
+        return thresholds;
+    }
+
+    extractDays(folded, consumed) {
+        const groups = [
+            [/\b(?:dias? (?:uteis|de semana)|durante a semana)\b/, 'seg-sex'],
+            [/\b(?:todos os dias|todo dia|diariamente)\b/, 'todos'],
+            [/\b(?:fins?|finais) de semana\b/, 'sab,dom']
+        ];
+
+        for (const [pattern, days] of groups) {
+            const match = pattern.exec(folded);
+            if (match) {
+                this.markConsumed(consumed, match);
+                return days;
+            }
+        }
+
+        const range = DAY_RANGE.exec(folded);
+        if (range) {
+            this.markConsumed(consumed, range);
+            return `${range[1].slice(0, 3)}-${range[2].slice(0, 3)}`;
+        }
+
+        const days = [];
+        let match;
+        SINGLE_DAY.lastIndex = 0;
+        while ((match = SINGLE_DAY.exec(folded)) !== null) {
+            days.push(match[1].slice(0, 3));
+            this.markConsumed(consumed, match);
+        }
+
+        return days.length > 0 ? days.join(',') : null;
+    }
+
+    extractSchedule(folded, consumed) {
+        const days = this.extractDays(folded, consumed);
+
+        const times = new RegExp(`\\b(?:das|entre|de)\\s+(${TIME})\\s*(?:as|ate|e|a|-)\\s*(${TIME})\\b`).exec(folded) ||
+            /\b(\d{1,2}[:h]\d{0,2})\s*[-–]\s*(\d{1,2}[:h]\d{0,2})\b/.exec(folded);
+
+        if (!times) {
+            return days
+                ? { schedule: null, error: this.ask('askTime') }
+                : { schedule: null };
+        }
+        this.markConsumed(consumed, times);
+
+        // "das 6 às 8" vira 6h-8h para o parser de horário do /schedule
+        const [start, end] = [times[1], times[2]].map(time => (/^\d+$/.test(time) ? `${time}h` : time));
+        try {
+            return { schedule: this.scheduleManager.parseSchedule(`${days || 'todos'} ${start}-${end}`) };
+        } catch (error) {
+            return { schedule: null, error: { key: error.key, params: error.params } };
+        }
+    }
+
+    extractDirection(folded, consumed) {
+        const match = /\b(?:sentido |no sentido |na )?(ida|volta)\b/.exec(folded);
+        if (!match) return null;
+
+        this.markConsumed(consumed, match);
+        return match[1];
+    }
+
+    extractStop(original, folded, consumed) {
+        const routeOnly = new RegExp(`^(?:linha |onibus )?${ROUTE_TOKEN}$`);
+        STOP_MARKER.lastIndex = 0;
+
+        let marker;
+        while ((marker = STOP_MARKER.exec(folded)) !== null) {
+            const start = marker.index + marker[0].length;
+            if (this.isConsumed(consumed, marker.index) || this.isConsumed(consumed, start)) continue;
+
+            // O nome vai até a próxima palavra de ligação ou o próximo trecho já reconhecido
+            let end = folded.length;
+            const boundary = STOP_BOUNDARY.exec(folded.slice(start));
+            if (boundary) end = start + boundary.index;
+            for (const [spanStart] of consumed) {
+                if (spanStart > start && spanStart < end) end = spanStart;
+            }
+
+            const slice = original.slice(start, end);
+            const unprefixed = slice.replace(/^(?:parada|ponto)\s+(?:d[aeo]\s+)?/i, '');
+            const name = unprefixed
+                .replace(/[\s,.;:]+$/, '')
+                .replace(/\s+(?:a|e|de|do|da|com|em)$/i, '')
+                .trim();
+            if (!name || routeOnly.test(this.fold(name))) continue;
+
+            // O fim sai do trecho original: "parada " removido do nome ainda faz parte do texto consumido
+            const nameStart = start + slice.length - unprefixed.length + unprefixed.indexOf(name);
+            consumed.push([marker.index, nameStart + name.length]);
+            return name;
+        }
+
+        return null;
+    }
+
+    extractRoutes(folded, consumed) {
+        const pattern = new RegExp(`\\b${ROUTE_TOKEN}\\b`, 'g');
+        const routes = [];
+        let match;
+
+        while ((match = pattern.exec(folded)) !== null) {
+            if (this.isConsumed(consumed, match.index)) continue;
+
+            const route = match[0].toUpperCase();
+            if (!routes.includes(route)) routes.push(route);
+        }
+
+        return routes;
+    }
+
+    extractSearchTerm(original, folded) {
+        const match = SEARCH_TERM.exec(folded);
+        if (!match) return null;
+
+        return original.slice(folded.length - match[1].length).replace(/[?!.]+$/, '').trim() || null;
+    }
+}
+
+module.exports = IntentParser;
@@ -0,0 +1,141 @@
+const Logger = require('./logger');
+const Database = require('../storage/database');
+const PreferencesRepository = require('../storage/preferencesRepository');
+const ScheduleManager = require('../services/scheduleManager');
+const catalogues = require('../i18n/locales');
+
+// Idiomas aceitos são os que têm catálogo de mensagens
+const LANGUAGES = Object.keys(catalogues);
+const INTEGER_FIELDS = ['cooldownMinutes', 'maxAlertsPerDay', 'proximityThreshold'];
+const PREFERENCE_FIELDS = [...INTEGER_FIELDS, 'quietHours', 'language'];
+
+// Perfil de cada chat: o que não foi alterado segue os padrões do .env
+class PreferencesManager {
+    constructor(options = {}) {
+        this.logger = new Logger();
+        this.database = options.database || new Database();
+        this.repository = options.repository || new PreferencesRepository(this.database);
+        this.scheduleManager = options.scheduleManager || new ScheduleManager();
+        this.initialize();
+    }
+
+    initialize() {
+        try {
+            this.database.open();
+        } catch (error) {
+            this.logger.error('Failed to initialize Preferences Manager:', error);
+        }
+    }
+
+    get fields() {
+        return PREFERENCE_FIELDS;
+    }
+
+    get languages() {
+        return LANGUAGES;
+    }
+
+    getDefaults() {
+        return {
+            cooldownMinutes: parseInt(process.env.ALERT_COOLDOWN_MINUTES) || 10,
+            maxAlertsPerDay: parseInt(process.env.MAX_ALERTS_PER_ROUTE) || 5,
+            quietHours: null,
+            proximityThreshold: parseInt(process.env.PROXIMITY_THRESHOLD_METERS) || 500,
+            language: LANGUAGES.includes(process.env.DEFAULT_LANGUAGE) ? process.env.DEFAULT_LANGUAGE : 'pt-BR'
+        };
+    }
+
+    async getPreferences(chatId) {
+        try {
+            return { ...this.getDefaults(), ...(this.repository.find(chatId) || {}) };
+        } catch (error) {
+            this.logger.error(`Error loading preferences for ${chatId}:`, error);
+            return this.getDefaults();
+        }
+    }
+
+    // Valida o que chega da API ou do /config; `null` volta o campo ao padrão
+    validate(updates) {
+        const fields = {};
+        const details = [];
+
+        for (const [field, value] of Object.entries(updates)) {
+            if (!PREFERENCE_FIELDS.includes(field)) {
+                details.push({ field, message: 'is not a preference' });
+            } else if (value === null) {
+                fields[field] = null;
+            } else if (INTEGER_FIELDS.includes(field)) {
+                if (Number.isInteger(value) && value > 0) {
+                    fields[field] = value;
+                } else {
+                    details.push({ field, message: 'must be a positive integer' });
+                }
+            } else if (field === 'language') {
+                if (LANGUAGES.includes(value)) {
+                    fields.language = value;
+                } else {
+                    details.push({ field, message: `must be one of ${LANGUAGES.join(', ')}` });
+                }
+            } else {
+                const quietHours = this.parseQuietHours(value);
+                if (quietHours) {
+                    fields.quietHours = quietHours;
+                } else {
+                    details.push({ field, message: 'must be a string like "22:00-07:00" or null' });
+                }
+            }
+        }
+
+        return { fields, details };
+    }
+
+    parseQuietHours(text) {
+        if (typeof text !== 'string') return null;
+
+        const match = /^\s*(\S+?)\s*[-–]\s*(\S+)\s*$/.exec(text);
+        if (!match) return null;
+
+        const start = this.scheduleManager.parseTime(match[1]);
+        const end = this.scheduleManager.parseTime(match[2]);
+        if (!start || !end || start === end) return null;
+
+        return { start, end };
+    }
+
+    async updatePreferences(chatId, fields) {
+        const stored = { ...(this.repository.find(chatId) || {}) };
+        for (const [field, value] of Object.entries(fields)) {
+            if (value === null) {
+                delete stored[field];
+            } else {
+                stored[field] = value;
+            }
+        }
+
+        this.repository.save(chatId, stored);
+        this.logger.info(`Preferences updated for ${chatId}: ${Object.keys(fields).join(', ')}`);
+
+        return this.getPreferences(chatId);
+    }
+
+    async resetPreferences(chatId) {
+        this.repository.delete(chatId);
+        this.logger.info(`Preferences reset for ${chatId}`);
+
+        return this.getPreferences(chatId);
+    }
+
+    // O silêncio pode atravessar a meia-noite (22:00–07:00)
+    isQuietTime(quietHours, date = new Date()) {
+        if (!quietHours) return false;
+
+        const { time } = this.scheduleManager.getLocalTime(date);
+        const { start, end } = quietHours;
+
+        return start < end
+            ? time >= start && time < end
+            : time >= start || time < end;
+    }
+}
+
+module.exports = PreferencesManager;
@@ -0,0 +1,86 @@
+const os = require('os');
+const path = require('path');
+const fs = require('fs-extra');
+const AlertTemplateManager = require('../src/utils/alertTemplateManager');
+const EMTULiveChecker = require('../src/index');
+
+const TEMPLATES_PATH = path.join(os.tmpdir(), `emtu-alert-templates-${process.pid}.json`);
+
+describe('Alert templates', () => {
+    let templates;
+
+    beforeEach(() => {
+        templates = new AlertTemplateManager({ path: TEMPLATES_PATH });
+    });
+
+    afterEach(() => fs.remove(TEMPLATES_PATH));
+
+    test('should fill placeholders and drop sections without data', () => {
+        const template = '🚌 {{route}} em {{ distance }}m{{#plate}} · placa {{plate}}{{/plate}}{{#eta}} · {{eta}}{{/eta}}';
+
+        expect(templates.render(template, { route: '708BI2', distance: '320', plate: 'ABC1D23', eta: null }))
+            .toBe('🚌 708BI2 em 320m · placa ABC1D23');
+    });
+
+    test('should report unknown placeholders, unbalanced sections and stray braces', () => {
+        expect(templates.validate('{{route}} {{constructor}}')).toEqual(['uses unknown placeholder {{constructor}}']);
+        expect(templates.validate('{{#eta}}{{eta}}')).toEqual(['does not close {{#eta}}']);
+        expect(templates.validate('{{#eta}}{{/plate}}{{/eta}}'))
+            .toEqual(['closes {{/plate}} without a matching {{#plate}}']);
+        expect(templates.validate('{{route}} {{ vehicle.id }}')[0]).toMatch(/malformed placeholder/);
+        expect(templates.validate('   ')).toEqual(['must be a non-empty string']);
+    });
+
+    test('should load the operator file and keep the default for other languages', async () => {
+        await fs.writeJson(TEMPLATES_PATH, { proximity: { en: '🚍 {{route}} {{plate}}' } });
+        await templates.load();
+
+        expect(templates.getTemplate('proximity', 'en')).toBe('🚍 {{route}} {{plate}}');
+        expect(templates.getTemplate('proximity', 'pt-BR')).toContain('Alerta de Proximidade!');
+        expect(templates.getTemplates().proximity.en.custom).toBe(true);
+    });
+
+    test('should refuse an invalid file when loading', async () => {
+        await fs.writeJson(TEMPLATES_PATH, {
+            proximity: { 'pt-BR': 'Linha {{linha}}', fr: '{{route}}' },
+            arrival: { en: '{{route}}' }
+        });
+
+        await expect(templates.load()).rejects.toThrow(
+            /proximity\.pt-BR uses unknown placeholder \{\{linha\}\}; proximity\.fr is not a language.*; arrival is not an alert/
+        );
+        expect(templates.templates).toEqual({});
+    });
+
+    test('proximity alerts should use the operator template', async () => {
+        const checker = new EMTULiveChecker();
+        checker.notifications.send = jest.fn().mockResolvedValue();
+        checker.alertTemplates.templates = {
+            proximity: { 'pt-BR': '🚍 {{route}} a {{distance}}m · {{company}} ({{plate}})\n{{mapLink}}' }
+        };
+
+        const config = { chatId: '5511977777777@c.us', routeNumber: '708BI2', stopName: 'Av. Guarulhos, 2800' };
+        const vehicle = { id: '33101', plate: 'ABC1D23', company: 'Viação Exemplo', latitude: -23.4681, longitude: -46.5669 };
+        await checker.sendProximityAlert(config, vehicle, 1234.4);
+
+        const [, message] = checker.notifications.send.mock.calls[0];
+        expect(message).toBe('🚍 708BI2 a 1.234m · Viação Exemplo (ABC1D23)\nhttps://maps.google.com/?q=-23.4681,-46.5669');
+
+        checker.database.close();
+    });
+
+    test('the default template should keep the built-in alert text', async () => {
+        const checker = new EMTULiveChecker();
+        checker.notifications.send = jest.fn().mockResolvedValue();
+
+        const config = { chatId: '5511977777777@c.us', routeNumber: '708BI2', stopName: 'Av. Guarulhos, 2800', direction: 'ida' };
+        await checker.sendProximityAlert(config, { id: '33101' }, 320);
+
+        const [, message] = checker.notifications.send.mock.calls[0];
+        expect(message).toMatch(
+            /^🔔 \*Alerta de Proximidade!\*\n\n🚌 Linha: 708BI2\n📍 Parada: Av\. Guarulhos, 2800 \(ida\)\n📏 Distância: 320m\n🚗 Veículo: 33101\n⏰ \d{2}:\d{2}\n\nO ônibus está se aproximando da sua parada!$/
+        );
+
+        checker.database.close();
+    });
+});
@@ -0,0 +1,709 @@
+const http = require('http');
+const os = require('os');
+const path = require('path');
+const fs = require('fs-extra');
+const axios = require('axios');
+const EMTULiveChecker = require('../src/index');
+const ApiKeyManager = require('../src/utils/apiKeyManager');
+const WebhookNotifier = require('../src/services/webhookNotifier');
+const { stubPortal, portal708 } = require('./helpers/portal');
+
+const CHAT_ID = '5511999999999@c.us';
+const MONITOR_ID = encodeURIComponent(`${CHAT_ID}_708BI2`);
+
+const KEYS_DIR = path.join(os.tmpdir(), `emtu-api-keys-${process.pid}`);
+const KEYS_PATH = path.join(KEYS_DIR, 'api-keys.json');
+
+async function startServer() {
+    const checker = new EMTULiveChecker();
+    stubPortal(checker.emtuService);
+    await checker.configManager.initialize();
+    checker.configManager.configurations.clear();
+    checker.apiKeys.keysPath = KEYS_PATH;
+
+    checker.setupRoutes();
+    const server = await new Promise(resolve => {
+        const listening = checker.app.listen(0, '127.0.0.1', () => resolve(listening));
+    });
+
+    const client = (secret, prefix = '/api') => axios.create({
+        baseURL: `http://127.0.0.1:${server.address().port}${prefix}`,
+        headers: secret ? { Authorization: `Bearer ${secret}` } : {},
+        validateStatus: () => true
+    });
+
+    return { checker, server, client };
+}
+
+async function stopServer({ checker, server }) {
+    checker.scheduler.clear();
+    checker.scheduleManager.clear();
+    await new Promise(resolve => server.close(resolve));
+    await fs.remove(KEYS_DIR);
+}
+
+describe('REST API', () => {
+    let context;
+    let checker;
+    let api;
+
+    beforeEach(async () => {
+        context = await startServer();
+        checker = context.checker;
+        const { secret } = await checker.apiKeys.createKey({ name: 'admin', admin: true });
+        api = context.client(secret);
+    });
+
+    afterEach(async () => {
+        await stopServer(context);
+    });
+
+    async function createMonitor(body = {}) {
+        return api.post('/monitors', {
+            chatId: CHAT_ID,
+            routeNumber: '708bi2',
+            direction: 'ida',
+            stop: 'Av. Guarulhos, 2800',
+            arrivalThreshold: 8,
+            ...body
+        });
+    }
+
+    test('POST /monitors should create and start a monitor', async () => {
+        const response = await createMonitor();
+
+        expect(response.status).toBe(201);
+        expect(response.data).toMatchObject({
+            id: `${CHAT_ID}_708BI2`,
+            routeNumber: '708BI2',
+            isActive: true,
+            polling: true
+        });
+        expect(response.data.stops).toEqual([expect.objectContaining({
+            stopId: '708BI2_ida_3',
+            arrivalThreshold: 8,
+            proximityThreshold: null,
+            polling: true
+        })]);
+        expect(checker.isPolling(CHAT_ID, '708BI2')).toBe(true);
+    });
+
+    test('POST /monitors should add a stop to an existing route monitor', async () => {
+        await createMonitor();
+        const response = await createMonitor({ stop: 'Av. Tiradentes', arrivalThreshold: null, proximityThreshold: 400 });
+
+        expect(response.status).toBe(201);
+        expect(response.data.stops.map(stop => [stop.stopId, stop.proximityThreshold, stop.arrivalThreshold])).toEqual([
+            ['708BI2_ida_3', null, 8],
+            ['708BI2_ida_4', 400, null]
+        ]);
+        expect(checker.isPolling(CHAT_ID, '708BI2', '708BI2_ida_4')).toBe(true);
+    });
+
+    test('PATCH and DELETE /monitors/:id/stops/:stopId should change a single stop', async () => {
+        await createMonitor();
+        await createMonitor({ stop: 'Av. Tiradentes' });
+
+        const updated = await api.patch(`/monitors/${MONITOR_ID}/stops/708BI2_ida_4`, { schedule: 'seg-sex 17:00-19:00' });
+        const routeField = await api.patch(`/monitors/${MONITOR_ID}/stops/708BI2_ida_4`, { maxAlerts: 2 });
+        const missing = await api.patch(`/monitors/${MONITOR_ID}/stops/708BI2_ida_9`, { arrivalThreshold: 5 });
+
+        expect(updated.status).toBe(200);
+        expect(updated.data.stops[0].schedule).toBeNull();
+        expect(updated.data.stops[1].schedule).toMatchObject({ start: '17:00', end: '19:00' });
+        expect(routeField.data.details).toEqual([{ field: 'maxAlerts', message: 'cannot be updated per stop' }]);
+        expect(missing.status).toBe(404);
+
+        const removed = await api.delete(`/monitors/${MONITOR_ID}/stops/708BI2_ida_3`);
+        expect(removed.status).toBe(200);
+        expect(removed.data.stops.map(stop => stop.stopId)).toEqual(['708BI2_ida_4']);
+        expect(checker.isPolling(CHAT_ID, '708BI2', '708BI2_ida_3')).toBe(false);
+
+        const last = await api.delete(`/monitors/${MONITOR_ID}/stops/708BI2_ida_4`);
+        expect(last.status).toBe(409);
+        expect(last.data.error).toBe('conflict');
+    });
+
+    test('POST /monitors should return every validation error as JSON', async () => {
+        const response = await api.post('/monitors', {
+            routeNumber: '708BI2',
+            direction: 'norte',
+            proximityThreshold: -5,
+            schedule: 'seg-sex 09:00-08:00',
+            channel: 'sms'
+        });
+
+        expect(response.status).toBe(400);
+        expect(response.data.error).toBe('validation_error');
+        expect(response.data.details.map(detail => detail.field).sort())
+            .toEqual(['channel', 'chatId', 'direction', 'proximityThreshold', 'schedule', 'stop']);
+        expect(response.data.details).toContainEqual({
+            field: 'schedule',
+            message: 'must end after it starts (the window cannot cross midnight)'
+        });
+    });
+
+    test('POST /monitors should reject malformed JSON with a structured error', async () => {
+        const response = await api.post('/monitors', '{"chatId":', { headers: { 'Content-Type': 'application/json' } });
+
+        expect(response.status).toBe(400);
+        expect(response.data.details).toEqual([{ field: 'body', message: 'must be valid JSON' }]);
+    });
+
+    test('POST /monitors should report unknown routes and stops', async () => {
+        const route = await createMonitor({ routeNumber: '999XX' });
+        const stop = await createMonitor({ stop: 'Rua Inexistente' });
+
+        expect(route.status).toBe(422);
+        expect(route.data.details[0].field).toBe('routeNumber');
+        expect(stop.status).toBe(422);
+        expect(stop.data.details[0].field).toBe('stop');
+    });
+
+    test('GET /monitors should list and filter monitors', async () => {
+        await createMonitor();
+
+        const all = await api.get('/monitors');
+        const other = await api.get('/monitors', { params: { chatId: 'outro@c.us' } });
+
+        expect(all.data.monitors).toHaveLength(1);
+        expect(all.data.monitors[0].id).toBe(`${CHAT_ID}_708BI2`);
+        expect(other.data.monitors).toHaveLength(0);
+    });
+
+    test('PATCH /monitors/:id should update thresholds and restart polling', async () => {
+        await createMonitor();
+
+        const response = await api.patch(`/monitors/${MONITOR_ID}`, { proximityThreshold: 300, arrivalThreshold: null });
+
+        expect(response.status).toBe(200);
+        expect(response.data.stops[0].proximityThreshold).toBe(300);
+        expect(response.data.stops[0].arrivalThreshold).toBeNull();
+        expect(response.data.polling).toBe(true);
+    });
+
+    test('PATCH /monitors/:id should refuse fields that cannot change and empty thresholds', async () => {
+        await createMonitor();
+
+        const readOnly = await api.patch(`/monitors/${MONITOR_ID}`, { stopId: 'x' });
+        const noThreshold = await api.patch(`/monitors/${MONITOR_ID}`, { arrivalThreshold: null });
+
+        expect(readOnly.status).toBe(400);
+        expect(readOnly.data.details).toEqual([{ field: 'stopId', message: 'cannot be updated' }]);
+        expect(noThreshold.status).toBe(400);
+        expect(noThreshold.data.details[0].message).toBe('at least one threshold is required');
+    });
+
+    test('notification targets outside the operator allow-list should be refused', async () => {
+        checker.notifications.register(new WebhookNotifier({ url: 'https://hooks.empresa.test/emtu' }));
+
+        const internal = await createMonitor({ channel: 'webhook', target: 'http://169.254.169.254/latest' });
+        await createMonitor();
+        const unknownHost = await api.patch(`/monitors/${MONITOR_ID}`, { channel: 'webhook', target: 'https://outro.test/x' });
+        const allowed = await api.patch(`/monitors/${MONITOR_ID}`, { channel: 'webhook', target: 'https://hooks.empresa.test/b' });
+        const foreignChat = await api.patch(`/monitors/${MONITOR_ID}`, { channel: 'whatsapp', target: '5511977777777@c.us' });
+
+        expect(internal.status).toBe(422);
+        expect(internal.data.details).toEqual([
+            { field: 'target', message: 'must not point to a loopback, private or link-local address' }
+        ]);
+        expect(unknownHost.status).toBe(422);
+        expect(unknownHost.data.details).toEqual([{ field: 'target', message: 'host is not in WEBHOOK_ALLOWED_HOSTS' }]);
+        expect(allowed.status).toBe(200);
+        expect(allowed.data.target).toBe('https://hooks.empresa.test/b');
+        expect(foreignChat.status).toBe(422);
+        expect(foreignChat.data.details).toEqual([
+            { field: 'target', message: 'must be the requesting chat or listed in WHATSAPP_ALLOWED_TARGETS' }
+        ]);
+    });
+
+    test('pause and resume should toggle polling', async () => {
+        await createMonitor();
+
+        const paused = await api.post(`/monitors/${MONITOR_ID}/pause`);
+        expect(paused.data).toMatchObject({ isActive: false, polling: false });
+
+        const resumed = await api.post(`/monitors/${MONITOR_ID}/resume`);
+        expect(resumed.data).toMatchObject({ isActive: true, polling: true });
+    });
+
+    test('DELETE /monitors/:id should stop and remove the monitor', async () => {
+        await createMonitor();
+
+        const response = await api.delete(`/monitors/${MONITOR_ID}`);
+        const missing = await api.get(`/monitors/${MONITOR_ID}`);
+
+        expect(response.status).toBe(204);
+        expect(checker.isPolling(CHAT_ID, '708BI2')).toBe(false);
+        expect(missing.status).toBe(404);
+        expect(missing.data.error).toBe('not_found');
+    });
+
+    test('route endpoints should expose routes, stops and live vehicles', async () => {
+        const search = await api.get('/routes', { params: { q: '708' } });
+        const route = await api.get('/routes/708bi2');
+        const stops = await api.get('/routes/708BI2/stops', { params: { direction: 'volta' } });
+        const vehicles = await api.get('/routes/708BI2/vehicles');
+        const missingQuery = await api.get('/routes');
+
+        expect(search.data.routes.map(item => item.number)).toEqual(['708BI1', '708BI2']);
+        expect(route.data.number).toBe('708BI2');
+        expect(stops.data.stops.every(stop => stop.direction === 'volta')).toBe(true);
+        expect(vehicles.data.vehicles.map(vehicle => vehicle.id)).toContain('33101');
+        expect(vehicles.data.vehicles[0]).toHaveProperty('stale');
+        expect(missingQuery.status).toBe(400);
+    });
+
+    test('GET /alerts should return the alert history for a chat', async () => {
+        await checker.alertManager.recordAlert(CHAT_ID, '708BI2', '33101', 320, 'Av. Guarulhos, 2800');
+
+        const response = await api.get('/alerts', { params: { chatId: CHAT_ID } });
+        const invalid = await api.get('/alerts', { params: { limit: 'x' } });
+
+        expect(response.data.alerts).toHaveLength(1);
+        expect(response.data.alerts[0]).toMatchObject({ vehicleId: '33101', distance: 320 });
+        expect(invalid.status).toBe(400);
+        expect(invalid.data.details.map(detail => detail.field)).toEqual(['limit']);
+    });
+
+    test('GET /alerts without chatId should merge every visible chat', async () => {
+        await createMonitor();
+        await createMonitor({ chatId: 'outro@c.us' });
+        await checker.alertManager.recordAlert(CHAT_ID, '708BI2', '33101', 320);
+        await checker.alertManager.recordAlert('outro@c.us', '708BI2', '33117', 150);
+
+        const response = await api.get('/alerts');
+
+        expect(response.data.alerts.map(alert => alert.chatId).sort()).toEqual([CHAT_ID, 'outro@c.us']);
+        expect(response.data.alerts).toContainEqual(
+            expect.objectContaining({ chatId: 'outro@c.us', routeId: '708BI2', vehicleId: '33117' })
+        );
+    });
+
+    test('preferences endpoints should read, update and reset a chat profile', async () => {
+        const chat = encodeURIComponent(CHAT_ID);
+
+        const initial = await api.get(`/preferences/${chat}`);
+        const updated = await api.patch(`/preferences/${chat}`, { maxAlertsPerDay: 8, quietHours: '22:00-06:30' });
+        const invalid = await api.patch(`/preferences/${chat}`, { language: 'fr', cooldown: 5 });
+        const reset = await api.delete(`/preferences/${chat}`);
+
+        expect(initial.data).toEqual({ chatId: CHAT_ID, preferences: expect.objectContaining({ maxAlertsPerDay: 5 }) });
+        expect(updated.data.preferences).toMatchObject({ maxAlertsPerDay: 8, quietHours: { start: '22:00', end: '06:30' } });
+        expect(invalid.status).toBe(400);
+        expect(invalid.data.details.map(detail => detail.field)).toEqual(['language', 'cooldown']);
+        expect(reset.data.preferences).toMatchObject({ maxAlertsPerDay: 5, quietHours: null });
+    });
+
+    test('alert template preview should render sample vehicle data', async () => {
+        const current = await api.get('/alert-templates');
+        const custom = await api.post('/alert-templates/preview', {
+            locale: 'en',
+            template: '{{route}} · {{plate}} ({{company}}){{#eta}} · {{eta}}{{/eta}}\n{{mapLink}}'
+        });
+        const fallback = await api.post('/alert-templates/preview', {});
+        const invalid = await api.post('/alert-templates/preview', { locale: 'fr', template: '{{#eta}}{{placa}}' });
+
+        expect(current.data.templates.proximity['pt-BR']).toEqual({
+            template: expect.stringContaining('{{route}}'),
+            custom: false
+        });
+        expect(current.data.variables).toHaveProperty('mapLink');
+
+        expect(custom.status).toBe(200);
+        expect(custom.data.message).toMatch(
+            /^708BI2 · ABC1D23 \(Viação Exemplo\) · ~4 min \(\d{2}:\d{2} [AP]M\)\nhttps:\/\/maps\.google\.com\/\?q=/
+        );
+        expect(fallback.data.message).toContain('📍 Parada: Av. Guarulhos, 2800 (ida)');
+
+        expect(invalid.status).toBe(400);
+        expect(invalid.data.details).toEqual([
+            { field: 'locale', message: 'must be one of pt-BR, en, es' },
+            { field: 'template', message: 'uses unknown placeholder {{placa}}' },
+            { field: 'template', message: 'does not close {{#eta}}' }
+        ]);
+    });
+
+    test('GET /health should report the restored and failed monitors', async () => {
+        checker.configManager.getAllConfigurations = async () => [
+            { key: 'chat_a_001', chatId: 'chat_a', routeNumber: '001', routeId: '001', stops: [{ stopId: 's1' }], isActive: true },
+            { key: 'chat_b_001', chatId: 'chat_b', routeNumber: '001', routeId: '001', stops: [], isActive: true }
+        ];
+        await checker.restoreActiveMonitors();
+
+        const response = await context.client(null, '').get('/health');
+
+        expect(response.status).toBe(200);
+        expect(response.data).toMatchObject({
+            status: 'running',
+            whatsappReady: false,
+            restoredMonitors: { total: 2, restored: 1, failed: 1 }
+        });
+    });
+});
+
+describe('API authentication', () => {
+    let context;
+    let checker;
+    let admin;
+    let tenant;
+    let tenantKey;
+
+    beforeEach(async () => {
+        context = await startServer();
+        checker = context.checker;
+        admin = context.client((await checker.apiKeys.createKey({ name: 'admin', admin: true })).secret);
+
+        const created = await checker.apiKeys.createKey({ name: 'frota', chatIds: [CHAT_ID] });
+        tenantKey = created.key;
+        tenant = context.client(created.secret);
+
+        const other = { routeNumber: '708BI2', direction: 'ida', stop: 'Av. Guarulhos, 2800' };
+        await admin.post('/monitors', { ...other, chatId: CHAT_ID });
+        await admin.post('/monitors', { ...other, chatId: 'outro@c.us' });
+    });
+
+    afterEach(async () => {
+        await stopServer(context);
+    });
+
+    test('should reject requests without a valid key', async () => {
+        const missing = await context.client(null).get('/monitors');
+        const wrong = await context.client('emtu_invalida').get('/monitors');
+        const status = await context.client(null, '').get('/status');
+
+        expect(missing.status).toBe(401);
+        expect(missing.data.error).toBe('unauthorized');
+        expect(wrong.status).toBe(401);
+        expect(status.status).toBe(401);
+    });
+
+    test('should accept the key in the X-API-Key header', async () => {
+        const { secret } = await checker.apiKeys.createKey({ name: 'header', chatIds: [CHAT_ID] });
+
+        const response = await context.client(null).get('/monitors', { headers: { 'X-API-Key': secret } });
+
+        expect(response.status).toBe(200);
+    });
+
+    test('should only accept the key as a query parameter on the stream route', async () => {
+        const { secret } = await checker.apiKeys.createKey({ name: 'query', chatIds: [CHAT_ID] });
+        const anonymous = context.client(null);
+
+        const monitors = await anonymous.get('/monitors', { params: { access_token: secret } });
+        const status = await context.client(null, '').get('/status', { params: { access_token: secret } });
+
+        expect(monitors.status).toBe(401);
+        expect(status.status).toBe(401);
+    });
+
+    test('tenant keys should only see and manage their own chats', async () => {
+        const list = await tenant.get('/monitors');
+        const foreign = await tenant.get(`/monitors/${encodeURIComponent('outro@c.us_708BI2')}`);
+        const create = await tenant.post('/monitors', {
+            chatId: 'outro@c.us', routeNumber: '708BI2', stop: 'Av. Guarulhos, 2800'
+        });
+        const alerts = await tenant.get('/alerts', { params: { chatId: 'outro@c.us' } });
+        const preferences = await tenant.patch(`/preferences/${encodeURIComponent('outro@c.us')}`, { language: 'en' });
+
+        expect(list.data.monitors.map(monitor => monitor.chatId)).toEqual([CHAT_ID]);
+        expect(foreign.status).toBe(404);
+        expect(create.status).toBe(403);
+        expect(alerts.status).toBe(403);
+        expect(preferences.status).toBe(403);
+    });
+
+    test('global endpoints should require an admin key', async () => {
+        const tenantStatus = await context.client(tenant.defaults.headers.Authorization.slice(7), '').get('/status');
+        const tenantStats = await tenant.get('/admin/statistics');
+        const tenantKeys = await tenant.get('/keys');
+        const tenantPreview = await tenant.post('/alert-templates/preview', {});
+        const adminStats = await admin.get('/admin/statistics');
+
+        expect(tenantStatus.status).toBe(403);
+        expect(tenantStats.status).toBe(403);
+        expect(tenantKeys.status).toBe(403);
+        expect(tenantPreview.status).toBe(403);
+        expect(adminStats.status).toBe(200);
+        expect(adminStats.data.configurations.total).toBe(2);
+    });
+
+    test('rotating a key should invalidate the previous secret', async () => {
+        const rotated = await tenant.post(`/keys/${tenantKey.id}/rotate`);
+        const old = await tenant.get('/monitors');
+        const fresh = await context.client(rotated.data.secret).get('/monitors');
+
+        expect(rotated.status).toBe(200);
+        expect(old.status).toBe(401);
+        expect(fresh.status).toBe(200);
+    });
+
+    test('tenant keys should not rotate other keys', async () => {
+        const otherKey = (await checker.apiKeys.createKey({ name: 'outra' })).key;
+
+        const response = await tenant.post(`/keys/${otherKey.id}/rotate`);
+
+        expect(response.status).toBe(403);
+    });
+
+    test('admins should create, scope and revoke keys', async () => {
+        const created = await admin.post('/keys', { name: 'painel', chatIds: ['outro@c.us'] });
+        const invalid = await admin.post('/keys', { chatIds: 'outro@c.us' });
+        const scoped = await admin.patch(`/keys/${created.data.key.id}`, { chatIds: [CHAT_ID] });
+        const visible = await context.client(created.data.secret).get('/monitors');
+        const revoked = await admin.delete(`/keys/${created.data.key.id}`);
+        const after = await context.client(created.data.secret).get('/monitors');
+
+        expect(created.status).toBe(201);
+        expect(created.data.key).not.toHaveProperty('hash');
+        expect(invalid.data.details.map(detail => detail.field)).toEqual(['name', 'chatIds']);
+        expect(scoped.data.chatIds).toEqual([CHAT_ID]);
+        expect(visible.data.monitors.map(monitor => monitor.chatId)).toEqual([CHAT_ID]);
+        expect(revoked.status).toBe(204);
+        expect(after.status).toBe(401);
+    });
+});
+
+describe('API key storage', () => {
+    afterEach(async () => {
+        await fs.remove(KEYS_DIR);
+    });
+
+    test('should persist only the hash of each secret', async () => {
+        const manager = new ApiKeyManager({ path: KEYS_PATH });
+        const { secret, key } = await manager.createKey({ name: 'frota', chatIds: [CHAT_ID] });
+
+        const reloaded = new ApiKeyManager({ path: KEYS_PATH });
+        await reloaded.loadKeys();
+
+        expect(await fs.readFile(KEYS_PATH, 'utf8')).not.toContain(secret);
+        expect(reloaded.verify(secret)).toMatchObject({ id: key.id, chatIds: [CHAT_ID] });
+        expect(reloaded.verify('emtu_outra')).toBeNull();
+    });
+
+    test('should recover keys from the newest valid backup when the file is truncated', async () => {
+        const manager = new ApiKeyManager({ path: KEYS_PATH });
+        const first = await manager.createKey({ name: 'frota' });
+        const second = await manager.createKey({ name: 'painel' });
+        const third = await manager.createKey({ name: 'suporte' });
+        await manager.createKey({ name: 'auditoria' });
+
+        // Simula um crash no meio da gravação: o arquivo atual e o backup mais recente ficam cortados
+        await fs.writeFile(KEYS_PATH, '{"keys": [{"id": "key_');
+        await fs.writeFile(path.join(KEYS_DIR, 'api-keys.1.json'), '');
+
+        const reloaded = new ApiKeyManager({ path: KEYS_PATH });
+        await reloaded.loadKeys();
+
+        expect(reloaded.verify(first.secret)).toMatchObject({ id: first.key.id });
+        expect(reloaded.verify(second.secret)).toMatchObject({ id: second.key.id });
+        expect(reloaded.verify(third.secret)).toBeNull();
+        expect(reloaded.recovery).toMatchObject({ source: path.join(KEYS_DIR, 'api-keys.2.json'), keys: 2 });
+        expect(await fs.readJson(KEYS_PATH)).toHaveProperty('keys');
+
+        const leftovers = await fs.readdir(KEYS_DIR);
+        expect(leftovers.some(file => file.startsWith('api-keys.json.corrupt-'))).toBe(true);
+        expect(leftovers.some(file => file.endsWith('.tmp'))).toBe(false);
+    });
+});
+
+describe('Live vehicle stream', () => {
+    let context;
+    let checker;
+    let tenantSecret;
+    const streams = [];
+
+    // Abre o SSE e acumula os eventos recebidos
+    function openStream(headers = {}, path = '/api/routes/708bi2/stream') {
+        return new Promise((resolve, reject) => {
+            const { port } = context.server.address();
+            const request = http.get({ host: '127.0.0.1', port, path, headers }, res => {
+                const stream = { status: res.statusCode, headers: res.headers, events: [], request };
+                let buffer = '';
+
+                res.on('data', chunk => {
+                    buffer += chunk.toString();
+                    let index;
+                    while ((index = buffer.indexOf('\n\n')) !== -1) {
+                        const block = buffer.slice(0, index);
+                        buffer = buffer.slice(index + 2);
+                        const fields = Object.fromEntries(block.split('\n')
+                            .filter(line => /^(id|event|data):/.test(line))
+                            .map(line => [line.slice(0, line.indexOf(':')), line.slice(line.indexOf(':') + 1).trim()]));
+                        if (fields.event) {
+                            stream.events.push({ id: Number(fields.id), type: fields.event, data: JSON.parse(fields.data) });
+                        }
+                    }
+                });
+
+                streams.push(stream);
+                resolve(stream);
+            });
+            request.on('error', reject);
+        });
+    }
+
+    async function waitFor(condition) {
+        for (let i = 0; i < 50 && !condition(); i++) {
+            await new Promise(resolve => setTimeout(resolve, 10));
+        }
+    }
+
+    function close(stream) {
+        stream.request.destroy();
+    }
+
+    beforeEach(async () => {
+        context = await startServer();
+        checker = context.checker;
+        tenantSecret = (await checker.apiKeys.createKey({ name: 'mural', chatIds: [CHAT_ID] })).secret;
+    });
+
+    afterEach(async () => {
+        streams.splice(0).forEach(close);
+        checker.liveFeed.clear();
+        await stopServer(context);
+    });
+
+    test('should require a key, accepting it as a query parameter for EventSource', async () => {
+        const anonymous = await openStream();
+        const { port } = context.server.address();
+        const viaQuery = await new Promise(resolve => {
+            const path = `/api/routes/708BI2/stream?access_token=${tenantSecret}`;
+            const request = http.get({ host: '127.0.0.1', port, path }, res => {
+                streams.push({ request });
+                resolve(res);
+            });
+        });
+
+        expect(anonymous.status).toBe(401);
+        expect(viaQuery.statusCode).toBe(200);
+        expect(viaQuery.headers['content-type']).toContain('text/event-stream');
+    });
+
+    test('should push the positions fetched by the polling loop to every listener', async () => {
+        const first = await openStream({ Authorization: `Bearer ${tenantSecret}` });
+        const second = await openStream({ Authorization: `Bearer ${tenantSecret}` });
+        const fetch = jest.spyOn(checker.emtuService, 'fetchVehiclePositions');
+
+        await checker.scheduler.tick();
+        await waitFor(() => first.events.length && second.events.length);
+
+        expect(fetch).toHaveBeenCalledTimes(1);
+        expect(checker.liveFeed.listenerCount('708BI2')).toBe(2);
+        for (const stream of [first, second]) {
+            expect(stream.events[0].type).toBe('positions');
+            expect(stream.events[0].data.vehicles.map(vehicle => vehicle.id)).toContain('33101');
+        }
+    });
+
+    test('should only deliver proximity events for chats the key can see', async () => {
+        const stream = await openStream({ Authorization: `Bearer ${tenantSecret}` });
+
+        checker.liveFeed.publish('708BI2', 'proximity', { chatId: 'outro@c.us', vehicleId: '33117' });
+        checker.liveFeed.publish('708BI2', 'proximity', { chatId: CHAT_ID, vehicleId: '33101' });
+        await waitFor(() => stream.events.length);
+
+        expect(stream.events.map(event => event.data.vehicleId)).toEqual(['33101']);
+    });
+
+    test('should replay missed events after reconnecting with Last-Event-ID', async () => {
+        const headers = { Authorization: `Bearer ${tenantSecret}` };
+        const first = await openStream(headers);
+        const seen = checker.liveFeed.publish('708BI2', 'positions', { vehicles: [] });
+        await waitFor(() => first.events.length);
+        close(first);
+
+        const missed = checker.liveFeed.publish('708BI2', 'proximity', { chatId: CHAT_ID, vehicleId: '33101' });
+        const resumed = await openStream({ ...headers, 'Last-Event-ID': String(seen.id) });
+        await waitFor(() => resumed.events.length);
+
+        expect(resumed.events.map(event => event.id)).toEqual([missed.id]);
+    });
+
+    test('should refuse unknown routes without polling them', async () => {
+        const stream = await openStream({ Authorization: `Bearer ${tenantSecret}` }, '/api/routes/999xx/stream');
+
+        expect(stream.status).toBe(404);
+        expect(checker.scheduler.has('live:999XX')).toBe(false);
+        expect(checker.liveFeed.listenerCount()).toBe(0);
+    });
+
+    test('should refuse a partial route id instead of streaming the first match', async () => {
+        const stream = await openStream({ Authorization: `Bearer ${tenantSecret}` }, '/api/routes/708/stream');
+
+        expect(stream.status).toBe(404);
+        expect(checker.scheduler.keys().some(key => key.startsWith('live:'))).toBe(false);
+        expect(checker.liveFeed.listenerCount()).toBe(0);
+    });
+
+    test('should limit the streams open at once by the same key', async () => {
+        const headers = { Authorization: `Bearer ${tenantSecret}` };
+        checker.liveFeed.maxListenersPerOwner = 2;
+
+        const first = await openStream(headers);
+        await openStream(headers);
+        const refused = await openStream(headers);
+        close(first);
+        await waitFor(() => checker.liveFeed.listenerCount('708BI2') === 1);
+        const reopened = await openStream(headers);
+
+        expect(refused.status).toBe(429);
+        expect(reopened.status).toBe(200);
+    });
+
+    test('should stream more routes than the key limit over a single connection', async () => {
+        stubPortal(checker.emtuService, { '708BI1': portal708 });
+        checker.liveFeed.maxListenersPerOwner = 1;
+
+        const stream = await openStream({}, `/api/stream?routes=708bi2,708BI1&access_token=${tenantSecret}`);
+        const refused = await openStream({ Authorization: `Bearer ${tenantSecret}` }, '/api/stream?routes=708BI2');
+        checker.liveFeed.publish('708BI2', 'positions', { vehicles: [{ id: '33101' }] });
+        checker.liveFeed.publish('708BI1', 'positions', { vehicles: [{ id: '41002' }] });
+        await waitFor(() => stream.events.length === 2);
+
+        expect(stream.status).toBe(200);
+        expect(refused.status).toBe(429);
+        expect(stream.events.map(event => event.data.routeId)).toEqual(['708BI2', '708BI1']);
+        expect(checker.scheduler.has('live:708BI1')).toBe(true);
+        expect(checker.scheduler.has('live:708BI2')).toBe(true);
+
+        close(stream);
+        await waitFor(() => checker.liveFeed.listenerCount() === 0);
+        const reopened = await openStream({ Authorization: `Bearer ${tenantSecret}` }, '/api/stream?routes=708BI2');
+        expect(reopened.status).toBe(200);
+    });
+
+    test('should report the routes past the per-stream limit as paused', async () => {
+        stubPortal(checker.emtuService, { '708BI1': portal708 });
+        checker.liveFeed.maxRoutesPerListener = 1;
+
+        const stream = await openStream({ Authorization: `Bearer ${tenantSecret}` }, '/api/stream?routes=708BI2,708BI1');
+        await waitFor(() => stream.events.length);
+
+        expect(stream.events[0]).toMatchObject({ type: 'paused', data: { routes: ['708BI1'], limit: 1 } });
+        expect(checker.liveFeed.listenerCount('708BI2')).toBe(1);
+        expect(checker.scheduler.has('live:708BI1')).toBe(false);
+    });
+
+    test('should refuse a multi-route stream with a missing or unknown route', async () => {
+        const headers = { Authorization: `Bearer ${tenantSecret}` };
+        const empty = await openStream(headers, '/api/stream');
+        const unknown = await openStream(headers, '/api/stream?routes=708BI2,999xx');
+
+        expect(empty.status).toBe(400);
+        expect(unknown.status).toBe(404);
+        expect(checker.scheduler.keys().some(key => key.startsWith('live:'))).toBe(false);
+        expect(checker.liveFeed.listenerCount()).toBe(0);
+    });
+
+    test('should start with the latest known positions on a fresh connection', async () => {
+        checker.liveFeed.publish('708BI2', 'positions', { vehicles: [{ id: '33101' }] });
+
+        const stream = await openStream({ Authorization: `Bearer ${tenantSecret}` });
+        await waitFor(() => stream.events.length);
+
+        expect(stream.events[0].type).toBe('positions');
+        expect(stream.events[0].data.vehicles[0].id).toBe('33101');
+    });
+});
@@ -0,0 +1,146 @@
+const fs = require('fs-extra');
+const path = require('path');
+const axios = require('axios');
+const EMTULiveChecker = require('../src/index');
+const { calculateDistance } = require('../src/utils/geo');
+const {
+    createProjection,
+    buildMapMarkup,
+    buildMonitorsMarkup,
+    buildAlertsMarkup,
+    buildStreamUrl
+} = require('../public/dashboard/dashboard');
+
+const DASHBOARD_DIR = path.join(__dirname, '..', 'public', 'dashboard');
+
+const stops = [
+    { id: '708BI2_ida_1', name: 'Terminal Cecap', direction: 'ida', sequence: 1, latitude: -23.456, longitude: -46.563 },
+    { id: '708BI2_ida_2', name: 'Av. Guarulhos, 1200', direction: 'ida', sequence: 2, latitude: -23.462, longitude: -46.565 },
+    { id: '708BI2_ida_3', name: 'Av. Guarulhos, 2800 <esq>', direction: 'ida', sequence: 3, latitude: -23.468, longitude: -46.567 }
+];
+
+describe('Dashboard map', () => {
+    test('projection should fit every point and keep a metric scale', () => {
+        const project = createProjection(stops, 1000, 700);
+        const points = stops.map(stop => project(stop.latitude, stop.longitude));
+
+        points.forEach(point => {
+            expect(point.x).toBeGreaterThanOrEqual(0);
+            expect(point.x).toBeLessThanOrEqual(1000);
+            expect(point.y).toBeGreaterThanOrEqual(0);
+            expect(point.y).toBeLessThanOrEqual(700);
+        });
+
+        const meters = calculateDistance(stops[0].latitude, stops[0].longitude, stops[2].latitude, stops[2].longitude);
+        const pixels = Math.hypot(points[2].x - points[0].x, points[2].y - points[0].y);
+        expect(pixels / project.scale).toBeCloseTo(meters, -1);
+        // Norte para cima
+        expect(points[0].y).toBeLessThan(points[2].y);
+    });
+
+    test('should draw stops, live vehicles and the monitor threshold radius', () => {
+        const state = {
+            routes: {
+                '708BI2': {
+                    stops,
+                    vehicles: [
+                        { id: '33101', prefix: '33101', latitude: -23.46, longitude: -46.564, stale: false },
+                        { id: '33117', prefix: '33117', latitude: -23.457, longitude: -46.563, stale: true }
+                    ]
+                }
+            },
+            monitors: [{
+                routeId: '708BI2',
+                routeNumber: '708BI2',
+                stops: [{
+                    stopId: '708BI2_ida_3', stopName: 'Av. Guarulhos, 2800', proximityThreshold: 500, arrivalThreshold: 8
+                }]
+            }],
+            alerts: []
+        };
+
+        const markup = buildMapMarkup(state, 1000, 700);
+        const project = createProjection([...stops, ...state.routes['708BI2'].vehicles], 1000, 700);
+        const radius = Number(/class="threshold"[^>]* r="([\d.]+)"/.exec(markup)[1]);
+
+        expect(markup.match(/class="stop"/g)).toHaveLength(3);
+        expect(markup).toContain('<polyline class="route-line ida"');
+        expect(markup.match(/class="vehicle/g)).toHaveLength(2);
+        expect(markup).toContain('class="vehicle stale"');
+        expect(radius).toBeCloseTo(500 * project.scale, 0);
+        expect(markup).toContain('500m ou 8 min');
+        expect(markup).toContain('2800 &lt;esq&gt;');
+    });
+
+    test('should show an empty state without active monitors', () => {
+        const markup = buildMapMarkup({ routes: {}, monitors: [], alerts: [] }, 1000, 700);
+
+        expect(markup).toContain('Nenhum monitoramento ativo');
+    });
+
+    test('should list recent alerts', () => {
+        const markup = buildAlertsMarkup([
+            { routeId: '708BI2', vehicleId: '33101', distance: 321.4, stopName: 'Av. Guarulhos', timestamp: new Date().toISOString() }
+        ]);
+
+        expect(markup).toContain('veículo 33101');
+        expect(markup).toContain('321m');
+    });
+
+    test('should follow every route over a single stream', () => {
+        const routeIds = ['708BI2', '285', '391', '378TR1', '708BI1', '109'];
+
+        expect(buildStreamUrl(routeIds, 'emtu_a+b')).toBe('/api/stream?routes=708BI2,285,391,378TR1,708BI1,109&access_token=emtu_a%2Bb');
+    });
+
+    test('should flag the routes paused past the stream limit', () => {
+        const monitors = ['708BI2', '708BI1'].map(routeId => ({
+            routeId,
+            routeNumber: routeId,
+            stops: [{ stopName: 'Av. Guarulhos, 1200', direction: 'ida', proximityThreshold: 500, polling: true }]
+        }));
+
+        const items = buildMonitorsMarkup(monitors, ['708BI1']).split('</li>');
+
+        expect(items[0]).not.toContain('mapa pausado');
+        expect(items[1]).toContain('mapa pausado');
+    });
+});
+
+describe('Dashboard assets', () => {
+    let checker;
+    let server;
+    let baseURL;
+
+    beforeEach(async () => {
+        checker = new EMTULiveChecker();
+        checker.setupRoutes();
+        server = await new Promise(resolve => {
+            const listening = checker.app.listen(0, '127.0.0.1', () => resolve(listening));
+        });
+        baseURL = `http://127.0.0.1:${server.address().port}`;
+    });
+
+    afterEach(async () => {
+        await new Promise(resolve => server.close(resolve));
+    });
+
+    test('should be served by the bot without an API key', async () => {
+        const page = await axios.get(`${baseURL}/dashboard/`);
+        const script = await axios.get(`${baseURL}/dashboard/dashboard.js`);
+        const root = await axios.get(`${baseURL}/`, { maxRedirects: 0, validateStatus: () => true });
+
+        expect(page.status).toBe(200);
+        expect(page.data).toContain('<svg id="map"');
+        expect(script.headers['content-type']).toContain('javascript');
+        expect(root.status).toBe(302);
+        expect(root.headers.location).toBe('/dashboard/');
+    });
+
+    test('should only load data from the bot API', async () => {
+        for (const file of await fs.readdir(DASHBOARD_DIR)) {
+            const content = await fs.readFile(path.join(DASHBOARD_DIR, file), 'utf8');
+            expect(content).not.toMatch(/https?:\/\//);
+        }
+    });
+});
@@ -2,6 +2,7 @@ const EMTUService = require('../src/services/emtu');
 const AlertManager = require('../src/services/alertManager');
 const ConfigManager = require('../src/utils/configManager');
 const Logger = require('../src/utils/logger');
+const { stubPortal } = require('./helpers/portal');
 
 describe('EMTU Live Checker Tests', () => {
     let emtuService;
@@ -11,42 +12,65 @@ describe('EMTU Live Checker Tests', () => {
 
     beforeAll(() => {
         emtuService = new EMTUService();
+        stubPortal(emtuService);
         alertManager = new AlertManager();
         configManager = new ConfigManager();
         logger = new Logger();
     });
 
     describe('EMTU Service', () => {
-        test('should get mock routes when API is not available', async () => {
-            const routes = await emtuService.getAllRoutes();
-            expect(routes).toBeDefined();
-            expect(Array.isArray(routes)).toBe(true);
-            expect(routes.length).toBeGreaterThan(0);
+        test('should return no routes when the portal is not available', async () => {
+            const unreachable = new EMTUService();
+            unreachable.api.get = jest.fn().mockRejectedValue(new Error('ECONNREFUSED'));
+
+            expect(await unreachable.searchRoutes('708')).toEqual([]);
+            expect(await unreachable.getVehiclePositions('708BI2')).toEqual([]);
         });
 
         test('should find a route by number', async () => {
-            const route = await emtuService.findRoute('001');
+            const route = await emtuService.findRoute('708bi2');
             expect(route).toBeDefined();
-            expect(route.number).toBe('001');
+            expect(route.number).toBe('708BI2');
         });
 
         test('should search routes', async () => {
-            const results = await emtuService.searchRoutes('terminal');
-            expect(results).toBeDefined();
-            expect(Array.isArray(results)).toBe(true);
+            const results = await emtuService.searchRoutes('708');
+            expect(results.map(route => route.number)).toEqual(['708BI1', '708BI2']);
         });
 
-        test('should get mock vehicle positions', async () => {
-            const vehicles = await emtuService.getVehiclePositions('001');
-            expect(vehicles).toBeDefined();
+        test('should get vehicle positions', async () => {
+            // Instância própria: a consulta também indexa as paradas da 708BI2, e os testes abaixo usam só as da 001
+            const service = new EMTUService();
+            stubPortal(service);
+
+            const vehicles = await service.getVehiclePositions('708BI2');
             expect(Array.isArray(vehicles)).toBe(true);
+            expect(vehicles.map(vehicle => vehicle.id)).toEqual(['33101', '33117', '33122']);
         });
 
         test('should get stop location', async () => {
-            const location = await emtuService.getStopLocation('stop_001');
+            emtuService.buildStopIndex([emtuService.normalizeDirection({
+                sentido: 'ida',
+                destino: 'Terminal Cidade Tiradentes',
+                pontos: [
+                    { endereco: 'Terminal São Mateus', latitude: '-23.6094', longitude: '-46.4736' },
+                    { endereco: 'Av. Ragueb Chohfi, 1500', latitude: '-23.6050', longitude: '-46.4600' }
+                ]
+            }, '001')]);
+
+            const location = await emtuService.getStopLocation('001_ida_1');
             expect(location).toBeDefined();
-            expect(location.latitude).toBeDefined();
-            expect(location.longitude).toBeDefined();
+            expect(location.latitude).toBe(-23.6094);
+            expect(location.longitude).toBe(-46.4736);
+        });
+
+        test('should find stops by name, ignoring accents, or by sequence', async () => {
+            const byName = await emtuService.findStop('sao mateus');
+            expect(byName.id).toBe('001_ida_1');
+
+            const bySequence = await emtuService.findStop('2');
+            expect(bySequence.address).toBe('Av. Ragueb Chohfi, 1500');
+            expect(bySequence.direction).toBe('ida');
         });
     });
 
@@ -195,6 +219,102 @@ describe('EMTU Live Checker Tests', () => {
         });
     });
 
+    describe('Monitor Restore', () => {
+        test('should restore only active and complete configurations', async () => {
+            const EMTULiveChecker = require('../src/index');
+            const checker = new EMTULiveChecker();
+
+            checker.configManager.getAllConfigurations = async () => [
+                { key: 'chat_a_001', chatId: 'chat_a', routeNumber: '001', routeId: '001', stops: [{ stopId: 's1' }], isActive: true },
+                { key: 'chat_b_001', chatId: 'chat_b', routeNumber: '001', routeId: '001', stops: [], isActive: true },
+                { key: 'chat_c_002', chatId: 'chat_c', routeNumber: '002', routeId: '002', stops: [{ stopId: 's2' }], isActive: false }
+            ];
+
+            const stats = await checker.restoreActiveMonitors();
+            expect(stats.total).toBe(2);
+            expect(stats.restored).toBe(1);
+            expect(stats.failed).toBe(1);
+            expect(checker.isPolling('chat_a', '001')).toBe(true);
+
+            checker.scheduler.clear();
+        });
+    });
+
+    describe('Route Scheduler', () => {
+        const RouteScheduler = require('../src/services/routeScheduler');
+
+        test('should fetch each route once per tick and fan out to subscribers', async () => {
+            const fetchVehiclePositions = jest.fn().mockResolvedValue([{ prefixo: '1001' }]);
+            const scheduler = new RouteScheduler({ fetchVehiclePositions }, { pollInterval: 60000 });
+            const first = jest.fn();
+            const second = jest.fn();
+
+            scheduler.subscribe('708BI2', 'chat_a_708BI2', first);
+            scheduler.subscribe('708BI2', 'chat_b_708BI2', second);
+            await scheduler.tick();
+
+            expect(fetchVehiclePositions).toHaveBeenCalledTimes(1);
+            expect(first).toHaveBeenCalledWith([{ prefixo: '1001' }]);
+            expect(second).toHaveBeenCalledWith([{ prefixo: '1001' }]);
+
+            await scheduler.tick();
+            expect(fetchVehiclePositions).toHaveBeenCalledTimes(1);
+        });
+
+        test('should back off a route after upstream failures', async () => {
+            const fetchVehiclePositions = jest.fn().mockRejectedValue(new Error('timeout'));
+            const scheduler = new RouteScheduler({ fetchVehiclePositions }, { pollInterval: 60000 });
+
+            scheduler.subscribe('708BI2', 'chat_a_708BI2', jest.fn());
+            await scheduler.tick();
+
+            const [status] = scheduler.getStatus();
+            expect(status.failures).toBe(1);
+            expect(status.nextPollAt.getTime() - Date.now()).toBeGreaterThan(60000);
+        });
+    });
+
+    describe('Schedule Manager', () => {
+        const ScheduleManager = require('../src/services/scheduleManager');
+        const scheduleManager = new ScheduleManager({ timezone: 'America/Sao_Paulo' });
+
+        test('should parse weekday commute windows', () => {
+            expect(scheduleManager.parseSchedule('seg-sex 06:30-08:00')).toEqual({
+                days: [1, 2, 3, 4, 5],
+                start: '06:30',
+                end: '08:00'
+            });
+            expect(scheduleManager.parseSchedule('Mon–Fri 06:30–08:00').days).toEqual([1, 2, 3, 4, 5]);
+            expect(scheduleManager.parseSchedule('sáb,dom 9h-12h').days).toEqual([0, 6]);
+            expect(() => scheduleManager.parseSchedule('seg-sex 08:00-06:30')).toThrow();
+            expect(() => scheduleManager.parseSchedule('xyz 06:30-08:00')).toThrow();
+        });
+
+        test('should format schedules', () => {
+            expect(scheduleManager.formatSchedule({ days: [1, 2, 3, 4, 5], start: '06:30', end: '08:00' }))
+                .toBe('Seg–Sex 06:30–08:00');
+        });
+
+        test('should check windows in the configured timezone', () => {
+            const schedule = { days: [1, 2, 3, 4, 5], start: '06:30', end: '08:00' };
+
+            expect(scheduleManager.isWithinWindow(schedule, new Date('2025-03-10T07:00:00-03:00'))).toBe(true);
+            expect(scheduleManager.isWithinWindow(schedule, new Date('2025-03-10T08:00:00-03:00'))).toBe(false);
+            expect(scheduleManager.isWithinWindow(schedule, new Date('2025-03-09T07:00:00-03:00'))).toBe(false);
+        });
+
+        test('should register and unregister cron jobs', () => {
+            const schedule = { days: [1, 2, 3, 4, 5], start: '06:30', end: '08:00' };
+
+            scheduleManager.register('chat_a_708BI2', schedule, { onStart: jest.fn(), onStop: jest.fn() });
+            expect(scheduleManager.has('chat_a_708BI2')).toBe(true);
+            expect(scheduleManager.toCronExpression('06:30', schedule.days)).toBe('30 6 * * 1,2,3,4,5');
+
+            expect(scheduleManager.unregister('chat_a_708BI2')).toBe(true);
+            expect(scheduleManager.size).toBe(0);
+        });
+    });
+
     afterAll(async () => {
         
         if (alertManager) {
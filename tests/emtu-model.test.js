@@ -0,0 +1,522 @@
+const EMTUService = require('../src/services/emtu');
+const EMTULiveChecker = require('../src/index');
+const { portal708, stubPortal } = require('./helpers/portal');
+
+// Instante próximo às transmissões gravadas nas fixtures
+const FIXTURE_NOW = new Date('2025-03-10T07:45:00-03:00').getTime();
+
+beforeEach(() => {
+    jest.spyOn(Date, 'now').mockReturnValue(FIXTURE_NOW);
+});
+
+afterEach(() => {
+    jest.restoreAllMocks();
+});
+
+describe('EMTU domain model', () => {
+    let emtuService;
+
+    beforeEach(() => {
+        emtuService = new EMTUService();
+        stubPortal(emtuService);
+    });
+
+    test('findRoute should return a Route with directions, stops and vehicles', async () => {
+        const route = await emtuService.findRoute('708bi2');
+
+        expect(route.id).toBe('708BI2');
+        expect(route.number).toBe('708BI2');
+        expect(route.consortium).toBe('Consórcio Internorte');
+        expect(route.fare).toBe(5.65);
+        expect(route.directions.map(direction => direction.name)).toEqual(['ida', 'volta']);
+        expect(route.directions[0].stops[0]).toEqual(expect.objectContaining({
+            id: '708BI2_ida_1',
+            routeNumber: '708BI2',
+            direction: 'ida',
+            sequence: 1,
+            latitude: expect.any(Number),
+            longitude: expect.any(Number)
+        }));
+        expect(route.vehicles).toHaveLength(3);
+    });
+
+    test('findRoute should only accept the exact line among several matches', async () => {
+        const routes = await emtuService.searchRoutes('708');
+        expect(routes.map(route => route.number)).toEqual(['708BI1', '708BI2']);
+
+        expect(await emtuService.findRoute('708')).toBeNull();
+        expect(await emtuService.findRoute('999')).toBeNull();
+    });
+
+    test('fetchVehiclePositions should read the exact line from a prefix search', async () => {
+        // O portal devolve 708BI1 antes de 708BI2 também quando a busca é pelo código completo
+        stubPortal(emtuService, { '708BI2': portal708 });
+
+        const vehicles = await emtuService.fetchVehiclePositions('708BI2');
+
+        expect(vehicles.length).toBeGreaterThan(0);
+        expect(vehicles.every(vehicle => vehicle.routeNumber === '708BI2')).toBe(true);
+        expect(await emtuService.fetchVehiclePositions('708')).toEqual([]);
+    });
+
+    test('the vehicle positions poll should keep the stop index fresh without extra requests', async () => {
+        const get = stubPortal(emtuService);
+
+        await emtuService.fetchVehiclePositions('708BI2');
+        const stops = await emtuService.getDirectionStops('708BI2', 'ida');
+        expect(stops).toHaveLength(5);
+        expect(await emtuService.getStop('708BI2_volta_2', '708BI2')).not.toBeNull();
+        expect(get).toHaveBeenCalledTimes(1);
+
+        // O cache de 5 minutos teria vencido, mas cada consulta de posições o renova
+        Date.now.mockReturnValue(FIXTURE_NOW + 6 * 60 * 1000);
+        await emtuService.fetchVehiclePositions('708BI2');
+        await emtuService.getDirectionStops('708BI2', 'volta');
+        expect(get).toHaveBeenCalledTimes(2);
+    });
+
+    test('getVehiclePositions should return normalized vehicles', async () => {
+        const vehicles = await emtuService.getVehiclePositions('708BI2');
+
+        expect(vehicles[0]).toEqual({
+            id: '33101',
+            prefix: '33101',
+            plate: 'FJK1A23',
+            company: 'Viação Guarulhos',
+            routeNumber: '708BI2',
+            direction: 'ida',
+            latitude: -23.4631,
+            longitude: -46.5653,
+            lastTransmission: new Date('2025-03-10T07:41:12-03:00')
+        });
+    });
+
+    test('getPontos should return the stops of the requested direction', async () => {
+        const stops = await emtuService.getPontos('708BI2', 'volta');
+
+        expect(stops).toHaveLength(5);
+        expect(stops.every(stop => stop.direction === 'volta')).toBe(true);
+        expect(stops[0].name).toBe('Terminal Tucuruvi');
+    });
+});
+
+describe('Commands agree on the domain model', () => {
+    let checker;
+
+    beforeEach(() => {
+        checker = new EMTULiveChecker();
+        stubPortal(checker.emtuService);
+        checker.whatsapp.sendLocation = jest.fn().mockResolvedValue(true);
+        checker.configManager.saveConfiguration = jest.fn().mockResolvedValue(true);
+    });
+
+    afterEach(() => {
+        checker.scheduler.clear();
+    });
+
+    test('/monitor should store route and stop ids from the model', async () => {
+        const response = await checker.handleMonitorCommand('/monitor 708bi2 av. guarulhos, 2800', 'chat_1');
+
+        expect(response).toContain('Monitoramento iniciado');
+        const config = checker.configManager.saveConfiguration.mock.calls[0][2];
+        expect(config.routeId).toBe('708BI2');
+        expect(config.routeNumber).toBe('708BI2');
+        expect(config.stops[0].stopId).toBe('708BI2_ida_3');
+        expect(checker.isPolling('chat_1', '708BI2')).toBe(true);
+    });
+
+    test('/monitor should accept an explicit direction', async () => {
+        await checker.handleMonitorCommand('/monitor 708bi2 volta av. guarulhos, 2800', 'chat_1');
+
+        const config = checker.configManager.saveConfiguration.mock.calls[0][2];
+        expect(config.stops[0].direction).toBe('volta');
+        expect(config.stops[0].stopId).toBe('708BI2_volta_3');
+    });
+
+    test('checkBusProximity should ignore vehicles travelling the other way', async () => {
+        const vehicles = await checker.emtuService.getVehiclePositions('708BI2');
+        checker.alertManager.shouldSendAlert = jest.fn().mockResolvedValue(true);
+        checker.alertManager.recordAlert = jest.fn().mockResolvedValue();
+        checker.sendProximityAlert = jest.fn().mockResolvedValue();
+
+        const config = {
+            chatId: 'chat_1',
+            routeId: '708BI2',
+            routeNumber: '708BI2',
+            proximityThreshold: 300,
+            maxAlerts: 5
+        };
+
+        await checker.checkBusProximity({ ...config, stopId: '708BI2_ida_3', direction: 'ida' }, vehicles);
+        expect(checker.sendProximityAlert).not.toHaveBeenCalled();
+
+        await checker.checkBusProximity({ ...config, stopId: '708BI2_volta_3', direction: 'volta' }, vehicles);
+        expect(checker.sendProximityAlert).toHaveBeenCalledTimes(1);
+        expect(checker.sendProximityAlert.mock.calls[0][1].id).toBe('33122');
+    });
+
+    test('checkBusProximity should keep alerting the other vehicles when one delivery fails', async () => {
+        const vehicles = await checker.emtuService.getVehiclePositions('708BI2');
+        checker.alertManager.shouldSendAlert = jest.fn().mockResolvedValue(true);
+        checker.alertManager.recordAlert = jest.fn().mockResolvedValue();
+        checker.sendProximityAlert = jest.fn()
+            .mockRejectedValueOnce(new Error('timeout of 10000ms exceeded'))
+            .mockResolvedValue();
+
+        await checker.checkBusProximity({
+            chatId: 'chat_1',
+            routeId: '708BI2',
+            routeNumber: '708BI2',
+            stopId: '708BI2_ida_4',
+            direction: 'ida',
+            proximityThreshold: 1500,
+            maxAlerts: 5
+        }, vehicles);
+
+        expect(checker.sendProximityAlert.mock.calls.map(call => call[1].id)).toEqual(['33101', '33117']);
+        expect(checker.alertManager.recordAlert).toHaveBeenCalledTimes(1);
+        expect(checker.alertManager.recordAlert.mock.calls[0][2]).toBe('33117');
+    });
+
+    test('/where should list vehicles of the requested direction', async () => {
+        const response = await checker.handleWhereCommand('/where 708bi2 ida', 'chat_1');
+
+        expect(checker.whatsapp.sendLocation).toHaveBeenCalledTimes(2);
+        expect(checker.whatsapp.sendLocation).toHaveBeenCalledWith('chat_1', -23.4631, -46.5653, expect.any(String));
+        expect(response).toContain('Prefixo: 33101');
+        expect(response).not.toContain('33122');
+    });
+
+    test('/search should list every matching line with its stops', async () => {
+        const response = await checker.handleSearchCommand('/search 708');
+
+        expect(response).toContain('708BI1');
+        expect(response).toContain('708BI2');
+        expect(response).toContain('Destino: Terminal Tucuruvi');
+        expect(response).toContain('Av. Guarulhos, 1200');
+    });
+
+    test('checkBusProximity should alert using the vehicle id from the model', async () => {
+        const vehicles = await checker.emtuService.getVehiclePositions('708BI2');
+        checker.alertManager.shouldSendAlert = jest.fn().mockResolvedValue(true);
+        checker.alertManager.recordAlert = jest.fn().mockResolvedValue();
+        checker.sendProximityAlert = jest.fn().mockResolvedValue();
+
+        await checker.checkBusProximity({
+            chatId: 'chat_1',
+            routeId: '708BI2',
+            routeNumber: '708BI2',
+            stopId: '708BI2_ida_3',
+            proximityThreshold: 600,
+            maxAlerts: 5
+        }, vehicles);
+
+        expect(checker.sendProximityAlert).toHaveBeenCalledTimes(1);
+        expect(checker.sendProximityAlert.mock.calls[0][1].id).toBe('33101');
+    });
+});
+
+describe('Approach detection', () => {
+    let checker;
+    const config = {
+        chatId: 'chat_1',
+        routeId: '708BI2',
+        routeNumber: '708BI2',
+        stopId: '708BI2_ida_3',
+        stopName: 'Av. Guarulhos, 2800',
+        direction: 'ida',
+        proximityThreshold: 600,
+        maxAlerts: 5
+    };
+
+    function sample(latitude, minute) {
+        return {
+            id: '40001',
+            routeNumber: '708BI2',
+            direction: 'ida',
+            latitude,
+            longitude: -46.5667,
+            lastTransmission: new Date(FIXTURE_NOW - (5 - minute) * 60 * 1000)
+        };
+    }
+
+    async function poll(vehicle) {
+        checker.emtuService.tracker.record([vehicle]);
+        await checker.checkBusProximity(config, [vehicle]);
+    }
+
+    beforeEach(() => {
+        checker = new EMTULiveChecker();
+        stubPortal(checker.emtuService);
+        checker.alertManager.shouldSendAlert = jest.fn().mockResolvedValue(true);
+        checker.alertManager.recordAlert = jest.fn().mockResolvedValue();
+        checker.sendProximityAlert = jest.fn().mockResolvedValue();
+        checker.whatsapp.sendMessage = jest.fn().mockResolvedValue();
+    });
+
+    test('should not alert when the bus is moving away before reaching the stop', async () => {
+        await poll(sample(-23.4650, 0));
+        await poll(sample(-23.4640, 1));
+
+        expect(checker.sendProximityAlert).toHaveBeenCalledTimes(1);
+    });
+
+    test('should emit a stop passed event after alerting', async () => {
+        const passed = jest.fn();
+        checker.onStopPassed(passed);
+
+        await poll(sample(-23.4640, 0));
+        await poll(sample(-23.4660, 1));
+        await poll(sample(-23.4700, 2));
+
+        expect(checker.sendProximityAlert).toHaveBeenCalledTimes(2);
+        expect(passed).toHaveBeenCalledTimes(1);
+        expect(passed.mock.calls[0][0].vehicle.id).toBe('40001');
+        expect(checker.whatsapp.sendMessage).toHaveBeenCalledWith('chat_1', expect.stringContaining('passou'));
+    });
+});
+
+describe('Arrival estimation', () => {
+    let emtuService;
+
+    // Posição sobre o trecho entre os pontos 1 e 3 do sentido ida da fixture
+    function onRoute(latitude, secondsAgo) {
+        return {
+            id: '40002',
+            routeNumber: '708BI2',
+            direction: 'ida',
+            latitude,
+            longitude: -46.563 - ((-23.456 - latitude) / 0.006) * 0.002,
+            lastTransmission: new Date(Date.now() - secondsAgo * 1000)
+        };
+    }
+
+    beforeEach(() => {
+        emtuService = new EMTUService();
+        stubPortal(emtuService);
+    });
+
+    test('should estimate arrival from along-route distance and observed speed', async () => {
+        const stop = await emtuService.getStop('708BI2_ida_3', '708BI2');
+        emtuService.tracker.record([onRoute(-23.460, 60)]);
+        const vehicle = onRoute(-23.464, 0);
+        emtuService.tracker.record([vehicle]);
+
+        const eta = await emtuService.estimateArrival(vehicle, stop);
+
+        expect(eta.speedSource).toBe('observed');
+        expect(eta.distance).toBeGreaterThan(400);
+        expect(eta.distance).toBeLessThan(520);
+        expect(eta.speed).toBeGreaterThan(7);
+        expect(eta.speed).toBeLessThan(8.5);
+        expect(eta.estimatedMinutes).toBe(1);
+    });
+
+    test('should fall back to a default speed without history', async () => {
+        const stop = await emtuService.getStop('708BI2_ida_3', '708BI2');
+        const eta = await emtuService.estimateArrival(onRoute(-23.464, 0), stop);
+
+        expect(eta.speedSource).toBe('default');
+        expect(eta.speed).toBeCloseTo(15 / 3.6);
+    });
+
+    test('should not predict arrivals for buses that already passed the stop', async () => {
+        const stop = await emtuService.getStop('708BI2_ida_2', '708BI2');
+        expect(await emtuService.estimateArrival(onRoute(-23.466, 0), stop)).toBeNull();
+    });
+
+    test('checkBusProximity should trigger on minutes before arrival', async () => {
+        const checker = new EMTULiveChecker();
+        stubPortal(checker.emtuService);
+        checker.alertManager.shouldSendAlert = jest.fn().mockResolvedValue(true);
+        checker.alertManager.recordAlert = jest.fn().mockResolvedValue();
+        checker.sendProximityAlert = jest.fn().mockResolvedValue();
+
+        const config = {
+            chatId: 'chat_1',
+            routeId: '708BI2',
+            routeNumber: '708BI2',
+            stopId: '708BI2_ida_3',
+            direction: 'ida',
+            proximityThreshold: null,
+            arrivalThreshold: 3,
+            maxAlerts: 5
+        };
+
+        checker.emtuService.tracker.record([onRoute(-23.458, 120)]);
+        const far = onRoute(-23.459, 60);
+        checker.emtuService.tracker.record([far]);
+        await checker.checkBusProximity(config, [far]);
+        expect(checker.sendProximityAlert).not.toHaveBeenCalled();
+
+        const near = onRoute(-23.464, 0);
+        checker.emtuService.tracker.record([near]);
+        await checker.checkBusProximity(config, [near]);
+        expect(checker.sendProximityAlert).toHaveBeenCalledTimes(1);
+        expect(checker.sendProximityAlert.mock.calls[0][3].estimatedMinutes).toBeLessThanOrEqual(3);
+    });
+
+    test('/monitor should store a minutes-before-arrival threshold', async () => {
+        const checker = new EMTULiveChecker();
+        stubPortal(checker.emtuService);
+        checker.configManager.saveConfiguration = jest.fn().mockResolvedValue(true);
+
+        const response = await checker.handleMonitorCommand('/monitor 708bi2 ida av. guarulhos, 2800 8min', 'chat_1');
+        checker.scheduler.clear();
+
+        const config = checker.configManager.saveConfiguration.mock.calls[0][2];
+        expect(config.stops[0]).toMatchObject({ stopId: '708BI2_ida_3', arrivalThreshold: 8, proximityThreshold: null });
+        expect(response).toContain('8 min antes da chegada');
+    });
+
+    test('/eta should list predictions for the stop', async () => {
+        const checker = new EMTULiveChecker();
+        stubPortal(checker.emtuService);
+
+        const response = await checker.handleEtaCommand('/eta 708bi2 ida av. guarulhos, 2800');
+
+        expect(response).toContain('Previsão de chegada - Linha 708BI2');
+        expect(response).toContain('33101');
+        expect(response).not.toContain('33117');
+    });
+});
+
+describe('Stale GPS detection', () => {
+    let checker;
+    const config = {
+        chatId: 'chat_1',
+        routeId: '708BI2',
+        routeNumber: '708BI2',
+        stopId: '708BI2_ida_3',
+        stopName: 'Av. Guarulhos, 2800',
+        direction: 'ida',
+        proximityThreshold: 600,
+        maxAlerts: 5
+    };
+
+    function vehicle(latitude, minutesAgo) {
+        return {
+            id: '40001',
+            routeNumber: '708BI2',
+            direction: 'ida',
+            latitude,
+            longitude: -46.5667,
+            lastTransmission: new Date(FIXTURE_NOW - minutesAgo * 60 * 1000)
+        };
+    }
+
+    beforeEach(() => {
+        checker = new EMTULiveChecker();
+        stubPortal(checker.emtuService);
+        checker.alertManager.shouldSendAlert = jest.fn().mockResolvedValue(true);
+        checker.alertManager.recordAlert = jest.fn().mockResolvedValue();
+        checker.sendProximityAlert = jest.fn().mockResolvedValue();
+        checker.whatsapp.sendMessage = jest.fn().mockResolvedValue();
+        checker.whatsapp.sendLocation = jest.fn().mockResolvedValue(true);
+    });
+
+    test('isStale should compare the last transmission with the configured limit', () => {
+        expect(checker.emtuService.isStale(vehicle(-23.46, 2))).toBe(false);
+        expect(checker.emtuService.isStale(vehicle(-23.46, 11))).toBe(true);
+        expect(checker.emtuService.isStale({ ...vehicle(-23.46, 0), lastTransmission: null })).toBe(false);
+    });
+
+    test('should ignore stale vehicles and notify once when an alerted bus goes silent', async () => {
+        const fresh = vehicle(-23.4640, 1);
+        checker.emtuService.tracker.record([fresh]);
+        await checker.checkBusProximity(config, [fresh]);
+        expect(checker.sendProximityAlert).toHaveBeenCalledTimes(1);
+
+        Date.now.mockReturnValue(FIXTURE_NOW + 15 * 60 * 1000);
+        await checker.checkBusProximity(config, [fresh]);
+        await checker.checkBusProximity(config, [fresh]);
+
+        expect(checker.sendProximityAlert).toHaveBeenCalledTimes(1);
+        expect(checker.whatsapp.sendMessage).toHaveBeenCalledTimes(1);
+        expect(checker.whatsapp.sendMessage).toHaveBeenCalledWith('chat_1', expect.stringContaining('parou de transmitir'));
+    });
+
+    test('/where should flag vehicles with an outdated position', async () => {
+        Date.now.mockReturnValue(FIXTURE_NOW + 20 * 60 * 1000);
+
+        const response = await checker.handleWhereCommand('/where 708bi2', 'chat_1');
+
+        expect(response).toContain('Sem sinal há');
+    });
+});
+
+describe('Multi-stop monitors', () => {
+    let checker;
+
+    beforeEach(async () => {
+        checker = new EMTULiveChecker();
+        stubPortal(checker.emtuService);
+        checker.notifications.send = jest.fn().mockResolvedValue();
+        // 07:45 de segunda: dentro da janela da manhã, fora da janela da tarde
+        checker.scheduleManager.isWithinWindow = jest.fn(schedule => schedule.start === '06:30');
+
+        await checker.handleMonitorCommand('/monitor 708bi2 ida av. guarulhos, 2800 600m', 'chat_1');
+    });
+
+    afterEach(() => {
+        checker.scheduler.clear();
+        checker.scheduleManager.clear();
+        checker.database.close();
+    });
+
+    test('/monitor should add stops to the same route configuration', async () => {
+        const response = await checker.handleMonitorCommand('/monitor 708bi2 ida av. tiradentes 5min', 'chat_1');
+
+        expect(response).toContain('Parada adicionada');
+        const config = await checker.configManager.getConfiguration('chat_1', '708BI2');
+        expect(config.stops.map(stop => [stop.stopId, stop.proximityThreshold, stop.arrivalThreshold])).toEqual([
+            ['708BI2_ida_3', 600, null],
+            ['708BI2_ida_4', null, 5]
+        ]);
+        expect(checker.isPolling('chat_1', '708BI2', '708BI2_ida_3')).toBe(true);
+        expect(checker.isPolling('chat_1', '708BI2', '708BI2_ida_4')).toBe(true);
+    });
+
+    test('/schedule should set a window per stop and /list should show each stop', async () => {
+        await checker.handleMonitorCommand('/monitor 708bi2 ida av. tiradentes', 'chat_1');
+
+        await checker.handleScheduleCommand('/schedule 708bi2 1 seg-sex 06:30-08:00', 'chat_1');
+        const response = await checker.handleScheduleCommand('/schedule 708bi2 2 seg-sex 17:00-19:00', 'chat_1');
+
+        expect(response).toContain('a parada Av. Tiradentes, 450');
+        expect(checker.isPolling('chat_1', '708BI2', '708BI2_ida_3')).toBe(true);
+        expect(checker.isPolling('chat_1', '708BI2', '708BI2_ida_4')).toBe(false);
+        expect(checker.scheduleManager.size).toBe(2);
+
+        const list = await checker.handleListCommand('chat_1');
+        expect(list).toContain('Parada 1: Av. Guarulhos, 2800');
+        expect(list).toContain('Parada 2: Av. Tiradentes, 450');
+        expect(list).toContain('17:00');
+    });
+
+    test('alerts should name the stop and keep cooldowns per stop', async () => {
+        const vehicles = await checker.emtuService.getVehiclePositions('708BI2');
+        const config = await checker.configManager.getConfiguration('chat_1', '708BI2');
+
+        await checker.checkBusProximity(checker.getStopView(config, config.stops[0]), vehicles);
+
+        expect(checker.notifications.send).toHaveBeenCalledTimes(1);
+        expect(checker.notifications.send.mock.calls[0][1]).toContain('📍 Parada: Av. Guarulhos, 2800 (ida)');
+        expect(await checker.alertManager.shouldSendAlert('chat_1', '708BI2', '33101', 5, '708BI2_ida_3')).toBe(false);
+        expect(await checker.alertManager.shouldSendAlert('chat_1', '708BI2', '33101', 5, '708BI2_ida_4')).toBe(true);
+    });
+
+    test('/stop should remove a single stop and stop the route with the last one', async () => {
+        await checker.handleMonitorCommand('/monitor 708bi2 ida av. tiradentes', 'chat_1');
+
+        const removed = await checker.handleStopCommand('/stop 708bi2 tiradentes', 'chat_1');
+        expect(removed).toContain('Parada Av. Tiradentes, 450 removida');
+        expect(checker.isPolling('chat_1', '708BI2', '708BI2_ida_4')).toBe(false);
+        expect(checker.isPolling('chat_1', '708BI2', '708BI2_ida_3')).toBe(true);
+
+        const stopped = await checker.handleStopCommand('/stop 708bi2 1', 'chat_1');
+        expect(stopped).toContain('Monitoramento da linha 708BI2 interrompido');
+        expect(checker.isPolling('chat_1', '708BI2')).toBe(false);
+        expect((await checker.configManager.getConfiguration('chat_1', '708BI2')).isActive).toBe(false);
+    });
+});
@@ -0,0 +1,146 @@
+const EventEmitter = require('events');
+const WhatsAppService = require('../src/services/whatsapp');
+const EMTULiveChecker = require('../src/index');
+const { stubPortal } = require('./helpers/portal');
+
+const GROUP_ID = '120363040000000000@g.us';
+const ADMIN_ID = '5511911111111@c.us';
+const MEMBER_ID = '5511922222222@c.us';
+
+function createGroupChat() {
+    return {
+        isGroup: true,
+        participants: [
+            { id: { _serialized: ADMIN_ID }, isAdmin: true, isSuperAdmin: false },
+            { id: { _serialized: MEMBER_ID }, isAdmin: false, isSuperAdmin: false }
+        ],
+        sendMessage: jest.fn().mockResolvedValue()
+    };
+}
+
+describe('WhatsApp group messages', () => {
+    let service;
+    let handler;
+
+    beforeEach(() => {
+        service = new WhatsAppService();
+        service.client = new EventEmitter();
+        service.setupEventHandlers();
+        handler = jest.fn();
+        service.onMessage(handler);
+    });
+
+    async function receive(message) {
+        service.client.emit('message', { isStatus: false, ...message });
+        await new Promise(resolve => setImmediate(resolve));
+    }
+
+    test('should deliver group commands and ignore the rest of the conversation', async () => {
+        await receive({ from: GROUP_ID, author: MEMBER_ID, body: '/join 708BI2' });
+        await receive({ from: GROUP_ID, author: MEMBER_ID, body: 'bom dia, pessoal' });
+        await receive({ from: ADMIN_ID, body: 'ajuda' });
+
+        expect(handler).toHaveBeenCalledTimes(2);
+        expect(handler.mock.calls[0][0]).toMatchObject({ from: GROUP_ID, author: MEMBER_ID });
+    });
+
+    test('should list group admins and send mentions', async () => {
+        const chat = createGroupChat();
+        service.isReady = true;
+        service.client.getChatById = jest.fn().mockResolvedValue(chat);
+
+        expect(await service.getGroupAdmins(GROUP_ID)).toEqual([ADMIN_ID]);
+        expect(await service.isGroupAdmin(GROUP_ID, MEMBER_ID)).toBe(false);
+
+        await service.send(GROUP_ID, 'oi @5511922222222', { mentions: [MEMBER_ID] });
+        await service.send(GROUP_ID, 'sem menções', {});
+
+        expect(chat.sendMessage).toHaveBeenNthCalledWith(1, 'oi @5511922222222', { mentions: [MEMBER_ID] });
+        expect(chat.sendMessage).toHaveBeenNthCalledWith(2, 'sem menções', {});
+    });
+});
+
+describe('Group monitors', () => {
+    let checker;
+    let chat;
+
+    function send(author, body) {
+        return checker.handleUserMessage({ from: GROUP_ID, author, body });
+    }
+
+    beforeEach(() => {
+        checker = new EMTULiveChecker();
+        stubPortal(checker.emtuService);
+
+        chat = createGroupChat();
+        checker.whatsapp.isReady = true;
+        checker.whatsapp.client = { getChatById: jest.fn().mockResolvedValue(chat) };
+    });
+
+    afterEach(() => {
+        checker.scheduler.clear();
+        checker.scheduleManager.clear();
+        checker.database.close();
+    });
+
+    test('only group admins should create and remove group monitors', async () => {
+        const refused = await send(MEMBER_ID, '/monitor 708bi2 ida av. guarulhos, 2800');
+        expect(refused).toContain('Só administradores');
+        expect(checker.isPolling(GROUP_ID, '708BI2')).toBe(false);
+
+        const created = await send(ADMIN_ID, '/monitor 708bi2 ida av. guarulhos, 2800');
+        expect(created).toContain('Monitoramento iniciado');
+        expect(checker.isPolling(GROUP_ID, '708BI2')).toBe(true);
+
+        expect(await send(MEMBER_ID, '/stop 708bi2')).toContain('Só administradores');
+        expect(await send(ADMIN_ID, '/stop 708bi2')).toContain('interrompido');
+    });
+
+    test('members should subscribe themselves and be mentioned in proximity alerts', async () => {
+        await send(ADMIN_ID, '/monitor 708bi2 ida av. guarulhos, 2800');
+
+        expect(await send(MEMBER_ID, '/join')).toContain('mencionado nos alertas da linha 708BI2');
+        expect(await send(ADMIN_ID, '/join 708BI2')).toContain('708BI2');
+        expect(await send(MEMBER_ID, '/list')).toContain('Membros avisados: 2');
+
+        const config = await checker.configManager.getConfiguration(GROUP_ID, '708BI2');
+        await checker.sendProximityAlert(checker.getStopView(config, config.stops[0]), { id: '33101' }, 320);
+
+        const [message, options] = chat.sendMessage.mock.calls[0];
+        expect(message).toContain('Alerta de Proximidade');
+        expect(message).toContain('👥 @5511922222222 @5511911111111');
+        expect(options).toEqual({ mentions: [MEMBER_ID, ADMIN_ID] });
+
+        expect(await send(MEMBER_ID, '/leave 708bi2')).toContain('não será mais mencionado');
+        expect((await checker.configManager.getConfiguration(GROUP_ID, '708BI2')).subscribers).toEqual([ADMIN_ID]);
+    });
+
+    test('adding a stop should keep the group subscribers', async () => {
+        await send(ADMIN_ID, '/monitor 708bi2 ida av. guarulhos, 2800');
+        await send(MEMBER_ID, '/join 708bi2');
+        await send(ADMIN_ID, '/monitor 708bi2 ida av. tiradentes');
+
+        const config = await checker.configManager.getConfiguration(GROUP_ID, '708BI2');
+        expect(config.stops).toHaveLength(2);
+        expect(config.subscribers).toEqual([MEMBER_ID]);
+    });
+
+    test('restarting a stopped monitor should keep the group subscribers', async () => {
+        await send(ADMIN_ID, '/monitor 708bi2 ida av. guarulhos, 2800');
+        await send(MEMBER_ID, '/join 708bi2');
+        await send(ADMIN_ID, '/stop 708bi2');
+        expect(await send(ADMIN_ID, '/monitor 708bi2 ida av. tiradentes')).toContain('Monitoramento iniciado');
+
+        const config = await checker.configManager.getConfiguration(GROUP_ID, '708BI2');
+        expect(config.stops.map(stop => stop.stopName)).toEqual(['Av. Tiradentes, 450']);
+        expect(config.subscribers).toEqual([MEMBER_ID]);
+    });
+
+    test('/join should explain itself outside groups and without monitors', async () => {
+        const privateChat = await checker.handleUserMessage({ from: MEMBER_ID, body: '/join 708bi2' });
+        const noMonitor = await send(MEMBER_ID, '/join 708bi2');
+
+        expect(privateChat).toContain('só funciona em grupos');
+        expect(noMonitor).toContain('não monitora a linha 708BI2');
+    });
+});
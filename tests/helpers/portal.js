@@ -0,0 +1,25 @@
+const portal708BI2 = require('../fixtures/portal-708BI2.json');
+const portal708 = require('../fixtures/portal-708.json');
+
+// Respostas gravadas do portal da EMTU, pelo termo buscado em `linha=`
+const fixtures = {
+    '708BI2': portal708BI2,
+    '708': portal708
+};
+
+// Troca o HTTP do EMTUService pelas fixtures; `responses` acrescenta buscas próprias de um teste
+function stubPortal(emtuService, responses = {}) {
+    const portal = { ...fixtures, ...responses };
+    emtuService.api.get = jest.fn(async (url) => {
+        const linha = decodeURIComponent(url.split('linha=')[1] || '').toUpperCase();
+        return { data: portal[linha] || { linhas: [] } };
+    });
+    return emtuService.api.get;
+}
+
+module.exports = {
+    portal708BI2,
+    portal708,
+    fixtures,
+    stubPortal
+};
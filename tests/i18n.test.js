@@ -0,0 +1,127 @@
+const I18n = require('../src/i18n');
+const catalogues = require('../src/i18n/locales');
+const EMTULiveChecker = require('../src/index');
+const { stubPortal } = require('./helpers/portal');
+
+const CHAT_ID = '5511955555555@c.us';
+
+// Chaves com pontos de cada catálogo; plurais contam como uma chave só
+function flattenKeys(node, prefix = '') {
+    return Object.entries(node).flatMap(([name, value]) => {
+        const key = prefix ? `${prefix}.${name}` : name;
+        const isPlural = typeof value === 'object' && 'other' in value;
+        return typeof value === 'object' && !isPlural ? flattenKeys(value, key) : [key];
+    });
+}
+
+function placeholders(value) {
+    const texts = typeof value === 'object' ? Object.values(value) : [value];
+    return Array.from(new Set(texts.flatMap(text => text.match(/\{\w+\}/g) || []))).sort();
+}
+
+describe('Message catalogue', () => {
+    const i18n = new I18n();
+    const defaultKeys = flattenKeys(catalogues[i18n.defaultLocale]).sort();
+
+    test.each(Object.keys(catalogues))('locale %s should have every key with the same placeholders', (locale) => {
+        expect(flattenKeys(catalogues[locale]).sort()).toEqual(defaultKeys);
+
+        for (const key of defaultKeys) {
+            const value = i18n.lookup(locale, key);
+            expect(placeholders(value)).toEqual(placeholders(i18n.lookup(i18n.defaultLocale, key)));
+            if (typeof value === 'object') {
+                expect(value).toHaveProperty('one');
+                expect(value).toHaveProperty('other');
+            }
+        }
+    });
+
+    test('should interpolate, pluralise and format per locale', () => {
+        const pt = i18n.translator('pt-BR');
+        const en = i18n.translator('en');
+
+        expect(pt('stop.stoppedAll', { count: 1 })).toBe('✅ 1 monitoramento interrompido.');
+        expect(pt('stop.stoppedAll', { count: 1200 })).toBe('✅ 1.200 monitoramentos interrompidos.');
+        expect(en('stop.stoppedAll', { count: 1200 })).toBe('✅ 1,200 monitors stopped.');
+
+        // Prefixos numéricos não ganham separador de milhar
+        expect(pt('where.prefix', { prefix: 33101 })).toBe('🚗 Prefixo: 33101');
+
+        expect(pt.number(1.5, { minimumFractionDigits: 1 })).toBe('1,5');
+        expect(pt.currency(5.65)).toMatch(/^R\$\s5,65$/);
+
+        const noon = new Date('2025-03-10T12:05:00-03:00');
+        expect(pt.time(noon)).toBe('12:05');
+        expect(en.time(noon)).toBe('12:05 PM');
+    });
+
+    test('should fall back to the default locale and show unknown keys as they are', () => {
+        expect(i18n.translator('fr').locale).toBe('pt-BR');
+        expect(i18n.translate('en', 'missing.key')).toBe('missing.key');
+    });
+});
+
+describe('Chat language', () => {
+    let checker;
+
+    function send(body) {
+        return checker.handleUserMessage({ from: CHAT_ID, body });
+    }
+
+    beforeEach(() => {
+        checker = new EMTULiveChecker();
+        stubPortal(checker.emtuService);
+        checker.scheduleManager.isWithinWindow = jest.fn().mockReturnValue(true);
+    });
+
+    afterEach(() => {
+        checker.scheduler.clear();
+        checker.scheduleManager.clear();
+        checker.database.close();
+    });
+
+    test('replies, /list and the /monitor wizard should follow the chat language', async () => {
+        expect(await send('/config idioma en')).toContain('Preference updated!');
+
+        expect(await send('/help')).toContain('Available Commands');
+        expect(await send('/list')).toContain('No active monitors');
+
+        expect(await send('/monitor 708bi2')).toContain('Which direction?');
+        expect(await send('1')).toContain('Which stop?');
+        expect(await send('3')).toContain('Monitoring started!');
+
+        await send('/schedule 708BI2 1 seg-sex 06:30-08:00');
+        const list = await send('/list');
+        expect(list).toContain('📍 Stop 1: Av. Guarulhos, 2800');
+        expect(list).toContain('Window: Mon–Fri 06:30–08:00');
+        expect(list).toContain('Alert: 500m');
+
+        expect(await send('/stop 708BI2')).toContain('Monitoring of route 708BI2 stopped.\n📍 Stop: ');
+    });
+
+    test('/config should accept the setting names of the chat language', async () => {
+        await send('/config idioma en');
+        expect(await send('/config quiet 22:00-07:00')).toContain('Quiet hours: 22:00–07:00');
+        expect(await send('/config limit 3')).toContain('Alert limit per route per day: 3');
+        expect(await send('/config distance 100k')).toBe('❌ Invalid value for distance. Example: `/config distance 300`');
+        expect(await send('/config')).toContain('(cooldown, limit, quiet, distance, language)');
+
+        await send('/config language es');
+        expect(await send('/config intervalo 20')).toContain('Intervalo entre alertas del mismo autobús: 20 min');
+        expect(await send('/config límite 4')).toContain('Límite de alertas por línea por día: 4');
+        expect(await send('/config tema oscuro')).toContain('Ajustes: intervalo, límite, silencio, distancia, idioma');
+
+        // Os nomes em português continuam valendo em qualquer idioma
+        expect(await send('/config cooldown 5')).toContain('Intervalo entre alertas del mismo autobús: 5 min');
+    });
+
+    test('schedule errors and free-text questions should come from the catalogue', async () => {
+        await send('/config idioma es');
+        await send('/monitor 708BI2 ida Av. Guarulhos, 2800');
+
+        expect(await send('/schedule 708BI2 seg-sex 08:00-06:30'))
+            .toMatch(/^❌ La hora final debe ser posterior a la inicial \(la franja no puede pasar de medianoche\)\nUso:/);
+        expect(await send('/schedule 708BI2 xyz 06:30-08:00')).toMatch(/^❌ Día no válido: "xyz"/);
+        expect(await send('me avisa quando o 708 chegar')).toBe('🤔 ¿En qué parada de la línea 708? Ej: "na Av. Paulista"');
+    });
+});
@@ -0,0 +1,193 @@
+const IntentParser = require('../src/utils/intentParser');
+const EMTULiveChecker = require('../src/index');
+const { stubPortal } = require('./helpers/portal');
+
+describe('Intent parser', () => {
+    const parser = new IntentParser();
+
+    test('should extract line and stop from a free-text alert request', () => {
+        expect(parser.parse('me avisa quando o 708 estiver chegando na Av. Paulista')).toMatchObject({
+            intent: 'monitor',
+            routeNumber: '708',
+            stopName: 'Av. Paulista',
+            direction: null,
+            clarification: null
+        });
+    });
+
+    test('should extract direction, thresholds and the time window', () => {
+        expect(parser.parse('Me avise 5 minutos antes do 708BI2 chegar na Av. Guarulhos, 2800 sentido ida')).toMatchObject({
+            routeNumber: '708BI2',
+            stopName: 'Av. Guarulhos, 2800',
+            direction: 'ida',
+            arrivalThreshold: 5,
+            proximityThreshold: null
+        });
+
+        expect(parser.parse('me avisa quando o 708BI2 chegar na parada Av. Guarulhos, 2800')).toMatchObject({
+            intent: 'monitor',
+            routeNumber: '708BI2',
+            stopName: 'Av. Guarulhos, 2800',
+            clarification: null
+        });
+
+        const parsed = parser.parse('avisa quando o 708 chegar no ponto da Rua Augusta a 300 metros, dias úteis das 17h às 19h');
+        expect(parsed).toMatchObject({ routeNumber: '708', stopName: 'Rua Augusta', proximityThreshold: 300 });
+        expect(parsed.schedule).toEqual({ days: [1, 2, 3, 4, 5], start: '17:00', end: '19:00' });
+
+        expect(parser.parse('quero ser avisado quando o 285 passar no Terminal Tucuruvi de segunda a sexta das 6h30 às 8h').schedule)
+            .toEqual({ days: [1, 2, 3, 4, 5], start: '06:30', end: '08:00' });
+    });
+
+    test('should tell the other intents apart', () => {
+        expect(parser.parse('para de me avisar do 708')).toMatchObject({ intent: 'stop', routeNumber: '708' });
+        expect(parser.parse('onde está o 708 sentido volta?')).toMatchObject({ intent: 'where', direction: 'volta' });
+        expect(parser.parse('quando o 708 chega na paulista?')).toMatchObject({ intent: 'eta', stopName: 'paulista' });
+        expect(parser.parse('quais são meus monitoramentos?').intent).toBe('list');
+        expect(parser.parse('buscar linhas para Guarulhos')).toMatchObject({ intent: 'search', searchTerm: 'Guarulhos' });
+        expect(parser.parse('bom dia')).toMatchObject({ intent: null, clarification: null });
+    });
+
+    test('should ask instead of guessing when something is ambiguous or missing', () => {
+        expect(parser.parse('me avisa quando o 708 ou o 285 chegar na Paulista').clarification)
+            .toEqual({ key: 'intent.whichRoute', params: { routes: ['708', '285'] } });
+        expect(parser.parse('me avisa quando o 708 chegar').clarification)
+            .toEqual({ key: 'intent.askStop', params: { route: '708' } });
+        expect(parser.parse('me avisa na Paulista de segunda a sexta').clarification.key).toBe('intent.askTime');
+        expect(parser.parse('onde está o 708 e quanto tempo falta?').clarification).toEqual({
+            key: 'intent.whichIntent',
+            params: { first: { key: 'intent.labels.eta' }, second: { key: 'intent.labels.where' } }
+        });
+        expect(parser.parse('o 708').clarification).toEqual({ key: 'intent.askIntent', params: { route: '708' } });
+        expect(parser.parse('me avisa do 708 na Paulista das 9h às 8h').clarification)
+            .toEqual({ key: 'schedule.errors.endBeforeStart', params: {} });
+    });
+
+    test('should merge the answer to a clarifying question into the pending request', () => {
+        const resume = (first, reply) => parser.resume(parser.parse(first), reply);
+
+        expect(resume('me avisa quando o 708 chegar', 'Av. Guarulhos, 2800'))
+            .toMatchObject({ intent: 'monitor', routeNumber: '708', stopName: 'Av. Guarulhos, 2800', clarification: null });
+        expect(resume('me avisa quando o 708 ou o 285 chegar na Paulista', 'o 285'))
+            .toMatchObject({ intent: 'monitor', routeNumber: '285', stopName: 'Paulista', clarification: null });
+        expect(resume('o 708', 'me avisa')).toMatchObject({
+            intent: 'monitor',
+            routeNumber: '708',
+            clarification: { key: 'intent.askStop', params: { route: '708' } }
+        });
+        expect(resume('me avisa do 708 na Paulista de segunda a sexta', 'das 6h às 8h').schedule)
+            .toEqual({ days: [1, 2, 3, 4, 5], start: '06:00', end: '08:00' });
+        expect(resume('me avisa quando o 708 chegar', 'para de me avisar do 285'))
+            .toMatchObject({ intent: 'stop', routeNumber: '285' });
+    });
+});
+
+describe('Free-text messages', () => {
+    let checker;
+
+    beforeEach(() => {
+        checker = new EMTULiveChecker();
+        stubPortal(checker.emtuService);
+        checker.scheduleManager.isWithinWindow = jest.fn().mockReturnValue(true);
+    });
+
+    afterEach(() => {
+        checker.scheduler.clear();
+        checker.scheduleManager.clear();
+        checker.database.close();
+    });
+
+    test('should create a monitor with the window from the sentence', async () => {
+        const response = await checker.handleUserMessage({
+            from: 'chat_1',
+            body: 'Me avisa 8 minutos antes do 708BI2 chegar na Av. Guarulhos, 2800 de segunda a sexta das 6h30 às 8h'
+        });
+
+        expect(response).toContain('Monitoramento iniciado');
+        expect(response).toContain('Janela: Seg–Sex 06:30–08:00');
+
+        const config = await checker.configManager.getConfiguration('chat_1', '708BI2');
+        expect(config.stops[0]).toMatchObject({
+            stopId: '708BI2_ida_3',
+            arrivalThreshold: 8,
+            schedule: { days: [1, 2, 3, 4, 5], start: '06:30', end: '08:00' }
+        });
+
+        const stopped = await checker.handleUserMessage({ from: 'chat_1', body: 'cancela o 708BI2' });
+        expect(stopped).toContain('Monitoramento da linha 708BI2 interrompido');
+    });
+
+    test('should answer with a clarifying question or fall back to the unknown command reply', async () => {
+        const unknown = await checker.handleUserMessage({ from: 'chat_1', body: 'bom dia' });
+        const question = await checker.handleUserMessage({ from: 'chat_1', body: 'me avisa quando o 708 chegar' });
+
+        expect(unknown).toContain('Comando não reconhecido');
+        expect(question).toBe('🤔 Em qual parada da linha 708? Ex: "na Av. Paulista"');
+        expect(checker.scheduler.size).toBe(0);
+    });
+
+    test('should complete the pending request with the answer to the clarifying question', async () => {
+        const send = body => checker.handleUserMessage({ from: 'chat_1', body });
+
+        const question = await send('me avisa quando o 708BI2 chegar');
+        const response = await send('no Terminal Metropolitano Vila Galvão');
+
+        expect(question).toBe('🤔 Em qual parada da linha 708BI2? Ex: "na Av. Paulista"');
+        expect(response).toContain('Monitoramento iniciado');
+        const config = await checker.configManager.getConfiguration('chat_1', '708BI2');
+        expect(config.stops[0].stopName).toBe('Terminal Metropolitano Vila Galvão');
+    });
+
+    test('should keep asking until the request is complete', async () => {
+        const send = body => checker.handleUserMessage({ from: 'chat_1', body });
+
+        const askRoute = await send('me avisa na Av. Guarulhos, 2800');
+        const started = await send('708BI2');
+        const askIntent = await send('o 285');
+        const where = await send('onde está');
+
+        expect(askRoute).toContain('Qual linha');
+        expect(started).toContain('Monitoramento iniciado');
+        expect(askIntent).toContain('285');
+        expect(where).toContain('Nenhum veículo encontrado para a linha "285"');
+        expect((await checker.configManager.getConfiguration('chat_1', '708BI2')).stops[0].stopId).toBe('708BI2_ida_3');
+    });
+
+    test('should drop the pending request when a command or a new request comes in', async () => {
+        const send = body => checker.handleUserMessage({ from: 'chat_1', body });
+
+        await send('me avisa quando o 708BI2 chegar');
+        await send('/list');
+        const afterCommand = await send('Av. Guarulhos, 2800');
+
+        await send('me avisa quando o 708BI2 chegar');
+        const newRequest = await send('quais são meus monitoramentos?');
+
+        expect(afterCommand).not.toContain('Monitoramento iniciado');
+        expect(newRequest).toContain('Nenhum monitoramento ativo');
+        expect(checker.scheduler.size).toBe(0);
+    });
+
+    test('should ask the clarifying question in the chat language', async () => {
+        const send = body => checker.handleUserMessage({ from: 'chat_1', body });
+        await send('/config idioma en');
+
+        const routes = await send('me avisa quando o 708 ou o 285 chegar na Paulista');
+        const intents = await send('onde está o 708 e quanto tempo falta?');
+        const window = await send('me avisa do 708 na Paulista das 9h às 8h');
+
+        expect(routes).toBe('🤔 You mentioned routes 708 and 285. Which one?');
+        expect(intents).toBe('🤔 Do you want the arrival estimate or where the buses are right now?');
+        expect(window).toBe('🤔 The end time must be after the start time (the window cannot cross midnight)');
+    });
+
+    test('should ignore free text in groups', async () => {
+        const response = await checker.handleUserMessage({
+            from: '120363040000000000@g.us',
+            author: '5511922222222@c.us',
+            body: 'me avisa quando o 708BI2 chegar na Av. Guarulhos, 2800'
+        });
+
+        expect(response).toContain('Comando não reconhecido');
+    });
+});
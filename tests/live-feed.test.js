@@ -0,0 +1,104 @@
+const RouteScheduler = require('../src/services/routeScheduler');
+const LiveFeed = require('../src/services/liveFeed');
+
+describe('Live feed', () => {
+    let emtuService;
+    let scheduler;
+    let liveFeed;
+
+    beforeEach(() => {
+        emtuService = {
+            fetchVehiclePositions: jest.fn().mockResolvedValue([{ id: '33101', latitude: -23.46, longitude: -46.56 }])
+        };
+        scheduler = new RouteScheduler(emtuService, { pollInterval: 60000 });
+        liveFeed = new LiveFeed(scheduler, { idleTimeout: 10 });
+    });
+
+    afterEach(() => {
+        liveFeed.clear();
+        scheduler.clear();
+    });
+
+    test('should fan out a single poll to monitors and every listener', async () => {
+        const monitor = jest.fn();
+        const first = jest.fn();
+        const second = jest.fn();
+
+        scheduler.subscribe('708BI2', 'chat_1_708BI2', monitor);
+        liveFeed.addListener('708BI2', first);
+        liveFeed.addListener('708BI2', second);
+        await scheduler.tick();
+
+        expect(emtuService.fetchVehiclePositions).toHaveBeenCalledTimes(1);
+        expect(monitor).toHaveBeenCalledTimes(1);
+        expect(first.mock.calls[0][0]).toMatchObject({ type: 'positions', routeId: '708BI2' });
+        expect(second.mock.calls[0][0].data.vehicles[0].id).toBe('33101');
+        expect(liveFeed.listenerCount('708BI2')).toBe(2);
+    });
+
+    test('should poll routes that only have stream listeners', async () => {
+        const remove = liveFeed.addListener('708BI1', jest.fn());
+
+        expect(scheduler.has('live:708BI1')).toBe(true);
+        remove();
+        await new Promise(resolve => setTimeout(resolve, 30));
+
+        expect(scheduler.has('live:708BI1')).toBe(false);
+    });
+
+    test('should keep polling when a listener reconnects within the idle timeout', async () => {
+        const remove = liveFeed.addListener('708BI1', jest.fn());
+        remove();
+        liveFeed.addListener('708BI1', jest.fn());
+        await new Promise(resolve => setTimeout(resolve, 30));
+
+        expect(scheduler.has('live:708BI1')).toBe(true);
+    });
+
+    test('should cap the listeners open at once by the same owner', () => {
+        const capped = new LiveFeed(scheduler, { idleTimeout: 10, maxListenersPerOwner: 2 });
+
+        const first = capped.addListener('708BI2', jest.fn(), 'key_a');
+        capped.addListener('708BI1', jest.fn(), 'key_a');
+
+        expect(capped.addListener('708BI2', jest.fn(), 'key_a')).toBeNull();
+        expect(capped.addListener('708BI2', jest.fn(), 'key_b')).toEqual(expect.any(Function));
+
+        first();
+        first();
+        expect(capped.addListener('708BI2', jest.fn(), 'key_a')).toEqual(expect.any(Function));
+        expect(capped.addListener('708BI2', jest.fn(), 'key_a')).toBeNull();
+        capped.clear();
+    });
+
+    test('should count a listener on several routes once against the owner cap', async () => {
+        const capped = new LiveFeed(scheduler, { idleTimeout: 10, maxListenersPerOwner: 1 });
+        const listener = jest.fn();
+
+        const remove = capped.addListener(['708BI2', '708BI1'], listener, 'key_a');
+        capped.publish('708BI1', 'positions', { vehicles: [] });
+
+        expect(listener.mock.calls[0][0].routeId).toBe('708BI1');
+        expect(scheduler.has('live:708BI2') && scheduler.has('live:708BI1')).toBe(true);
+        expect(capped.addListener('708BI2', jest.fn(), 'key_a')).toBeNull();
+
+        remove();
+        await new Promise(resolve => setTimeout(resolve, 30));
+        expect(scheduler.has('live:708BI1')).toBe(false);
+        expect(capped.addListener('708BI2', jest.fn(), 'key_a')).toEqual(expect.any(Function));
+        capped.clear();
+    });
+
+    test('should replay buffered events after the last seen id', () => {
+        const small = new LiveFeed(scheduler, { bufferSize: 2 });
+        const first = small.publish('708BI2', 'positions', { vehicles: [] });
+        const second = small.publish('708BI2', 'proximity', { chatId: 'chat_1' });
+        const third = small.publish('708BI2', 'positions', { vehicles: [] });
+
+        expect(small.getEventsSince('708BI2', second.id).map(event => event.id)).toEqual([third.id]);
+        expect(small.getEventsSince('708BI2', third.id)).toEqual([]);
+        expect(small.getEventsSince('708BI2', first.id - 1)).toBeNull();
+        expect(small.getEventsSince('708BI2', third.id + 100)).toBeNull();
+        expect(small.getLatest('708BI2', 'positions').id).toBe(third.id);
+    });
+});
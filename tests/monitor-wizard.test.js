@@ -0,0 +1,150 @@
+const EMTULiveChecker = require('../src/index');
+const { portal708BI2, stubPortal } = require('./helpers/portal');
+
+const CHAT_ID = '5511933333333@c.us';
+
+describe('Monitor wizard', () => {
+    let checker;
+
+    function send(body) {
+        return checker.handleUserMessage({ from: CHAT_ID, body });
+    }
+
+    beforeEach(() => {
+        checker = new EMTULiveChecker();
+
+        // "guarulhos" encontra duas linhas; o número exato encontra só a própria linha
+        const linha708BI1 = { ...portal708BI2.linhas[0], codigo: '708BI1' };
+        stubPortal(checker.emtuService, { GUARULHOS: { linhas: [portal708BI2.linhas[0], linha708BI1] } });
+        checker.scheduleManager.isWithinWindow = jest.fn().mockReturnValue(true);
+    });
+
+    afterEach(() => {
+        jest.restoreAllMocks();
+        checker.scheduler.clear();
+        checker.scheduleManager.clear();
+        checker.database.close();
+    });
+
+    test('should walk through line, direction and stop with numbered choices', async () => {
+        expect(await send('/monitor')).toContain('Qual linha você quer monitorar?');
+
+        const lines = await send('guarulhos');
+        expect(lines).toContain('1. 708BI2');
+        expect(lines).toContain('2. 708BI1');
+
+        const directions = await send('1');
+        expect(directions).toContain('1. ida → Terminal Tucuruvi');
+        expect(directions).toContain('2. volta → Terminal Metropolitano Vila Galvão');
+
+        expect(await send('5')).toContain('Escolha o sentido pelo número, de 1 a 2');
+
+        const stops = await send('1');
+        expect(stops).toContain('1. Terminal Metropolitano Vila Galvão');
+        expect(stops).toContain('5. Terminal Tucuruvi');
+
+        // Texto filtra a lista e renumera as opções
+        const filtered = await send('Av. Guarulhos');
+        expect(filtered).toContain('1. Av. Guarulhos, 1200');
+        expect(filtered).toContain('2. Av. Guarulhos, 2800');
+
+        expect(await send('2')).toContain('Monitoramento iniciado');
+        expect(checker.monitorWizard.has(CHAT_ID)).toBe(false);
+
+        const config = await checker.configManager.getConfiguration(CHAT_ID, '708BI2');
+        expect(config.stops[0]).toMatchObject({ stopId: '708BI2_ida_3', direction: 'ida' });
+        expect(checker.isPolling(CHAT_ID, '708BI2')).toBe(true);
+    });
+
+    test('should offer the stop list when /monitor names an unknown stop', async () => {
+        const response = await send('/monitor 708bi2 ida rua inexistente 300m');
+        expect(response).toContain('Parada "rua inexistente" não encontrada na linha 708BI2 no sentido ida');
+        expect(response).toContain('4. Av. Tiradentes, 450');
+
+        expect(await send('4')).toContain('Monitoramento iniciado');
+
+        const config = await checker.configManager.getConfiguration(CHAT_ID, '708BI2');
+        expect(config.stops[0]).toMatchObject({ stopId: '708BI2_ida_4', proximityThreshold: 300 });
+    });
+
+    test('should ask for the line again when it is not found', async () => {
+        expect(await send('/monitor 999 terminal')).toContain('Nenhuma linha encontrada para "999"');
+        expect(await send('708BI2')).toContain('Qual sentido?');
+    });
+
+    test('should offer the matching lines instead of picking one for a partial number', async () => {
+        const response = await send('/monitor 708 1');
+
+        expect(response).toContain('Encontrei estas linhas para "708"');
+        expect(response).toContain('1. 708BI1');
+        expect(response).toContain('2. 708BI2');
+        expect(await checker.configManager.getConfiguration(CHAT_ID, '708BI1')).toBeNull();
+        expect(checker.scheduler.size).toBe(0);
+    });
+
+    test('should cancel on request or when another command arrives', async () => {
+        await send('/monitor 708bi2');
+        expect(await send('cancelar')).toContain('Cadastro do monitoramento cancelado');
+        expect(checker.monitorWizard.has(CHAT_ID)).toBe(false);
+
+        await send('/monitor 708bi2');
+        expect(await send('/list')).toContain('Nenhum monitoramento ativo');
+        expect(checker.monitorWizard.has(CHAT_ID)).toBe(false);
+    });
+
+    test('should expire a forgotten wizard', async () => {
+        const now = Date.now();
+        jest.spyOn(Date, 'now').mockReturnValue(now);
+        await send('/monitor 708bi2');
+
+        Date.now.mockReturnValue(now + checker.monitorWizard.timeout + 1);
+        expect(await send('1')).toContain('expirou');
+        expect(checker.monitorWizard.has(CHAT_ID)).toBe(false);
+        expect(checker.scheduler.size).toBe(0);
+    });
+
+    describe('Location pins', () => {
+        // A poucos metros da parada Av. Guarulhos, 2800 nos dois sentidos
+        const NEAR_GUARULHOS_2800 = { latitude: -23.4681, longitude: -46.56685 };
+
+        function shareLocation(location) {
+            return checker.handleUserMessage({ from: CHAT_ID, type: 'location', body: '', location });
+        }
+
+        test('should list the nearest stops of the chosen line and confirm one by number', async () => {
+            expect(await shareLocation(NEAR_GUARULHOS_2800)).toContain('Localização recebida');
+
+            const nearby = await send('708BI2');
+            expect(nearby).toMatch(/1\. Av\. Guarulhos, 2800 \((ida|volta) → .+\) • \d+ m/);
+            expect(nearby).toContain('2. Av. Guarulhos, 2800');
+            expect(nearby).not.toContain('Terminal Tucuruvi (');
+
+            const [, direction] = nearby.match(/1\. Av\. Guarulhos, 2800 \((ida|volta)/);
+            expect(await send('1')).toContain('Monitoramento iniciado');
+
+            const config = await checker.configManager.getConfiguration(CHAT_ID, '708BI2');
+            expect(config.stops[0]).toMatchObject({ stopId: `708BI2_${direction}_3`, direction });
+        });
+
+        test('should use the direction already chosen in the wizard', async () => {
+            await send('/monitor 708bi2');
+            await send('2');
+
+            const nearby = await shareLocation(NEAR_GUARULHOS_2800);
+            expect(nearby).toContain('1. Av. Guarulhos, 2800 (volta → Terminal Metropolitano Vila Galvão)');
+            expect(nearby).not.toContain('(ida');
+        });
+
+        test('should fall back to the full list when no stop is within walking distance', async () => {
+            await shareLocation({ latitude: -23.55, longitude: -46.63 });
+
+            const response = await send('708BI2');
+            expect(response).toContain('Nenhuma parada da linha 708BI2 a até 800 m');
+            expect(response).toContain('Qual sentido?');
+        });
+
+        test('should reject an unreadable location', async () => {
+            expect(await shareLocation({ latitude: 'x', longitude: null })).toContain('Não consegui ler a localização');
+        });
+    });
+});
@@ -0,0 +1,366 @@
+const http = require('http');
+const net = require('net');
+const EMTULiveChecker = require('../src/index');
+const NotificationService = require('../src/services/notificationService');
+const Notifier = require('../src/services/notifier');
+const TelegramNotifier = require('../src/services/telegramNotifier');
+const WebhookNotifier = require('../src/services/webhookNotifier');
+const EmailNotifier = require('../src/services/emailNotifier');
+const WhatsAppService = require('../src/services/whatsapp');
+
+function listen(server) {
+    return new Promise(resolve => {
+        server.listen(0, '127.0.0.1', () => resolve(server.address().port));
+    });
+}
+
+function close(server) {
+    return new Promise(resolve => server.close(resolve));
+}
+
+// Servidor HTTP que guarda as requisições recebidas e responde com o corpo configurado
+function createHttpStandIn(reply = () => ({ status: 200, body: { ok: true } })) {
+    const requests = [];
+    const server = http.createServer((req, res) => {
+        let raw = '';
+        req.on('data', chunk => raw += chunk);
+        req.on('end', () => {
+            const request = { method: req.method, url: req.url, headers: req.headers, body: JSON.parse(raw || '{}') };
+            requests.push(request);
+
+            const { status, body } = reply(request);
+            res.writeHead(status, { 'Content-Type': 'application/json' });
+            res.end(JSON.stringify(body));
+        });
+    });
+    return { server, requests };
+}
+
+// Servidor SMTP mínimo: aceita qualquer remetente/destinatário e guarda o conteúdo do DATA
+function createSmtpStandIn() {
+    const messages = [];
+    const server = net.createServer(socket => {
+        let buffer = '';
+        let data = null;
+        const envelope = { from: null, to: [] };
+
+        socket.write('220 localhost ESMTP stand-in\r\n');
+        socket.on('data', chunk => {
+            buffer += chunk.toString();
+            let index;
+            while ((index = buffer.indexOf('\r\n')) !== -1) {
+                const line = buffer.slice(0, index);
+                buffer = buffer.slice(index + 2);
+
+                if (data !== null) {
+                    if (line === '.') {
+                        messages.push({ ...envelope, data: data.join('\r\n') });
+                        data = null;
+                        socket.write('250 OK queued\r\n');
+                    } else {
+                        data.push(line);
+                    }
+                    continue;
+                }
+
+                const command = line.slice(0, 4).toUpperCase();
+                if (command === 'EHLO' || command === 'HELO') {
+                    socket.write('250-localhost\r\n250 8BITMIME\r\n');
+                } else if (command === 'MAIL') {
+                    envelope.from = line;
+                    socket.write('250 OK\r\n');
+                } else if (command === 'RCPT') {
+                    envelope.to.push(line);
+                    socket.write('250 OK\r\n');
+                } else if (command === 'DATA') {
+                    data = [];
+                    socket.write('354 End data with <CR><LF>.<CR><LF>\r\n');
+                } else if (command === 'QUIT') {
+                    socket.end('221 Bye\r\n');
+                } else {
+                    socket.write('250 OK\r\n');
+                }
+            }
+        });
+    });
+    return { server, messages };
+}
+
+const config = {
+    chatId: '5511999999999@c.us',
+    routeId: '708BI2',
+    routeNumber: '708BI2',
+    stopId: '708BI2_ida_3',
+    stopName: 'Av. Guarulhos, 2800'
+};
+
+describe('Telegram notifier', () => {
+    let standIn;
+    let notifier;
+
+    beforeEach(async () => {
+        standIn = createHttpStandIn(request => request.body.chat_id === 'unknown'
+            ? { status: 200, body: { ok: false, description: 'Bad Request: chat not found' } }
+            : { status: 200, body: { ok: true, result: { message_id: 1 } } });
+        const port = await listen(standIn.server);
+        notifier = new TelegramNotifier({ token: '123:ABC', apiUrl: `http://127.0.0.1:${port}` });
+    });
+
+    afterEach(async () => {
+        await close(standIn.server);
+    });
+
+    test('should post the message to the bot sendMessage endpoint', async () => {
+        await notifier.send('987654', '🔔 *Alerta de Proximidade!*');
+
+        expect(standIn.requests).toHaveLength(1);
+        expect(standIn.requests[0].url).toBe('/bot123:ABC/sendMessage');
+        expect(standIn.requests[0].body).toEqual({ chat_id: '987654', text: '🔔 *Alerta de Proximidade!*' });
+    });
+
+    test('should reject when the Bot API answers ok=false', async () => {
+        await expect(notifier.send('unknown', 'teste')).rejects.toThrow('chat not found');
+    });
+
+    test('should not be available without a token', () => {
+        expect(new TelegramNotifier({ token: '' }).isAvailable()).toBe(false);
+    });
+});
+
+describe('Webhook notifier', () => {
+    let standIn;
+    let url;
+
+    beforeEach(async () => {
+        standIn = createHttpStandIn();
+        const port = await listen(standIn.server);
+        url = `http://127.0.0.1:${port}/hooks/emtu`;
+    });
+
+    afterEach(async () => {
+        await close(standIn.server);
+    });
+
+    test('should post the message and context as JSON with the shared secret', async () => {
+        const notifier = new WebhookNotifier({ url, secret: 's3cr3t' });
+
+        await notifier.send(url, 'Ônibus chegando', { event: 'proximity', vehicleId: '33101' });
+
+        const request = standIn.requests[0];
+        expect(request.method).toBe('POST');
+        expect(request.url).toBe('/hooks/emtu');
+        expect(request.headers['x-webhook-secret']).toBe('s3cr3t');
+        expect(request.body).toMatchObject({ message: 'Ônibus chegando', event: 'proximity', vehicleId: '33101' });
+        expect(request.body.sentAt).toEqual(expect.any(String));
+    });
+
+    test('should fall back to the configured URL when the monitor has no target', () => {
+        const notifier = new WebhookNotifier({ url });
+
+        expect(notifier.resolveTarget({ chatId: 'chat_1' })).toBe(url);
+        expect(notifier.resolveTarget({ chatId: 'chat_1', target: 'http://outro' })).toBe('http://outro');
+    });
+
+    test('should only accept public hosts from the allow-list or the default URL', () => {
+        const notifier = new WebhookNotifier({ url: 'https://padrao.empresa.test/emtu', allowedHosts: 'hooks.empresa.test' });
+
+        expect(notifier.validateTarget('https://HOOKS.empresa.test:8443/emtu')).toBeNull();
+        expect(notifier.validateTarget('https://padrao.empresa.test/outro')).toBeNull();
+        expect(notifier.validateTarget('https://outro.test/emtu')).toBe('host is not in WEBHOOK_ALLOWED_HOSTS');
+        expect(notifier.validateTarget('ftp://hooks.empresa.test')).toBe('must be an http(s) URL');
+        for (const target of ['http://localhost:3000', 'http://2130706433/', 'http://[::1]/', 'http://10.0.0.5/',
+            'http://169.254.169.254/latest', 'http://[::ffff:192.168.0.1]/', 'http://[fe80::1]/']) {
+            expect(notifier.validateTarget(target)).toBe('must not point to a loopback, private or link-local address');
+        }
+    });
+
+    test('should reject when the endpoint fails', async () => {
+        await close(standIn.server);
+        standIn = createHttpStandIn(() => ({ status: 500, body: { error: 'boom' } }));
+        const port = await listen(standIn.server);
+        const notifier = new WebhookNotifier();
+
+        await expect(notifier.send(`http://127.0.0.1:${port}/`, 'teste')).rejects.toThrow();
+    });
+});
+
+describe('E-mail notifier', () => {
+    let standIn;
+    let notifier;
+
+    beforeEach(async () => {
+        standIn = createSmtpStandIn();
+        const port = await listen(standIn.server);
+        notifier = new EmailNotifier({
+            host: '127.0.0.1',
+            port,
+            secure: false,
+            ignoreTLS: true,
+            from: 'bot@emtu.test'
+        });
+    });
+
+    afterEach(async () => {
+        notifier.close();
+        await close(standIn.server);
+    });
+
+    test('should deliver the alert over SMTP using the first line as subject', async () => {
+        await notifier.send('joao@empresa.test', '*Alerta de Proximidade!*\n\nLinha: 708BI2');
+
+        expect(standIn.messages).toHaveLength(1);
+        const message = standIn.messages[0];
+        expect(message.from).toContain('bot@emtu.test');
+        expect(message.to[0]).toContain('joao@empresa.test');
+        expect(message.data).toMatch(/^Subject: Alerta de Proximidade!$/m);
+        expect(message.data).not.toContain('*Alerta');
+    });
+
+    test('should only accept allowed recipients or domains', () => {
+        const allowed = new EmailNotifier({ allowedRecipients: 'empresa.test, ana@parceiro.test' });
+
+        expect(allowed.validateTarget('Joao@Empresa.test')).toBeNull();
+        expect(allowed.validateTarget('ana@parceiro.test')).toBeNull();
+        expect(allowed.validateTarget('bia@parceiro.test')).toBe('recipient is not in EMAIL_ALLOWED_RECIPIENTS');
+        expect(allowed.validateTarget('a@empresa.test,b@fora.test')).toBe('must be a single e-mail address');
+        expect(new EmailNotifier().validateTarget('joao@empresa.test')).toBe('recipient is not in EMAIL_ALLOWED_RECIPIENTS');
+    });
+
+    test('should not be available without an SMTP host', () => {
+        expect(new EmailNotifier({ host: '', from: 'bot@emtu.test' }).isAvailable()).toBe(false);
+    });
+});
+
+describe('Notification service', () => {
+    class RecordingNotifier extends Notifier {
+        constructor(channel) {
+            super(channel);
+            this.sent = [];
+        }
+
+        async send(target, message, context) {
+            this.sent.push({ target, message, context });
+        }
+    }
+
+    test('should route to the channel chosen in the configuration', async () => {
+        const service = new NotificationService();
+        const telegram = new RecordingNotifier('telegram');
+        service.register(telegram);
+
+        await service.send({ ...config, channel: 'telegram', target: '987654' }, 'oi', { event: 'proximity' });
+
+        expect(telegram.sent[0]).toMatchObject({
+            target: '987654',
+            message: 'oi',
+            context: { event: 'proximity', routeNumber: '708BI2', stopId: '708BI2_ida_3' }
+        });
+    });
+
+    test('should reject unknown channels and missing targets', async () => {
+        const service = new NotificationService();
+        service.register(new RecordingNotifier('telegram'));
+
+        await expect(service.send({ ...config, channel: 'sms' }, 'oi')).rejects.toThrow('Unknown notification channel');
+        await expect(service.send({ ...config, channel: 'telegram' }, 'oi')).rejects.toThrow('No telegram target');
+    });
+
+    test('WhatsApp targets should be the requesting chat or allowed by the operator', () => {
+        const whatsapp = new WhatsAppService({ allowedTargets: '5511988887777@c.us' });
+        const context = { chatId: config.chatId };
+
+        expect(whatsapp.validateTarget(config.chatId, context)).toBeNull();
+        expect(whatsapp.validateTarget('5511988887777@c.us', context)).toBeNull();
+        expect(whatsapp.validateTarget('5511977777777@c.us', context))
+            .toBe('must be the requesting chat or listed in WHATSAPP_ALLOWED_TARGETS');
+        expect(whatsapp.validateTarget('120363025555555555@g.us', context))
+            .toBe('must be the requesting chat or listed in WHATSAPP_ALLOWED_TARGETS');
+    });
+
+    test('WhatsApp should stay the default channel and target the monitor chat', async () => {
+        const checker = new EMTULiveChecker();
+        checker.whatsapp.sendMessage = jest.fn().mockResolvedValue();
+
+        await checker.sendProximityAlert(config, { id: '33101' }, 320);
+
+        expect(checker.whatsapp.sendMessage).toHaveBeenCalledWith(config.chatId, expect.stringContaining('Alerta de Proximidade'));
+    });
+});
+
+describe('Monitor notification channel', () => {
+    let standIn;
+    let url;
+    let checker;
+
+    beforeEach(async () => {
+        standIn = createHttpStandIn();
+        const port = await listen(standIn.server);
+        url = `http://127.0.0.1:${port}/Hooks/EMTU`;
+
+        checker = new EMTULiveChecker();
+        checker.whatsapp.sendMessage = jest.fn().mockResolvedValue();
+        checker.configManager.getConfiguration = jest.fn().mockResolvedValue({ ...config, isActive: true });
+        checker.configManager.updateConfiguration = jest.fn(async (chatId, routeNumber, updates) => ({
+            ...config,
+            isActive: true,
+            ...updates
+        }));
+        checker.startMonitoring = jest.fn().mockResolvedValue();
+    });
+
+    afterEach(async () => {
+        await close(standIn.server);
+    });
+
+    test('/notify should switch the monitor to a webhook keeping the URL case', async () => {
+        checker.notifications.register(new WebhookNotifier({ allowedHosts: 'hooks.empresa.test' }));
+        const target = 'https://hooks.empresa.test/Hooks/EMTU';
+
+        const response = await checker.handleUserMessage({ from: config.chatId, body: `/notify 708bi2 webhook ${target}` });
+
+        expect(response).toContain('via webhook');
+        expect(checker.configManager.updateConfiguration)
+            .toHaveBeenCalledWith(config.chatId, '708BI2', { channel: 'webhook', target });
+        expect(checker.startMonitoring).toHaveBeenCalledWith(expect.objectContaining({ channel: 'webhook' }));
+    });
+
+    test('/notify should refuse targets the operator has not allowed', async () => {
+        checker.notifications.register(new WebhookNotifier({ allowedHosts: '127.0.0.1' }));
+        checker.notifications.register(new EmailNotifier({ host: 'smtp.empresa.test', from: 'bot@empresa.test' }));
+
+        const webhook = await checker.handleNotifyCommand(`/notify 708BI2 webhook ${url}`, config.chatId);
+        const email = await checker.handleNotifyCommand('/notify 708BI2 email joao@gmail.test', config.chatId);
+
+        expect(webhook).toContain('não é permitido para o canal webhook');
+        expect(email).toContain('O destino joao@gmail.test não é permitido para o canal email');
+        expect(checker.configManager.updateConfiguration).not.toHaveBeenCalled();
+    });
+
+    test('/notify should refuse WhatsApp numbers and groups other than the requesting chat', async () => {
+        const number = await checker.handleNotifyCommand('/notify 708BI2 whatsapp 5511977777777@c.us', config.chatId);
+        const group = await checker.handleNotifyCommand('/notify 708BI2 whatsapp 120363025555555555@g.us', config.chatId);
+        const own = await checker.handleNotifyCommand(`/notify 708BI2 whatsapp ${config.chatId}`, config.chatId);
+
+        expect(number).toContain('O destino 5511977777777@c.us não é permitido para o canal whatsapp');
+        expect(group).toContain('não é permitido para o canal whatsapp');
+        expect(own).toContain('via whatsapp');
+        expect(checker.configManager.updateConfiguration).toHaveBeenCalledTimes(1);
+    });
+
+    test('/notify should refuse channels that are not configured', async () => {
+        checker.notifications.register(new TelegramNotifier({ token: '' }));
+
+        const response = await checker.handleNotifyCommand('/notify 708BI2 telegram 987654', config.chatId);
+
+        expect(response).toContain('não está configurado');
+        expect(checker.configManager.updateConfiguration).not.toHaveBeenCalled();
+    });
+
+    test('proximity alerts should be delivered through the monitor channel', async () => {
+        await checker.sendProximityAlert({ ...config, channel: 'webhook', target: url }, { id: '33101' }, 320);
+
+        expect(checker.whatsapp.sendMessage).not.toHaveBeenCalled();
+        expect(standIn.requests[0].url).toBe('/Hooks/EMTU');
+        expect(standIn.requests[0].body).toMatchObject({ event: 'proximity', vehicleId: '33101', distance: 320 });
+    });
+});
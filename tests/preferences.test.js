@@ -0,0 +1,140 @@
+const Database = require('../src/storage/database');
+const AlertManager = require('../src/services/alertManager');
+const PreferencesManager = require('../src/utils/preferencesManager');
+const EMTULiveChecker = require('../src/index');
+const { stubPortal } = require('./helpers/portal');
+
+const CHAT_ID = '5511944444444@c.us';
+// Segunda, 10/03/2025 às 23:30 em São Paulo
+const LATE_NIGHT = new Date('2025-03-10T23:30:00-03:00');
+
+describe('Chat preferences', () => {
+    let database;
+    let preferences;
+    let alertManager;
+
+    beforeEach(() => {
+        database = new Database({ path: ':memory:' });
+        preferences = new PreferencesManager({ database });
+        alertManager = new AlertManager({ database, preferences });
+    });
+
+    afterEach(() => database.close());
+
+    test('should fall back to the defaults and store only what was changed', async () => {
+        expect(await preferences.getPreferences(CHAT_ID)).toEqual({
+            cooldownMinutes: 10,
+            maxAlertsPerDay: 5,
+            quietHours: null,
+            proximityThreshold: 500,
+            language: 'pt-BR'
+        });
+
+        const { fields, details } = preferences.validate({ cooldownMinutes: 20, quietHours: '22h-7h', language: 'en' });
+        expect(details).toEqual([]);
+
+        const updated = await preferences.updatePreferences(CHAT_ID, fields);
+        expect(updated).toMatchObject({ cooldownMinutes: 20, quietHours: { start: '22:00', end: '07:00' }, language: 'en' });
+        expect(preferences.repository.find(CHAT_ID)).not.toHaveProperty('maxAlertsPerDay');
+
+        await preferences.updatePreferences(CHAT_ID, { cooldownMinutes: null });
+        expect((await preferences.getPreferences(CHAT_ID)).cooldownMinutes).toBe(10);
+
+        expect(await preferences.resetPreferences(CHAT_ID)).toMatchObject({ language: 'pt-BR', quietHours: null });
+    });
+
+    test('should reject invalid values', () => {
+        const { details } = preferences.validate({
+            cooldownMinutes: 0,
+            quietHours: '22:00-22:00',
+            language: 'fr',
+            theme: 'dark'
+        });
+
+        expect(details.map(detail => detail.field)).toEqual(['cooldownMinutes', 'quietHours', 'language', 'theme']);
+    });
+
+    test('quiet hours may cross midnight', () => {
+        const quietHours = { start: '22:00', end: '07:00' };
+
+        expect(preferences.isQuietTime(quietHours, LATE_NIGHT)).toBe(true);
+        expect(preferences.isQuietTime(quietHours, new Date('2025-03-10T06:59:00-03:00'))).toBe(true);
+        expect(preferences.isQuietTime(quietHours, new Date('2025-03-10T07:45:00-03:00'))).toBe(false);
+        expect(preferences.isQuietTime(null, LATE_NIGHT)).toBe(false);
+    });
+
+    test('shouldSendAlert should follow the chat cooldown, daily cap and quiet hours', async () => {
+        await preferences.updatePreferences(CHAT_ID, { cooldownMinutes: 1, maxAlertsPerDay: 2 });
+
+        await alertManager.recordAlert(CHAT_ID, '708BI2', '33101', 300, 'Av. Guarulhos, 2800');
+        expect(await alertManager.shouldSendAlert(CHAT_ID, '708BI2', '33101')).toBe(false);
+
+        const now = Date.now();
+        jest.spyOn(Date, 'now').mockReturnValue(now + 61 * 1000);
+        expect(await alertManager.shouldSendAlert(CHAT_ID, '708BI2', '33101')).toBe(true);
+        Date.now.mockRestore();
+
+        await alertManager.recordAlert(CHAT_ID, '708BI2', '33117', 300, 'Av. Guarulhos, 2800');
+        expect(await alertManager.shouldSendAlert(CHAT_ID, '708BI2', '33122')).toBe(false);
+        // O limite do próprio monitor tem prioridade
+        expect(await alertManager.shouldSendAlert(CHAT_ID, '708BI2', '33122', 3)).toBe(true);
+
+        preferences.isQuietTime = jest.fn().mockReturnValue(true);
+        expect(await alertManager.shouldSendAlert(CHAT_ID, '708BI2', '33122', 3)).toBe(false);
+    });
+});
+
+describe('/config command', () => {
+    let checker;
+
+    function send(body) {
+        return checker.handleUserMessage({ from: CHAT_ID, body });
+    }
+
+    beforeEach(() => {
+        checker = new EMTULiveChecker();
+        stubPortal(checker.emtuService);
+        checker.scheduleManager.isWithinWindow = jest.fn().mockReturnValue(true);
+    });
+
+    afterEach(() => {
+        checker.scheduler.clear();
+        checker.scheduleManager.clear();
+        checker.database.close();
+    });
+
+    test('should show and change the chat preferences', async () => {
+        expect(await send('/config')).toContain('Intervalo entre alertas do mesmo ônibus: 10 min');
+
+        expect(await send('/config cooldown 15min')).toContain('Intervalo entre alertas do mesmo ônibus: 15 min');
+        expect(await send('/config silêncio 22:00-07:00')).toContain('Silêncio: 22:00–07:00');
+        expect(await send('/config silencio off')).toContain('Silêncio: desligado');
+        expect(await send('/config idioma fr')).toBe('❌ Valor inválido para idioma. Exemplo: `/config idioma en`');
+        expect(await send('/config tema escuro')).toContain('Uso correto');
+
+        expect(await send('/config reset')).toContain('Intervalo entre alertas do mesmo ônibus: 10 min');
+    });
+
+    test('new monitors should use the default distance from the preferences', async () => {
+        await send('/config distancia 300m');
+        await send('/monitor 708bi2 ida av. guarulhos, 2800');
+
+        const config = await checker.configManager.getConfiguration(CHAT_ID, '708BI2');
+        expect(config.stops[0].proximityThreshold).toBe(300);
+        expect(config.maxAlerts).toBeNull();
+    });
+
+    test('alerts should be rendered in the chat language', async () => {
+        await send('/config idioma en');
+        await send('/monitor 708bi2 ida av. guarulhos, 2800');
+
+        checker.notifications.send = jest.fn().mockResolvedValue();
+        const config = await checker.configManager.getConfiguration(CHAT_ID, '708BI2');
+        await checker.sendProximityAlert(checker.getStopView(config, config.stops[0]), { id: '33101' }, 320);
+
+        const [, message] = checker.notifications.send.mock.calls[0];
+        expect(message).toContain('Proximity Alert!');
+        expect(message).toContain('Route: 708BI2');
+        expect(message).toContain('The bus is approaching your stop!');
+    });
+});
@@ -0,0 +1,336 @@
+const os = require('os');
+const path = require('path');
+const fs = require('fs-extra');
+const Database = require('../src/storage/database');
+const LegacyImporter = require('../src/storage/legacyImporter');
+const { writeJsonAtomic, readJsonWithRecovery, backupPath } = require('../src/storage/atomicFile');
+const AlertManager = require('../src/services/alertManager');
+const ConfigManager = require('../src/utils/configManager');
+
+const CHAT_ID = '5511999999999@c.us';
+
+function monitorConfig(overrides = {}) {
+    return {
+        chatId: CHAT_ID,
+        routeId: '708BI2',
+        routeNumber: '708BI2',
+        stopId: '708BI2_ida_5',
+        stopName: 'Av. Guarulhos, 2800',
+        direction: 'ida',
+        proximityThreshold: 500,
+        maxAlerts: 5,
+        schedule: { days: [1, 2, 3, 4, 5], start: '06:30', end: '08:00' },
+        createdAt: new Date('2025-03-10T10:00:00Z'),
+        isActive: true,
+        ...overrides
+    };
+}
+
+describe('Database migrations', () => {
+    let database;
+
+    afterEach(() => database.close());
+
+    test('should apply each migration once and record it', () => {
+        database = new Database({ path: ':memory:' });
+        database.open();
+
+        expect(database.getSchemaVersion()).toBe(2);
+        expect(database.migrate()).toBe(0);
+
+        const tables = database.connection
+            .prepare("SELECT name FROM sqlite_master WHERE type = 'table'").pluck().all();
+        expect(tables).toEqual(expect.arrayContaining([
+            'configurations', 'alerts', 'sent_alerts', 'legacy_imports', 'chat_preferences'
+        ]));
+    });
+
+    test('should apply pending migrations on an existing schema', () => {
+        database = new Database({ path: ':memory:' });
+        database.open();
+
+        const up = jest.fn(db => db.exec('ALTER TABLE configurations ADD COLUMN label TEXT'));
+        database.migrations = [...database.migrations, { version: 3, name: 'add_label', up }];
+
+        expect(database.migrate()).toBe(1);
+        expect(database.migrate()).toBe(0);
+        expect(up).toHaveBeenCalledTimes(1);
+        expect(database.getSchemaVersion()).toBe(3);
+    });
+
+    test('should roll back a failing migration', () => {
+        database = new Database({ path: ':memory:' });
+        database.open();
+        database.migrations = [...database.migrations, {
+            version: 3,
+            name: 'broken',
+            up: db => {
+                db.exec('CREATE TABLE partial (id INTEGER)');
+                throw new Error('boom');
+            }
+        }];
+
+        expect(() => database.migrate()).toThrow('boom');
+        expect(database.getSchemaVersion()).toBe(2);
+        expect(database.connection.prepare("SELECT name FROM sqlite_master WHERE name = 'partial'").get()).toBeUndefined();
+    });
+});
+
+describe('Repository-backed managers', () => {
+    let database;
+    let configManager;
+    let alertManager;
+
+    beforeEach(async () => {
+        database = new Database({ path: ':memory:' });
+        configManager = new ConfigManager({ database });
+        alertManager = new AlertManager({ database });
+        await configManager.initialize();
+    });
+
+    afterEach(() => database.close());
+
+    test('should persist configurations row by row and reload them with dates', async () => {
+        await configManager.saveConfiguration(CHAT_ID, '708BI2', monitorConfig());
+        await configManager.saveConfiguration(CHAT_ID, '708', monitorConfig({ routeId: '708', routeNumber: '708' }));
+        await configManager.updateStop(CHAT_ID, '708', '708BI2_ida_5', { proximityThreshold: 300 });
+        await configManager.deactivateConfiguration(CHAT_ID, '708BI2');
+
+        const reloaded = new ConfigManager({ database });
+        await reloaded.loadConfigurations();
+
+        const config = await reloaded.getConfiguration(CHAT_ID, '708BI2');
+        expect(config).toMatchObject({ isActive: false });
+        expect(config.stops).toEqual([expect.objectContaining({ stopId: '708BI2_ida_5', schedule: expect.objectContaining({ start: '06:30' }) })]);
+        expect(config.createdAt).toEqual(new Date('2025-03-10T10:00:00Z'));
+        expect(config.lastUpdated).toBeInstanceOf(Date);
+        expect((await reloaded.getConfiguration(CHAT_ID, '708')).stops[0].proximityThreshold).toBe(300);
+
+        await configManager.deleteConfiguration(CHAT_ID, '708');
+        expect(configManager.repository.find(`${CHAT_ID}_708`)).toBeNull();
+        expect(configManager.repository.count()).toBe(1);
+    });
+
+    test('should keep cooldowns and history across manager instances', async () => {
+        await alertManager.recordAlert(CHAT_ID, '708BI2', '33101', 320, 'Av. Guarulhos, 2800');
+
+        const restarted = new AlertManager({ database });
+        expect(await restarted.shouldSendAlert(CHAT_ID, '708BI2', '33101')).toBe(false);
+        expect(await restarted.shouldSendAlert(CHAT_ID, '708BI2', '33102')).toBe(true);
+
+        const history = await restarted.getAlertHistory(CHAT_ID);
+        expect(history).toHaveLength(1);
+        expect(history[0]).toMatchObject({ routeId: '708BI2', vehicleId: '33101', distance: 320 });
+        expect(history[0].timestamp).toBeInstanceOf(Date);
+
+        expect(await restarted.getAlertStatistics(CHAT_ID)).toMatchObject({
+            total: 1,
+            today: 1,
+            byRoute: { '708BI2': { total: 1, today: 1, thisWeek: 1 } }
+        });
+        expect(await restarted.getSystemStatistics()).toEqual({
+            totalChats: 1, totalRoutes: 1, totalAlerts: 1, todayAlerts: 1, activeAlerts: 1
+        });
+    });
+
+    test('should cap history per chat and route and clean up old records', async () => {
+        alertManager.historyLimit = 3;
+        for (let i = 0; i < 5; i++) {
+            await alertManager.recordAlert(CHAT_ID, '708BI2', `3310${i}`, 100 + i);
+        }
+
+        const history = await alertManager.getAlertHistory(CHAT_ID, '708BI2');
+        expect(history.map(alert => alert.vehicleId)).toEqual(['33104', '33103', '33102']);
+
+        database.connection.prepare('UPDATE alerts SET timestamp = ?').run('2020-01-01T00:00:00.000Z');
+        database.connection.prepare('UPDATE sent_alerts SET last_sent = ?').run('2020-01-01T00:00:00.000Z');
+        alertManager.cleanupOldAlerts();
+
+        expect(await alertManager.getAlertHistory(CHAT_ID)).toEqual([]);
+        expect(alertManager.repository.countSentAlerts()).toBe(0);
+    });
+});
+
+describe('Legacy JSON importer', () => {
+    let dir;
+    let database;
+
+    beforeEach(async () => {
+        dir = await fs.mkdtemp(path.join(os.tmpdir(), 'emtu-storage-'));
+    });
+
+    afterEach(async () => {
+        if (database) database.close();
+        await fs.remove(dir);
+    });
+
+    async function writeLegacyFiles() {
+        const configPath = path.join(dir, 'configurations.json');
+        const alertsPath = path.join(dir, 'alerts.json');
+
+        await fs.writeJson(configPath, {
+            configurations: {
+                [`${CHAT_ID}_708BI2`]: {
+                    ...monitorConfig(),
+                    createdAt: '2025-03-10T10:00:00.000Z',
+                    lastUpdated: '2025-03-11T10:00:00.000Z'
+                }
+            },
+            version: '1.0.0'
+        });
+        await fs.writeJson(alertsPath, {
+            alerts: {
+                [`${CHAT_ID}_708BI2`]: [
+                    { vehicleId: '33101', distance: 320, stopName: 'Av. Guarulhos, 2800', timestamp: '2025-03-10T10:40:00.000Z' }
+                ]
+            },
+            sentAlerts: {
+                [`${CHAT_ID}_708BI2_33101`]: {
+                    chatId: CHAT_ID, routeId: '708BI2', vehicleId: '33101', lastSent: '2025-03-10T10:40:00.000Z', distance: 320
+                }
+            }
+        });
+
+        return { configPath, alertsPath };
+    }
+
+    test('should import configurations and alerts once and keep the originals as backups', async () => {
+        const { configPath, alertsPath } = await writeLegacyFiles();
+        database = new Database({ path: path.join(dir, 'emtu-checker.db') });
+        const importer = new LegacyImporter(database, { configFiles: [configPath], alertFiles: [alertsPath] });
+
+        const summary = await importer.run();
+        expect(summary).toMatchObject({ configurations: 1, alerts: 1 });
+        expect(await fs.pathExists(configPath)).toBe(false);
+        expect(await fs.pathExists(`${configPath}.imported`)).toBe(true);
+
+        const configManager = new ConfigManager({ database });
+        await configManager.loadConfigurations();
+        const config = await configManager.getConfiguration(CHAT_ID, '708BI2');
+        expect(config.lastUpdated).toEqual(new Date('2025-03-11T10:00:00.000Z'));
+
+        const alertManager = new AlertManager({ database });
+        const history = await alertManager.getAlertHistory(CHAT_ID, '708BI2');
+        expect(history[0]).toMatchObject({ vehicleId: '33101', alertKey: `${CHAT_ID}_708BI2_33101` });
+
+        await fs.copy(`${configPath}.imported`, configPath);
+        expect(await importer.run()).toMatchObject({ configurations: 0, alerts: 0, files: [] });
+    });
+
+    test('should not overwrite monitors that already exist in the database', async () => {
+        const { configPath } = await writeLegacyFiles();
+        database = new Database({ path: ':memory:' });
+
+        const configManager = new ConfigManager({ database });
+        await configManager.saveConfiguration(CHAT_ID, '708BI2', monitorConfig({ proximityThreshold: 200 }));
+
+        const summary = await new LegacyImporter(database, { configFiles: [configPath], alertFiles: [] }).run();
+        expect(summary.configurations).toBe(0);
+        expect(configManager.repository.find(`${CHAT_ID}_708BI2`).stops[0].proximityThreshold).toBe(200);
+    });
+
+    test('should move legacy alerts JSON out of DB_PATH before opening the database', async () => {
+        const { alertsPath } = await writeLegacyFiles();
+        const dbPath = path.join(dir, 'emtu-checker.db');
+        await fs.move(alertsPath, dbPath);
+
+        database = new Database({ path: dbPath });
+        const summary = await new LegacyImporter(database, { configFiles: [], alertFiles: [] }).run();
+
+        expect(summary.alerts).toBe(1);
+        expect(await fs.pathExists(`${dbPath}.legacy.json.imported`)).toBe(true);
+        expect(database.getSchemaVersion()).toBe(2);
+    });
+});
+
+describe('Crash-safe files', () => {
+    let dir;
+    let database;
+
+    beforeEach(async () => {
+        dir = await fs.mkdtemp(path.join(os.tmpdir(), 'emtu-backups-'));
+    });
+
+    afterEach(async () => {
+        if (database) database.close();
+        database = null;
+        await fs.remove(dir);
+    });
+
+    test('should replace JSON files atomically and keep the last N good versions', async () => {
+        const file = path.join(dir, 'dados.json');
+        for (let version = 1; version <= 5; version++) {
+            await writeJsonAtomic(file, { version }, { backups: 3 });
+        }
+
+        expect(await fs.readJson(file)).toEqual({ version: 5 });
+        expect(await fs.readJson(backupPath(file, 1))).toEqual({ version: 4 });
+        expect(await fs.readJson(backupPath(file, 3))).toEqual({ version: 2 });
+        expect(await fs.pathExists(backupPath(file, 4))).toBe(false);
+        expect((await fs.readdir(dir)).filter(name => name.endsWith('.tmp'))).toEqual([]);
+    });
+
+    test('should not rotate a corrupted file into the backups', async () => {
+        const file = path.join(dir, 'dados.json');
+        await writeJsonAtomic(file, { version: 1 }, { backups: 3 });
+        await writeJsonAtomic(file, { version: 2 }, { backups: 3 });
+        await fs.writeFile(file, '{"version":');
+
+        await writeJsonAtomic(file, { version: 3 }, { backups: 3 });
+
+        expect(await fs.readJson(backupPath(file, 1))).toEqual({ version: 1 });
+        expect(await fs.readJson(file)).toEqual({ version: 3 });
+    });
+
+    test('should report when no valid backup exists', async () => {
+        const file = path.join(dir, 'dados.json');
+        await fs.writeFile(file, '{"ver');
+
+        const result = await readJsonWithRecovery(file, { backups: 3 });
+
+        expect(result).toMatchObject({ data: null, recovered: true, source: null });
+        expect(await fs.pathExists(result.corruptFile)).toBe(true);
+        expect(await fs.pathExists(file)).toBe(false);
+    });
+
+    test('should rotate database backups and restore the newest valid one on startup', async () => {
+        const dbPath = path.join(dir, 'emtu-checker.db');
+        database = new Database({ path: dbPath, backups: 2 });
+        const configManager = new ConfigManager({ database });
+
+        await configManager.saveConfiguration(CHAT_ID, '708BI2', monitorConfig());
+        await database.backup();
+        await configManager.saveConfiguration(CHAT_ID, '708', monitorConfig({ routeId: '708', routeNumber: '708' }));
+        await database.backup();
+        await database.backup();
+
+        expect(await fs.pathExists(backupPath(dbPath, 2))).toBe(true);
+        expect(await fs.pathExists(backupPath(dbPath, 3))).toBe(false);
+        database.close();
+
+        // Arquivo principal e backup mais recente danificados: sobra o .2
+        await fs.remove(`${dbPath}-wal`);
+        await fs.writeFile(dbPath, 'lixo no lugar do banco');
+        await fs.writeFile(backupPath(dbPath, 1), 'SQLite format 3\0 cortado');
+
+        database = new Database({ path: dbPath, backups: 2 });
+        const restored = new ConfigManager({ database });
+        await restored.loadConfigurations();
+
+        expect(restored.configurations.size).toBe(2);
+        expect(database.getStatus().recovery).toMatchObject({ source: backupPath(dbPath, 2) });
+        expect(await fs.pathExists(database.recovery.corruptFile)).toBe(true);
+    });
+
+    test('should start empty but keep the damaged database when there is no backup', async () => {
+        const dbPath = path.join(dir, 'emtu-checker.db');
+        await fs.writeFile(dbPath, 'SQLite format 3\0 cortado');
+
+        database = new Database({ path: dbPath, backups: 2 });
+        database.open();
+
+        expect(database.getSchemaVersion()).toBe(2);
+        expect(database.recovery).toMatchObject({ source: null });
+        expect(await fs.readFile(database.recovery.corruptFile, 'utf8')).toContain('cortado');
+    });
+});